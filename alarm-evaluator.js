@@ -0,0 +1,123 @@
+/**
+ * Alarm Evaluator for the Smart Alarm WebSocket server
+ * Evaluates monitor vitals once, on the server, with the workstation logic (SharedDataManager.processVitals
+ * and js/alarm-engine.js) against the stored configuration. The resulting alarm_event messages are broadcast
+ * to every workstation, so an alarm is raised once however many workstations are open, and also when none is.
+ *
+ * Every admitted patient keeps one headless SharedDataManager, so pending and active alarms carry over
+ * between vitals messages; the stored configuration is applied to it again when the patient record changes.
+ */
+
+class AlarmEvaluator {
+    /**
+     * @param {PatientStore} patientStore - Store holding the current configurations and bed assignments
+     * @param {ThresholdCalculator} thresholdCalculator - Source of headless SharedDataManager instances
+     */
+    constructor(patientStore, thresholdCalculator) {
+        this.patientStore = patientStore;
+        this.thresholdCalculator = thresholdCalculator;
+        // patientId -> { manager, version }
+        this.patients = new Map();
+        // Alarm changes since the last takeChanges: [{ patientId, parameter, state, event }]
+        this.changes = [];
+    }
+
+    /**
+     * Evaluate the measurements of a vitals message
+     * @param {Object} data - vitals message data { patientId?, bedNumber?, timestamp?, measurements }
+     * @returns {Object|null} - { patientId, raised, cleared, activeAlarms, changes }, or null when the
+     *                          patient is not admitted or cannot be resolved from the bed
+     */
+    evaluateVitals(data) {
+        const patientId = data.patientId ? String(data.patientId) : this.patientStore.getPatientInBed(data.bedNumber);
+        const entry = patientId ? this.getEntry(patientId) : null;
+        if (!entry) {
+            console.warn(`⚠️ Vitals for ${patientId ? `patient ${patientId}` : `bed ${data.bedNumber}`} not evaluated: no admitted patient`);
+            return null;
+        }
+
+        const vitals = entry.manager.parseVitalsMessage({ ...data, patientId: patientId });
+        if (!vitals) return null;
+        const result = entry.manager.processVitals(patientId, vitals.measurements);
+        return { ...result, changes: this.takeChanges() };
+    }
+
+    /**
+     * Apply a changed patient record to the patient's manager: disabled alarms are cleared at once, and a
+     * discharged patient's alarms are cleared and the manager dropped
+     * @param {string} patientId - Patient whose record changed
+     * @returns {Array} - Alarm changes [{ patientId, parameter, state, event }]
+     */
+    refresh(patientId) {
+        if (patientId === null || patientId === undefined || !this.patients.has(String(patientId))) {
+            return [];
+        }
+        this.getEntry(String(patientId));
+        return this.takeChanges();
+    }
+
+    /**
+     * Active alarms of every patient, for workstations catching up in the connect handshake
+     * @returns {Object} - { [patientId]: { [parameter]: event } }
+     */
+    getActiveAlarms() {
+        const alarms = {};
+        this.patients.forEach((entry, patientId) => {
+            const active = entry.manager.getAlarmEvents(patientId).active;
+            if (Object.keys(active).length > 0) {
+                alarms[patientId] = active;
+            }
+        });
+        return alarms;
+    }
+
+    /**
+     * The patient's manager, up to date with the stored record
+     * @returns {Object|null} - { manager, version }, or null when the patient is not admitted
+     */
+    getEntry(patientId) {
+        const record = this.patientStore.getPatient(patientId);
+        const entry = this.patients.get(patientId);
+
+        if (!record || record.status === 'discharged') {
+            if (entry) {
+                Object.keys(entry.manager.getAlarmEvents(patientId).active).forEach(parameter => {
+                    entry.manager.clearActiveAlarm(patientId, parameter, 'patient_discharged');
+                });
+                this.patients.delete(patientId);
+            }
+            return null;
+        }
+        if (entry && entry.version === record.version) {
+            return entry;
+        }
+
+        try {
+            if (entry) {
+                this.thresholdCalculator.applyRecord(entry.manager, record);
+                entry.version = record.version;
+                return entry;
+            }
+
+            const manager = this.thresholdCalculator.createManagerFor(record);
+            manager.eventBus.addEventListener('alarmStateChanged', event => this.changes.push(event.detail));
+            const created = { manager: manager, version: record.version };
+            this.patients.set(patientId, created);
+            return created;
+        } catch (error) {
+            console.error(`❌ Alarm evaluation for patient ${patientId} could not be prepared:`, error);
+            return entry || null;
+        }
+    }
+
+    takeChanges() {
+        const changes = this.changes;
+        this.changes = [];
+        return changes;
+    }
+}
+
+// Export for module use
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = AlarmEvaluator;
+}
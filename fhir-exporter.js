@@ -0,0 +1,391 @@
+/**
+ * FHIR R4 Exporter for the Smart Alarm WebSocket server
+ * Serves each patient's effective alarm configuration from the patient store as FHIR resources:
+ * Patient, Encounter and Location for the bed assignment, Condition for the selected problem and
+ * active condition tags, and Observations (custom profiles) for threshold ranges and monitoring levels.
+ * The store holds what the workstations computed with collectCurrentMedicalConfiguration() and
+ * getCurrentEffectiveValues(), as sent in their thresholds_risk_levels messages.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// Code systems and profiles defined by this application
+const SYSTEM_BASE = 'https://smart-alarm.local/fhir';
+
+// UCUM codes for the units used in the clinical protocol
+const UCUM_UNITS = { 'bpm': '/min', '/min': '/min', 'mmHg': 'mm[Hg]', '%': '%', '°C': 'Cel' };
+
+class FhirExporter {
+    /**
+     * @param {PatientStore} patientStore - Store the resources are built from
+     * @param {Object} options - { ward, protocolFile }
+     */
+    constructor(patientStore, options = {}) {
+        this.patientStore = patientStore;
+        this.options = {
+            ward: 'ICU',
+            protocolFile: path.join(__dirname, 'protocols', 'clinical-protocol.json'),
+            ...options
+        };
+        this.protocol = this.loadProtocolLabels();
+    }
+
+    static get SYSTEM_BASE() {
+        return SYSTEM_BASE;
+    }
+
+    static get RESOURCE_TYPES() {
+        return ['Patient', 'Encounter', 'Location', 'Condition', 'Observation'];
+    }
+
+    /**
+     * Labels and units of problems, tags and parameters, used as display texts (codes are used when the protocol cannot be read)
+     */
+    loadProtocolLabels() {
+        try {
+            return JSON.parse(fs.readFileSync(this.options.protocolFile, 'utf8'));
+        } catch (error) {
+            console.warn(`⚠️ FHIR export without protocol labels (${error.message})`);
+            return { problems: {}, tags: {}, parameters: {} };
+        }
+    }
+
+    // ========================================
+    // REST API
+    // ========================================
+
+    /**
+     * Handle GET /fhir/... requests
+     * Supported: /metadata, /<Type>, /<Type>/<id>, /Patient/<id>/$everything;
+     * search parameters: patient (Encounter, Condition, Observation), code (Observation), status (Encounter)
+     * @param {URL} url - Request URL
+     * @param {string} baseUrl - Public base of the FHIR API, e.g. http://localhost:8080/fhir
+     * @returns {Object} - { status, body }
+     */
+    handleRequest(url, baseUrl) {
+        const parts = url.pathname.replace(/^\/fhir\/?/, '').split('/').filter(Boolean).map(decodeURIComponent);
+        const [type, id, operation] = parts;
+
+        if (type === 'metadata' && parts.length === 1) {
+            return { status: 200, body: this.buildCapabilityStatement(baseUrl) };
+        }
+        if (!FhirExporter.RESOURCE_TYPES.includes(type)) {
+            return FhirExporter.notFound(`Unknown resource type ${type || ''}`.trim());
+        }
+
+        if (type === 'Patient' && id && operation === '$everything' && parts.length === 3) {
+            const patientId = Object.keys(this.patientStore.getState().patients).find(key => FhirExporter.toId(key) === id);
+            if (patientId === undefined) {
+                return FhirExporter.notFound(`Patient/${id} not found`);
+            }
+            return { status: 200, body: this.buildBundle(this.getPatientResources(patientId), baseUrl, 'searchset') };
+        }
+
+        if (id && parts.length === 2) {
+            const resource = this.getAllResources(type).find(item => item.id === id);
+            return resource ? { status: 200, body: resource } : FhirExporter.notFound(`${type}/${id} not found`);
+        }
+
+        if (parts.length === 1) {
+            const matches = this.getAllResources(type).filter(resource => FhirExporter.matchesSearch(resource, url.searchParams));
+            return { status: 200, body: this.buildBundle(matches, baseUrl, 'searchset') };
+        }
+
+        return FhirExporter.notFound(`Unsupported path ${url.pathname}`);
+    }
+
+    static matchesSearch(resource, params) {
+        const patient = params.get('patient') || params.get('subject');
+        if (patient) {
+            const reference = patient.startsWith('Patient/') ? patient : `Patient/${patient}`;
+            if (resource.resourceType === 'Patient' ? `Patient/${resource.id}` !== reference : resource.subject?.reference !== reference) {
+                return false;
+            }
+        }
+        const code = params.get('code');
+        if (code && !(resource.code?.coding || []).some(coding => coding.code === code || `${coding.system}|${coding.code}` === code)) {
+            return false;
+        }
+        const status = params.get('status');
+        if (status && resource.status !== status) {
+            return false;
+        }
+        return true;
+    }
+
+    static notFound(diagnostics) {
+        return {
+            status: 404,
+            body: {
+                resourceType: 'OperationOutcome',
+                issue: [{ severity: 'error', code: 'not-found', diagnostics: diagnostics }]
+            }
+        };
+    }
+
+    // ========================================
+    // RESOURCES
+    // ========================================
+
+    getAllResources(type) {
+        const state = this.patientStore.getState();
+        if (type === 'Location') {
+            return Object.entries(state.beds).map(([bedNumber, bed]) => this.buildLocation(bedNumber, bed));
+        }
+        return Object.keys(state.patients).flatMap(patientId => this.getPatientResources(patientId).filter(resource => resource.resourceType === type));
+    }
+
+    /**
+     * Every resource of one patient (including the Location of the current bed)
+     */
+    getPatientResources(patientId) {
+        const record = this.patientStore.getPatient(patientId);
+        if (!record) return [];
+
+        const resources = [this.buildPatient(record), this.buildEncounter(record)];
+        if (record.bedNumber !== null && record.bedNumber !== undefined) {
+            const bed = this.patientStore.getState().beds[record.bedNumber];
+            resources.push(this.buildLocation(record.bedNumber, bed));
+        }
+        return [...resources, ...this.buildConditions(record), ...this.buildObservations(record)];
+    }
+
+    buildPatient(record) {
+        const patient = record.patient || {};
+        const resource = {
+            resourceType: 'Patient',
+            id: FhirExporter.toId(record.patientId),
+            meta: FhirExporter.buildMeta(record.updatedAt),
+            identifier: [{ system: `${SYSTEM_BASE}/identifier/patient`, value: String(record.patientId) }],
+            active: record.status !== 'discharged',
+            gender: FhirExporter.mapGender(patient.gender)
+        };
+        if (patient.name) {
+            resource.name = [{ text: patient.name }];
+        }
+        if (patient.birthDate) {
+            resource.birthDate = patient.birthDate;
+        }
+        return resource;
+    }
+
+    /**
+     * The ICU stay: in-progress while admitted, finished after discharge
+     */
+    buildEncounter(record) {
+        const resource = {
+            resourceType: 'Encounter',
+            id: `enc-${FhirExporter.toId(record.patientId)}`,
+            meta: FhirExporter.buildMeta(record.updatedAt),
+            status: record.status === 'discharged' ? 'finished' : 'in-progress',
+            class: { system: 'http://terminology.hl7.org/CodeSystem/v3-ActCode', code: 'IMP', display: 'inpatient encounter' },
+            subject: FhirExporter.patientReference(record),
+            serviceProvider: { display: this.options.ward }
+        };
+        const period = {};
+        if (record.admittedAt) period.start = record.admittedAt;
+        if (record.status === 'discharged' && record.dischargedAt) period.end = record.dischargedAt;
+        if (Object.keys(period).length > 0) resource.period = period;
+        if (record.bedNumber !== null && record.bedNumber !== undefined) {
+            resource.location = [{ location: { reference: `Location/${FhirExporter.bedId(record.bedNumber)}`, display: `Bed ${record.bedNumber}` }, status: 'active' }];
+        }
+        if (record.dischargeReason) {
+            resource.hospitalization = { dischargeDisposition: { text: record.dischargeReason } };
+        }
+        return resource;
+    }
+
+    buildLocation(bedNumber, bed) {
+        const occupied = Boolean(bed && bed.occupied);
+        return {
+            resourceType: 'Location',
+            id: FhirExporter.bedId(bedNumber),
+            meta: FhirExporter.buildMeta(bed?.updatedAt),
+            identifier: [{ system: `${SYSTEM_BASE}/identifier/bed`, value: String(bedNumber) }],
+            status: 'active',
+            operationalStatus: {
+                system: 'http://terminology.hl7.org/CodeSystem/v2-0116',
+                code: occupied ? 'O' : 'U',
+                display: occupied ? 'Occupied' : 'Unoccupied'
+            },
+            name: `Bed ${bedNumber}`,
+            mode: 'instance',
+            physicalType: { coding: [{ system: 'http://terminology.hl7.org/CodeSystem/location-physical-type', code: 'bd', display: 'Bed' }] },
+            partOf: { display: this.options.ward }
+        };
+    }
+
+    /**
+     * Selected problem (encounter diagnosis) and active condition tags (problem list items)
+     */
+    buildConditions(record) {
+        const conditions = [];
+        const base = (id, category, system, code, display) => ({
+            resourceType: 'Condition',
+            id: id,
+            meta: FhirExporter.buildMeta(record.configuration?.updatedAt || record.updatedAt),
+            clinicalStatus: { coding: [{ system: 'http://terminology.hl7.org/CodeSystem/condition-clinical', code: record.status === 'discharged' ? 'inactive' : 'active' }] },
+            verificationStatus: { coding: [{ system: 'http://terminology.hl7.org/CodeSystem/condition-ver-status', code: 'confirmed' }] },
+            category: [{ coding: [{ system: 'http://terminology.hl7.org/CodeSystem/condition-category', code: category }] }],
+            code: { coding: [{ system: system, code: code, display: display }], text: display },
+            subject: FhirExporter.patientReference(record),
+            encounter: { reference: `Encounter/enc-${FhirExporter.toId(record.patientId)}` }
+        });
+
+        const problem = record.medicalInfo?.selectedProblem;
+        if (problem) {
+            const condition = base(`cond-${FhirExporter.toId(record.patientId)}-problem`, 'encounter-diagnosis',
+                `${SYSTEM_BASE}/CodeSystem/problem`, problem, this.protocol.problems?.[problem]?.label || problem);
+            if (record.medicalInfo.selectedRiskLevel) {
+                condition.severity = { coding: [{ system: `${SYSTEM_BASE}/CodeSystem/risk-level`, code: record.medicalInfo.selectedRiskLevel }] };
+            }
+            conditions.push(condition);
+        }
+
+        (record.activeTags || []).forEach(tag => {
+            conditions.push(base(`cond-${FhirExporter.toId(record.patientId)}-tag-${FhirExporter.toId(tag)}`, 'problem-list-item',
+                `${SYSTEM_BASE}/CodeSystem/condition-tag`, tag, this.protocol.tags?.[tag]?.label || tag));
+        });
+        return conditions;
+    }
+
+    /**
+     * One alarm-threshold Observation per parameter (valueRange, with the alarm state and manual override
+     * as components) and one monitoring-level Observation per organ
+     */
+    buildObservations(record) {
+        const patientId = FhirExporter.toId(record.patientId);
+        const effective = record.configuration?.updatedAt || record.updatedAt;
+        const observations = [];
+        const base = (id, profile, code) => ({
+            resourceType: 'Observation',
+            id: id,
+            meta: { ...FhirExporter.buildMeta(effective), profile: [`${SYSTEM_BASE}/StructureDefinition/${profile}`] },
+            status: 'final',
+            category: [{ coding: [{ system: `${SYSTEM_BASE}/CodeSystem/observation-category`, code: 'alarm-configuration', display: 'Alarm configuratie' }] }],
+            code: code,
+            subject: FhirExporter.patientReference(record),
+            encounter: { reference: `Encounter/enc-${patientId}` },
+            effectiveDateTime: effective || undefined
+        });
+
+        Object.entries(record.thresholds || {}).forEach(([parameter, range]) => {
+            const definition = this.protocol.parameters?.[parameter] || {};
+            const unit = range.unit || definition.unit || '';
+            const quantity = (value) => ({ value: value, unit: unit, system: 'http://unitsofmeasure.org', code: UCUM_UNITS[unit] || unit });
+            const observation = base(`obs-${patientId}-${FhirExporter.toId(parameter)}-range`, 'alarm-threshold', {
+                coding: [{ system: `${SYSTEM_BASE}/CodeSystem/parameter`, code: parameter, display: definition.label || parameter }],
+                text: `${definition.label || parameter} alarmgrenzen`
+            });
+            observation.valueRange = {};
+            if (typeof range.min === 'number') observation.valueRange.low = quantity(range.min);
+            if (typeof range.max === 'number') observation.valueRange.high = quantity(range.max);
+
+            const alarmState = record.alarmStates?.[parameter];
+            observation.component = [
+                {
+                    code: { coding: [{ system: `${SYSTEM_BASE}/CodeSystem/alarm-component`, code: 'alarm-enabled', display: 'Alarm aan' }] },
+                    valueBoolean: alarmState ? alarmState.enabled : true
+                },
+                {
+                    code: { coding: [{ system: `${SYSTEM_BASE}/CodeSystem/alarm-component`, code: 'manual-override', display: 'Handmatig aangepast' }] },
+                    valueBoolean: Boolean(record.manualOverrides?.overrideDetails?.[parameter])
+                }
+            ];
+            if (alarmState?.suppression) {
+                observation.note = [{ text: `Alarm uit tot ${alarmState.suppression.expiresAt}: ${alarmState.suppression.reason}` }];
+            }
+            observations.push(observation);
+        });
+
+        Object.entries(record.riskLevels || {}).forEach(([organ, level]) => {
+            const observation = base(`obs-${patientId}-${FhirExporter.toId(organ)}-monitoring`, 'monitoring-level', {
+                coding: [{ system: `${SYSTEM_BASE}/CodeSystem/organ`, code: organ }],
+                text: `Monitoringniveau ${organ}`
+            });
+            observation.valueCodeableConcept = { coding: [{ system: `${SYSTEM_BASE}/CodeSystem/risk-level`, code: level }] };
+            observations.push(observation);
+        });
+        return observations;
+    }
+
+    buildBundle(resources, baseUrl, type) {
+        return {
+            resourceType: 'Bundle',
+            type: type,
+            timestamp: new Date().toISOString(),
+            total: resources.length,
+            entry: resources.map(resource => ({
+                fullUrl: `${baseUrl}/${resource.resourceType}/${resource.id}`,
+                resource: resource,
+                search: { mode: 'match' }
+            }))
+        };
+    }
+
+    buildCapabilityStatement(baseUrl) {
+        const searchParams = {
+            Encounter: ['patient', 'status'],
+            Condition: ['patient'],
+            Observation: ['patient', 'code'],
+            Patient: [],
+            Location: []
+        };
+        return {
+            resourceType: 'CapabilityStatement',
+            status: 'active',
+            date: new Date().toISOString(),
+            kind: 'instance',
+            fhirVersion: '4.0.1',
+            format: ['json'],
+            implementation: { description: 'Smart Alarm alarm configuration (read-only)', url: baseUrl },
+            rest: [{
+                mode: 'server',
+                resource: FhirExporter.RESOURCE_TYPES.map(type => ({
+                    type: type,
+                    interaction: [{ code: 'read' }, { code: 'search-type' }],
+                    searchParam: searchParams[type].map(name => ({ name: name, type: name === 'code' || name === 'status' ? 'token' : 'reference' })),
+                    ...(type === 'Patient' ? { operation: [{ name: 'everything', definition: 'http://hl7.org/fhir/OperationDefinition/Patient-everything' }] } : {})
+                }))
+            }]
+        };
+    }
+
+    // ========================================
+    // HELPERS
+    // ========================================
+
+    static patientReference(record) {
+        const reference = { reference: `Patient/${FhirExporter.toId(record.patientId)}` };
+        if (record.patient?.name) reference.display = record.patient.name;
+        return reference;
+    }
+
+    static buildMeta(updatedAt) {
+        return updatedAt ? { lastUpdated: updatedAt } : {};
+    }
+
+    static bedId(bedNumber) {
+        return `bed-${FhirExporter.toId(bedNumber)}`;
+    }
+
+    /**
+     * FHIR ids allow only letters, digits, '-' and '.' (max 64 characters)
+     */
+    static toId(value) {
+        return String(value).replace(/[^A-Za-z0-9\-.]/g, '-').slice(0, 64);
+    }
+
+    static mapGender(gender) {
+        const value = String(gender || '').toLowerCase();
+        if (['m', 'male', 'man'].includes(value)) return 'male';
+        if (['f', 'v', 'female', 'vrouw'].includes(value)) return 'female';
+        return value ? 'other' : 'unknown';
+    }
+}
+
+// Export for module use
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = FhirExporter;
+}
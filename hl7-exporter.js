@@ -0,0 +1,551 @@
+/**
+ * HL7 v2 Exporter for the Smart Alarm WebSocket server
+ * Translates applied state messages into HL7 v2.5 for monitoring and EHR systems:
+ * patient_selected -> ADT^A01 (admit) or ADT^A02 (bed transfer), patient_transferred -> ADT^A02,
+ * patient_discharged -> ADT^A03,
+ * thresholds_risk_levels -> ORU^R01 with one OBX per alarm limit, risk level, problem and tag.
+ * Messages are sent over MLLP or written to a file drop; both wait for an HL7 ACK (MSA segment).
+ */
+
+const fs = require('fs');
+const net = require('net');
+const path = require('path');
+
+// MLLP framing characters
+const MLLP_START = '\x0b';
+const MLLP_END = '\x1c\x0d';
+
+class Hl7Exporter {
+    /**
+     * @param {Object} options - { mode: 'off'|'mllp'|'file', host, port, dropDir, ward, sendingApplication,
+     *                             sendingFacility, receivingApplication, receivingFacility, ackTimeout, maxRetryDelay }
+     */
+    constructor(options = {}) {
+        this.options = {
+            mode: 'off',
+            host: 'localhost',
+            port: 2575,
+            dropDir: Hl7Exporter.DEFAULT_DROP_DIR,
+            ward: 'ICU',
+            sendingApplication: 'SMART_ALARM',
+            sendingFacility: 'ICU',
+            receivingApplication: 'HIS',
+            receivingFacility: 'HOSPITAL',
+            ackTimeout: 10000,
+            maxRetryDelay: 60000,
+            ...options
+        };
+
+        // Messages waiting for an ACK, oldest first; MLLP sends one at a time
+        this.queue = [];
+        this.controlCounter = 0;
+        // Beds of patients freed with reason patient_transfer, so their next assignment becomes an A02
+        this.pendingTransfers = new Map();
+        this.stats = { exported: 0, acknowledged: 0, rejected: 0, lastAckAt: null, lastError: null };
+
+        this.socket = null;
+        this.receiveBuffer = '';
+        this.inFlight = null;
+        this.ackTimer = null;
+        this.retryTimer = null;
+        this.ackPollTimer = null;
+
+        if (this.options.mode === 'file') {
+            ['', 'ack', 'archive', 'error'].forEach(dir => fs.mkdirSync(path.join(this.options.dropDir, dir), { recursive: true }));
+            // The receiving system answers a file drop by writing <controlId>.ack into the ack folder
+            this.ackPollTimer = setInterval(() => this.checkFileAcks(), 2000);
+            console.log(`🏥 HL7 export to file drop ${this.options.dropDir}`);
+        } else if (this.options.mode === 'mllp') {
+            console.log(`🏥 HL7 export over MLLP to ${this.options.host}:${this.options.port}`);
+        }
+    }
+
+    static get DEFAULT_DROP_DIR() {
+        return path.join(__dirname, 'data', 'hl7-out');
+    }
+
+    /**
+     * Create an exporter from environment variables:
+     * HL7_EXPORT (mllp|file), HL7_MLLP_HOST, HL7_MLLP_PORT, HL7_DROP_DIR, HL7_WARD,
+     * HL7_RECEIVING_APPLICATION, HL7_RECEIVING_FACILITY
+     */
+    static fromEnv(env = process.env) {
+        const options = { mode: env.HL7_EXPORT || 'off' };
+        if (env.HL7_MLLP_HOST) options.host = env.HL7_MLLP_HOST;
+        if (env.HL7_MLLP_PORT) options.port = Number(env.HL7_MLLP_PORT);
+        if (env.HL7_DROP_DIR) options.dropDir = env.HL7_DROP_DIR;
+        if (env.HL7_WARD) options.ward = env.HL7_WARD;
+        if (env.HL7_RECEIVING_APPLICATION) options.receivingApplication = env.HL7_RECEIVING_APPLICATION;
+        if (env.HL7_RECEIVING_FACILITY) options.receivingFacility = env.HL7_RECEIVING_FACILITY;
+        return new Hl7Exporter(options);
+    }
+
+    isEnabled() {
+        return this.options.mode === 'mllp' || this.options.mode === 'file';
+    }
+
+    // ========================================
+    // TRANSLATION
+    // ========================================
+
+    /**
+     * Translate an applied WebSocket message and queue the result for delivery
+     * @param {Object} message - Message as applied to the patient store
+     * @param {Object|null} previousRecord - Stored patient before the message was applied
+     * @param {Object|null} record - Stored patient after the message was applied
+     * @returns {Array<string>} - Control ids of the queued HL7 messages
+     */
+    exportMessage(message, previousRecord, record) {
+        if (!this.isEnabled()) return [];
+
+        try {
+            const hl7Messages = this.translate(message, previousRecord, record);
+            return hl7Messages.map(hl7 => this.enqueue(hl7));
+        } catch (error) {
+            console.error(`❌ HL7 translation of ${message.type} failed:`, error.message);
+            this.stats.lastError = error.message;
+            return [];
+        }
+    }
+
+    /**
+     * Patient a state message is about
+     */
+    static getPatientId(message) {
+        return message.data?.patient?.id ?? message.data?.patientId ?? null;
+    }
+
+    /**
+     * @returns {Array<Object>} - [{ controlId, text }]
+     */
+    translate(message, previousRecord, record) {
+        const data = message.data || {};
+        const timestamp = message.timestamp || new Date().toISOString();
+
+        switch (message.type) {
+            case 'patient_selected': {
+                const patientId = data.patient?.id;
+                const bedNumber = data.bedNumber ?? data.patient?.bedNumber;
+                const wasAdmitted = previousRecord && previousRecord.status === 'admitted';
+                const priorBed = wasAdmitted
+                    ? (previousRecord.bedNumber ?? this.pendingTransfers.get(patientId) ?? null)
+                    : null;
+                this.pendingTransfers.delete(patientId);
+
+                if (priorBed !== null && String(priorBed) !== String(bedNumber)) {
+                    return [this.buildAdt('A02', record, timestamp, { bedNumber, priorBed })];
+                }
+                if (wasAdmitted && priorBed !== null) {
+                    // Same bed again: only the patient details changed
+                    return [this.buildAdt('A08', record, timestamp, { bedNumber })];
+                }
+                return [this.buildAdt('A01', record, timestamp, { bedNumber })];
+            }
+            case 'patient_discharged': {
+                const priorBed = data.bedNumber ?? previousRecord?.bedNumber ?? null;
+                if (data.reason === 'patient_transfer') {
+                    // Reported as A02 once the patient gets a new bed
+                    this.pendingTransfers.set(data.patientId, priorBed);
+                    return [];
+                }
+                // PV1-3 of an A03 is the bed the patient leaves
+                return [this.buildAdt('A03', record, timestamp, { bedNumber: priorBed })];
+            }
+            case 'patient_transferred': {
+                const priorBed = data.fromBed ?? previousRecord?.bedNumber ?? null;
+                this.pendingTransfers.delete(data.patientId);
+                return [this.buildAdt('A02', record, timestamp, { bedNumber: data.toBed, priorBed })];
+            }
+            case 'thresholds_risk_levels':
+                return [this.buildOru(record, timestamp)];
+            default:
+                return [];
+        }
+    }
+
+    /**
+     * Build an ADT message
+     * @param {string} event - A01, A02, A03 or A08
+     * @param {Object} record - Stored patient
+     * @param {Object} locations - { bedNumber?, priorBed? }
+     */
+    buildAdt(event, record, timestamp, locations) {
+        const controlId = this.nextControlId();
+        const time = Hl7Exporter.formatTimestamp(timestamp);
+        // A08 (update patient information) uses the A01 message structure
+        const structure = { A01: 'ADT_A01', A02: 'ADT_A02', A03: 'ADT_A03', A08: 'ADT_A01' }[event];
+        const segments = [
+            this.buildMsh(`ADT^${event}^${structure}`, controlId, time),
+            ['EVN', event, time],
+            this.buildPid(record),
+            this.buildPv1(record, locations.bedNumber, locations.priorBed, event === 'A03' ? time : '')
+        ];
+        return { controlId, text: Hl7Exporter.serialize(segments) };
+    }
+
+    /**
+     * Build an ORU^R01 with the patient's current alarm configuration
+     */
+    buildOru(record, timestamp) {
+        const controlId = this.nextControlId();
+        const time = Hl7Exporter.formatTimestamp(timestamp);
+        const observations = [];
+        const addObservation = (valueType, code, text, value, unit = '') => {
+            observations.push(Hl7Exporter.segment('OBX', {
+                1: String(observations.length + 1), 2: valueType, 3: [code, text, 'L'], 5: value, 6: unit, 11: 'F', 14: time
+            }));
+        };
+
+        Object.entries(record.thresholds || {}).forEach(([parameter, range]) => {
+            if (typeof range.min === 'number') addObservation('NM', `${parameter}-LOW`, `${parameter} ondergrens alarm`, String(range.min), range.unit || '');
+            if (typeof range.max === 'number') addObservation('NM', `${parameter}-HIGH`, `${parameter} bovengrens alarm`, String(range.max), range.unit || '');
+        });
+        Object.entries(record.riskLevels || {}).forEach(([organ, level]) => {
+            addObservation('ST', `RISK-${organ}`, `Monitoringniveau ${organ}`, level);
+        });
+        if (record.medicalInfo?.selectedProblem) {
+            addObservation('ST', 'PROBLEM', 'Medisch probleem', record.medicalInfo.selectedProblem);
+        }
+        if (record.medicalInfo?.selectedRiskLevel) {
+            addObservation('ST', 'RISK-LEVEL', 'Risiconiveau', record.medicalInfo.selectedRiskLevel);
+        }
+        (record.activeTags || []).forEach(tag => addObservation('ST', 'TAG', 'Actieve conditie', tag));
+        Object.entries(record.alarmStates || {}).forEach(([parameter, alarmState]) => {
+            addObservation('ST', `${parameter}-ALARM`, `${parameter} alarm`, alarmState.enabled ? 'enabled' : 'disabled');
+        });
+
+        const segments = [
+            this.buildMsh('ORU^R01^ORU_R01', controlId, time),
+            this.buildPid(record),
+            this.buildPv1(record, record.bedNumber, null, ''),
+            Hl7Exporter.segment('OBR', {
+                1: '1', 3: controlId, 4: ['SMART-ALARM-CFG', 'Smart alarm configuratie', 'L'], 7: time, 22: time, 25: 'F'
+            }),
+            ...observations
+        ];
+        return { controlId, text: Hl7Exporter.serialize(segments) };
+    }
+
+    buildMsh(messageType, controlId, time) {
+        // MSH-1 (field separator) and MSH-2 (encoding characters) are written by serialize()
+        return ['MSH', this.options.sendingApplication, this.options.sendingFacility,
+            this.options.receivingApplication, this.options.receivingFacility, time, '',
+            messageType.split('^'), controlId, 'P', '2.5'];
+    }
+
+    buildPid(record) {
+        const patient = record?.patient || {};
+        return Hl7Exporter.segment('PID', {
+            1: '1', 3: [record?.patientId ?? patient.id, '', '', this.options.sendingApplication, 'MR'],
+            5: [patient.name || ''], 7: (patient.birthDate || '').replace(/-/g, ''), 8: Hl7Exporter.mapGender(patient.gender)
+        });
+    }
+
+    /**
+     * PV1-3 is the assigned bed (point of care^room^bed), PV1-6 the prior bed, PV1-45 the discharge time
+     */
+    buildPv1(record, bedNumber, priorBed, dischargeTime) {
+        const location = (bed) => (bed === null || bed === undefined ? '' : [this.options.ward, '', String(bed)]);
+        return Hl7Exporter.segment('PV1', {
+            1: '1', 2: 'I', 3: location(bedNumber), 6: location(priorBed), 19: [record?.patientId ?? ''], 45: dischargeTime
+        });
+    }
+
+    nextControlId() {
+        this.controlCounter++;
+        return `SA${Date.now().toString(36).toUpperCase()}${this.controlCounter}`;
+    }
+
+    // ========================================
+    // ENCODING
+    // ========================================
+
+    /**
+     * Escape the HL7 delimiters in a value
+     */
+    static escape(value) {
+        return String(value ?? '')
+            .replace(/\\/g, '\\E\\')
+            .replace(/\|/g, '\\F\\')
+            .replace(/\^/g, '\\S\\')
+            .replace(/~/g, '\\R\\')
+            .replace(/&/g, '\\T\\')
+            .replace(/[\r\n]+/g, ' ');
+    }
+
+    /**
+     * Build a segment from fields by their HL7 position (e.g. { 3: location } for PV1-3)
+     */
+    static segment(name, fieldsByPosition) {
+        const length = Math.max(...Object.keys(fieldsByPosition).map(Number));
+        return [name, ...Array.from({ length }, (_, index) => fieldsByPosition[index + 1] ?? '')];
+    }
+
+    /**
+     * Join segments into an HL7 message; array fields are joined as components
+     * @param {Array<Array>} segments - [segmentName, field1, field2, ...]
+     */
+    static serialize(segments) {
+        return segments.map(([name, ...fields]) => {
+            const encoded = fields.map(field => (Array.isArray(field) ? field.map(Hl7Exporter.escape).join('^') : Hl7Exporter.escape(field)));
+            if (name === 'MSH') {
+                return ['MSH', '^~\\&', ...encoded].join('|');
+            }
+            return [name, ...encoded].join('|').replace(/\|+$/, '');
+        }).join('\r');
+    }
+
+    /**
+     * Split an HL7 message into segments of fields (components are left as text)
+     * @returns {Object} - { [segmentName]: Array<string> } with the first segment of each name
+     */
+    static parse(text) {
+        const segments = {};
+        String(text).split(/\r\n|\r|\n/).filter(Boolean).forEach(line => {
+            const fields = line.split('|');
+            if (!segments[fields[0]]) segments[fields[0]] = fields;
+        });
+        return segments;
+    }
+
+    /**
+     * Build the ACK a receiver returns for a message
+     * @param {string} text - Received message
+     * @param {string} code - AA (accepted), AE (error) or AR (rejected)
+     */
+    static buildAck(text, code = 'AA', errorText = '') {
+        const msh = Hl7Exporter.parse(text).MSH || [];
+        const time = Hl7Exporter.formatTimestamp(new Date().toISOString());
+        // MSH fields are shifted by one because MSH-1 is the separator itself
+        return Hl7Exporter.serialize([
+            ['MSH', msh[4] || '', msh[5] || '', msh[2] || '', msh[3] || '', time, '', 'ACK', `ACK${msh[9] || ''}`, 'P', msh[11] || '2.5'],
+            ['MSA', code, msh[9] || '', errorText]
+        ]);
+    }
+
+    static formatTimestamp(isoString) {
+        const date = new Date(isoString);
+        const valid = isNaN(date.getTime()) ? new Date() : date;
+        return valid.toISOString().replace(/[-:T]/g, '').slice(0, 14);
+    }
+
+    static mapGender(gender) {
+        const value = String(gender || '').toLowerCase();
+        if (['m', 'male', 'man'].includes(value)) return 'M';
+        if (['f', 'v', 'female', 'vrouw'].includes(value)) return 'F';
+        return value ? 'O' : 'U';
+    }
+
+    // ========================================
+    // DELIVERY
+    // ========================================
+
+    enqueue(hl7) {
+        const entry = { ...hl7, attempts: 0, queuedAt: new Date().toISOString(), nextAttemptAt: Date.now() };
+        this.queue.push(entry);
+        this.stats.exported++;
+        console.log(`🏥 HL7 ${Hl7Exporter.parse(hl7.text).MSH[8]} queued (${hl7.controlId})`);
+
+        if (this.options.mode === 'file') {
+            this.writeDropFile(entry);
+        } else {
+            this.sendNext();
+        }
+        return hl7.controlId;
+    }
+
+    /**
+     * File drop: <dropDir>/<controlId>.hl7, written through a temporary file
+     */
+    writeDropFile(entry) {
+        try {
+            const filePath = path.join(this.options.dropDir, `${entry.controlId}.hl7`);
+            fs.writeFileSync(`${filePath}.tmp`, entry.text);
+            fs.renameSync(`${filePath}.tmp`, filePath);
+            entry.attempts++;
+        } catch (error) {
+            console.error(`❌ HL7 file drop of ${entry.controlId} failed:`, error.message);
+            this.stats.lastError = error.message;
+        }
+    }
+
+    /**
+     * Read ACK files from the drop's ack folder; acknowledged messages move to archive/, rejected ones to error/
+     */
+    checkFileAcks() {
+        const ackDir = path.join(this.options.dropDir, 'ack');
+        let files = [];
+        try {
+            files = fs.readdirSync(ackDir).filter(file => file.endsWith('.ack'));
+        } catch (error) {
+            return;
+        }
+
+        files.forEach(file => {
+            const ackPath = path.join(ackDir, file);
+            try {
+                const msa = Hl7Exporter.parse(fs.readFileSync(ackPath, 'utf8')).MSA || [];
+                const controlId = msa[2] || path.basename(file, '.ack');
+                const accepted = this.handleAck(controlId, msa[1], msa[3]);
+                const messagePath = path.join(this.options.dropDir, `${controlId}.hl7`);
+                if (fs.existsSync(messagePath)) {
+                    fs.renameSync(messagePath, path.join(this.options.dropDir, accepted ? 'archive' : 'error', `${controlId}.hl7`));
+                }
+                fs.renameSync(ackPath, path.join(this.options.dropDir, accepted ? 'archive' : 'error', file));
+            } catch (error) {
+                console.error(`❌ HL7 ACK file ${file} could not be processed:`, error.message);
+            }
+        });
+    }
+
+    /**
+     * Settle a queued message by its ACK
+     * @returns {boolean} - True when the receiver accepted the message
+     */
+    handleAck(controlId, code, errorText) {
+        const entry = this.queue.find(item => item.controlId === controlId);
+        this.queue = this.queue.filter(item => item.controlId !== controlId);
+        const accepted = code === 'AA' || code === 'CA';
+
+        if (accepted) {
+            this.stats.acknowledged++;
+            this.stats.lastAckAt = new Date().toISOString();
+            console.log(`✅ HL7 ${controlId} acknowledged (${code})`);
+        } else {
+            this.stats.rejected++;
+            this.stats.lastError = `${controlId}: ${code} ${errorText || ''}`.trim();
+            console.error(`❌ HL7 ${controlId} rejected (${code}): ${errorText || 'no reason given'}`);
+        }
+        if (!entry) {
+            console.warn(`⚠️ HL7 ACK for unknown message ${controlId}`);
+        }
+        return accepted;
+    }
+
+    /**
+     * MLLP: send the oldest queued message and wait for its ACK before sending the next
+     */
+    sendNext() {
+        if (this.options.mode !== 'mllp' || this.inFlight || this.queue.length === 0) return;
+
+        const entry = this.queue[0];
+        const delay = entry.nextAttemptAt - Date.now();
+        if (delay > 0) {
+            this.scheduleRetry(delay);
+            return;
+        }
+
+        this.inFlight = entry;
+        entry.attempts++;
+        this.getSocket((error, socket) => {
+            if (error) {
+                this.failInFlight(error.message);
+                return;
+            }
+            socket.write(`${MLLP_START}${entry.text}${MLLP_END}`);
+            this.ackTimer = setTimeout(() => this.failInFlight('ACK timeout'), this.options.ackTimeout);
+        });
+    }
+
+    getSocket(callback) {
+        if (this.socket && !this.socket.destroyed) {
+            callback(null, this.socket);
+            return;
+        }
+
+        const socket = net.createConnection({ host: this.options.host, port: this.options.port });
+        let connected = false;
+        socket.setEncoding('utf8');
+        socket.on('connect', () => {
+            connected = true;
+            this.socket = socket;
+            this.receiveBuffer = '';
+            callback(null, socket);
+        });
+        socket.on('data', chunk => this.handleMllpData(chunk));
+        socket.on('error', error => {
+            if (!connected) callback(error);
+            else this.failInFlight(error.message);
+        });
+        socket.on('close', () => {
+            if (this.socket === socket) this.socket = null;
+        });
+    }
+
+    handleMllpData(chunk) {
+        this.receiveBuffer += chunk;
+        let end = this.receiveBuffer.indexOf(MLLP_END);
+        while (end !== -1) {
+            const frame = this.receiveBuffer.slice(0, end).replace(MLLP_START, '');
+            this.receiveBuffer = this.receiveBuffer.slice(end + MLLP_END.length);
+
+            const msa = Hl7Exporter.parse(frame).MSA || [];
+            if (this.inFlight && msa[2] === this.inFlight.controlId) {
+                clearTimeout(this.ackTimer);
+                this.inFlight = null;
+                this.handleAck(msa[2], msa[1], msa[3]);
+                this.sendNext();
+            } else {
+                console.warn('⚠️ Unexpected HL7 ACK:', msa.join('|'));
+            }
+            end = this.receiveBuffer.indexOf(MLLP_END);
+        }
+    }
+
+    /**
+     * Keep the message at the head of the queue and retry with exponential backoff (10 s, 20 s, ... up to maxRetryDelay)
+     */
+    failInFlight(reason) {
+        const entry = this.inFlight;
+        if (!entry) return;
+
+        clearTimeout(this.ackTimer);
+        this.inFlight = null;
+        if (this.socket) {
+            this.socket.destroy();
+            this.socket = null;
+        }
+
+        const delay = Math.min(this.options.ackTimeout * Math.pow(2, entry.attempts - 1), this.options.maxRetryDelay);
+        entry.nextAttemptAt = Date.now() + delay;
+        this.stats.lastError = `${entry.controlId}: ${reason}`;
+        console.warn(`⚠️ HL7 ${entry.controlId} not acknowledged (${reason}), retry in ${delay}ms`);
+        this.scheduleRetry(delay);
+    }
+
+    scheduleRetry(delay) {
+        clearTimeout(this.retryTimer);
+        this.retryTimer = setTimeout(() => this.sendNext(), delay);
+    }
+
+    /**
+     * Export state for GET /api/hl7
+     */
+    getStatus() {
+        return {
+            mode: this.options.mode,
+            target: this.options.mode === 'mllp' ? `${this.options.host}:${this.options.port}` : this.options.mode === 'file' ? this.options.dropDir : null,
+            awaitingAck: this.queue.length,
+            oldestUnacknowledgedAt: this.queue.length > 0 ? this.queue[0].queuedAt : null,
+            ...this.stats
+        };
+    }
+
+    /**
+     * Stop timers and close the MLLP connection (unacknowledged messages are not kept)
+     */
+    close() {
+        clearTimeout(this.ackTimer);
+        clearTimeout(this.retryTimer);
+        clearInterval(this.ackPollTimer);
+        if (this.socket) {
+            this.socket.destroy();
+            this.socket = null;
+        }
+    }
+}
+
+// Export for module use
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Hl7Exporter;
+}
@@ -0,0 +1,67 @@
+#!/usr/bin/env node
+
+/**
+ * Local HL7 v2 stand-in for the monitoring/EHR system
+ * Receives the HL7 export of websocket-server.js, prints every message and answers with an ACK.
+ *
+ * MLLP:      node hl7-receiver.js                 (listens on port 2575, or HL7_MLLP_PORT)
+ *            then start the server with HL7_EXPORT=mllp
+ * File drop: node hl7-receiver.js --file [dir]    (default data/hl7-out)
+ *            then start the server with HL7_EXPORT=file
+ *
+ * Set HL7_ACK_CODE=AE or AR to test how rejected messages are handled.
+ */
+
+const fs = require('fs');
+const net = require('net');
+const path = require('path');
+const Hl7Exporter = require('./hl7-exporter');
+
+const ackCode = process.env.HL7_ACK_CODE || 'AA';
+const ackText = ackCode === 'AA' ? '' : 'Rejected by HL7 stand-in';
+
+function logMessage(text, source) {
+    const msh = Hl7Exporter.parse(text).MSH || [];
+    console.log(`\n📥 HL7 ${msh[8]} (${msh[9]}) received via ${source}:`);
+    text.split('\r').forEach(segment => console.log(`   ${segment}`));
+    console.log(`📤 ACK ${ackCode} returned`);
+}
+
+const fileIndex = process.argv.indexOf('--file');
+if (fileIndex !== -1) {
+    const dropDir = process.argv[fileIndex + 1] || process.env.HL7_DROP_DIR || Hl7Exporter.DEFAULT_DROP_DIR;
+    const ackDir = path.join(dropDir, 'ack');
+    const answered = new Set();
+    fs.mkdirSync(ackDir, { recursive: true });
+    console.log(`🏥 HL7 stand-in watching file drop ${dropDir}`);
+
+    setInterval(() => {
+        fs.readdirSync(dropDir).filter(file => file.endsWith('.hl7') && !answered.has(file)).forEach(file => {
+            const text = fs.readFileSync(path.join(dropDir, file), 'utf8');
+            const controlId = Hl7Exporter.parse(text).MSH?.[9] || path.basename(file, '.hl7');
+            logMessage(text, 'file drop');
+            fs.writeFileSync(path.join(ackDir, `${controlId}.ack`), Hl7Exporter.buildAck(text, ackCode, ackText));
+            answered.add(file);
+        });
+    }, 1000);
+} else {
+    const port = Number(process.env.HL7_MLLP_PORT) || 2575;
+    const server = net.createServer(socket => {
+        console.log(`🔌 HL7 sender connected from ${socket.remoteAddress}`);
+        let buffer = '';
+        socket.setEncoding('utf8');
+        socket.on('data', chunk => {
+            buffer += chunk;
+            let end = buffer.indexOf('\x1c\x0d');
+            while (end !== -1) {
+                const text = buffer.slice(0, end).replace('\x0b', '');
+                buffer = buffer.slice(end + 2);
+                logMessage(text, 'MLLP');
+                socket.write(`\x0b${Hl7Exporter.buildAck(text, ackCode, ackText)}\x1c\x0d`);
+                end = buffer.indexOf('\x1c\x0d');
+            }
+        });
+        socket.on('error', error => console.error('❌ HL7 connection error:', error.message));
+    });
+    server.listen(port, () => console.log(`🏥 HL7 stand-in listening for MLLP on port ${port}`));
+}
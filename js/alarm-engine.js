@@ -0,0 +1,181 @@
+/**
+ * Alarm Engine for Smart Alarm System
+ * Turns the tight/mid/loose monitoring levels into concrete alarm behaviour:
+ * - delaySeconds: how long a value may stay out of range before the alarm is raised
+ * - thresholdMargin: how far past the threshold a value must be to count as out of range
+ * - hysteresis: how far back inside the range a value must recover before the alarm clears
+ */
+
+class AlarmEngine {
+    /**
+     * Monitoring levels in order of increasing strictness
+     */
+    static get MONITORING_LEVELS() {
+        return ['loose', 'mid', 'tight'];
+    }
+
+    /**
+     * Map an organ state (low/mid/high, as used by the clinical protocol and organ circles)
+     * to a monitoring level (loose/mid/tight, as used by the slider graphics)
+     * @param {string} organState - 'low', 'mid' or 'high' (monitoring levels are passed through)
+     * @returns {string} - 'loose', 'mid' or 'tight'
+     */
+    static toMonitoringLevel(organState) {
+        const mapping = {
+            low: 'loose',
+            los: 'loose',
+            mid: 'mid',
+            high: 'tight'
+        };
+        if (AlarmEngine.MONITORING_LEVELS.includes(organState)) {
+            return organState;
+        }
+        return mapping[organState] || 'mid';
+    }
+
+    /**
+     * Get the out-of-range direction of a value, taking the threshold margin into account
+     * @param {number} value - Measured value
+     * @param {Object} range - { min, max }
+     * @param {number} margin - Distance past the threshold that still counts as in range
+     * @returns {string|null} - 'low', 'high' or null when the value counts as in range
+     */
+    static getViolation(value, range, margin = 0) {
+        if (value < range.min - margin) return 'low';
+        if (value > range.max + margin) return 'high';
+        return null;
+    }
+
+    /**
+     * Check whether a value has recovered far enough inside the range to clear an alarm
+     * The hysteresis band only applies to the bound that was violated: a low alarm clears at min + hysteresis
+     * even when the value sits at the top of the range
+     * @param {number} value - Measured value
+     * @param {Object} range - { min, max }
+     * @param {number} hysteresis - Distance inside the range required to clear
+     * @param {string} direction - Side of the active alarm, 'low' or 'high'
+     * @returns {boolean}
+     */
+    static hasRecovered(value, range, hysteresis = 0, direction) {
+        // A hysteresis band wider than the range collapses to the opposite bound
+        const band = Math.min(hysteresis, range.max - range.min);
+        if (direction === 'low') {
+            return value >= range.min + band && value <= range.max;
+        }
+        if (direction === 'high') {
+            return value <= range.max - band && value >= range.min;
+        }
+        return value >= range.min && value <= range.max;
+    }
+
+    /**
+     * Decide what happens to a parameter's alarm for a new measurement
+     * @param {Object} current - { active: boolean, direction: 'low'|'high' (of the active alarm), pending: { direction, since } | null }
+     * @param {Object} measurement - { value, timestamp, range, behaviour: { delaySeconds, thresholdMargin, hysteresis } }
+     * @returns {Object} - { action, direction?, since? } where action is one of
+     *                     'raise', 'pending', 'cancel_pending', 'hold', 'clear' or 'none'
+     */
+    static evaluate(current, measurement) {
+        const { value, timestamp, range, behaviour } = measurement;
+        const direction = AlarmEngine.getViolation(value, range, behaviour.thresholdMargin);
+
+        // Active alarm: only clears once the value is back inside the hysteresis band
+        if (current.active) {
+            if (AlarmEngine.hasRecovered(value, range, behaviour.hysteresis, current.direction)) {
+                return { action: 'clear' };
+            }
+            return { action: 'hold', direction: direction };
+        }
+
+        if (!direction) {
+            return { action: current.pending ? 'cancel_pending' : 'none' };
+        }
+
+        // Out of range: raise once the value has been out of range for the configured delay
+        const since = current.pending && current.pending.direction === direction ? current.pending.since : timestamp;
+        const elapsedSeconds = (new Date(timestamp).getTime() - new Date(since).getTime()) / 1000;
+
+        if (elapsedSeconds >= behaviour.delaySeconds) {
+            return { action: 'raise', direction: direction, since: since };
+        }
+        return { action: 'pending', direction: direction, since: since };
+    }
+
+    /**
+     * Replay a recorded series against a range with the same rules as live evaluation
+     * @param {Array} series - [{ timestamp, value }] sorted oldest first
+     * @param {Object} range - { min, max }
+     * @param {Object} behaviour - { delaySeconds, thresholdMargin, hysteresis }
+     * @returns {Object} - { alarmCount, timeOutOfRangeSeconds, episodes: [{ direction, outOfRangeSince, raisedAt, clearedAt, durationSeconds, peakValue, ongoing }], sampleCount, start, end }
+     */
+    static replay(series, range, behaviour) {
+        const episodes = [];
+        let state = { active: false, pending: null };
+        let episode = null;
+        let timeOutOfRangeSeconds = 0;
+
+        series.forEach((point, index) => {
+            // Time out of range: each out-of-range sample counts until the next sample
+            const next = series[index + 1];
+            if (next && AlarmEngine.getViolation(point.value, range, behaviour.thresholdMargin)) {
+                timeOutOfRangeSeconds += (new Date(next.timestamp).getTime() - new Date(point.timestamp).getTime()) / 1000;
+            }
+
+            const decision = AlarmEngine.evaluate(state, { value: point.value, timestamp: point.timestamp, range, behaviour });
+            switch (decision.action) {
+                case 'raise':
+                    episode = {
+                        direction: decision.direction,
+                        outOfRangeSince: decision.since,
+                        raisedAt: point.timestamp,
+                        clearedAt: null,
+                        peakValue: point.value
+                    };
+                    episodes.push(episode);
+                    state = { active: true, direction: decision.direction, pending: null };
+                    break;
+                case 'pending':
+                    state = { active: false, pending: { direction: decision.direction, since: decision.since } };
+                    break;
+                case 'cancel_pending':
+                    state = { active: false, pending: null };
+                    break;
+                case 'hold':
+                    if (episode.direction === 'high' ? point.value > episode.peakValue : point.value < episode.peakValue) {
+                        episode.peakValue = point.value;
+                    }
+                    break;
+                case 'clear':
+                    episode.clearedAt = point.timestamp;
+                    episode = null;
+                    state = { active: false, pending: null };
+                    break;
+            }
+        });
+
+        const end = series.length > 0 ? series[series.length - 1].timestamp : null;
+        episodes.forEach(item => {
+            item.ongoing = item.clearedAt === null;
+            item.durationSeconds = (new Date(item.clearedAt || end).getTime() - new Date(item.raisedAt).getTime()) / 1000;
+        });
+
+        return {
+            alarmCount: episodes.length,
+            timeOutOfRangeSeconds: timeOutOfRangeSeconds,
+            episodes: episodes,
+            sampleCount: series.length,
+            start: series.length > 0 ? series[0].timestamp : null,
+            end: end
+        };
+    }
+}
+
+// Make available globally
+if (typeof window !== 'undefined') {
+    window.AlarmEngine = AlarmEngine;
+}
+
+// Export for module use
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = AlarmEngine;
+}
@@ -0,0 +1,111 @@
+/**
+ * Alarm Suppression Dialog for Smart Alarm System
+ * Asks for a reason and duration before a parameter alarm is switched off,
+ * so every disabled alarm is switched back on automatically
+ */
+
+class AlarmSuppressionDialog {
+    /**
+     * Duration choices in minutes
+     */
+    static get DURATION_OPTIONS() {
+        return [5, 15, 30, 60, 120, 240];
+    }
+
+    static formatDuration(minutes) {
+        return minutes < 60 ? `${minutes} min` : `${minutes / 60} uur`;
+    }
+
+    /**
+     * Show the dialog
+     * @param {Object} options - { parameter, parameterLabel?, onConfirm({ durationMinutes, reason }), onCancel() }
+     */
+    static open(options) {
+        AlarmSuppressionDialog.close();
+
+        const presets = window.sharedDataManager ? window.sharedDataManager.getSuppressionPresets() : [];
+        const overlay = document.createElement('div');
+        overlay.className = 'suppression-dialog-overlay';
+        overlay.innerHTML = `
+            <div class="suppression-dialog">
+                <h2>${options.parameterLabel || options.parameter} alarm tijdelijk uitzetten</h2>
+                <label>Reden
+                    <select class="suppression-reason">
+                        ${presets.map(preset => `<option value="${preset.reason}" data-minutes="${preset.durationMinutes}">${preset.reason}</option>`).join('')}
+                        <option value="">Anders...</option>
+                    </select>
+                </label>
+                <input type="text" class="suppression-custom-reason" placeholder="Omschrijf de reden" hidden>
+                <label>Duur
+                    <select class="suppression-duration">
+                        ${AlarmSuppressionDialog.DURATION_OPTIONS.map(minutes => `<option value="${minutes}">${AlarmSuppressionDialog.formatDuration(minutes)}</option>`).join('')}
+                    </select>
+                </label>
+                <div class="suppression-error"></div>
+                <div class="suppression-dialog-buttons">
+                    <button class="suppression-cancel">Annuleren</button>
+                    <button class="suppression-confirm">Alarm uitzetten</button>
+                </div>
+            </div>
+        `;
+        document.body.appendChild(overlay);
+
+        const reasonSelect = overlay.querySelector('.suppression-reason');
+        const customReason = overlay.querySelector('.suppression-custom-reason');
+        const durationSelect = overlay.querySelector('.suppression-duration');
+
+        // A preset reason also selects its usual duration
+        const applyPreset = () => {
+            const option = reasonSelect.selectedOptions[0];
+            customReason.hidden = option.value !== '';
+            if (option.dataset.minutes) {
+                durationSelect.value = option.dataset.minutes;
+            }
+        };
+        reasonSelect.addEventListener('change', applyPreset);
+        applyPreset();
+
+        overlay.querySelector('.suppression-cancel').addEventListener('click', () => {
+            AlarmSuppressionDialog.close();
+            if (options.onCancel) options.onCancel();
+        });
+
+        overlay.querySelector('.suppression-confirm').addEventListener('click', () => {
+            const reason = reasonSelect.value || customReason.value.trim();
+            if (!reason) {
+                overlay.querySelector('.suppression-error').textContent = 'Vul een reden in';
+                return;
+            }
+            AlarmSuppressionDialog.close();
+            options.onConfirm({ durationMinutes: Number(durationSelect.value), reason: reason });
+        });
+    }
+
+    static close() {
+        const overlay = document.querySelector('.suppression-dialog-overlay');
+        if (overlay) overlay.remove();
+    }
+
+    /**
+     * Format remaining seconds as m:ss or u:mm:ss for countdowns
+     * @param {number} seconds - Remaining seconds
+     * @returns {string}
+     */
+    static formatCountdown(seconds) {
+        const hours = Math.floor(seconds / 3600);
+        const minutes = Math.floor((seconds % 3600) / 60);
+        const secs = seconds % 60;
+        const pad = (value) => String(value).padStart(2, '0');
+        return hours > 0 ? `${hours}:${pad(minutes)}:${pad(secs)}` : `${minutes}:${pad(secs)}`;
+    }
+}
+
+// Make available globally
+if (typeof window !== 'undefined') {
+    window.AlarmSuppressionDialog = AlarmSuppressionDialog;
+}
+
+// Export for module use
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = AlarmSuppressionDialog;
+}
@@ -0,0 +1,346 @@
+/**
+ * Clinical Protocol for Smart Alarm System
+ * Wraps the versioned problem × risk matrix (organ states, base ranges, tag deltas, reasoning)
+ * that is maintained in protocols/clinical-protocol.json instead of in code
+ */
+
+class ClinicalProtocol {
+    /**
+     * @param {Object} definition - Parsed protocol JSON (must pass ClinicalProtocol.validate)
+     */
+    constructor(definition) {
+        this.definition = definition;
+    }
+
+    /**
+     * Default location of the protocol file, relative to the HTML pages
+     */
+    static get DEFAULT_URL() {
+        return 'protocols/clinical-protocol.json';
+    }
+
+    /**
+     * JSON Schema describing the protocol file format
+     */
+    static get SCHEMA() {
+        return {
+            type: 'object',
+            required: ['protocolId', 'version', 'riskLevels', 'parameters', 'problems', 'defaultOrganStates', 'tags'],
+            properties: {
+                protocolId: { type: 'string', minLength: 1 },
+                version: { type: 'string', pattern: '^\\d+\\.\\d+\\.\\d+$' },
+                name: { type: 'string' },
+                effectiveDate: { type: 'string' },
+                riskLevels: { type: 'array', items: { $ref: '#/definitions/level' } },
+                parameters: {
+                    type: 'object',
+                    additionalProperties: {
+                        type: 'object',
+                        required: ['unit'],
+                        properties: {
+                            label: { type: 'string' },
+                            unit: { type: 'string' },
+                            organ: { type: 'string', enum: ['heart', 'lung', 'temp'] },
+                            alarmBehaviour: {
+                                type: 'object',
+                                required: ['loose', 'mid', 'tight'],
+                                additionalProperties: false,
+                                properties: {
+                                    loose: { $ref: '#/definitions/alarmBehaviour' },
+                                    mid: { $ref: '#/definitions/alarmBehaviour' },
+                                    tight: { $ref: '#/definitions/alarmBehaviour' }
+                                }
+                            }
+                        }
+                    }
+                },
+                problems: {
+                    type: 'object',
+                    additionalProperties: {
+                        type: 'object',
+                        required: ['riskLevels'],
+                        properties: {
+                            label: { type: 'string' },
+                            riskLevels: {
+                                type: 'object',
+                                required: ['low', 'mid', 'high'],
+                                additionalProperties: { $ref: '#/definitions/problemRiskConfig' }
+                            }
+                        }
+                    }
+                },
+                defaultOrganStates: {
+                    type: 'object',
+                    required: ['low', 'mid', 'high'],
+                    additionalProperties: {
+                        type: 'object',
+                        required: ['organStates', 'reasoning'],
+                        properties: {
+                            organStates: { $ref: '#/definitions/organStates' },
+                            reasoning: { type: 'string' }
+                        }
+                    }
+                },
+                tags: {
+                    type: 'object',
+                    additionalProperties: { $ref: '#/definitions/tag' }
+                }
+            },
+            definitions: {
+                level: { type: 'string', enum: ['low', 'mid', 'high'] },
+                range: {
+                    type: 'object',
+                    required: ['min', 'max'],
+                    properties: {
+                        min: { type: 'number' },
+                        max: { type: 'number' }
+                    }
+                },
+                organStates: {
+                    type: 'object',
+                    required: ['heart', 'lung', 'temp'],
+                    additionalProperties: false,
+                    properties: {
+                        heart: { $ref: '#/definitions/level' },
+                        lung: { $ref: '#/definitions/level' },
+                        temp: { $ref: '#/definitions/level' }
+                    }
+                },
+                problemRiskConfig: {
+                    type: 'object',
+                    required: ['organStates', 'reasoning', 'baseRanges'],
+                    properties: {
+                        organStates: { $ref: '#/definitions/organStates' },
+                        reasoning: { type: 'string' },
+                        baseRanges: {
+                            type: 'object',
+                            additionalProperties: { $ref: '#/definitions/range' }
+                        }
+                    }
+                },
+                alarmBehaviour: {
+                    type: 'object',
+                    required: ['delaySeconds', 'thresholdMargin', 'hysteresis'],
+                    properties: {
+                        delaySeconds: { type: 'number', minimum: 0 },
+                        thresholdMargin: { type: 'number', minimum: 0 },
+                        hysteresis: { type: 'number', minimum: 0 }
+                    }
+                },
+                delta: {
+                    type: 'object',
+                    required: ['minDelta', 'maxDelta'],
+                    properties: {
+                        minDelta: { type: 'number' },
+                        maxDelta: { type: 'number' },
+                        reasoning: { type: 'string' }
+                    }
+                },
+                monitoringDelta: {
+                    type: 'object',
+                    additionalProperties: false,
+                    properties: {
+                        heart: { type: 'integer', minimum: -2, maximum: 2 },
+                        lung: { type: 'integer', minimum: -2, maximum: 2 },
+                        temp: { type: 'integer', minimum: -2, maximum: 2 }
+                    }
+                },
+                tag: {
+                    type: 'object',
+                    required: ['label', 'affectedParameters'],
+                    properties: {
+                        label: { type: 'string', minLength: 1 },
+                        icon: { type: 'string' },
+                        description: { type: 'string' },
+                        affectedParameters: { type: 'array', items: { type: 'string' } },
+                        parameterDeltas: {
+                            type: 'object',
+                            additionalProperties: {
+                                type: 'object',
+                                additionalProperties: { $ref: '#/definitions/delta' }
+                            }
+                        },
+                        monitoringDeltas: {
+                            type: 'object',
+                            additionalProperties: false,
+                            properties: {
+                                low: { $ref: '#/definitions/monitoringDelta' },
+                                mid: { $ref: '#/definitions/monitoringDelta' },
+                                high: { $ref: '#/definitions/monitoringDelta' },
+                                reasoning: { type: 'string' }
+                            }
+                        }
+                    }
+                }
+            }
+        };
+    }
+
+    /**
+     * Validate a protocol definition against the schema plus cross-field rules
+     * @param {Object} definition - Parsed protocol JSON
+     * @returns {Object} - { valid: boolean, errors: Array<string> }
+     */
+    static validate(definition) {
+        const validator = typeof SchemaValidator !== 'undefined' ? SchemaValidator : require('./schema-validator');
+        const result = validator.validate(ClinicalProtocol.SCHEMA, definition);
+        if (!result.valid) {
+            return result;
+        }
+
+        // Cross-field checks that JSON Schema cannot express
+        const errors = [];
+        const knownParameters = Object.keys(definition.parameters);
+
+        Object.entries(definition.problems).forEach(([problem, problemConfig]) => {
+            Object.entries(problemConfig.riskLevels).forEach(([riskLevel, riskConfig]) => {
+                Object.entries(riskConfig.baseRanges).forEach(([parameter, range]) => {
+                    if (!knownParameters.includes(parameter)) {
+                        errors.push(`$.problems.${problem}.riskLevels.${riskLevel}.baseRanges: unknown parameter "${parameter}"`);
+                    }
+                    if (range.min >= range.max) {
+                        errors.push(`$.problems.${problem}.riskLevels.${riskLevel}.baseRanges.${parameter}: min must be below max`);
+                    }
+                });
+            });
+        });
+
+        Object.entries(definition.tags).forEach(([tag, tagConfig]) => {
+            tagConfig.affectedParameters.forEach(parameter => {
+                if (!knownParameters.includes(parameter)) {
+                    errors.push(`$.tags.${tag}.affectedParameters: unknown parameter "${parameter}"`);
+                } else if (!tagConfig.parameterDeltas?.[parameter]) {
+                    errors.push(`$.tags.${tag}.affectedParameters: "${parameter}" has no parameterDeltas`);
+                }
+            });
+            Object.keys(tagConfig.parameterDeltas || {}).forEach(parameter => {
+                if (!knownParameters.includes(parameter)) {
+                    errors.push(`$.tags.${tag}.parameterDeltas: unknown parameter "${parameter}"`);
+                } else if (!tagConfig.affectedParameters.includes(parameter)) {
+                    errors.push(`$.tags.${tag}.parameterDeltas: "${parameter}" is not listed in affectedParameters`);
+                }
+            });
+        });
+
+        return {
+            valid: errors.length === 0,
+            errors: errors
+        };
+    }
+
+    /**
+     * Load and validate a protocol file without blocking the page; SharedDataManager.ready waits for it
+     * @param {string} url - Location of the protocol JSON
+     * @returns {Promise<ClinicalProtocol>} - Validated protocol; rejects when the file cannot be loaded,
+     *                                        parsed or validated
+     */
+    static loadFromUrl(url = ClinicalProtocol.DEFAULT_URL) {
+        return new Promise((resolve, reject) => {
+            const request = new XMLHttpRequest();
+            request.open('GET', url, true);
+            request.onload = () => {
+                // status 0 is returned for file:// pages that did load the resource
+                if (request.status !== 200 && !(request.status === 0 && request.responseText)) {
+                    reject(new Error(`Could not load clinical protocol from ${url} (HTTP ${request.status})`));
+                    return;
+                }
+                try {
+                    resolve(ClinicalProtocol.fromDefinition(JSON.parse(request.responseText)));
+                } catch (error) {
+                    reject(error);
+                }
+            };
+            request.onerror = () => reject(new Error(`Could not load clinical protocol from ${url}`));
+            request.send(null);
+        });
+    }
+
+    /**
+     * Create a protocol from an already parsed definition
+     * @param {Object} definition - Parsed protocol JSON
+     * @returns {ClinicalProtocol} - Validated protocol
+     * @throws {Error} - When the definition fails validation
+     */
+    static fromDefinition(definition) {
+        const validation = ClinicalProtocol.validate(definition);
+        if (!validation.valid) {
+            throw new Error(`Invalid clinical protocol: ${validation.errors.join('; ')}`);
+        }
+        return new ClinicalProtocol(definition);
+    }
+
+    /**
+     * Protocol identification stamped on patients and outbound messages
+     * @returns {Object} - { protocolId, version }
+     */
+    getVersionInfo() {
+        return {
+            protocolId: this.definition.protocolId,
+            version: this.definition.version
+        };
+    }
+
+    getProblems() {
+        return Object.keys(this.definition.problems);
+    }
+
+    getTags() {
+        return Object.keys(this.definition.tags);
+    }
+
+    getParameterUnit(parameter) {
+        return this.definition.parameters[parameter]?.unit || '';
+    }
+
+    /**
+     * Get the organ (heart, lung, temp) whose monitoring level applies to a parameter
+     */
+    getParameterOrgan(parameter) {
+        return this.definition.parameters[parameter]?.organ || null;
+    }
+
+    /**
+     * Get the default alarm behaviour of a parameter per monitoring level
+     * @returns {Object|null} - Deep copy of { loose, mid, tight }, or null if not defined
+     */
+    getAlarmBehaviour(parameter) {
+        const config = this.definition.parameters[parameter]?.alarmBehaviour;
+        return config ? JSON.parse(JSON.stringify(config)) : null;
+    }
+
+    /**
+     * Get organ states, reasoning and base ranges for a problem + risk level combination
+     * @returns {Object|null} - Deep copy of the configuration, or null if not defined
+     */
+    getProblemRiskConfig(problemValue, riskLevel) {
+        const config = this.definition.problems[problemValue]?.riskLevels?.[riskLevel];
+        return config ? JSON.parse(JSON.stringify(config)) : null;
+    }
+
+    /**
+     * Get organ states used when no (known) problem is selected
+     */
+    getDefaultOrganStates(riskLevel) {
+        const config = this.definition.defaultOrganStates[riskLevel];
+        return config ? JSON.parse(JSON.stringify(config)) : null;
+    }
+
+    /**
+     * Get delta configuration for a condition tag
+     * @returns {Object|null} - Deep copy of the tag configuration, or null if unknown
+     */
+    getTagConfig(tag) {
+        const config = this.definition.tags[tag];
+        return config ? JSON.parse(JSON.stringify(config)) : null;
+    }
+}
+
+// Make available globally
+if (typeof window !== 'undefined') {
+    window.ClinicalProtocol = ClinicalProtocol;
+}
+
+// Export for module use
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ClinicalProtocol;
+}
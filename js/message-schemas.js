@@ -0,0 +1,400 @@
+/**
+ * Message Schemas for Smart Alarm System
+ * JSON Schema catalogue of every message sent to the WebSocket server, per protocol version.
+ * Used by WebSocketOutboundClient before sending and by websocket-server.js on receipt.
+ *
+ * Protocol versions:
+ * - 1.0: original contract; messageId/sessionId optional, parameterAlarmToggled repeats its type inside data
+ * - 1.1: messageId and sessionId required, parameterAlarmToggled data without the inner type,
+ *        patient_transferred (sent to 1.0 peers as a patient_selected for the new bed)
+ */
+
+class MessageSchemas {
+    /**
+     * Version this code builds messages in
+     */
+    static get PROTOCOL_VERSION() {
+        return '1.1';
+    }
+
+    /**
+     * Versions that can be validated and converted, preferred first
+     */
+    static get SUPPORTED_VERSIONS() {
+        return ['1.1', '1.0'];
+    }
+
+    /**
+     * How long a client resends an unacknowledged message (ms). The server remembers processed message ids
+     * at least this long, so a late resend is recognised as a duplicate
+     */
+    static get MESSAGE_RETRY_SPAN() {
+        return 24 * 60 * 60 * 1000;
+    }
+
+    /**
+     * Error codes used in typed error replies (ack status 'error' or an 'error' message)
+     */
+    static get ERROR_CODES() {
+        return {
+            INVALID_JSON: 'invalid_json',
+            UNSUPPORTED_VERSION: 'unsupported_version',
+            UNKNOWN_MESSAGE_TYPE: 'unknown_message_type',
+            INVALID_MESSAGE: 'invalid_message',
+            STORE_ERROR: 'store_error',
+            PERMISSION_DENIED: 'permission_denied',
+            INTERNAL_ERROR: 'internal_error'
+        };
+    }
+
+    /**
+     * Error codes caused by the server rather than the message; the client resends such messages
+     */
+    static get RETRYABLE_ERROR_CODES() {
+        return [MessageSchemas.ERROR_CODES.INTERNAL_ERROR];
+    }
+
+    /**
+     * Shared definitions, resolvable with "#/definitions/..."
+     */
+    static get DEFINITIONS() {
+        return {
+            patientId: { type: ['string', 'integer'], minLength: 1 },
+            bedNumber: { type: ['integer', 'string', 'null'] },
+            parameter: { type: 'string', minLength: 1 },
+            riskLevel: { type: 'string', enum: ['low', 'mid', 'high'] },
+            timestamp: { type: 'string', minLength: 1 },
+            metadata: { type: 'object' },
+            threshold: {
+                type: 'object',
+                required: ['min', 'max'],
+                properties: {
+                    min: { type: ['number', 'null'] },
+                    max: { type: ['number', 'null'] },
+                    unit: { type: 'string' }
+                }
+            },
+            suppression: {
+                type: ['object', 'null'],
+                properties: {
+                    reason: { type: 'string' },
+                    durationMinutes: { type: 'number', minimum: 0 },
+                    suppressedAt: { $ref: '#/definitions/timestamp' },
+                    expiresAt: { $ref: '#/definitions/timestamp' },
+                    userId: { type: ['string', 'integer', 'null'] }
+                }
+            }
+        };
+    }
+
+    /**
+     * Envelope shared by all messages of a protocol version
+     */
+    static getEnvelopeSchema(version) {
+        const required = version === '1.0' ? ['type', 'data'] : ['type', 'messageId', 'sessionId', 'timestamp', 'version', 'data'];
+        return {
+            type: 'object',
+            required: required,
+            properties: {
+                type: { type: 'string', minLength: 1 },
+                messageId: { type: 'string', minLength: 1 },
+                sessionId: { type: 'string', minLength: 1 },
+                userId: { type: ['string', 'integer', 'null'] },
+                userRole: { type: ['string', 'null'] },
+                baseVersion: { type: ['integer', 'null'], minimum: 0 },
+                timestamp: { $ref: '#/definitions/timestamp' },
+                version: { type: 'string', enum: MessageSchemas.SUPPORTED_VERSIONS },
+                priority: { type: 'string', enum: ['low', 'normal', 'high'] },
+                data: { type: 'object' }
+            }
+        };
+    }
+
+    /**
+     * Schemas of the data payload per message type for a protocol version.
+     * thresholds_risk_levels has two shapes: full configurations carry thresholds at the top
+     * level, delta messages (changeType 'delta') carry { from, to } pairs under changes.
+     */
+    static getDataSchemas(version) {
+        const alarmToggleProperties = {
+            patientId: { $ref: '#/definitions/patientId' },
+            parameter: { $ref: '#/definitions/parameter' },
+            status: { type: 'string', enum: ['enabled', 'disabled'] },
+            suppression: { $ref: '#/definitions/suppression' },
+            timestamp: { $ref: '#/definitions/timestamp' }
+        };
+        if (version === '1.0') {
+            alarmToggleProperties.type = { type: 'string', enum: ['parameterAlarmToggled'] };
+        }
+
+        const schemas = {
+            patient_selected: {
+                type: 'object',
+                required: ['patient', 'bedNumber'],
+                properties: {
+                    patient: {
+                        type: 'object',
+                        required: ['id'],
+                        properties: {
+                            id: { $ref: '#/definitions/patientId' },
+                            name: { type: ['string', 'null'] },
+                            birthDate: { type: ['string', 'null'], pattern: '^\\d{4}-\\d{2}-\\d{2}$' },
+                            riskLevel: { type: ['string', 'null'] },
+                            medicalInfo: { type: ['object', 'null'] }
+                        }
+                    },
+                    bedNumber: { $ref: '#/definitions/bedNumber' },
+                    timestamp: { $ref: '#/definitions/timestamp' },
+                    metadata: { $ref: '#/definitions/metadata' }
+                }
+            },
+            patient_discharged: {
+                type: 'object',
+                required: ['patientId', 'reason'],
+                properties: {
+                    patientId: { $ref: '#/definitions/patientId' },
+                    bedNumber: { $ref: '#/definitions/bedNumber' },
+                    reason: { type: 'string', minLength: 1 },
+                    timestamp: { $ref: '#/definitions/timestamp' },
+                    metadata: { $ref: '#/definitions/metadata' }
+                }
+            },
+            thresholds_risk_levels: {
+                type: 'object',
+                required: ['patientId', 'changeType', 'thresholds'],
+                properties: {
+                    patientId: { $ref: '#/definitions/patientId' },
+                    bedNumber: { $ref: '#/definitions/bedNumber' },
+                    changeType: { type: 'string', enum: ['display_truth', 'manual_override', 'unified_tag_adjustment'] },
+                    medicalProblem: { type: ['string', 'null'] },
+                    selectedRiskLevel: { type: ['string', 'null'] },
+                    activeTags: { type: 'array', items: { type: 'string' } },
+                    protocolVersion: { type: ['string', 'null'] },
+                    riskLevels: { type: 'object', additionalProperties: { $ref: '#/definitions/riskLevel' } },
+                    thresholds: { type: 'object', additionalProperties: { $ref: '#/definitions/threshold' } },
+                    dataSource: { type: ['string', 'null'] },
+                    manualOverrides: { type: ['object', 'null'] },
+                    timestamp: { $ref: '#/definitions/timestamp' }
+                }
+            },
+            thresholds_risk_levels_delta: {
+                type: 'object',
+                required: ['patientId', 'changeType', 'changes'],
+                properties: {
+                    patientId: { $ref: '#/definitions/patientId' },
+                    bedNumber: { $ref: '#/definitions/bedNumber' },
+                    changeType: { type: 'string', enum: ['delta'] },
+                    changes: {
+                        type: 'object',
+                        additionalProperties: false,
+                        properties: {
+                            medicalProblem: { type: 'object' },
+                            riskLevels: { type: 'object' },
+                            thresholds: { type: 'object' }
+                        }
+                    },
+                    timestamp: { $ref: '#/definitions/timestamp' }
+                }
+            },
+            parameterAlarmToggled: {
+                type: 'object',
+                required: ['patientId', 'parameter', 'status'],
+                additionalProperties: false,
+                properties: alarmToggleProperties
+            },
+            alarm_event: {
+                type: 'object',
+                required: ['patientId', 'parameter', 'state', 'event'],
+                properties: {
+                    patientId: { $ref: '#/definitions/patientId' },
+                    parameter: { $ref: '#/definitions/parameter' },
+                    state: { type: 'string', enum: ['raised', 'cleared'] },
+                    event: { type: 'object' }
+                }
+            },
+            vitals: {
+                type: 'object',
+                required: ['measurements'],
+                properties: {
+                    patientId: { $ref: '#/definitions/patientId' },
+                    bedNumber: { $ref: '#/definitions/bedNumber' },
+                    timestamp: { $ref: '#/definitions/timestamp' },
+                    measurements: {
+                        type: 'object',
+                        additionalProperties: {
+                            type: ['number', 'object'],
+                            properties: {
+                                value: { type: 'number' },
+                                timestamp: { $ref: '#/definitions/timestamp' }
+                            }
+                        }
+                    }
+                }
+            },
+            heartbeat: {
+                type: 'object'
+            },
+            sync_request: {
+                type: 'object',
+                properties: {
+                    lastStateVersion: { type: ['integer', 'null'], minimum: 0 }
+                }
+            },
+            state_request: {
+                type: 'object',
+                properties: {
+                    patientId: { $ref: '#/definitions/patientId' }
+                }
+            }
+        };
+
+        if (version !== '1.0') {
+            schemas.patient_transferred = {
+                type: 'object',
+                required: ['patientId', 'fromBed', 'toBed'],
+                properties: {
+                    patientId: { $ref: '#/definitions/patientId' },
+                    fromBed: { $ref: '#/definitions/bedNumber' },
+                    toBed: { $ref: '#/definitions/bedNumber' },
+                    patient: schemas.patient_selected.properties.patient,
+                    timestamp: { $ref: '#/definitions/timestamp' },
+                    metadata: { $ref: '#/definitions/metadata' }
+                }
+            };
+        }
+        return schemas;
+    }
+
+    /**
+     * Message types known in a protocol version
+     */
+    static getMessageTypes(version = MessageSchemas.PROTOCOL_VERSION) {
+        return Object.keys(MessageSchemas.getDataSchemas(version)).filter(key => key !== 'thresholds_risk_levels_delta');
+    }
+
+    /**
+     * Complete JSON Schema (envelope plus data) for a message
+     * @param {string} type - Message type
+     * @param {string} version - Protocol version
+     * @param {Object} data - Payload, used to pick the delta variant of thresholds_risk_levels
+     * @returns {Object|null} - Schema, or null for an unknown type
+     */
+    static getSchema(type, version = MessageSchemas.PROTOCOL_VERSION, data = null) {
+        const dataSchemas = MessageSchemas.getDataSchemas(version);
+        const key = type === 'thresholds_risk_levels' && data?.changeType === 'delta' ? 'thresholds_risk_levels_delta' : type;
+        if (!dataSchemas[key]) return null;
+
+        const envelope = MessageSchemas.getEnvelopeSchema(version);
+        return {
+            $schema: 'http://json-schema.org/draft-07/schema#',
+            title: `${type} (protocol ${version})`,
+            ...envelope,
+            properties: {
+                ...envelope.properties,
+                type: { type: 'string', enum: [type] },
+                data: dataSchemas[key]
+            },
+            definitions: MessageSchemas.DEFINITIONS
+        };
+    }
+
+    /**
+     * Complete catalogue for integrators: { protocolVersion, supportedVersions, versions: { [version]: { [type]: schema } } }
+     */
+    static getCatalogue() {
+        const versions = {};
+        MessageSchemas.SUPPORTED_VERSIONS.forEach(version => {
+            versions[version] = {};
+            MessageSchemas.getMessageTypes(version).forEach(type => {
+                versions[version][type] = MessageSchemas.getSchema(type, version);
+            });
+            versions[version].thresholds_risk_levels_delta = MessageSchemas.getSchema('thresholds_risk_levels', version, { changeType: 'delta' });
+        });
+        return {
+            protocolVersion: MessageSchemas.PROTOCOL_VERSION,
+            supportedVersions: MessageSchemas.SUPPORTED_VERSIONS,
+            errorCodes: Object.values(MessageSchemas.ERROR_CODES),
+            versions: versions
+        };
+    }
+
+    /**
+     * Validate a message against the schema of its declared version (no version means 1.0)
+     * @param {Object} message - Complete message including the envelope
+     * @returns {Object} - { valid, code?, errors: Array<string> }
+     */
+    static validate(message) {
+        const Validator = typeof SchemaValidator !== 'undefined' ? SchemaValidator : require('./schema-validator');
+        const codes = MessageSchemas.ERROR_CODES;
+
+        if (!message || typeof message !== 'object' || Array.isArray(message)) {
+            return { valid: false, code: codes.INVALID_MESSAGE, errors: ['$: expected object'] };
+        }
+
+        const version = message.version || '1.0';
+        if (!MessageSchemas.SUPPORTED_VERSIONS.includes(version)) {
+            return {
+                valid: false,
+                code: codes.UNSUPPORTED_VERSION,
+                errors: [`$.version: ${version} not in [${MessageSchemas.SUPPORTED_VERSIONS.join(', ')}]`]
+            };
+        }
+
+        const schema = MessageSchemas.getSchema(message.type, version, message.data);
+        if (!schema) {
+            return { valid: false, code: codes.UNKNOWN_MESSAGE_TYPE, errors: [`$.type: unknown message type ${JSON.stringify(message.type)}`] };
+        }
+
+        const result = Validator.validate(schema, message);
+        return result.valid ? { valid: true, errors: [] } : { valid: false, code: codes.INVALID_MESSAGE, errors: result.errors };
+    }
+
+    /**
+     * Pick the highest protocol version both sides support
+     * @param {Array<string>} offered - Versions supported by the other side
+     * @returns {string|null} - Agreed version, or null when there is none
+     */
+    static negotiate(offered) {
+        const versions = Array.isArray(offered) && offered.length > 0 ? offered : ['1.0'];
+        return MessageSchemas.SUPPORTED_VERSIONS.find(version => versions.includes(version)) || null;
+    }
+
+    /**
+     * Convert a message to another protocol version (returns a copy, the input is not changed)
+     * @param {Object} message - Message in any supported version
+     * @param {string} targetVersion - Version to convert to
+     * @returns {Object} - Converted message
+     */
+    static convert(message, targetVersion) {
+        const sourceVersion = message.version || '1.0';
+        if (sourceVersion === targetVersion) return message;
+
+        const converted = { ...message, version: targetVersion };
+        if (message.type === 'parameterAlarmToggled' && message.data) {
+            const { type, ...data } = message.data;
+            converted.data = targetVersion === '1.0' ? { type: 'parameterAlarmToggled', ...data } : data;
+        }
+        if (message.type === 'patient_transferred' && message.data && targetVersion === '1.0') {
+            // 1.0 peers only know assignments; selecting the patient in the new bed frees the old one
+            const data = message.data;
+            converted.type = 'patient_selected';
+            converted.data = {
+                patient: { ...data.patient, id: data.patientId },
+                bedNumber: data.toBed,
+                timestamp: data.timestamp,
+                metadata: { ...data.metadata, action: 'patient_transfer', fromBed: data.fromBed }
+            };
+        }
+        return converted;
+    }
+}
+
+// Make available globally
+if (typeof window !== 'undefined') {
+    window.MessageSchemas = MessageSchemas;
+}
+
+// Export for module use
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = MessageSchemas;
+}
@@ -0,0 +1,133 @@
+/**
+ * Schema Validator for Smart Alarm System
+ * Lightweight JSON Schema (draft-07 subset) validator used for protocol and message validation.
+ * Supported keywords: type, required, properties, additionalProperties, items, enum,
+ * minimum, maximum, minLength, pattern, $ref (local "#/definitions/..." only)
+ */
+
+class SchemaValidator {
+    /**
+     * Validate a value against a schema
+     * @param {Object} schema - JSON Schema object
+     * @param {*} value - Value to validate
+     * @returns {Object} - { valid: boolean, errors: Array<string> }
+     */
+    static validate(schema, value) {
+        const errors = [];
+        SchemaValidator.validateNode(schema, value, '$', schema, errors);
+        return {
+            valid: errors.length === 0,
+            errors: errors
+        };
+    }
+
+    /**
+     * Validate a single node of the value tree, collecting errors
+     * @param {Object} schema - Schema for this node
+     * @param {*} value - Value at this node
+     * @param {string} path - Path of this node for error messages
+     * @param {Object} rootSchema - Root schema used to resolve $ref
+     * @param {Array} errors - Error accumulator
+     */
+    static validateNode(schema, value, path, rootSchema, errors) {
+        if (!schema) return;
+
+        if (schema.$ref) {
+            const resolved = SchemaValidator.resolveRef(schema.$ref, rootSchema);
+            if (!resolved) {
+                errors.push(`${path}: unresolvable $ref ${schema.$ref}`);
+                return;
+            }
+            SchemaValidator.validateNode(resolved, value, path, rootSchema, errors);
+            return;
+        }
+
+        if (schema.type) {
+            const allowedTypes = Array.isArray(schema.type) ? schema.type : [schema.type];
+            const actualType = SchemaValidator.getType(value);
+            const typeMatches = allowedTypes.some(type =>
+                type === actualType || (type === 'number' && actualType === 'integer')
+            );
+            if (!typeMatches) {
+                errors.push(`${path}: expected ${allowedTypes.join(' | ')}, got ${actualType}`);
+                return;
+            }
+        }
+
+        if (schema.enum && !schema.enum.includes(value)) {
+            errors.push(`${path}: value ${JSON.stringify(value)} not in [${schema.enum.join(', ')}]`);
+        }
+
+        if (typeof value === 'number') {
+            if (schema.minimum !== undefined && value < schema.minimum) {
+                errors.push(`${path}: ${value} is below minimum ${schema.minimum}`);
+            }
+            if (schema.maximum !== undefined && value > schema.maximum) {
+                errors.push(`${path}: ${value} is above maximum ${schema.maximum}`);
+            }
+        }
+
+        if (typeof value === 'string') {
+            if (schema.minLength !== undefined && value.length < schema.minLength) {
+                errors.push(`${path}: string shorter than ${schema.minLength}`);
+            }
+            if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+                errors.push(`${path}: "${value}" does not match pattern ${schema.pattern}`);
+            }
+        }
+
+        if (Array.isArray(value) && schema.items) {
+            value.forEach((item, index) => {
+                SchemaValidator.validateNode(schema.items, item, `${path}[${index}]`, rootSchema, errors);
+            });
+        }
+
+        if (SchemaValidator.getType(value) === 'object') {
+            (schema.required || []).forEach(key => {
+                if (value[key] === undefined) {
+                    errors.push(`${path}: missing required property "${key}"`);
+                }
+            });
+
+            const properties = schema.properties || {};
+            Object.keys(value).forEach(key => {
+                const childPath = `${path}.${key}`;
+                if (properties[key]) {
+                    SchemaValidator.validateNode(properties[key], value[key], childPath, rootSchema, errors);
+                } else if (schema.additionalProperties === false) {
+                    errors.push(`${path}: unexpected property "${key}"`);
+                } else if (typeof schema.additionalProperties === 'object') {
+                    SchemaValidator.validateNode(schema.additionalProperties, value[key], childPath, rootSchema, errors);
+                }
+            });
+        }
+    }
+
+    /**
+     * Resolve a local $ref such as "#/definitions/range"
+     */
+    static resolveRef(ref, rootSchema) {
+        if (!ref.startsWith('#/')) return null;
+        return ref.substring(2).split('/').reduce((node, key) => (node ? node[key] : null), rootSchema);
+    }
+
+    /**
+     * Get the JSON Schema type name of a value
+     */
+    static getType(value) {
+        if (value === null) return 'null';
+        if (Array.isArray(value)) return 'array';
+        if (Number.isInteger(value)) return 'integer';
+        return typeof value;
+    }
+}
+
+// Make available globally
+if (typeof window !== 'undefined') {
+    window.SchemaValidator = SchemaValidator;
+}
+
+// Export for module use
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SchemaValidator;
+}
@@ -1,29 +1,131 @@
 /**
  * Shared Data Manager for Smart Alarm System
- * Handles localStorage operations and data synchronization across HTML pages
+ * Handles stored data (through the state store) and data synchronization across HTML pages
+ * Also runs headless in Node (no DOM), e.g. to compute effective thresholds in websocket-server.js
  */
 
+// In the browser the classes below are globals from the preceding script tags; in Node they are loaded as modules
+if (typeof window === 'undefined' && typeof require === 'function') {
+    Object.assign(globalThis, {
+        AlarmEngine: require('./alarm-engine'),
+        ClinicalProtocol: require('./clinical-protocol'),
+        WardLayout: require('./ward-layout'),
+        StateStore: require('./state-store'),
+        ...require('./storage-adapters')
+    });
+}
+
 class SharedDataManager {
-    constructor() {
+    /**
+     * @param {Object} options - {
+     *   storage: storage adapter to use instead of the configured backend (js/storage-adapters.js),
+     *   eventBus: EventTarget the change events are dispatched on (default: window),
+     *   clinicalProtocol: protocol definition to use instead of loading protocols/clinical-protocol.json,
+     *   wardLayout: layout definition to use instead of loading config/ward-layout.json,
+     *   headless: run without DOM, page globals, WebSocket connection and suppression timer (default: outside the browser)
+     * }
+     */
+    constructor(options = {}) {
+        this.headless = options.headless ?? typeof window === 'undefined';
+        this.eventBus = options.eventBus || (typeof window !== 'undefined' ? window : new EventTarget());
+        // Organ monitoring events are dispatched on the document, which pages listen to
+        this.documentEventBus = options.eventBus || (typeof document !== 'undefined' ? document : this.eventBus);
+        // Slider globals (HR_MIN, ...) and organ components shared with the page scripts
+        this.pageGlobals = typeof window !== 'undefined' ? window : {};
+        
+        // Versioned store holding every entry below (see js/state-store.js)
+        this.storage = this.createStateStore(options.storage);
+        // Short-lived flags the pages read from sessionStorage (kept in memory when headless)
+        this.sessionFlags = typeof sessionStorage !== 'undefined' ? sessionStorage : new MemoryStorageAdapter();
+        
         this.storageKeys = {
             PATIENT_PREFIX: 'patient_',
-            BED_STATES: 'bedStates',
             CURRENT_PATIENT: 'currentPatient',
             CURRENT_BED: 'currentBed',
             SELECTED_RISK_LEVEL: 'selectedRiskLevel',
             BED_OVERVIEW_STATE: 'bedOverviewState',
             APP_DATA: 'smartAlarmAppData',
-            MANUAL_OVERRIDE_PREFIX: 'manual_override_'
+            MANUAL_OVERRIDE_PREFIX: 'manual_override_',
+            ALARM_EVENTS_PREFIX: 'alarm_events_',
+            ALARM_BEHAVIOUR: 'alarmBehaviourConfig',
+            AUDIT_LOG_PREFIX: 'smartAlarmAuditLog_',
+            ALARM_SUPPRESSION_PREFIX: 'alarm_suppressions_',
+            STATE_VERSION: 'smartAlarmStateVersion',
+            PATIENT_REGISTRY: 'patientRegistry',
+            DISCHARGE_ARCHIVE_PREFIX: 'smartAlarmDischargeArchive_',
+            CURRENT_UNIT: 'currentUnit'
         };
         
         // Track recent messages to prevent duplicates
         this.recentMessages = new Map();
         this.messageDuplicateWindow = 50; // 50 milliseconds to prevent duplicates
         
+        // Set while a change from another workstation is applied, so it is not sent back
+        this.remoteChangeContext = null;
+        
+        // Set while transferPatient moves a patient, so the move is not reported as a discharge plus an assignment
+        this.bedTransferContext = null;
+        
+        // Clinical protocol (problem × risk matrix) - loaded from protocols/clinical-protocol.json
+        this.clinicalProtocol = null;
+        const protocolLoaded = this.loadClinicalProtocol(options.clinicalProtocol);
+        
+        // Ward layout (units, rooms, beds) - loaded from config/ward-layout.json
+        this.wardLayout = null;
+        const wardLayoutLoaded = this.loadWardLayout(options.wardLayout);
+        
+        // Resolves once the stored data can be read and the protocol and ward layout have loaded: immediately when
+        // their definitions are passed in (headless) and the backend is synchronous, otherwise once all have loaded
+        if (this.storage.isOpen && this.clinicalProtocol && this.wardLayout) {
+            this.initializeFromStorage();
+            this.ready = Promise.resolve(this);
+        } else {
+            const storageReady = this.storage.isOpen ? Promise.resolve() : this.storage.ready
+                .catch(error => {
+                    console.error('❌ STORAGE: Storage backend could not be opened, falling back to localStorage:', error);
+                    this.storage = this.createStateStore(StorageAdapter.create('localStorage'));
+                });
+            this.ready = Promise.all([storageReady, protocolLoaded, wardLayoutLoaded])
+                .then(() => {
+                    this.initializeFromStorage();
+                    this.eventBus.dispatchEvent(new CustomEvent('sharedDataReady', {
+                        detail: { backend: this.storage.backend.type }
+                    }));
+                    return this;
+                });
+        }
+    }
+
+    /**
+     * Open the state store on the given adapter, or on the configured backend
+     * (window.STORAGE_BACKEND or the workstation setting, see StorageAdapter.getConfiguredType)
+     * @param {StorageAdapter} adapter - Optional adapter (e.g. a MemoryStorageAdapter in tests)
+     * @returns {StateStore}
+     */
+    createStateStore(adapter = null) {
+        const backend = adapter || StorageAdapter.create(StorageAdapter.getConfiguredType());
+        console.log(`🗄️ STORAGE: Using ${backend.type} storage`);
+        
+        // Data kept in localStorage so far is taken over when a workstation switches to IndexedDB
+        const legacySource = backend.type === 'indexedDB' && typeof localStorage !== 'undefined'
+            ? new LocalStorageAdapter()
+            : null;
+        return new StateStore({ backend: backend, legacySource: legacySource });
+    }
+
+    /**
+     * Initialization that reads or writes stored data
+     */
+    initializeFromStorage() {
         this.initializeAppData();
+        if (this.headless) {
+            // The page globals, WebSocket connection and timer only exist for a page
+            return;
+        }
         this.initializeGlobalHRVariables();
         this.initializeGlobalParameterVariables();
         this.initializeWebSocketClient();
+        this.startSuppressionScheduler();
     }
 
     /**
@@ -66,6 +168,12 @@ class SharedDataManager {
      */
     sendWebSocketMessage(type, data, priority = 'normal') {
         try {
+            // Changes received from another workstation are already known to the server
+            if (this.isApplyingRemoteChange()) {
+                console.log(`🔁 Remote change not sent back: ${type}`);
+                return false;
+            }
+            
             // Create message fingerprint to detect duplicates
             const messageFingerprint = this.createMessageFingerprint(type, data);
             
@@ -105,12 +213,21 @@ class SharedDataManager {
         } else if (type === 'patient_discharged' && data) {
             // For patient discharge, use patient ID and bed number
             fingerprint += `_${data.patientId}_bed${data.bedNumber}`;
+        } else if (type === 'patient_transferred' && data) {
+            // For patient transfer, use patient ID and both beds
+            fingerprint += `_${data.patientId}_bed${data.fromBed}_bed${data.toBed}`;
         } else if (type === 'thresholds_risk_levels' && data) {
             // For thresholds, use patient ID, change type, and timestamp for uniqueness
             const changeType = data.changeType || 'unknown';
             const riskLevel = data.riskLevels?.circulatoir || 'unknown';
             const timestampHash = data.timestamp ? data.timestamp.slice(-8) : Date.now().toString().slice(-8);
             fingerprint += `_${data.patientId}_${changeType}_${riskLevel}_${timestampHash}`;
+        } else if (type === 'parameterAlarmToggled' && data) {
+            // For alarm toggles, each parameter and on/off state is a separate message
+            fingerprint += `_${data.patientId}_${data.parameter}_${data.status}`;
+        } else if (type === 'alarm_event' && data) {
+            // For alarm events, every raise/clear of an alarm event is unique
+            fingerprint += `_${data.event?.id}_${data.state}`;
         }
         
         return fingerprint;
@@ -175,19 +292,29 @@ class SharedDataManager {
      * Unified Patient Assignment Method
      * Handles both data storage AND WebSocket messaging in one centralized call
      * This replaces scattered assignment logic across pages
+     * @param {Object} patientInfo - Patient details; restoreFromArchive (true or a stayId) seeds the new stay
+     *                               with the alarm settings of an archived stay (see restoreArchivedStay)
      */
     assignPatientToBed(patientId, bedNumber, patientInfo = {}) {
         try {            
+            if (!this.getBedLayout(bedNumber)) {
+                console.error(`❌ Bed ${bedNumber} is not part of the ward layout`);
+                return { success: false, error: `Bed ${bedNumber} bestaat niet in de afdelingsindeling` };
+            }
+            
             // 1. Get current bed states
             const currentBedStates = this.getBedStates() || {};
             
             // 2. Create updated bed state
+            const { restoreFromArchive, ...patientData } = patientInfo;
             const updatedBedStates = { ...currentBedStates };
+            const admittedAt = new Date().toISOString();
             updatedBedStates[bedNumber] = {
                 occupied: true,
                 patientId: patientId,
-                patientData: patientInfo,
-                timestamp: new Date().toISOString(),
+                patientData: patientData,
+                timestamp: admittedAt,
+                admittedAt: admittedAt,
                 riskLevel: patientInfo.riskLevel || 'mid', // Default risk level
                 vpkCode: patientInfo.vpkCode || this.generateVPKCode()
             };
@@ -208,6 +335,17 @@ class SharedDataManager {
                 timestamp: new Date().toISOString()
             });
             
+            // 6. Seed the new stay from the archive (after the session switch, which clears manual adjustments)
+            let restored = null;
+            if (success && restoreFromArchive) {
+                restored = this.restoreArchivedStay(patientId, restoreFromArchive === true ? null : restoreFromArchive);
+                if (!restored.success) {
+                    console.warn(`⚠️ Archived settings not restored for patient ${patientId}:`, restored.error);
+                } else if (restored.alarmsNotRestored.length > 0 || restored.overridesNotRestored.length > 0) {
+                    console.warn(`⚠️ Not permitted to restore for patient ${patientId}: alarms ${restored.alarmsNotRestored.join(', ') || '-'}, overrides ${restored.overridesNotRestored.join(', ') || '-'}`);
+                }
+            }
+            
             if (success) {
                 return {
                     success: true,
@@ -215,7 +353,10 @@ class SharedDataManager {
                     patientId: patientId,
                     vpkCode: updatedBedStates[bedNumber].vpkCode,
                     riskLevel: updatedBedStates[bedNumber].riskLevel,
-                    timestamp: updatedBedStates[bedNumber].timestamp
+                    timestamp: updatedBedStates[bedNumber].timestamp,
+                    restoredStayId: restored && restored.success ? restored.stay.stayId : null,
+                    alarmsNotRestored: restored && restored.success ? restored.alarmsNotRestored : [],
+                    overridesNotRestored: restored && restored.success ? restored.overridesNotRestored : []
                 };
             } else {
                 console.error(`❌ Failed to assign patient ${patientId} to bed ${bedNumber}`);
@@ -244,7 +385,9 @@ class SharedDataManager {
     
     /**
      * Unified Patient Discharge Method
-     * Handles patient discharge from bed with proper WebSocket messaging
+     * Handles patient discharge from bed with proper WebSocket messaging.
+     * The final configuration is archived before the patient's data is removed, so a
+     * readmission can start from it (a 'patient_transfer' discharge keeps the data)
      */
     dischargePatientFromBed(bedNumber, reason = 'manual_discharge') {
         try {
@@ -277,7 +420,13 @@ class SharedDataManager {
             // 3. Save bed states (this will automatically trigger WebSocket messaging)
             const success = this.saveBedStates(updatedBedStates);
             
-            // 4. Clear session data if this was the current patient
+            // 4. Archive the stay and start the next admission from defaults
+            if (success && reason !== 'patient_transfer') {
+                this.archivePatientStay(patientId, { bed: currentBed, bedNumber: bedNumber, reason: reason });
+                this.removePatient(patientId, { archive: false });
+            }
+            
+            // 5. Clear session data if this was the current patient
             const sessionData = this.getSessionData();
             if (sessionData.currentPatient === patientId) {
                 this.clearSessionData();
@@ -308,6 +457,120 @@ class SharedDataManager {
         }
     }
 
+    /**
+     * Unified Patient Transfer Method
+     * Moves an admitted patient to an empty bed. Medical info, tags, manual overrides, monitoring
+     * levels and alarm toggles are stored per patient and move along unchanged; only the bed
+     * state changes. Sends one patient_transferred message instead of a discharge/assignment pair.
+     * @param {string} patientId - Patient ID
+     * @param {string} fromBed - Bed the patient currently occupies
+     * @param {string} toBed - Empty bed in the ward layout
+     * @returns {Object} - { success, patientId, fromBed, toBed, timestamp } or { success: false, error }
+     */
+    transferPatient(patientId, fromBed, toBed) {
+        try {
+            fromBed = String(fromBed);
+            toBed = String(toBed);
+
+            if (fromBed === toBed) {
+                return { success: false, error: 'Patiënt ligt al in dit bed' };
+            }
+            if (!this.getBedLayout(toBed)) {
+                return { success: false, error: `Bed ${toBed} bestaat niet in de afdelingsindeling` };
+            }
+
+            const currentBedStates = this.getBedStates() || {};
+            const sourceBed = currentBedStates[fromBed];
+            if (!sourceBed || !sourceBed.occupied || String(sourceBed.patientId) !== String(patientId)) {
+                return { success: false, error: `Patiënt ${patientId} ligt niet in bed ${this.getBedLabel(fromBed)}` };
+            }
+            if (currentBedStates[toBed]?.occupied) {
+                return { success: false, error: `Bed ${this.getBedLabel(toBed)} is al bezet` };
+            }
+
+            const timestamp = new Date().toISOString();
+            const updatedBedStates = {
+                [fromBed]: {
+                    occupied: false,
+                    patientId: null,
+                    patientData: null,
+                    timestamp: timestamp,
+                    riskLevel: null,
+                    vpkCode: null
+                },
+                [toBed]: {
+                    ...sourceBed,
+                    timestamp: timestamp
+                }
+            };
+
+            // The bed change detection would report this as a discharge plus an assignment
+            this.bedTransferContext = { patientId: patientId, fromBed: fromBed, toBed: toBed };
+            let success;
+            try {
+                success = this.saveBedStates(updatedBedStates);
+            } finally {
+                this.bedTransferContext = null;
+            }
+
+            if (!success) {
+                console.error(`❌ Failed to transfer patient ${patientId} from bed ${fromBed} to bed ${toBed}`);
+                return { success: false, error: `Failed to save bed states for bed ${toBed}` };
+            }
+
+            // Follow the patient when it is the one open on this workstation
+            const sessionData = this.getSessionData();
+            if (String(sessionData.currentPatient) === String(patientId)) {
+                this.saveSessionData({ ...sessionData, currentBed: toBed });
+            }
+
+            this.recordAuditEntry(patientId, 'patient_transferred', {
+                target: 'bed',
+                previousValue: fromBed,
+                newValue: toBed
+            });
+
+            const patientData = sourceBed.patientData || {};
+            this.sendWebSocketMessage('patient_transferred', {
+                patientId: patientId,
+                fromBed: fromBed,
+                toBed: toBed,
+                patient: {
+                    id: patientId,
+                    name: patientData.name || `Patient ${patientId}`,
+                    ...patientData,
+                    vpkCode: sourceBed.vpkCode,
+                    riskLevel: sourceBed.riskLevel || 'mid',
+                    medicalInfo: this.getPatientMedicalInfo(patientId) || {}
+                },
+                timestamp: timestamp,
+                metadata: {
+                    source: 'bed_overview',
+                    action: 'patient_transfer'
+                }
+            });
+
+            console.log(`🛏️ Patient ${patientId} transferred from bed ${fromBed} to bed ${toBed}`);
+            this.eventBus.dispatchEvent(new CustomEvent('patientTransferred', {
+                detail: { patientId: patientId, fromBed: fromBed, toBed: toBed }
+            }));
+
+            return {
+                success: true,
+                patientId: patientId,
+                fromBed: fromBed,
+                toBed: toBed,
+                timestamp: timestamp
+            };
+        } catch (error) {
+            console.error('❌ Error in unified patient transfer:', error);
+            return {
+                success: false,
+                error: error.message || 'Unknown error during patient transfer'
+            };
+        }
+    }
+
     /**
      * Initialize global parameter variables - single source of truth for all target ranges
      * These variables are used consistently across all pages for displays and sliders
@@ -315,8 +578,8 @@ class SharedDataManager {
      */
     initializeGlobalParameterVariables() {
         // Check if we have a selected problem to get Matrix-based defaults
-        const currentProblem = localStorage.getItem(this.storageKeys.SELECTED_PROBLEM) || '';
-        const currentRiskLevel = localStorage.getItem(this.storageKeys.SELECTED_RISK_LEVEL) || 'low';
+        const currentProblem = this.storage.getItem(this.storageKeys.SELECTED_PROBLEM) || '';
+        const currentRiskLevel = this.storage.getItem(this.storageKeys.SELECTED_RISK_LEVEL) || 'low';
         
         let matrixDefaults = {};
         if (currentProblem && currentProblem !== '' && currentProblem !== 'none') {
@@ -327,16 +590,16 @@ class SharedDataManager {
         }
         
         // Initialize with Matrix-based values if not already set
-        if (typeof window.HR_MIN === 'undefined') window.HR_MIN = matrixDefaults.HR?.min || 70;
-        if (typeof window.HR_MAX === 'undefined') window.HR_MAX = matrixDefaults.HR?.max || 100;
-        if (typeof window.BP_MIN === 'undefined') window.BP_MIN = matrixDefaults.BP_Mean?.min || 60;
-        if (typeof window.BP_MAX === 'undefined') window.BP_MAX = matrixDefaults.BP_Mean?.max || 90;
-        if (typeof window.AF_MIN === 'undefined') window.AF_MIN = matrixDefaults.AF?.min || 12;
-        if (typeof window.AF_MAX === 'undefined') window.AF_MAX = matrixDefaults.AF?.max || 20;
-        if (typeof window.SAT_MIN === 'undefined') window.SAT_MIN = matrixDefaults.Saturatie?.min || 92;
-        if (typeof window.SAT_MAX === 'undefined') window.SAT_MAX = matrixDefaults.Saturatie?.max || 100;
-        if (typeof window.TEMP_MIN === 'undefined') window.TEMP_MIN = matrixDefaults.Temperature?.min || 36.0;
-        if (typeof window.TEMP_MAX === 'undefined') window.TEMP_MAX = matrixDefaults.Temperature?.max || 38.5;
+        if (typeof this.pageGlobals.HR_MIN === 'undefined') this.pageGlobals.HR_MIN = matrixDefaults.HR?.min || 70;
+        if (typeof this.pageGlobals.HR_MAX === 'undefined') this.pageGlobals.HR_MAX = matrixDefaults.HR?.max || 100;
+        if (typeof this.pageGlobals.BP_MIN === 'undefined') this.pageGlobals.BP_MIN = matrixDefaults.BP_Mean?.min || 60;
+        if (typeof this.pageGlobals.BP_MAX === 'undefined') this.pageGlobals.BP_MAX = matrixDefaults.BP_Mean?.max || 90;
+        if (typeof this.pageGlobals.AF_MIN === 'undefined') this.pageGlobals.AF_MIN = matrixDefaults.AF?.min || 12;
+        if (typeof this.pageGlobals.AF_MAX === 'undefined') this.pageGlobals.AF_MAX = matrixDefaults.AF?.max || 20;
+        if (typeof this.pageGlobals.SAT_MIN === 'undefined') this.pageGlobals.SAT_MIN = matrixDefaults.Saturatie?.min || 92;
+        if (typeof this.pageGlobals.SAT_MAX === 'undefined') this.pageGlobals.SAT_MAX = matrixDefaults.Saturatie?.max || 100;
+        if (typeof this.pageGlobals.TEMP_MIN === 'undefined') this.pageGlobals.TEMP_MIN = matrixDefaults.Temperature?.min || 36.0;
+        if (typeof this.pageGlobals.TEMP_MAX === 'undefined') this.pageGlobals.TEMP_MAX = matrixDefaults.Temperature?.max || 38.5;
 
         // Load existing values from localStorage if available
         this.loadGlobalParameterVariables();
@@ -346,20 +609,20 @@ class SharedDataManager {
      * Load global parameter variables from localStorage
      */
     loadGlobalParameterVariables() {
-        const saved = localStorage.getItem('globalParameterVariables');
+        const saved = this.storage.getItem('globalParameterVariables');
         if (saved) {
             try {
                 const params = JSON.parse(saved);
-                window.HR_MIN = params.HR_MIN || window.HR_MIN;
-                window.HR_MAX = params.HR_MAX || window.HR_MAX;
-                window.BP_MIN = params.BP_MIN || window.BP_MIN;
-                window.BP_MAX = params.BP_MAX || window.BP_MAX;
-                window.AF_MIN = params.AF_MIN || window.AF_MIN;
-                window.AF_MAX = params.AF_MAX || window.AF_MAX;
-                window.SAT_MIN = params.SAT_MIN || window.SAT_MIN;
-                window.SAT_MAX = params.SAT_MAX || window.SAT_MAX;
-                window.TEMP_MIN = params.TEMP_MIN || window.TEMP_MIN;
-                window.TEMP_MAX = params.TEMP_MAX || window.TEMP_MAX;
+                this.pageGlobals.HR_MIN = params.HR_MIN || this.pageGlobals.HR_MIN;
+                this.pageGlobals.HR_MAX = params.HR_MAX || this.pageGlobals.HR_MAX;
+                this.pageGlobals.BP_MIN = params.BP_MIN || this.pageGlobals.BP_MIN;
+                this.pageGlobals.BP_MAX = params.BP_MAX || this.pageGlobals.BP_MAX;
+                this.pageGlobals.AF_MIN = params.AF_MIN || this.pageGlobals.AF_MIN;
+                this.pageGlobals.AF_MAX = params.AF_MAX || this.pageGlobals.AF_MAX;
+                this.pageGlobals.SAT_MIN = params.SAT_MIN || this.pageGlobals.SAT_MIN;
+                this.pageGlobals.SAT_MAX = params.SAT_MAX || this.pageGlobals.SAT_MAX;
+                this.pageGlobals.TEMP_MIN = params.TEMP_MIN || this.pageGlobals.TEMP_MIN;
+                this.pageGlobals.TEMP_MAX = params.TEMP_MAX || this.pageGlobals.TEMP_MAX;
             } catch (error) {
                 console.warn('⚠️ Error loading global parameters:', error);
             }
@@ -371,18 +634,18 @@ class SharedDataManager {
      */
     saveGlobalParameterVariables() {
         const params = {
-            HR_MIN: window.HR_MIN,
-            HR_MAX: window.HR_MAX,
-            BP_MIN: window.BP_MIN,
-            BP_MAX: window.BP_MAX,
-            AF_MIN: window.AF_MIN,
-            AF_MAX: window.AF_MAX,
-            SAT_MIN: window.SAT_MIN,
-            SAT_MAX: window.SAT_MAX,
-            TEMP_MIN: window.TEMP_MIN,
-            TEMP_MAX: window.TEMP_MAX
+            HR_MIN: this.pageGlobals.HR_MIN,
+            HR_MAX: this.pageGlobals.HR_MAX,
+            BP_MIN: this.pageGlobals.BP_MIN,
+            BP_MAX: this.pageGlobals.BP_MAX,
+            AF_MIN: this.pageGlobals.AF_MIN,
+            AF_MAX: this.pageGlobals.AF_MAX,
+            SAT_MIN: this.pageGlobals.SAT_MIN,
+            SAT_MAX: this.pageGlobals.SAT_MAX,
+            TEMP_MIN: this.pageGlobals.TEMP_MIN,
+            TEMP_MAX: this.pageGlobals.TEMP_MAX
         };
-        localStorage.setItem('globalParameterVariables', JSON.stringify(params));
+        this.storage.setItem('globalParameterVariables', JSON.stringify(params));
     }
 
     /**
@@ -409,13 +672,13 @@ class SharedDataManager {
         // Clear all slider custom thresholds (legacy system)
         const parameterTypes = ['HR', 'BP_Mean', 'AF', 'Saturatie', 'Temperature'];
         parameterTypes.forEach(type => {
-            localStorage.removeItem(`patient-${patientId}-${type}-custom-threshold`);
+            this.storage.removeItem(`patient-${patientId}-${type}-custom-threshold`);
         });
         
         // Clear all global parameter manual overrides (legacy system)
         const globalParams = ['HR_MIN', 'HR_MAX', 'BP_MIN', 'BP_MAX', 'AF_MIN', 'AF_MAX', 'SAT_MIN', 'SAT_MAX', 'TEMP_MIN', 'TEMP_MAX'];
         globalParams.forEach(param => {
-            localStorage.removeItem(`patient-${patientId}-${param}-manual`);
+            this.storage.removeItem(`patient-${patientId}-${param}-manual`);
         });
         
         console.log(`✅ CLEARING: Completed manual adjustment clearing for patient ${patientId}`);
@@ -425,14 +688,14 @@ class SharedDataManager {
      * Mark that user is manually changing main problem (should overwrite manual slider adjustments)
      */
     setUserChangingProblem(isChanging = true) {
-        window.isUserChangingProblem = isChanging;
+        this.pageGlobals.isUserChangingProblem = isChanging;
     }
 
     /**
      * Check if user is currently changing problem manually
      */
     isUserManuallyChangingProblem() {
-        return window.isUserChangingProblem === true;
+        return this.pageGlobals.isUserChangingProblem === true;
     }
 
 
@@ -446,28 +709,60 @@ class SharedDataManager {
      * @param {string} patientId - Patient ID
      * @param {string} parameter - Parameter name (HR, BP_Mean, Saturatie, AF, Temperature)
      * @param {boolean} isEnabled - Whether alarms are enabled for this parameter
+     * @returns {Object} - { success: boolean, error? } (fails when the current user may not disable this alarm)
      */
     setParameterAlarmEnabled(patientId, parameter, isEnabled) {
         console.log('FUNCTION TRIGGERED - SET PARAMETER ALARM ENABLED');
+        
+        // Switching an alarm back on is always allowed; switching it off depends on the user's role
+        if (!isEnabled) {
+            const permission = this.checkPermission('setParameterAlarmEnabled', { patientId, parameter, isEnabled });
+            if (!permission.allowed) {
+                return this.denyPermission('setParameterAlarmEnabled', { patientId, parameter }, permission.reason);
+            }
+        }
+        
         const key = `patient-${patientId}-alarm-${parameter}`;
-        localStorage.setItem(key, isEnabled.toString());
+        const wasEnabled = this.getParameterAlarmEnabled(patientId, parameter);
+        this.storage.setItem(key, isEnabled.toString());
+        
+        // Switching the alarm back on ends any running suppression
+        if (isEnabled) {
+            this.removeAlarmSuppression(patientId, parameter);
+        }
+        const suppression = isEnabled ? null : this.getAlarmSuppression(patientId, parameter);
+        
+        if (wasEnabled !== isEnabled) {
+            this.recordAuditEntry(patientId, 'alarm_toggle', {
+                target: parameter,
+                previousValue: wasEnabled,
+                newValue: isEnabled
+            });
+        }
         
 
         // Trigger event for cross-page synchronization
         // maintain a different message format to the dispatchEvent
-        window.dispatchEvent(new CustomEvent('parameterAlarmToggled', {
-            detail: { patientId, parameter, isEnabled }
+        this.eventBus.dispatchEvent(new CustomEvent('parameterAlarmToggled', {
+            detail: { patientId, parameter, isEnabled, suppression }
         }));    
 
         const payload = {
-            'type': 'parameterAlarmToggled',
             'patientId': patientId,
             'parameter': parameter,
-            'status': isEnabled ? 'enabled' : 'disabled'
+            'status': isEnabled ? 'enabled' : 'disabled',
+            'suppression': suppression
         }
         console.log('📤 Preparing to send WebSocket message for parameter alarm toggle:', payload);
-        this.sendWebSocketMessage('parameterAlarmToggled', payload);
+        const result = this.sendWebSocketMessage('parameterAlarmToggled', payload);
         console.log('📤 WebSocket message sent:', result);
+        
+        // A disabled alarm must not stay active
+        if (!isEnabled) {
+            this.clearActiveAlarm(patientId, parameter, 'alarm_disabled');
+        }
+        
+        return { success: true };
     }
 
     /**
@@ -478,7 +773,7 @@ class SharedDataManager {
      */
     getParameterAlarmEnabled(patientId, parameter) {
         const key = `patient-${patientId}-alarm-${parameter}`;
-        const stored = localStorage.getItem(key);
+        const stored = this.storage.getItem(key);
         // Default to enabled (true) if not set
         return stored === null ? true : stored === 'true';
     }
@@ -510,229 +805,1873 @@ class SharedDataManager {
         });
     }
 
+    // ===================================================================
+    // TIME-LIMITED ALARM SUPPRESSION
+    // ===================================================================
+
     /**
-     * Initialize the main app data structure if it doesn't exist
+     * Common reasons for switching an alarm off, with their default duration
      */
-    initializeAppData() {
-        const existingData = this.getAppData();
-        if (!existingData) {
-            const initialData = {
-                patients: {},
-                beds: {},
-                sessions: {},
-                lastUpdated: new Date().toISOString(),
-                version: '1.0'
-            };
-            this.saveAppData(initialData);
-        }
-        
-        // Auto-initialize when script loads
-        this.autoInitializeFromLegacyData();
+    getSuppressionPresets() {
+        return [
+            { reason: 'Uitzuigen', durationMinutes: 15 },
+            { reason: 'Verzorging / wassen', durationMinutes: 30 },
+            { reason: 'Mobilisatie', durationMinutes: 30 },
+            { reason: 'Transport', durationMinutes: 120 }
+        ];
     }
 
     /**
-     * Auto-migrate legacy localStorage data to centralized system
+     * Switch a parameter alarm off for a limited time; the scheduler switches it back on at expiry
+     * @param {string} patientId - Patient ID
+     * @param {string} parameter - Parameter name (HR, BP_Mean, Saturatie, AF, Temperature)
+     * @param {number} durationMinutes - How long the alarm stays off
+     * @param {string} reason - Why the alarm is switched off (required)
+     * @returns {Object} - { success: boolean, suppression?, error? }
      */
-    autoInitializeFromLegacyData() {
+    suppressParameterAlarm(patientId, parameter, durationMinutes, reason) {
         try {
-            // Check if auto-initialization has already been completed
-            const initFlag = localStorage.getItem('autoInitComplete');
-            if (initFlag === 'true') {
-                return;
+            if (!reason || !String(reason).trim()) {
+                return { success: false, error: 'Reden is verplicht' };
             }
-            
-            // Migrate patient data - but limit the scan to avoid performance issues
-            const maxScans = Math.min(localStorage.length, 50); // Limit to 50 items max
-            for (let i = 0; i < maxScans; i++) {
-                const key = localStorage.key(i);
-                if (key && key.startsWith(this.storageKeys.PATIENT_PREFIX) && key.endsWith('_medicalInfo')) {
-                    const patientId = key.replace(this.storageKeys.PATIENT_PREFIX, '').replace('_medicalInfo', '');
-                    const data = localStorage.getItem(key);
-                    if (data) {
-                        try {
-                            const medicalInfo = JSON.parse(data);
-                            this.savePatientMedicalInfo(patientId, medicalInfo);
-                        } catch (error) {
-                            console.error('❌ Error migrating patient data for:', patientId, error);
-                        }
-                    }
-                }
+            if (typeof durationMinutes !== 'number' || isNaN(durationMinutes) || durationMinutes <= 0) {
+                return { success: false, error: 'Duur moet groter zijn dan 0 minuten' };
             }
             
-            // Migrate bed states
-            const bedStates = localStorage.getItem(this.storageKeys.BED_STATES);
-            if (bedStates) {
-                try {
-                    const beds = JSON.parse(bedStates);
-                    this.saveBedStates(beds);
-                } catch (error) {
-                    console.error('❌ Error migrating bed states:', error);
-                }
+            const permission = this.checkPermission('setParameterAlarmEnabled', { patientId, parameter, isEnabled: false });
+            if (!permission.allowed) {
+                return this.denyPermission('setParameterAlarmEnabled', { patientId, parameter }, permission.reason);
             }
             
-            // Migrate session data
-            const currentPatient = localStorage.getItem(this.storageKeys.CURRENT_PATIENT);
-            const currentBed = localStorage.getItem(this.storageKeys.CURRENT_BED);
-            const selectedRiskLevel = localStorage.getItem(this.storageKeys.SELECTED_RISK_LEVEL);
+            const now = new Date();
+            const user = this.getCurrentUser();
+            const suppression = {
+                reason: String(reason).trim(),
+                durationMinutes: durationMinutes,
+                suppressedAt: now.toISOString(),
+                expiresAt: new Date(now.getTime() + durationMinutes * 60 * 1000).toISOString(),
+                userId: user ? user.id : null
+            };
             
-            if (currentPatient || currentBed || selectedRiskLevel) {
-                this.saveSessionData({
-                    currentPatient: currentPatient,
-                    currentBed: currentBed,
-                    selectedRiskLevel: selectedRiskLevel,
-                    migrated: true,
-                    timestamp: new Date().toISOString()
-                });
+            const suppressions = this.getAlarmSuppressions(patientId);
+            suppressions[parameter] = suppression;
+            this.storage.setItem(`${this.storageKeys.ALARM_SUPPRESSION_PREFIX}${patientId}`, JSON.stringify(suppressions));
+            
+            const result = this.setParameterAlarmEnabled(patientId, parameter, false);
+            if (!result.success) {
+                this.removeAlarmSuppression(patientId, parameter);
+                return result;
             }
             
-            // Set flag to prevent repeated auto-initialization
-            localStorage.setItem('autoInitComplete', 'true');
+            this.recordAuditEntry(patientId, 'alarm_suppressed', {
+                target: parameter,
+                previousValue: null,
+                newValue: { durationMinutes: suppression.durationMinutes, expiresAt: suppression.expiresAt },
+                trigger: suppression.reason
+            });
+            
+            console.log(`🔕 SUPPRESSION: ${parameter} alarm off for ${durationMinutes} min (${suppression.reason}) for patient ${patientId}`);
+            return { success: true, suppression: suppression };
         } catch (error) {
-            console.error('❌ Error during auto-initialization:', error);
+            console.error('❌ SUPPRESSION: Error suppressing alarm:', error);
+            return { success: false, error: error.message };
         }
     }
 
     /**
-     * Get the main app data structure
+     * Get all running suppressions for a patient
+     * @returns {Object} - { [parameter]: { reason, durationMinutes, suppressedAt, expiresAt, userId } }
      */
-    getAppData() {
+    getAlarmSuppressions(patientId) {
         try {
-            const data = localStorage.getItem(this.storageKeys.APP_DATA);
-            return data ? JSON.parse(data) : null;
+            return JSON.parse(this.storage.getItem(`${this.storageKeys.ALARM_SUPPRESSION_PREFIX}${patientId}`)) || {};
         } catch (error) {
-            console.error('Error getting app data:', error);
-            return null;
+            console.error('❌ SUPPRESSION: Error reading suppressions:', error);
+            return {};
         }
     }
 
+    getAlarmSuppression(patientId, parameter) {
+        return this.getAlarmSuppressions(patientId)[parameter] || null;
+    }
+
     /**
-     * Save the main app data structure
+     * Seconds until a parameter's suppression expires (0 when it is not suppressed)
      */
-    saveAppData(data) {
-        try {
-            data.lastUpdated = new Date().toISOString();
-            localStorage.setItem(this.storageKeys.APP_DATA, JSON.stringify(data));
-            return true;
-        } catch (error) {
-            console.error('Error saving app data:', error);
-            return false;
+    getSuppressionRemainingSeconds(patientId, parameter) {
+        const suppression = this.getAlarmSuppression(patientId, parameter);
+        if (!suppression) return 0;
+        return Math.max(0, Math.ceil((new Date(suppression.expiresAt).getTime() - Date.now()) / 1000));
+    }
+
+    removeAlarmSuppression(patientId, parameter) {
+        const suppressions = this.getAlarmSuppressions(patientId);
+        if (!suppressions[parameter]) return;
+        
+        delete suppressions[parameter];
+        const key = `${this.storageKeys.ALARM_SUPPRESSION_PREFIX}${patientId}`;
+        if (Object.keys(suppressions).length > 0) {
+            this.storage.setItem(key, JSON.stringify(suppressions));
+        } else {
+            this.storage.removeItem(key);
         }
     }
 
     /**
-     * Save patient medical information
+     * Check suppressions periodically and switch expired alarms back on
      */
-    savePatientMedicalInfo(patientId, medicalInfo) {
-        try {
-            // Get current medical info to detect changes
-            const currentMedicalInfo = this.getPatientMedicalInfo(patientId);
-            const oldRiskLevel = currentMedicalInfo?.selectedRiskLevel;
-            const newRiskLevel = medicalInfo?.selectedRiskLevel;
-            const oldProblem = currentMedicalInfo?.selectedProblem;
-            const newProblem = medicalInfo?.selectedProblem;
-            
-            // Save individual patient data (legacy compatibility)
-            const patientKey = this.storageKeys.PATIENT_PREFIX + patientId + '_medicalInfo';
-            localStorage.setItem(patientKey, JSON.stringify(medicalInfo));
-
-            // Also save to centralized app data
-            const appData = this.getAppData();
-            if (appData) {
-                if (!appData.patients[patientId]) {
-                    appData.patients[patientId] = {};
-                }
-                appData.patients[patientId].medicalInfo = medicalInfo;
-                appData.patients[patientId].lastUpdated = new Date().toISOString();
-                this.saveAppData(appData);
-            }
+    startSuppressionScheduler() {
+        if (this.suppressionTimer) return;
+        this.suppressionTimer = setInterval(() => this.processExpiredSuppressions(), 5000);
+        this.processExpiredSuppressions();
+    }
 
-            // Send WebSocket message for any significant medical info change
-            let shouldSendMessage = false;
-            let changeDescription = [];
+    stopSuppressionScheduler() {
+        if (this.suppressionTimer) {
+            clearInterval(this.suppressionTimer);
+            this.suppressionTimer = null;
+        }
+    }
 
-            // Check for risk level changes (including first-time setting)
-            if (newRiskLevel && (!oldRiskLevel || oldRiskLevel !== newRiskLevel)) {
-                shouldSendMessage = true;
-                if (!oldRiskLevel) {
-                    changeDescription.push(`Risk level set to: ${newRiskLevel}`);
-                    console.log(`📊 Risk level set for patient ${patientId}: ${newRiskLevel}`);
-                } else {
-                    changeDescription.push(`Risk level changed: ${oldRiskLevel} → ${newRiskLevel}`);
-                    console.log(`📊 Risk level changed for patient ${patientId}: ${oldRiskLevel} → ${newRiskLevel}`);
-                }
+    /**
+     * Re-enable every alarm whose suppression has expired
+     * While connected, the server does this for every workstation (websocket-server.js) and the
+     * change arrives as a remote parameterAlarmToggled. Otherwise each suppression is claimed with
+     * a compare-and-set on its stored entry first, so only one open tab re-enables it.
+     * Re-enabling goes through setParameterAlarmEnabled, so parameterAlarmToggled fires and the WebSocket message is sent
+     * @returns {Array} - [{ patientId, parameter }] that were re-enabled
+     */
+    processExpiredSuppressions() {
+        const reEnabled = [];
+        try {
+            if (this.webSocketManager && typeof this.webSocketManager.isConnected === 'function' && this.webSocketManager.isConnected()) {
+                return reEnabled;
             }
-
-            // Check for medical condition changes (including first-time setting)
-            if (newProblem && (!oldProblem || oldProblem !== newProblem)) {
-                shouldSendMessage = true;
-                if (!oldProblem) {
-                    changeDescription.push(`Medical condition set to: ${newProblem}`);
-                    console.log(`🏥 Medical condition set for patient ${patientId}: ${newProblem}`);
-                } else {
-                    changeDescription.push(`Medical condition changed: ${oldProblem} → ${newProblem}`);
-                    console.log(`🏥 Medical condition changed for patient ${patientId}: ${oldProblem} → ${newProblem}`);
+            
+            const now = Date.now();
+            const patientIds = [];
+            for (let i = 0; i < this.storage.length; i++) {
+                const key = this.storage.key(i);
+                if (key && key.startsWith(this.storageKeys.ALARM_SUPPRESSION_PREFIX)) {
+                    patientIds.push(key.slice(this.storageKeys.ALARM_SUPPRESSION_PREFIX.length));
                 }
             }
-
-            // Check for threshold changes (custom thresholds updates)
-            if (medicalInfo.customThresholds && 
-                JSON.stringify(currentMedicalInfo?.customThresholds) !== JSON.stringify(medicalInfo.customThresholds)) {
-                shouldSendMessage = true;
-                changeDescription.push('Custom thresholds updated');
-                console.log(`⚙️ Custom thresholds updated for patient ${patientId}`);
-            }
-
-            // Send full configuration message if any significant change detected
-            if (shouldSendMessage) {
-                console.log(`📤 Will send full configuration message for patient ${patientId} with changes:`, changeDescription);
-                
-                this.sendFullThresholdsRiskLevels(patientId);
-                
-                // Dispatch custom event for cross-page synchronization (bed overview updates)
-                window.dispatchEvent(new CustomEvent('patientMedicalInfoChanged', {
-                    detail: {
-                        patientId: patientId,
-                        oldRiskLevel: oldRiskLevel,
-                        newRiskLevel: newRiskLevel,
-                        oldProblem: oldProblem,
-                        newProblem: newProblem,
-                        changes: changeDescription
+            
+            patientIds.forEach(patientId => {
+                Object.entries(this.getAlarmSuppressions(patientId)).forEach(([parameter, suppression]) => {
+                    if (new Date(suppression.expiresAt).getTime() > now) return;
+                    if (!this.claimExpiredSuppression(patientId, parameter, suppression)) {
+                        console.log(`🔁 SUPPRESSION: ${parameter} for patient ${patientId} already handled in another tab`);
+                        return;
                     }
-                }));
-                console.log('🔄 Dispatched patientMedicalInfoChanged event for bed overview update');
-            }
-
-            console.log(`✅ Patient medical info saved for patient ${patientId}`);
-            return true;
+                    
+                    console.log(`🔔 SUPPRESSION: ${parameter} suppression expired for patient ${patientId} - re-enabling alarm`);
+                    this.recordAuditEntry(patientId, 'alarm_suppression_expired', {
+                        target: parameter,
+                        previousValue: false,
+                        newValue: true,
+                        trigger: suppression.reason,
+                        source: 'scheduler'
+                    });
+                    this.setParameterAlarmEnabled(patientId, parameter, true);
+                    reEnabled.push({ patientId, parameter });
+                });
+            });
         } catch (error) {
-            console.error('❌ Error saving patient medical info:', error);
+            console.error('❌ SUPPRESSION: Error processing expired suppressions:', error);
+        }
+        return reEnabled;
+    }
+
+    /**
+     * Remove an expired suppression if it is still the stored one
+     * @returns {boolean} - False when another tab already removed or replaced it
+     */
+    claimExpiredSuppression(patientId, parameter, suppression) {
+        const key = `${this.storageKeys.ALARM_SUPPRESSION_PREFIX}${patientId}`;
+        const stored = this.storage.getItem(key);
+        const suppressions = stored ? JSON.parse(stored) : {};
+        if (JSON.stringify(suppressions[parameter] || null) !== JSON.stringify(suppression)) {
             return false;
         }
+        
+        delete suppressions[parameter];
+        return this.storage.compareAndSet(key, stored, Object.keys(suppressions).length > 0 ? JSON.stringify(suppressions) : null);
     }
 
+    // ===================================================================
+    // LIVE VITALS & ALARM EVALUATION
+    // ===================================================================
+
     /**
-     * Collect complete current medical configuration for a patient
-     * PRINCIPLE: Returns exactly what is currently displayed in the UI (sliders + risk level buttons)
-     * This is the "display truth" that should be sent via websocket
+     * Handle an inbound `vitals` WebSocket message
+     * The server has already evaluated the measurements (its alarm_event messages carry the result),
+     * so the workstation only records them for display
+     * Expected data: { patientId?, bedNumber?, timestamp?, measurements: { HR: { value, timestamp } | number, ... } }
+     * @param {Object} data - Message data
+     * @returns {Object|null} - { patientId, measurements }, or null when the patient cannot be resolved
      */
-    collectCurrentMedicalConfiguration(patientId) {
+    handleVitalsMessage(data) {
         try {
-            console.log(`📋 Collecting DISPLAY TRUTH medical configuration for patient ${patientId}`);
-            
-            const medicalInfo = this.getPatientMedicalInfo(patientId) || {};
-            const bedStates = this.getBedStates() || {};
-            
-            // Find patient's bed number
-            let bedNumber = null;
-            for (const [bed, data] of Object.entries(bedStates)) {
-                if (data.patientId === patientId) {
-                    bedNumber = parseInt(bed);
-                    break;
-                }
-            }
+            const vitals = this.parseVitalsMessage(data, this.getBedStates() || {});
+            if (!vitals) return null;
             
-            // Get the current medical problem and risk level
-            const medicalProblem = medicalInfo.selectedProblem || null;
+            this.recordVitals(vitals.patientId, vitals.measurements);
+            return vitals;
+        } catch (error) {
+            console.error('❌ VITALS: Error handling vitals message:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Resolve the patient of a `vitals` message and normalize its measurements
+     * @param {Object} data - Message data
+     * @param {Object} beds - Bed states, to resolve the patient from the bed number when no patient ID is given
+     * @returns {Object|null} - { patientId, measurements: { HR: { value, timestamp }, ... } }
+     */
+    parseVitalsMessage(data, beds = {}) {
+        if (!data || !data.measurements) {
+            console.warn('⚠️ VITALS: Message without measurements ignored:', data);
+            return null;
+        }
+        
+        // Resolve patient from bed number when no patient ID is given
+        let patientId = data.patientId ? String(data.patientId) : null;
+        if (!patientId && data.bedNumber !== undefined) {
+            const bed = beds[data.bedNumber];
+            patientId = bed && bed.occupied ? String(bed.patientId) : null;
+        }
+        
+        if (!patientId) {
+            console.warn('⚠️ VITALS: Could not resolve patient for vitals message:', data);
+            return null;
+        }
+        
+        // Normalize plain numbers to { value, timestamp }
+        const fallbackTimestamp = data.timestamp || new Date().toISOString();
+        const measurements = {};
+        Object.entries(data.measurements).forEach(([parameter, measurement]) => {
+            const value = typeof measurement === 'object' && measurement !== null ? measurement.value : measurement;
+            const timestamp = (typeof measurement === 'object' && measurement?.timestamp) || fallbackTimestamp;
+            if (typeof value === 'number' && !isNaN(value)) {
+                measurements[parameter] = { value, timestamp };
+            }
+        });
+        
+        return { patientId, measurements };
+    }
+
+    /**
+     * Keep measurements for display: latest value, 12-hour history and the vitalsReceived event
+     * @param {string} patientId - Patient ID
+     * @param {Object} measurements - { HR: { value, timestamp }, ... }
+     */
+    recordVitals(patientId, measurements) {
+        this.recordLatestVitals(patientId, measurements);
+        this.recordVitalsHistory(patientId, measurements);
+        
+        this.eventBus.dispatchEvent(new CustomEvent('vitalsReceived', {
+            detail: { patientId, measurements }
+        }));
+    }
+
+    /**
+     * Evaluate a set of measurements against the patient's effective thresholds
+     * Runs once per measurement on the server (alarm-evaluator.js), which broadcasts the resulting alarm_event messages
+     * @param {string} patientId - Patient ID
+     * @param {Object} measurements - { HR: { value, timestamp }, ... }
+     * @returns {Object} - { patientId, raised: Array, cleared: Array, activeAlarms: Array }
+     */
+    processVitals(patientId, measurements) {
+        const effectiveValues = this.getCurrentEffectiveValues(patientId);
+        const raised = [];
+        const cleared = [];
+        
+        Object.entries(measurements).forEach(([parameter, measurement]) => {
+            const monitoringLevel = this.getParameterMonitoringLevel(parameter, effectiveValues.monitoringLevels);
+            const outcome = this.evaluateParameterAlarm(
+                patientId, parameter, measurement.value, measurement.timestamp,
+                effectiveValues.parameterRanges[parameter], monitoringLevel
+            );
+            if (outcome.state === 'raised') raised.push(outcome.event);
+            if (outcome.state === 'cleared') cleared.push(outcome.event);
+        });
+        
+        return {
+            patientId: patientId,
+            raised: raised,
+            cleared: cleared,
+            activeAlarms: this.getActiveAlarms(patientId)
+        };
+    }
+
+    /**
+     * Evaluate a single measurement and raise or clear the parameter's alarm
+     * Delay, threshold margin and hysteresis follow the parameter's alarm behaviour for the monitoring level
+     * @param {string} patientId - Patient ID
+     * @param {string} parameter - Parameter name (HR, BP_Mean, AF, Saturatie, Temperature)
+     * @param {number} value - Measured value
+     * @param {string} timestamp - Measurement time (ISO string)
+     * @param {Object} range - Effective range { min, max }
+     * @param {string} monitoringLevel - 'loose', 'mid' or 'tight' (default: 'mid')
+     * @returns {Object} - { state: 'raised' | 'cleared' | 'active' | 'pending' | 'normal' | 'skipped', event? }
+     */
+    evaluateParameterAlarm(patientId, parameter, value, timestamp, range, monitoringLevel = 'mid') {
+        const store = this.getAlarmEvents(patientId);
+        const activeEvent = store.active[parameter];
+        
+        // Disabled alarms never fire; an alarm that is still active or pending is cleared
+        if (!this.getParameterAlarmEnabled(patientId, parameter)) {
+            if (store.pending[parameter]) {
+                delete store.pending[parameter];
+                this.saveAlarmEvents(patientId, store);
+            }
+            if (activeEvent) {
+                return { state: 'cleared', event: this.clearActiveAlarm(patientId, parameter, 'alarm_disabled', timestamp) };
+            }
+            return { state: 'skipped' };
+        }
+        
+        if (!range || typeof range.min !== 'number' || typeof range.max !== 'number') {
+            console.warn(`⚠️ ALARM: No effective range for ${parameter} (patient ${patientId}) - skipping evaluation`);
+            return { state: 'skipped' };
+        }
+        
+        const behaviour = this.getAlarmBehaviour(parameter, monitoringLevel);
+        const decision = AlarmEngine.evaluate(
+            { active: !!activeEvent, direction: activeEvent ? activeEvent.direction : null, pending: store.pending[parameter] || null },
+            { value, timestamp, range, behaviour }
+        );
+        
+        switch (decision.action) {
+            case 'raise': {
+                delete store.pending[parameter];
+                const event = {
+                    id: `alarm_${patientId}_${parameter}_${Date.now()}`,
+                    patientId: patientId,
+                    parameter: parameter,
+                    direction: decision.direction,
+                    threshold: { min: range.min, max: range.max },
+                    monitoringLevel: monitoringLevel,
+                    behaviour: behaviour,
+                    value: value,
+                    outOfRangeSince: decision.since,
+                    raisedAt: timestamp,
+                    lastValue: value,
+                    lastValueAt: timestamp
+                };
+                store.active[parameter] = event;
+                this.saveAlarmEvents(patientId, store);
+                console.log(`🚨 ALARM RAISED: ${parameter} ${decision.direction} (${value} outside ${range.min}-${range.max}, ${monitoringLevel}) for patient ${patientId}`);
+                this.broadcastAlarmStateChange(patientId, parameter, 'raised', event);
+                return { state: 'raised', event: event };
+            }
+            case 'pending':
+                store.pending[parameter] = { direction: decision.direction, since: decision.since, lastValue: value };
+                this.saveAlarmEvents(patientId, store);
+                console.log(`⏳ ALARM PENDING: ${parameter} ${decision.direction} since ${decision.since} (delay ${behaviour.delaySeconds}s, ${monitoringLevel})`);
+                return { state: 'pending' };
+            case 'cancel_pending':
+                delete store.pending[parameter];
+                this.saveAlarmEvents(patientId, store);
+                console.log(`↩️ ALARM PENDING CANCELLED: ${parameter} back in range before delay expired`);
+                return { state: 'normal' };
+            case 'hold':
+                // Still out of range or inside the hysteresis band - keep the event up to date
+                activeEvent.lastValue = value;
+                activeEvent.lastValueAt = timestamp;
+                this.saveAlarmEvents(patientId, store);
+                return { state: 'active', event: activeEvent };
+            case 'clear':
+                return { state: 'cleared', event: this.clearActiveAlarm(patientId, parameter, 'back_in_range', timestamp, value) };
+            default:
+                return { state: 'normal' };
+        }
+    }
+
+    /**
+     * Get the monitoring level (loose/mid/tight) that applies to a parameter
+     * @param {string} parameter - Parameter name
+     * @param {Object} monitoringLevels - Organ monitoring levels { heart, lung, temp } (low/mid/high)
+     * @returns {string} - 'loose', 'mid' or 'tight'
+     */
+    getParameterMonitoringLevel(parameter, monitoringLevels = {}) {
+        const organ = this.clinicalProtocol ? this.clinicalProtocol.getParameterOrgan(parameter) : null;
+        return AlarmEngine.toMonitoringLevel(organ ? monitoringLevels[organ] : 'mid');
+    }
+
+    /**
+     * Get the alarm behaviour configuration for all parameters
+     * Protocol defaults with locally configured overrides applied
+     * @returns {Object} - { [parameter]: { loose, mid, tight } } with { delaySeconds, thresholdMargin, hysteresis } per level
+     */
+    getAlarmBehaviourConfig() {
+        const overrides = this.getAlarmBehaviourOverrides();
+        const config = {};
+        
+        ['HR', 'BP_Mean', 'AF', 'Saturatie', 'Temperature'].forEach(parameter => {
+            const defaults = (this.clinicalProtocol && this.clinicalProtocol.getAlarmBehaviour(parameter)) || {};
+            config[parameter] = {};
+            AlarmEngine.MONITORING_LEVELS.forEach(level => {
+                config[parameter][level] = {
+                    delaySeconds: 0,
+                    thresholdMargin: 0,
+                    hysteresis: 0,
+                    ...defaults[level],
+                    ...overrides[parameter]?.[level]
+                };
+            });
+        });
+        
+        return config;
+    }
+
+    /**
+     * Get the alarm behaviour for a parameter at a monitoring level
+     * @param {string} parameter - Parameter name
+     * @param {string} monitoringLevel - 'loose', 'mid' or 'tight' (low/mid/high are mapped)
+     * @returns {Object} - { delaySeconds, thresholdMargin, hysteresis }
+     */
+    getAlarmBehaviour(parameter, monitoringLevel) {
+        const config = this.getAlarmBehaviourConfig();
+        const level = AlarmEngine.toMonitoringLevel(monitoringLevel);
+        return config[parameter]?.[level] || { delaySeconds: 0, thresholdMargin: 0, hysteresis: 0 };
+    }
+
+    /**
+     * Override the alarm behaviour for a parameter at a monitoring level
+     * @param {string} parameter - Parameter name
+     * @param {string} monitoringLevel - 'loose', 'mid' or 'tight'
+     * @param {Object} behaviour - Any of { delaySeconds, thresholdMargin, hysteresis } (non-negative numbers)
+     * @returns {Object} - { success: boolean, behaviour?, error? }
+     */
+    setAlarmBehaviour(parameter, monitoringLevel, behaviour) {
+        try {
+            const level = AlarmEngine.toMonitoringLevel(monitoringLevel);
+            if (!['HR', 'BP_Mean', 'AF', 'Saturatie', 'Temperature'].includes(parameter)) {
+                return { success: false, error: `Unknown parameter: ${parameter}` };
+            }
+            
+            const update = {};
+            for (const key of ['delaySeconds', 'thresholdMargin', 'hysteresis']) {
+                if (behaviour[key] === undefined) continue;
+                if (typeof behaviour[key] !== 'number' || isNaN(behaviour[key]) || behaviour[key] < 0) {
+                    return { success: false, error: `${key} must be a non-negative number` };
+                }
+                update[key] = behaviour[key];
+            }
+            
+            const overrides = this.getAlarmBehaviourOverrides();
+            overrides[parameter] = overrides[parameter] || {};
+            overrides[parameter][level] = { ...overrides[parameter][level], ...update };
+            this.storage.setItem(this.storageKeys.ALARM_BEHAVIOUR, JSON.stringify(overrides));
+            
+            const effective = this.getAlarmBehaviour(parameter, level);
+            console.log(`✅ Alarm behaviour for ${parameter} (${level}) set to:`, effective);
+            
+            this.eventBus.dispatchEvent(new CustomEvent('alarmBehaviourChanged', {
+                detail: { parameter, monitoringLevel: level, behaviour: effective }
+            }));
+            
+            return { success: true, behaviour: effective };
+        } catch (error) {
+            console.error('❌ Error setting alarm behaviour:', error);
+            return { success: false, error: error.message };
+        }
+    }
+
+    /**
+     * Remove local alarm behaviour overrides so the protocol defaults apply again
+     * @param {string} parameter - Parameter to reset (optional, default: all parameters)
+     */
+    resetAlarmBehaviour(parameter = null) {
+        const overrides = parameter ? this.getAlarmBehaviourOverrides() : {};
+        if (parameter) {
+            delete overrides[parameter];
+        }
+        this.storage.setItem(this.storageKeys.ALARM_BEHAVIOUR, JSON.stringify(overrides));
+        console.log(`🔄 Alarm behaviour reset to protocol defaults for: ${parameter || 'all parameters'}`);
+        
+        this.eventBus.dispatchEvent(new CustomEvent('alarmBehaviourChanged', {
+            detail: { parameter, reset: true }
+        }));
+    }
+
+    /**
+     * Get locally configured alarm behaviour overrides
+     */
+    getAlarmBehaviourOverrides() {
+        try {
+            return JSON.parse(this.storage.getItem(this.storageKeys.ALARM_BEHAVIOUR)) || {};
+        } catch (error) {
+            console.warn('❌ Error parsing alarm behaviour overrides:', error);
+            return {};
+        }
+    }
+
+    /**
+     * Clear the active alarm of a parameter and move it to the alarm history
+     * @param {string} patientId - Patient ID
+     * @param {string} parameter - Parameter name
+     * @param {string} reason - Why the alarm cleared ('back_in_range', 'alarm_disabled', ...)
+     * @param {string} timestamp - Clear time (ISO string)
+     * @param {number} value - Value that cleared the alarm (optional)
+     * @returns {Object|null} - The cleared event, or null if no alarm was active
+     */
+    clearActiveAlarm(patientId, parameter, reason, timestamp = new Date().toISOString(), value = null) {
+        const store = this.getAlarmEvents(patientId);
+        const event = store.active[parameter];
+        if (!event) return null;
+        
+        delete store.active[parameter];
+        event.clearedAt = timestamp;
+        event.clearReason = reason;
+        if (value !== null) {
+            event.clearValue = value;
+        }
+        
+        store.history.push(event);
+        if (store.history.length > 500) {
+            store.history = store.history.slice(-500);
+        }
+        
+        this.saveAlarmEvents(patientId, store);
+        console.log(`✅ ALARM CLEARED: ${parameter} for patient ${patientId} (${reason})`);
+        this.broadcastAlarmStateChange(patientId, parameter, 'cleared', event);
+        return event;
+    }
+
+    /**
+     * Notify pages about an alarm state change
+     * Not sent to the server: it evaluates the vitals itself and broadcasts alarm_event to every workstation
+     */
+    broadcastAlarmStateChange(patientId, parameter, state, event) {
+        this.eventBus.dispatchEvent(new CustomEvent('alarmStateChanged', {
+            detail: { patientId, parameter, state, event }
+        }));
+    }
+
+    /**
+     * Apply an alarm raised or cleared by the server (inbound `alarm_event`)
+     * @param {Object} data - { patientId, parameter, state: 'raised'|'cleared', event }
+     * @returns {boolean} - Whether the local alarm state changed
+     */
+    applyRemoteAlarmEvent(data) {
+        if (!data || !data.patientId || !data.parameter || !data.event) {
+            console.warn('⚠️ ALARM: Incomplete alarm_event ignored:', data);
+            return false;
+        }
+        const { patientId, parameter, state, event } = data;
+        const store = this.getAlarmEvents(patientId);
+        
+        if (state === 'raised') {
+            store.active[parameter] = event;
+            delete store.pending[parameter];
+        } else {
+            if (store.history.some(entry => entry.id === event.id)) return false;
+            delete store.active[parameter];
+            store.history.push(event);
+            if (store.history.length > 500) {
+                store.history = store.history.slice(-500);
+            }
+        }
+        
+        this.saveAlarmEvents(patientId, store);
+        console.log(`${state === 'raised' ? '🚨' : '✅'} ALARM ${state.toUpperCase()} (server): ${parameter} for patient ${patientId}`);
+        this.broadcastAlarmStateChange(patientId, parameter, state, event);
+        return true;
+    }
+
+    /**
+     * Replace the local active alarms with the ones the server holds (connect handshake)
+     * Local alarms the server no longer has are moved to the history as cleared
+     * @param {Object} alarms - { [patientId]: { [parameter]: event } }
+     */
+    applyServerAlarms(alarms) {
+        const patientIds = new Set(Object.keys(alarms));
+        for (let i = 0; i < this.storage.length; i++) {
+            const key = this.storage.key(i);
+            if (key && key.startsWith(this.storageKeys.ALARM_EVENTS_PREFIX)) {
+                patientIds.add(key.slice(this.storageKeys.ALARM_EVENTS_PREFIX.length));
+            }
+        }
+        
+        const now = new Date().toISOString();
+        patientIds.forEach(patientId => {
+            const serverActive = alarms[patientId] || {};
+            const localActive = this.getAlarmEvents(patientId).active;
+            Object.entries(localActive).forEach(([parameter, event]) => {
+                if (serverActive[parameter]?.id === event.id) return;
+                this.applyRemoteAlarmEvent({
+                    patientId, parameter, state: 'cleared',
+                    event: { ...event, clearedAt: now, clearReason: 'server_sync' }
+                });
+            });
+            Object.entries(serverActive).forEach(([parameter, event]) => {
+                if (localActive[parameter]?.id === event.id) return;
+                this.applyRemoteAlarmEvent({ patientId, parameter, state: 'raised', event });
+            });
+        });
+    }
+
+    /**
+     * Get the stored alarm events of a patient
+     * @param {string} patientId - Patient ID
+     * @returns {Object} - { active: { [parameter]: event }, pending: { [parameter]: { direction, since } }, history: Array }
+     */
+    getAlarmEvents(patientId) {
+        try {
+            const stored = this.storage.getItem(`${this.storageKeys.ALARM_EVENTS_PREFIX}${patientId}`);
+            const store = stored ? JSON.parse(stored) : {};
+            return {
+                active: store.active || {},
+                pending: store.pending || {},
+                history: store.history || []
+            };
+        } catch (error) {
+            console.error('❌ Error reading alarm events:', error);
+            return { active: {}, pending: {}, history: [] };
+        }
+    }
+
+    /**
+     * Persist the alarm events of a patient
+     */
+    saveAlarmEvents(patientId, store) {
+        try {
+            this.storage.setItem(`${this.storageKeys.ALARM_EVENTS_PREFIX}${patientId}`, JSON.stringify(store));
+            return true;
+        } catch (error) {
+            console.error('❌ Error saving alarm events:', error);
+            return false;
+        }
+    }
+
+    /**
+     * Get the currently active alarms of a patient
+     * @param {string} patientId - Patient ID
+     * @returns {Array} - Active alarm events
+     */
+    getActiveAlarms(patientId) {
+        return Object.values(this.getAlarmEvents(patientId).active);
+    }
+
+    /**
+     * Check whether a patient has an active alarm
+     * @param {string} patientId - Patient ID
+     * @param {Array} parameters - Limit the check to these parameters (optional)
+     * @returns {boolean}
+     */
+    hasActiveAlarm(patientId, parameters = null) {
+        return this.getActiveAlarms(patientId).some(event => !parameters || parameters.includes(event.parameter));
+    }
+
+    /**
+     * Get the cleared alarm events of a patient, oldest first
+     * @param {string} patientId - Patient ID
+     * @returns {Array} - Cleared alarm events
+     */
+    getAlarmHistory(patientId) {
+        return this.getAlarmEvents(patientId).history;
+    }
+
+    /**
+     * Store the most recent measurement per parameter for display
+     */
+    recordLatestVitals(patientId, measurements) {
+        try {
+            const key = `${this.storageKeys.PATIENT_PREFIX}${patientId}_latestVitals`;
+            const latest = JSON.parse(this.storage.getItem(key)) || {};
+            this.storage.setItem(key, JSON.stringify({ ...latest, ...measurements }));
+        } catch (error) {
+            console.error('❌ Error saving latest vitals:', error);
+        }
+    }
+
+    /**
+     * Append measurements to the patient's rolling vitals history (last 12 hours per parameter)
+     */
+    recordVitalsHistory(patientId, measurements) {
+        try {
+            const key = `${this.storageKeys.PATIENT_PREFIX}${patientId}_vitalsHistory`;
+            const history = JSON.parse(this.storage.getItem(key)) || {};
+            const cutoff = Date.now() - 12 * 60 * 60 * 1000;
+            
+            Object.entries(measurements).forEach(([parameter, measurement]) => {
+                const points = history[parameter] || [];
+                points.push({ timestamp: measurement.timestamp, value: measurement.value });
+                history[parameter] = points
+                    .filter(point => new Date(point.timestamp).getTime() >= cutoff)
+                    .sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+            });
+            
+            this.storage.setItem(key, JSON.stringify(history));
+        } catch (error) {
+            console.error('❌ Error saving vitals history:', error);
+        }
+    }
+
+    /**
+     * Get a parameter's measurements within a time window, oldest first
+     * @param {string} patientId - Patient ID
+     * @param {string} parameter - Parameter name
+     * @param {number} windowHours - Window length in hours ending now (default: 12)
+     * @returns {Array} - [{ timestamp, value }]
+     */
+    getVitalsHistory(patientId, parameter, windowHours = 12) {
+        try {
+            const history = JSON.parse(this.storage.getItem(`${this.storageKeys.PATIENT_PREFIX}${patientId}_vitalsHistory`)) || {};
+            const cutoff = Date.now() - windowHours * 60 * 60 * 1000;
+            return (history[parameter] || []).filter(point => new Date(point.timestamp).getTime() >= cutoff);
+        } catch (error) {
+            console.error('❌ Error reading vitals history:', error);
+            return [];
+        }
+    }
+
+    /**
+     * Get the most recent measurement per parameter
+     * @param {string} patientId - Patient ID
+     * @returns {Object} - { HR: { value, timestamp }, ... }
+     */
+    getLatestVitals(patientId) {
+        try {
+            return JSON.parse(this.storage.getItem(`${this.storageKeys.PATIENT_PREFIX}${patientId}_latestVitals`)) || {};
+        } catch (error) {
+            console.error('❌ Error reading latest vitals:', error);
+            return {};
+        }
+    }
+
+    // ===================================================================
+    // THRESHOLD WHAT-IF SIMULATION
+    // ===================================================================
+
+    /**
+     * Replay a recorded vital series against a candidate range and monitoring level
+     * Anything not given in the candidate falls back to the patient's current effective values,
+     * so calling this without a candidate shows what the saved settings would have produced
+     * @param {string} patientId - Patient ID
+     * @param {string} parameter - Parameter name (HR, BP_Mean, AF, Saturatie, Temperature)
+     * @param {Array} series - [{ timestamp, value }] (e.g. from parseVitalSeries or getVitalsHistory)
+     * @param {Object} candidate - { min?, max?, monitoringLevel? } ('loose'/'mid'/'tight', low/mid/high are mapped)
+     * @returns {Object} - { success, parameter, range, monitoringLevel, behaviour, alarmCount, timeOutOfRangeSeconds, episodes, sampleCount, start, end } or { success: false, error }
+     */
+    simulateThresholds(patientId, parameter, series, candidate = {}) {
+        try {
+            const effectiveValues = this.getCurrentEffectiveValues(patientId);
+            const effectiveRange = effectiveValues.parameterRanges?.[parameter] || {};
+            const range = {
+                min: typeof candidate.min === 'number' ? candidate.min : effectiveRange.min,
+                max: typeof candidate.max === 'number' ? candidate.max : effectiveRange.max
+            };
+            
+            if (typeof range.min !== 'number' || typeof range.max !== 'number' || range.min >= range.max) {
+                return { success: false, error: `Invalid range for ${parameter}: ${range.min}-${range.max}` };
+            }
+            
+            const monitoringLevel = candidate.monitoringLevel
+                ? AlarmEngine.toMonitoringLevel(candidate.monitoringLevel)
+                : this.getParameterMonitoringLevel(parameter, effectiveValues.monitoringLevels);
+            const behaviour = this.getAlarmBehaviour(parameter, monitoringLevel);
+            
+            const points = (series || [])
+                .filter(point => typeof point.value === 'number' && !isNaN(new Date(point.timestamp).getTime()))
+                .sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+            
+            return {
+                success: true,
+                parameter: parameter,
+                range: range,
+                monitoringLevel: monitoringLevel,
+                behaviour: behaviour,
+                ...AlarmEngine.replay(points, range, behaviour)
+            };
+        } catch (error) {
+            console.error(`❌ SIMULATION: Error simulating ${parameter} for patient ${patientId}:`, error);
+            return { success: false, error: error.message };
+        }
+    }
+
+    /**
+     * Parse an imported vital series (CSV or JSON) for one parameter
+     * CSV: header row with a timestamp column (timestamp/time/tijd) and either a `value` column,
+     *      a column named after the parameter, or `parameter` + `value` columns
+     * JSON: [{ timestamp, value }], [{ timestamp, HR, ... }], [{ timestamp, measurements: { HR } }],
+     *       [{ timestamp, parameter, value }] or { HR: [{ timestamp, value }] }
+     * Numeric timestamps are read as epoch seconds (below 1e12) or milliseconds
+     * @param {string} content - File content
+     * @param {string} parameter - Parameter to extract
+     * @param {string} format - 'csv' or 'json' (default: detected from content)
+     * @returns {Object} - { success, series: [{ timestamp, value }], skipped } or { success: false, error }
+     */
+    parseVitalSeries(content, parameter, format = null) {
+        try {
+            const text = (content || '').trim();
+            if (!text) {
+                return { success: false, error: 'Empty file' };
+            }
+            
+            const detectedFormat = format || (text.startsWith('[') || text.startsWith('{') ? 'json' : 'csv');
+            const rows = detectedFormat === 'json' ? this.parseVitalSeriesJSON(text, parameter) : this.parseVitalSeriesCSV(text, parameter);
+            
+            const series = [];
+            let skipped = 0;
+            rows.forEach(row => {
+                const timestamp = this.normalizeSeriesTimestamp(row.timestamp);
+                const rawValue = typeof row.value === 'object' && row.value !== null ? row.value.value : row.value;
+                const value = typeof rawValue === 'string' ? parseFloat(rawValue.replace(',', '.')) : rawValue;
+                if (timestamp && typeof value === 'number' && !isNaN(value)) {
+                    series.push({ timestamp, value });
+                } else {
+                    skipped++;
+                }
+            });
+            
+            if (series.length === 0) {
+                return { success: false, error: `No ${parameter} measurements found` };
+            }
+            
+            series.sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+            console.log(`📥 SIMULATION: Parsed ${series.length} ${parameter} measurements (${skipped} skipped) from ${detectedFormat.toUpperCase()}`);
+            return { success: true, series: series, skipped: skipped };
+        } catch (error) {
+            console.error('❌ SIMULATION: Error parsing vital series:', error);
+            return { success: false, error: error.message };
+        }
+    }
+
+    parseVitalSeriesJSON(text, parameter) {
+        const data = JSON.parse(text);
+        const entries = Array.isArray(data) ? data : (data[parameter] || data.series || []);
+        
+        return entries
+            .filter(entry => entry && (entry.parameter === undefined || entry.parameter === parameter))
+            .map(entry => {
+                const timestamp = entry.timestamp ?? entry.time ?? entry.tijd;
+                if (entry.measurements) return { timestamp, value: entry.measurements[parameter] };
+                if (entry[parameter] !== undefined) return { timestamp, value: entry[parameter] };
+                return { timestamp, value: entry.value };
+            });
+    }
+
+    parseVitalSeriesCSV(text, parameter) {
+        const lines = text.split(/\r?\n/).filter(line => line.trim());
+        const delimiter = lines[0].includes(';') ? ';' : ',';
+        const header = lines[0].split(delimiter).map(column => column.trim());
+        const lowerHeader = header.map(column => column.toLowerCase());
+        
+        const timestampIndex = lowerHeader.findIndex(column => ['timestamp', 'time', 'tijd', 'datetime'].includes(column));
+        const parameterIndex = lowerHeader.indexOf('parameter');
+        const valueIndex = header.includes(parameter) ? header.indexOf(parameter) : lowerHeader.indexOf('value');
+        
+        if (timestampIndex === -1 || valueIndex === -1) {
+            throw new Error(`CSV needs a timestamp column and a "${parameter}" or "value" column`);
+        }
+        
+        return lines.slice(1)
+            .map(line => line.split(delimiter).map(cell => cell.trim()))
+            .filter(cells => parameterIndex === -1 || cells[parameterIndex] === parameter)
+            .map(cells => ({ timestamp: cells[timestampIndex], value: cells[valueIndex] }));
+    }
+
+    normalizeSeriesTimestamp(timestamp) {
+        if (timestamp === undefined || timestamp === null || timestamp === '') return null;
+        
+        let date;
+        if (typeof timestamp === 'number' || /^\d+$/.test(timestamp)) {
+            const number = Number(timestamp);
+            date = new Date(number < 1e12 ? number * 1000 : number);
+        } else {
+            date = new Date(timestamp);
+        }
+        return isNaN(date.getTime()) ? null : date.toISOString();
+    }
+
+    // ===================================================================
+    // USERS & PERMISSIONS
+    // ===================================================================
+
+    /**
+     * Roles and what they may change in the alarm configuration
+     * - disableAlarm: switch a parameter alarm off
+     * - disableCriticalAlarm: switch off an alarm listed in criticalAlarmParameters
+     * - overrideWithinProtocol: set a manual range inside the protocol range (matrix + tags)
+     * - overrideBeyondProtocol: set a manual range wider than the protocol range
+     * - clearOverrides: reset manual ranges to the protocol values
+     */
+    getRolePermissions() {
+        return {
+            nurse: {
+                label: 'Verpleegkundige',
+                disableAlarm: true,
+                disableCriticalAlarm: false,
+                overrideWithinProtocol: true,
+                overrideBeyondProtocol: false,
+                clearOverrides: true
+            },
+            intensivist: {
+                label: 'Intensivist',
+                disableAlarm: true,
+                disableCriticalAlarm: true,
+                overrideWithinProtocol: true,
+                overrideBeyondProtocol: true,
+                clearOverrides: true
+            },
+            admin: {
+                label: 'Beheerder',
+                disableAlarm: true,
+                disableCriticalAlarm: false,
+                overrideWithinProtocol: true,
+                overrideBeyondProtocol: false,
+                clearOverrides: true
+            }
+        };
+    }
+
+    /**
+     * Parameters whose alarm may only be switched off by roles with disableCriticalAlarm
+     */
+    getCriticalAlarmParameters() {
+        return ['Saturatie'];
+    }
+
+    /**
+     * Log a user in; the user is stored in the current session (see getSessionData)
+     * @param {string} userId - User identifier (e.g. staff number)
+     * @param {string} role - 'nurse', 'intensivist' or 'admin'
+     * @param {string} name - Display name (default: userId)
+     * @returns {Object} - { success: boolean, user?, error? }
+     */
+    loginUser(userId, role, name = null) {
+        try {
+            if (!userId || !String(userId).trim()) {
+                return { success: false, error: 'User id is required' };
+            }
+            if (!this.getRolePermissions()[role]) {
+                return { success: false, error: `Unknown role: ${role}` };
+            }
+            
+            const user = {
+                id: String(userId).trim(),
+                name: name || String(userId).trim(),
+                role: role,
+                loggedInAt: new Date().toISOString()
+            };
+            this.setSessionUser(user);
+            console.log(`👤 User logged in: ${user.id} (${role})`);
+            return { success: true, user: user };
+        } catch (error) {
+            console.error('❌ Error logging in user:', error);
+            return { success: false, error: error.message };
+        }
+    }
+
+    /**
+     * Log the current user out
+     */
+    logoutUser() {
+        const user = this.getCurrentUser();
+        this.setSessionUser(null);
+        console.log(`👤 User logged out: ${user ? user.id : 'none'}`);
+        return { success: true };
+    }
+
+    setSessionUser(user) {
+        const appData = this.getAppData();
+        appData.sessions = appData.sessions || {};
+        appData.sessions.current = {
+            ...this.getSessionData(),
+            user: user,
+            timestamp: new Date().toISOString()
+        };
+        this.saveAppData(appData);
+        
+        this.eventBus.dispatchEvent(new CustomEvent('userSessionChanged', {
+            detail: { user: user }
+        }));
+    }
+
+    /**
+     * Get the logged-in user
+     * @returns {Object|null} - { id, name, role, loggedInAt } or null when nobody is logged in
+     */
+    getCurrentUser() {
+        const session = this.getSessionData() || {};
+        return session.user || null;
+    }
+
+    /**
+     * Check whether the current user may perform a configuration change
+     * @param {string} action - 'setParameterAlarmEnabled', 'setManualOverride' or 'clearManualOverrides'
+     * @param {Object} context - { patientId, parameter?, range?, isEnabled? }
+     * @returns {Object} - { allowed: boolean, reason? }
+     */
+    checkPermission(action, context = {}) {
+        const user = this.getCurrentUser();
+        if (!user) {
+            return { allowed: false, reason: 'Niet ingelogd' };
+        }
+        
+        const permissions = this.getRolePermissions()[user.role];
+        if (!permissions) {
+            return { allowed: false, reason: `Onbekende rol: ${user.role}` };
+        }
+        
+        switch (action) {
+            case 'setParameterAlarmEnabled':
+                if (context.isEnabled) {
+                    return { allowed: true };
+                }
+                if (this.getCriticalAlarmParameters().includes(context.parameter)) {
+                    return permissions.disableCriticalAlarm
+                        ? { allowed: true }
+                        : { allowed: false, reason: `Alleen een intensivist mag het ${context.parameter}-alarm uitschakelen` };
+                }
+                return permissions.disableAlarm
+                    ? { allowed: true }
+                    : { allowed: false, reason: `${permissions.label} mag alarmen niet uitschakelen` };
+            
+            case 'setManualOverride': {
+                if (!permissions.overrideWithinProtocol) {
+                    return { allowed: false, reason: `${permissions.label} mag grenswaarden niet aanpassen` };
+                }
+                const protocolRange = this.getProtocolRange(context.patientId, context.parameter);
+                const widens = protocolRange && context.range &&
+                    (context.range.min < protocolRange.min || context.range.max > protocolRange.max);
+                if (widens && !permissions.overrideBeyondProtocol) {
+                    return {
+                        allowed: false,
+                        reason: `Alleen een intensivist mag ${context.parameter} verruimen buiten het protocol (${protocolRange.min} - ${protocolRange.max})`
+                    };
+                }
+                return { allowed: true };
+            }
+            
+            case 'clearManualOverrides':
+                return permissions.clearOverrides
+                    ? { allowed: true }
+                    : { allowed: false, reason: `${permissions.label} mag handmatige grenzen niet wissen` };
+            
+            default:
+                return { allowed: false, reason: `Onbekende actie: ${action}` };
+        }
+    }
+
+    /**
+     * Report a refused change to the console and to listening pages
+     * @returns {Object} - { success: false, error, permissionDenied: true }
+     */
+    denyPermission(action, context, reason) {
+        console.warn(`⛔ PERMISSION DENIED: ${action} for patient ${context.patientId} - ${reason}`);
+        this.eventBus.dispatchEvent(new CustomEvent('permissionDenied', {
+            detail: { action, ...context, reason, user: this.getCurrentUser() }
+        }));
+        return { success: false, error: reason, permissionDenied: true };
+    }
+
+    /**
+     * Get the range the protocol gives a parameter (matrix base plus active tag deltas, without manual overrides)
+     * @param {string} patientId - Patient ID
+     * @param {string} parameter - Parameter name
+     * @returns {Object|null} - { min, max }
+     */
+    getProtocolRange(patientId, parameter) {
+        const effectiveValues = this.getCurrentEffectiveValues(patientId);
+        const { problem, riskLevel, matrixBase } = effectiveValues.baseContext;
+        
+        if (effectiveValues.activeTags.length === 0) {
+            return matrixBase[parameter] || null;
+        }
+        
+        const adjustments = this.calculateTagBasedParameterAdjustments(
+            effectiveValues.activeTags,
+            matrixBase,
+            this.calculateAdvancedOrganStates(problem, riskLevel).organStates,
+            riskLevel
+        );
+        return adjustments.adjustedRanges[parameter] || null;
+    }
+
+    // ===================================================================
+    // MULTI-WORKSTATION SYNC
+    // ===================================================================
+
+    /**
+     * Apply a state change made on another workstation (rebroadcast by the server)
+     * Storage is updated directly and the usual cross-page events are dispatched, so open pages refresh;
+     * nothing is sent back to the server and no permission checks apply (the sender was already checked)
+     * @param {Object} message - Envelope { type, sessionId, userId, stateVersion, conflict?, data }
+     * @returns {Object} - { success: boolean, error? }
+     */
+    applyRemoteChange(message) {
+        if (!message || !message.data) {
+            return { success: false, error: 'Remote change has no data' };
+        }
+        
+        this.remoteChangeContext = {
+            userId: message.userId || null,
+            sessionId: message.sessionId || null
+        };
+        
+        try {
+            let patientId;
+            switch (message.type) {
+                case 'patient_selected':
+                    patientId = this.applyRemotePatientSelected(message.data);
+                    break;
+                case 'patient_discharged':
+                    patientId = this.applyRemotePatientDischarged(message.data);
+                    break;
+                case 'patient_transferred':
+                    patientId = this.applyRemotePatientTransferred(message.data);
+                    break;
+                case 'thresholds_risk_levels':
+                    patientId = this.applyRemoteThresholdsRiskLevels(message.data);
+                    break;
+                case 'parameterAlarmToggled':
+                    patientId = this.applyRemoteAlarmToggle(message.data);
+                    break;
+                default:
+                    return { success: false, error: `Unknown remote change type: ${message.type}` };
+            }
+            
+            if (message.conflict) {
+                this.handleSyncConflict(message.conflict, 'remote');
+            }
+            
+            console.log(`🔄 SYNC: Applied remote ${message.type} for patient ${patientId} from ${message.userId || message.sessionId}`);
+            this.eventBus.dispatchEvent(new CustomEvent('remoteStateChanged', {
+                detail: {
+                    type: message.type,
+                    patientId: patientId,
+                    userId: message.userId || null,
+                    stateVersion: message.stateVersion ?? null
+                }
+            }));
+            return { success: true };
+        } catch (error) {
+            console.error(`❌ SYNC: Error applying remote ${message.type}:`, error);
+            return { success: false, error: error.message };
+        } finally {
+            this.remoteChangeContext = null;
+        }
+    }
+
+    /**
+     * Whether the change being processed came from another workstation
+     */
+    isApplyingRemoteChange() {
+        return this.remoteChangeContext !== null;
+    }
+
+    applyRemotePatientSelected(data) {
+        const patient = data.patient || {};
+        const { medicalInfo, ...patientData } = patient;
+        const bedStates = this.getBedStates() || {};
+        
+        // The patient can only occupy one bed
+        Object.keys(bedStates).forEach(bed => {
+            if (bedStates[bed].patientId === patient.id && String(bed) !== String(data.bedNumber)) {
+                bedStates[bed] = { ...bedStates[bed], occupied: false, patientId: null, patientData: null, riskLevel: null, vpkCode: null };
+            }
+        });
+        bedStates[data.bedNumber] = {
+            ...bedStates[data.bedNumber],
+            occupied: true,
+            patientId: patient.id,
+            patientData: patientData,
+            timestamp: data.timestamp || new Date().toISOString(),
+            riskLevel: patient.riskLevel || 'mid',
+            vpkCode: patient.vpkCode || null
+        };
+        this.saveBedStates(bedStates);
+        
+        if (medicalInfo && Object.keys(medicalInfo).length > 0) {
+            this.savePatientMedicalInfo(patient.id, { ...this.getPatientMedicalInfo(patient.id), ...medicalInfo });
+        }
+        return patient.id;
+    }
+
+    applyRemotePatientDischarged(data) {
+        const bedStates = this.getBedStates() || {};
+        const bed = bedStates[data.bedNumber];
+        if (bed && bed.patientId === data.patientId) {
+            bedStates[data.bedNumber] = {
+                occupied: false,
+                patientId: null,
+                patientData: null,
+                timestamp: data.timestamp || new Date().toISOString(),
+                riskLevel: null,
+                vpkCode: null
+            };
+            this.saveBedStates(bedStates);
+        }
+        
+        // Archive and clear the stay here too, so a readmission on this workstation starts from defaults
+        if (data.reason !== 'patient_transfer' && this.getAppData()?.patients?.[data.patientId]) {
+            this.archivePatientStay(data.patientId, {
+                bed: bed && bed.patientId === data.patientId ? bed : {},
+                bedNumber: data.bedNumber,
+                reason: data.reason
+            });
+            this.removePatient(data.patientId, { archive: false });
+        }
+        
+        const sessionData = this.getSessionData();
+        if (sessionData.currentPatient === data.patientId && data.reason !== 'patient_transfer') {
+            this.clearSessionData();
+        }
+        return data.patientId;
+    }
+
+    applyRemotePatientTransferred(data) {
+        const bedStates = this.getBedStates() || {};
+        const sourceBed = bedStates[data.fromBed];
+        const patient = data.patient || {};
+        const { medicalInfo, ...patientData } = patient;
+        
+        bedStates[data.toBed] = {
+            ...(sourceBed?.patientId === data.patientId ? sourceBed : {}),
+            occupied: true,
+            patientId: data.patientId,
+            patientData: sourceBed?.patientData || patientData,
+            timestamp: data.timestamp || new Date().toISOString(),
+            riskLevel: sourceBed?.riskLevel || patient.riskLevel || 'mid',
+            vpkCode: sourceBed?.vpkCode || patient.vpkCode || null
+        };
+        if (sourceBed && sourceBed.patientId === data.patientId) {
+            bedStates[data.fromBed] = {
+                occupied: false,
+                patientId: null,
+                patientData: null,
+                timestamp: data.timestamp || new Date().toISOString(),
+                riskLevel: null,
+                vpkCode: null
+            };
+        }
+        this.saveBedStates(bedStates);
+        
+        const sessionData = this.getSessionData();
+        if (String(sessionData.currentPatient) === String(data.patientId)) {
+            this.saveSessionData({ ...sessionData, currentBed: data.toBed });
+        }
+        this.eventBus.dispatchEvent(new CustomEvent('patientTransferred', {
+            detail: { patientId: data.patientId, fromBed: data.fromBed, toBed: data.toBed }
+        }));
+        return data.patientId;
+    }
+
+    /**
+     * Full configurations carry what the sender's UI shows; delta messages only the changed values
+     */
+    applyRemoteThresholdsRiskLevels(data) {
+        const patientId = data.patientId;
+        const currentInfo = this.getPatientMedicalInfo(patientId) || {};
+        
+        if (data.changeType === 'delta') {
+            const problemChange = data.changes?.medicalProblem || {};
+            const problem = problemChange.to ?? problemChange.new;
+            if (problem !== undefined && problem !== currentInfo.selectedProblem) {
+                this.savePatientMedicalInfo(patientId, { ...currentInfo, selectedProblem: problem });
+            }
+            return patientId;
+        }
+        
+        // Problem and overall risk level
+        const medicalInfo = { ...currentInfo };
+        if (data.medicalProblem !== undefined) medicalInfo.selectedProblem = data.medicalProblem;
+        if (data.selectedRiskLevel) medicalInfo.selectedRiskLevel = data.selectedRiskLevel;
+        if (medicalInfo.selectedProblem !== currentInfo.selectedProblem || medicalInfo.selectedRiskLevel !== currentInfo.selectedRiskLevel) {
+            this.savePatientMedicalInfo(patientId, medicalInfo);
+        }
+        
+        // Organ monitoring levels
+        const monitoring = this.getAppData()?.patients?.[patientId]?.monitoring || {};
+        const riskLevels = data.riskLevels || {};
+        if (riskLevels.circulatoir && riskLevels.circulatoir !== monitoring.heartLevel) {
+            this.setHeartMonitoringLevel(patientId, riskLevels.circulatoir);
+        }
+        if (riskLevels.respiratoire && riskLevels.respiratoire !== monitoring.lungLevel) {
+            this.setLungMonitoringLevel(patientId, riskLevels.respiratoire);
+        }
+        if (riskLevels.temperature && riskLevels.temperature !== monitoring.tempLevel) {
+            this.setTempMonitoringLevel(patientId, riskLevels.temperature);
+        }
+        
+        // Condition tags
+        if (Array.isArray(data.activeTags)) {
+            this.getSupportedConditionTags().forEach(tag => {
+                const isActive = data.activeTags.includes(tag);
+                if (this.getPatientConditionState(tag, patientId).isActive !== isActive) {
+                    this.setPatientConditionState(tag, {
+                        isActive: isActive,
+                        patientId: patientId,
+                        timestamp: Date.now(),
+                        source: 'remote'
+                    });
+                    this.recordAuditEntry(patientId, 'condition_tag_toggle', {
+                        target: tag,
+                        previousValue: !isActive,
+                        newValue: isActive
+                    });
+                    this.broadcastUnifiedTagStateChange(patientId, tag, isActive);
+                }
+            });
+        }
+        
+        // Manual overrides
+        if (data.manualOverrides) {
+            this.applyRemoteManualOverrides(patientId, data.manualOverrides, data.thresholds || {});
+        }
+        
+        // Ranges exactly as the sender sees them
+        if (data.thresholds) {
+            this.setCurrentTargetRanges(patientId, data.thresholds, 'remote-sync');
+            this.invalidateEffectiveValuesCache(patientId);
+            this.fireTargetRangesChangedEvent(patientId, data.thresholds, 'remote-sync');
+        }
+        return patientId;
+    }
+
+    applyRemoteManualOverrides(patientId, manualOverrides, thresholds) {
+        const overrideKey = `${this.storageKeys.MANUAL_OVERRIDE_PREFIX}${patientId}`;
+        const previous = this.getManualOverrides(patientId);
+        const overrides = {};
+        
+        if (manualOverrides.hasManualOverrides) {
+            Object.entries(manualOverrides.overrideDetails || {}).forEach(([parameter, details]) => {
+                const range = details.range || thresholds[parameter];
+                if (!range) return;
+                overrides[parameter] = {
+                    range: range,
+                    source: details.source || 'remote',
+                    timestamp: details.timestamp || new Date().toISOString(),
+                    isManual: true
+                };
+            });
+        }
+        
+        if (Object.keys(overrides).length > 0) {
+            this.storage.setItem(overrideKey, JSON.stringify(overrides));
+        } else {
+            this.storage.removeItem(overrideKey);
+        }
+        this.invalidateEffectiveValuesCache(patientId);
+        
+        Object.entries(overrides).forEach(([parameter, override]) => {
+            const previousRange = previous[parameter] ? previous[parameter].range : null;
+            if (JSON.stringify(previousRange) !== JSON.stringify(override.range)) {
+                this.recordAuditEntry(patientId, 'manual_override_set', {
+                    target: parameter,
+                    previousValue: previousRange,
+                    newValue: override.range,
+                    trigger: override.source
+                });
+                this.fireManualOverrideChangedEvent(patientId, parameter, override.range, 'set');
+            }
+        });
+        
+        const removed = Object.keys(previous).filter(parameter => !overrides[parameter]);
+        if (removed.length > 0) {
+            this.recordAuditEntry(patientId, 'manual_overrides_cleared', {
+                target: removed.join(', '),
+                previousValue: removed.reduce((ranges, parameter) => ({ ...ranges, [parameter]: previous[parameter].range }), {}),
+                newValue: null,
+                trigger: 'remote'
+            });
+            this.fireManualOverrideChangedEvent(patientId, null, null, 'cleared', 'remote');
+        }
+    }
+
+    applyRemoteAlarmToggle(data) {
+        const { patientId, parameter } = data;
+        const isEnabled = data.status !== 'disabled';
+        const wasEnabled = this.getParameterAlarmEnabled(patientId, parameter);
+        const endedSuppression = isEnabled ? this.getAlarmSuppression(patientId, parameter) : null;
+        this.storage.setItem(`patient-${patientId}-alarm-${parameter}`, isEnabled.toString());
+        
+        // The server switched the alarm back on because its suppression ran out
+        if (endedSuppression && new Date(endedSuppression.expiresAt).getTime() <= Date.now()) {
+            this.recordAuditEntry(patientId, 'alarm_suppression_expired', {
+                target: parameter,
+                previousValue: false,
+                newValue: true,
+                trigger: endedSuppression.reason,
+                source: 'server'
+            });
+        }
+        
+        if (isEnabled || !data.suppression) {
+            this.removeAlarmSuppression(patientId, parameter);
+        } else {
+            const suppressions = this.getAlarmSuppressions(patientId);
+            suppressions[parameter] = data.suppression;
+            this.storage.setItem(`${this.storageKeys.ALARM_SUPPRESSION_PREFIX}${patientId}`, JSON.stringify(suppressions));
+        }
+        
+        if (wasEnabled !== isEnabled) {
+            this.recordAuditEntry(patientId, 'alarm_toggle', {
+                target: parameter,
+                previousValue: wasEnabled,
+                newValue: isEnabled
+            });
+        }
+        
+        this.eventBus.dispatchEvent(new CustomEvent('parameterAlarmToggled', {
+            detail: { patientId, parameter, isEnabled, suppression: isEnabled ? null : data.suppression || null }
+        }));
+        
+        if (!isEnabled) {
+            this.clearActiveAlarm(patientId, parameter, 'alarm_disabled');
+        }
+        return patientId;
+    }
+
+    /**
+     * Last server state version this workstation has applied (shared by all pages)
+     * @returns {number|null}
+     */
+    getKnownStateVersion() {
+        const stored = this.storage.getItem(this.storageKeys.STATE_VERSION);
+        return stored !== null && !isNaN(Number(stored)) ? Number(stored) : null;
+    }
+
+    setKnownStateVersion(version) {
+        this.storage.setItem(this.storageKeys.STATE_VERSION, String(version));
+    }
+
+    /**
+     * Reconcile localStorage with the server state received in the connect handshake
+     * Every bed and patient in the reply is applied as a remote change, so only values that differ
+     * are written, audited and announced; beds the server does not know are left as they are
+     * @param {Object} response - sync_response { mode, fromVersion, stateVersion, beds, patients, alarms }
+     * @returns {Object} - { success, beds, patients, error? }
+     */
+    reconcileServerState(response) {
+        try {
+            const beds = response.beds || {};
+            const patients = response.patients || {};
+            const localBeds = this.getBedStates() || {};
+            let bedChanges = 0;
+            
+            Object.entries(beds).forEach(([bedNumber, bed]) => {
+                const localBed = localBeds[bedNumber];
+                const origin = { userId: bed.updatedBy, sessionId: bed.sessionId, stateVersion: bed.version };
+                
+                if (bed.occupied && bed.patientId) {
+                    if (localBed && localBed.occupied && localBed.patientId === bed.patientId) return;
+                    const record = patients[bed.patientId] || {};
+                    this.applyRemoteChange({
+                        ...origin,
+                        type: 'patient_selected',
+                        data: {
+                            patient: { ...record.patient, id: bed.patientId, vpkCode: bed.vpkCode, medicalInfo: record.medicalInfo },
+                            bedNumber: bedNumber,
+                            timestamp: bed.updatedAt
+                        }
+                    });
+                    bedChanges++;
+                } else if (localBed && localBed.occupied && localBed.patientId) {
+                    this.applyRemoteChange({
+                        ...origin,
+                        type: 'patient_discharged',
+                        data: { patientId: localBed.patientId, bedNumber: bedNumber, reason: 'state_sync', timestamp: bed.updatedAt }
+                    });
+                    bedChanges++;
+                }
+            });
+            
+            Object.values(patients).forEach(record => {
+                const patientId = record.patientId;
+                
+                if (record.configuration) {
+                    this.applyRemoteChange({
+                        userId: record.configuration.updatedBy,
+                        sessionId: record.configuration.sessionId,
+                        stateVersion: record.configuration.version,
+                        type: 'thresholds_risk_levels',
+                        data: {
+                            patientId: patientId,
+                            changeType: 'state_sync',
+                            medicalProblem: record.medicalInfo?.selectedProblem,
+                            selectedRiskLevel: record.medicalInfo?.selectedRiskLevel,
+                            riskLevels: record.riskLevels,
+                            thresholds: record.thresholds,
+                            activeTags: record.activeTags,
+                            manualOverrides: record.manualOverrides
+                        }
+                    });
+                }
+                
+                Object.entries(record.alarmStates || {}).forEach(([parameter, alarmState]) => {
+                    const localSuppression = this.getAlarmSuppression(patientId, parameter);
+                    if (this.getParameterAlarmEnabled(patientId, parameter) === alarmState.enabled &&
+                        JSON.stringify(localSuppression) === JSON.stringify(alarmState.suppression || null)) return;
+                    this.applyRemoteChange({
+                        userId: alarmState.updatedBy,
+                        sessionId: alarmState.sessionId,
+                        stateVersion: alarmState.version,
+                        type: 'parameterAlarmToggled',
+                        data: {
+                            patientId: patientId,
+                            parameter: parameter,
+                            status: alarmState.enabled ? 'enabled' : 'disabled',
+                            suppression: alarmState.suppression
+                        }
+                    });
+                });
+            });
+            
+            // Alarms are raised on the server; take over the ones active now
+            if (response.alarms) {
+                this.applyServerAlarms(response.alarms);
+            }
+            
+            this.setKnownStateVersion(response.stateVersion);
+            console.log(`✅ SYNC: Reconciled ${response.mode} to version ${response.stateVersion} (${bedChanges} bed change(s), ${Object.keys(patients).length} patient(s))`);
+            
+            this.eventBus.dispatchEvent(new CustomEvent('stateReconciled', {
+                detail: {
+                    mode: response.mode,
+                    fromVersion: response.fromVersion ?? null,
+                    stateVersion: response.stateVersion,
+                    bedChanges: bedChanges,
+                    patients: Object.keys(patients)
+                }
+            }));
+            return { success: true, beds: bedChanges, patients: Object.keys(patients).length };
+        } catch (error) {
+            console.error('❌ SYNC: Error reconciling server state:', error);
+            return { success: false, error: error.message };
+        }
+    }
+
+    /**
+     * Record and announce an edit that overwrote (or was overwritten by) another workstation's change
+     * @param {Object} conflict - { messageType, patientId, target, baseVersion, currentVersion, updatedBy, updatedAt, overwrittenValue }
+     * @param {string} origin - 'local' when this workstation's edit overwrote the other one, 'remote' when it was overwritten
+     */
+    handleSyncConflict(conflict, origin) {
+        console.warn(`⚠️ SYNC: Conflicting edits on ${conflict.target} for patient ${conflict.patientId} (${origin})`, conflict);
+        
+        this.recordAuditEntry(conflict.patientId, 'sync_conflict', {
+            target: conflict.target,
+            previousValue: conflict.overwrittenValue,
+            newValue: null,
+            trigger: conflict.updatedBy ? `overschreven wijziging van ${conflict.updatedBy}` : 'gelijktijdige wijziging'
+        });
+        
+        this.eventBus.dispatchEvent(new CustomEvent('syncConflict', {
+            detail: { ...conflict, origin: origin }
+        }));
+    }
+
+    // ===================================================================
+    // AUDIT TRAIL
+    // ===================================================================
+
+    /**
+     * Append an entry to the patient's audit log (append-only, stored next to smartAlarmAppData)
+     * @param {string} patientId - Patient ID
+     * @param {string} action - What changed (alarm_toggle, manual_override_set, manual_overrides_cleared,
+     *                          condition_tag_toggle, problem_change, risk_level_change, overall_risk_level_change)
+     * @param {Object} details - { target, previousValue, newValue, trigger?, source? }
+     * @returns {Object|null} - The recorded entry, or null when it could not be stored
+     */
+    recordAuditEntry(patientId, action, details = {}) {
+        if (!patientId) return null;
+        
+        try {
+            const key = `${this.storageKeys.AUDIT_LOG_PREFIX}${patientId}`;
+            const log = this.getAuditLog(patientId);
+            const entry = {
+                id: `audit_${patientId}_${Date.now()}_${log.length}`,
+                timestamp: new Date().toISOString(),
+                patientId: String(patientId),
+                action: action,
+                target: details.target ?? null,
+                previousValue: details.previousValue ?? null,
+                newValue: details.newValue ?? null,
+                trigger: details.trigger || null,
+                user: this.getAuditUser(),
+                source: details.source || this.getAuditSource()
+            };
+            
+            log.push(entry);
+            this.storage.setItem(key, JSON.stringify(log));
+            console.log(`📝 AUDIT: ${action} ${entry.target ?? ''} for patient ${patientId}:`, entry.previousValue, '→', entry.newValue);
+            
+            this.eventBus.dispatchEvent(new CustomEvent('auditLogUpdated', {
+                detail: { patientId: entry.patientId, entry: entry }
+            }));
+            return entry;
+        } catch (error) {
+            console.error('❌ AUDIT: Error recording audit entry:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Get the patient's audit log, oldest first
+     * @param {string} patientId - Patient ID
+     * @param {Object} filters - { action?, since? (ISO string) }
+     * @returns {Array} - Audit entries
+     */
+    getAuditLog(patientId, filters = {}) {
+        try {
+            const log = JSON.parse(this.storage.getItem(`${this.storageKeys.AUDIT_LOG_PREFIX}${patientId}`)) || [];
+            return log.filter(entry =>
+                (!filters.action || entry.action === filters.action) &&
+                (!filters.since || new Date(entry.timestamp) >= new Date(filters.since))
+            );
+        } catch (error) {
+            console.error('❌ AUDIT: Error reading audit log:', error);
+            return [];
+        }
+    }
+
+    /**
+     * Export the patient's audit log for clinical governance reviews
+     * @param {string} patientId - Patient ID
+     * @param {string} format - 'csv' or 'json' (default: 'csv')
+     * @returns {string} - File content
+     */
+    exportAuditLog(patientId, format = 'csv') {
+        const log = this.getAuditLog(patientId);
+        
+        if (format === 'json') {
+            return JSON.stringify({
+                patientId: String(patientId),
+                exportedAt: new Date().toISOString(),
+                protocol: this.getProtocolVersionInfo(),
+                entries: log
+            }, null, 2);
+        }
+        
+        const columns = ['timestamp', 'patientId', 'action', 'target', 'previousValue', 'newValue', 'trigger', 'user', 'source'];
+        const escape = (value) => {
+            const text = value === null || value === undefined ? '' : (typeof value === 'object' ? JSON.stringify(value) : String(value));
+            return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+        };
+        const rows = log.map(entry => columns.map(column => escape(entry[column])).join(','));
+        return [columns.join(','), ...rows].join('\n');
+    }
+
+    /**
+     * Who is making the change (the logged-in user when known)
+     */
+    getAuditUser() {
+        if (this.remoteChangeContext) {
+            return `${this.remoteChangeContext.userId || 'onbekend'} (andere werkplek)`;
+        }
+        const user = this.getCurrentUser();
+        return user ? `${user.id} (${user.role})` : 'onbekend';
+    }
+
+    /**
+     * Which page or component triggered the change
+     */
+    getAuditSource() {
+        if (this.remoteChangeContext) return 'websocket';
+        if (typeof window === 'undefined' || !window.location?.pathname) return 'unknown';
+        return window.location.pathname.split('/').pop() || 'index.html';
+    }
+
+    /**
+     * Initialize the main app data structure if it doesn't exist
+     */
+    initializeAppData() {
+        const existingData = this.getAppData();
+        if (!existingData) {
+            const initialData = {
+                patients: {},
+                beds: {},
+                sessions: {},
+                lastUpdated: new Date().toISOString(),
+                version: '1.0'
+            };
+            this.saveAppData(initialData);
+        }
+    }
+
+    /**
+     * Get the main app data structure
+     */
+    getAppData() {
+        try {
+            // Unreadable app data is quarantined by the store and treated as missing
+            return this.storage.getJSON(this.storageKeys.APP_DATA, null);
+        } catch (error) {
+            console.error('Error getting app data:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Save the main app data structure
+     */
+    saveAppData(data) {
+        try {
+            data.lastUpdated = new Date().toISOString();
+            this.storage.setItem(this.storageKeys.APP_DATA, JSON.stringify(data));
+            return true;
+        } catch (error) {
+            console.error('Error saving app data:', error);
+            return false;
+        }
+    }
+
+    /**
+     * Save patient medical information
+     */
+    savePatientMedicalInfo(patientId, medicalInfo) {
+        try {
+            // Get current medical info to detect changes
+            const currentMedicalInfo = this.getPatientMedicalInfo(patientId);
+            const oldRiskLevel = currentMedicalInfo?.selectedRiskLevel;
+            const newRiskLevel = medicalInfo?.selectedRiskLevel;
+            const oldProblem = currentMedicalInfo?.selectedProblem;
+            const newProblem = medicalInfo?.selectedProblem;
+            
+            // Record which protocol produced the thresholds whenever problem or risk level is (re)applied
+            const protocolInfo = this.getProtocolVersionInfo();
+            if (protocolInfo && (newRiskLevel !== oldRiskLevel || newProblem !== oldProblem || !currentMedicalInfo?.protocolVersion)) {
+                medicalInfo = {
+                    ...medicalInfo,
+                    protocolId: protocolInfo.protocolId,
+                    protocolVersion: protocolInfo.version
+                };
+            } else if (currentMedicalInfo?.protocolVersion && !medicalInfo.protocolVersion) {
+                medicalInfo = {
+                    ...medicalInfo,
+                    protocolId: currentMedicalInfo.protocolId,
+                    protocolVersion: currentMedicalInfo.protocolVersion
+                };
+            }
+            
+            // Medical info is only kept in the centralized app data
+            const appData = this.getAppData();
+            if (appData) {
+                if (!appData.patients[patientId]) {
+                    appData.patients[patientId] = {};
+                }
+                appData.patients[patientId].medicalInfo = medicalInfo;
+                if (medicalInfo.protocolVersion) {
+                    appData.patients[patientId].protocolVersion = medicalInfo.protocolVersion;
+                }
+                appData.patients[patientId].lastUpdated = new Date().toISOString();
+                this.saveAppData(appData);
+            }
+
+            // Base ranges depend on problem + risk level, so cached effective values are stale
+            if (newRiskLevel !== oldRiskLevel || newProblem !== oldProblem) {
+                this.invalidateEffectiveValuesCache(patientId);
+            }
+            
+            if (newProblem && newProblem !== oldProblem) {
+                this.recordAuditEntry(patientId, 'problem_change', {
+                    target: 'selectedProblem',
+                    previousValue: oldProblem || null,
+                    newValue: newProblem
+                });
+            }
+            if (newRiskLevel && newRiskLevel !== oldRiskLevel) {
+                this.recordAuditEntry(patientId, 'risk_level_change', {
+                    target: 'selectedRiskLevel',
+                    previousValue: oldRiskLevel || null,
+                    newValue: newRiskLevel
+                });
+            }
+
+            // Send WebSocket message for any significant medical info change
+            let shouldSendMessage = false;
+            let changeDescription = [];
+
+            // Check for risk level changes (including first-time setting)
+            if (newRiskLevel && (!oldRiskLevel || oldRiskLevel !== newRiskLevel)) {
+                shouldSendMessage = true;
+                if (!oldRiskLevel) {
+                    changeDescription.push(`Risk level set to: ${newRiskLevel}`);
+                    console.log(`📊 Risk level set for patient ${patientId}: ${newRiskLevel}`);
+                } else {
+                    changeDescription.push(`Risk level changed: ${oldRiskLevel} → ${newRiskLevel}`);
+                    console.log(`📊 Risk level changed for patient ${patientId}: ${oldRiskLevel} → ${newRiskLevel}`);
+                }
+            }
+
+            // Check for medical condition changes (including first-time setting)
+            if (newProblem && (!oldProblem || oldProblem !== newProblem)) {
+                shouldSendMessage = true;
+                if (!oldProblem) {
+                    changeDescription.push(`Medical condition set to: ${newProblem}`);
+                    console.log(`🏥 Medical condition set for patient ${patientId}: ${newProblem}`);
+                } else {
+                    changeDescription.push(`Medical condition changed: ${oldProblem} → ${newProblem}`);
+                    console.log(`🏥 Medical condition changed for patient ${patientId}: ${oldProblem} → ${newProblem}`);
+                }
+            }
+
+            // Check for threshold changes (custom thresholds updates)
+            if (medicalInfo.customThresholds && 
+                JSON.stringify(currentMedicalInfo?.customThresholds) !== JSON.stringify(medicalInfo.customThresholds)) {
+                shouldSendMessage = true;
+                changeDescription.push('Custom thresholds updated');
+                console.log(`⚙️ Custom thresholds updated for patient ${patientId}`);
+            }
+
+            // Send full configuration message if any significant change detected
+            if (shouldSendMessage) {
+                console.log(`📤 Will send full configuration message for patient ${patientId} with changes:`, changeDescription);
+                
+                this.sendFullThresholdsRiskLevels(patientId);
+                
+                // Dispatch custom event for cross-page synchronization (bed overview updates)
+                this.eventBus.dispatchEvent(new CustomEvent('patientMedicalInfoChanged', {
+                    detail: {
+                        patientId: patientId,
+                        oldRiskLevel: oldRiskLevel,
+                        newRiskLevel: newRiskLevel,
+                        oldProblem: oldProblem,
+                        newProblem: newProblem,
+                        changes: changeDescription
+                    }
+                }));
+                console.log('🔄 Dispatched patientMedicalInfoChanged event for bed overview update');
+            }
+
+            console.log(`✅ Patient medical info saved for patient ${patientId}`);
+            return true;
+        } catch (error) {
+            console.error('❌ Error saving patient medical info:', error);
+            return false;
+        }
+    }
+
+    /**
+     * Collect complete current medical configuration for a patient
+     * PRINCIPLE: Returns exactly what is currently displayed in the UI (sliders + risk level buttons)
+     * This is the "display truth" that should be sent via websocket
+     */
+    collectCurrentMedicalConfiguration(patientId) {
+        try {
+            console.log(`📋 Collecting DISPLAY TRUTH medical configuration for patient ${patientId}`);
+            
+            const medicalInfo = this.getPatientMedicalInfo(patientId) || {};
+            const bedStates = this.getBedStates() || {};
+            
+            // Find patient's bed number
+            let bedNumber = null;
+            for (const [bed, data] of Object.entries(bedStates)) {
+                if (data.patientId === patientId) {
+                    bedNumber = bed;
+                    break;
+                }
+            }
+            
+            // Get the current medical problem and risk level
+            const medicalProblem = medicalInfo.selectedProblem || null;
             const selectedRiskLevel = medicalInfo.selectedRiskLevel || 'low';
             
             // Get CURRENT DISPLAY TRUTH: What's actually shown in the UI risk level buttons
@@ -822,15 +2761,7 @@ class SharedDataManager {
                         console.log(`📊 Base matrix-based ranges for ${medicalProblem}:`, matrixRanges);
                         
                         // Check for active condition states that might require threshold adjustments
-                        const activeTags = [];
-                        const sepsisCondition = this.getPatientConditionState('sepsis', patientId);
-                        if (sepsisCondition && sepsisCondition.isActive) {
-                            activeTags.push('sepsis');
-                        }
-                        const pneumonieCondition = this.getPatientConditionState('pneumonie', patientId);
-                        if (pneumonieCondition && pneumonieCondition.isActive) {
-                            activeTags.push('pneumonie');
-                        }
+                        const activeTags = this.getAllActiveTagsForPatient(patientId);
                         
                         // Apply tag-based adjustments if any active conditions found
                         if (activeTags.length > 0) {
@@ -866,6 +2797,9 @@ class SharedDataManager {
                 patientId: patientId,
                 bedNumber: bedNumber,
                 medicalProblem: medicalProblem,
+                selectedRiskLevel: medicalInfo.selectedRiskLevel || null,
+                activeTags: this.getAllActiveTagsForPatient(patientId),
+                protocolVersion: medicalInfo.protocolVersion || this.getProtocolVersionInfo()?.version || null,
                 riskLevels: riskLevels,
                 thresholds: thresholds,
                 displayTruthSource: currentlyDisplayedRanges ? 'slider_values' : 'calculated_fallback',
@@ -929,6 +2863,9 @@ class SharedDataManager {
             bedNumber: currentConfig.bedNumber,
             changeType: currentConfig.manualOverrides?.hasManualOverrides ? 'manual_override' : 'display_truth',
             medicalProblem: currentConfig.medicalProblem,
+            selectedRiskLevel: currentConfig.selectedRiskLevel,
+            activeTags: currentConfig.activeTags,
+            protocolVersion: currentConfig.protocolVersion,
             riskLevels: currentConfig.riskLevels,
             thresholds: formattedThresholds,
             dataSource: currentConfig.displayTruthSource, // NEW: Indicates if from sliders or fallback
@@ -962,16 +2899,8 @@ class SharedDataManager {
      */
     getPatientMedicalInfo(patientId) {
         try {
-            // Try centralized app data first
             const appData = this.getAppData();
-            if (appData && appData.patients[patientId] && appData.patients[patientId].medicalInfo) {
-                return appData.patients[patientId].medicalInfo;
-            }
-
-            // Fallback to legacy individual storage
-            const patientKey = this.storageKeys.PATIENT_PREFIX + patientId + '_medicalInfo';
-            const data = localStorage.getItem(patientKey);
-            return data ? JSON.parse(data) : null;
+            return appData?.patients?.[patientId]?.medicalInfo || null;
         } catch (error) {
             console.error('❌ Error getting patient medical info:', error);
             return null;
@@ -980,24 +2909,31 @@ class SharedDataManager {
 
     /**
      * Save bed states
+     * The given beds are merged into the stored states, so a page showing one unit
+     * does not remove the beds of the other units
+     * @param {Object} bedStates - { [bedId]: { occupied, patientId, patientData, riskLevel, vpkCode, timestamp } }
      */
     saveBedStates(bedStates) {
         try {
             // Get current bed states to detect changes
-            const currentBedStates = this.getBedStates() || {};
+            const currentBedStates = this.getStoredBedStates() || {};
+            const mergedBedStates = { ...currentBedStates, ...bedStates };
+            
+            Object.keys(bedStates).forEach(bedNumber => {
+                if (this.wardLayout && !this.getBedLayout(bedNumber)) {
+                    console.warn(`⚠️ Bed ${bedNumber} is not part of the ward layout and will not be shown`);
+                }
+            });
             
-            // Save individual bed states (legacy compatibility)
-            localStorage.setItem(this.storageKeys.BED_STATES, JSON.stringify(bedStates));
-
-            // Also save to centralized app data
+            // Bed states are only kept in the centralized app data
             const appData = this.getAppData();
             if (appData) {
-                appData.beds = bedStates;
+                appData.beds = mergedBedStates;
                 this.saveAppData(appData);
             }
 
             // Detect patient assignments/changes and send WebSocket messages
-            this.detectAndSendBedChanges(currentBedStates, bedStates);
+            this.detectAndSendBedChanges(currentBedStates, mergedBedStates);
 
             return true;
         } catch (error) {
@@ -1010,6 +2946,11 @@ class SharedDataManager {
      * Detect bed state changes and send appropriate WebSocket messages
      */
     detectAndSendBedChanges(oldBedStates, newBedStates) {
+        // transferPatient sends its own patient_transferred message
+        if (this.bedTransferContext) {
+            return;
+        }
+        
         try {
             for (const bedNumber in newBedStates) {
                 const oldBed = oldBedStates[bedNumber] || {};
@@ -1038,7 +2979,7 @@ class SharedDataManager {
                     
                     this.sendWebSocketMessage('patient_selected', {
                         patient: fullPatientData,
-                        bedNumber: parseInt(bedNumber),
+                        bedNumber: bedNumber,
                         timestamp: new Date().toISOString(),
                         metadata: {
                             source: 'bed_overview',
@@ -1051,7 +2992,7 @@ class SharedDataManager {
                 if (oldBed.occupied && (!newBed.occupied || !newBed.patientId) && oldBed.patientId) {
                     this.sendWebSocketMessage('patient_discharged', {
                         patientId: oldBed.patientId,
-                        bedNumber: parseInt(bedNumber),
+                        bedNumber: bedNumber,
                         reason: 'manual_discharge',
                         timestamp: new Date().toISOString(),
                         metadata: {
@@ -1067,7 +3008,7 @@ class SharedDataManager {
                     // Send discharge for old patient
                     this.sendWebSocketMessage('patient_discharged', {
                         patientId: oldBed.patientId,
-                        bedNumber: parseInt(bedNumber),
+                        bedNumber: bedNumber,
                         reason: 'patient_transfer',
                         timestamp: new Date().toISOString(),
                         metadata: {
@@ -1097,7 +3038,7 @@ class SharedDataManager {
                     
                     this.sendWebSocketMessage('patient_selected', {
                         patient: fullPatientData,
-                        bedNumber: parseInt(bedNumber),
+                        bedNumber: bedNumber,
                         timestamp: new Date().toISOString(),
                         metadata: {
                             source: 'bed_overview',
@@ -1112,19 +3053,40 @@ class SharedDataManager {
     }
 
     /**
-     * Get bed states
+     * Get bed states for the beds in the ward layout
+     * Beds without a stored state are returned as empty beds
+     * @param {string} unitId - Only the beds of this unit (default: every bed, including stored beds outside the layout)
+     * @returns {Object} - { [bedId]: bedState }
+     */
+    getBedStates(unitId = null) {
+        const storedBedStates = this.getStoredBedStates() || {};
+        if (!this.wardLayout) {
+            return storedBedStates;
+        }
+        
+        const bedStates = unitId ? {} : { ...storedBedStates };
+        this.wardLayout.getBedIds(unitId).forEach(bedId => {
+            bedStates[bedId] = storedBedStates[bedId] || {
+                occupied: false,
+                patientId: null,
+                patientData: null,
+                riskLevel: null,
+                vpkCode: null
+            };
+        });
+        return bedStates;
+    }
+
+    /**
+     * Bed states exactly as stored (only beds that have been used)
      */
-    getBedStates() {
+    getStoredBedStates() {
         try {
-            // Try centralized app data first
             const appData = this.getAppData();
             if (appData && appData.beds && Object.keys(appData.beds).length > 0) {
                 return appData.beds;
             }
-
-            // Fallback to legacy individual storage
-            const data = localStorage.getItem(this.storageKeys.BED_STATES);
-            return data ? JSON.parse(data) : null;
+            return null;
         } catch (error) {
             console.error('❌ Error getting bed states:', error);
             return null;
@@ -1137,7 +3099,7 @@ class SharedDataManager {
     saveSessionData(sessionData) {
         try {
             // PATIENT SWITCH DETECTION: Check if patient is changing
-            const previousPatient = localStorage.getItem(this.storageKeys.CURRENT_PATIENT);
+            const previousPatient = this.storage.getItem(this.storageKeys.CURRENT_PATIENT);
             const newPatient = sessionData.currentPatient;
             
             if (previousPatient && newPatient && previousPatient !== newPatient) {
@@ -1150,19 +3112,21 @@ class SharedDataManager {
             
             // Save individual session items (legacy compatibility)
             if (sessionData.currentPatient) {
-                localStorage.setItem(this.storageKeys.CURRENT_PATIENT, sessionData.currentPatient);
+                this.storage.setItem(this.storageKeys.CURRENT_PATIENT, sessionData.currentPatient);
             }
             if (sessionData.currentBed) {
-                localStorage.setItem(this.storageKeys.CURRENT_BED, sessionData.currentBed);
+                this.storage.setItem(this.storageKeys.CURRENT_BED, sessionData.currentBed);
             }
             if (sessionData.selectedRiskLevel) {
-                localStorage.setItem(this.storageKeys.SELECTED_RISK_LEVEL, sessionData.selectedRiskLevel);
+                this.storage.setItem(this.storageKeys.SELECTED_RISK_LEVEL, sessionData.selectedRiskLevel);
             }
 
             // Also save to centralized app data
             const appData = this.getAppData();
             if (appData) {
                 appData.sessions.current = {
+                    // The logged-in user survives patient/bed session updates
+                    user: appData.sessions.current?.user || null,
                     ...sessionData,
                     timestamp: new Date().toISOString()
                 };
@@ -1189,9 +3153,9 @@ class SharedDataManager {
 
             // Fallback to legacy individual storage
             return {
-                currentPatient: localStorage.getItem(this.storageKeys.CURRENT_PATIENT),
-                currentBed: localStorage.getItem(this.storageKeys.CURRENT_BED),
-                selectedRiskLevel: localStorage.getItem(this.storageKeys.SELECTED_RISK_LEVEL)
+                currentPatient: this.storage.getItem(this.storageKeys.CURRENT_PATIENT),
+                currentBed: this.storage.getItem(this.storageKeys.CURRENT_BED),
+                selectedRiskLevel: this.storage.getItem(this.storageKeys.SELECTED_RISK_LEVEL)
             };
         } catch (error) {
             console.error('❌ Error getting session data:', error);
@@ -1205,14 +3169,15 @@ class SharedDataManager {
     clearSessionData() {
         try {
             // Clear individual items (legacy compatibility)
-            localStorage.removeItem(this.storageKeys.CURRENT_PATIENT);
-            localStorage.removeItem(this.storageKeys.CURRENT_BED);
-            localStorage.removeItem(this.storageKeys.SELECTED_RISK_LEVEL);
+            this.storage.removeItem(this.storageKeys.CURRENT_PATIENT);
+            this.storage.removeItem(this.storageKeys.CURRENT_BED);
+            this.storage.removeItem(this.storageKeys.SELECTED_RISK_LEVEL);
 
-            // Clear from centralized app data
+            // Clear from centralized app data; the logged-in user stays logged in
             const appData = this.getAppData();
             if (appData) {
-                appData.sessions.current = null;
+                const user = this.getCurrentUser();
+                appData.sessions.current = user ? { user: user, timestamp: new Date().toISOString() } : null;
                 this.saveAppData(appData);
             }
 
@@ -1229,27 +3194,7 @@ class SharedDataManager {
     getAllPatients() {
         try {
             const appData = this.getAppData();
-            if (appData && appData.patients) {
-                return appData.patients;
-            }
-
-            // Fallback: scan localStorage for patient keys (limited for performance)
-            const patients = {};
-            const maxScans = Math.min(localStorage.length, 50); // Limit to 50 items max
-            for (let i = 0; i < maxScans; i++) {
-                const key = localStorage.key(i);
-                if (key && key.startsWith(this.storageKeys.PATIENT_PREFIX) && key.endsWith('_medicalInfo')) {
-                    const patientId = key.replace(this.storageKeys.PATIENT_PREFIX, '').replace('_medicalInfo', '');
-                    const data = localStorage.getItem(key);
-                    if (data) {
-                        patients[patientId] = {
-                            medicalInfo: JSON.parse(data),
-                            lastUpdated: new Date().toISOString()
-                        };
-                    }
-                }
-            }
-            return patients;
+            return appData?.patients || {};
         } catch (error) {
             console.error('❌ Error getting all patients:', error);
             return {};
@@ -1258,22 +3203,33 @@ class SharedDataManager {
 
     /**
      * Remove patient data
+     * The current configuration is archived first (see archivePatientStay); the audit log,
+     * registry entry and discharge archive are kept
+     * @param {Object} options - { archive: false } when the caller already archived the stay
      */
-    removePatient(patientId) {
+    removePatient(patientId, options = {}) {
         try {
+            if (options.archive !== false && this.getAppData()?.patients?.[patientId]) {
+                this.archivePatientStay(patientId, { reason: 'removed' });
+            }
+            
+
             // Remove individual patient data (legacy compatibility)
-            const patientMedicalKey = this.storageKeys.PATIENT_PREFIX + patientId + '_medicalInfo';
             const patientTargetRangesKey = this.storageKeys.PATIENT_PREFIX + patientId + '_targetRanges';
             const patientCirculatoirKey = this.storageKeys.PATIENT_PREFIX + patientId + '_circulatoirSettings';
             const patientHRBackupKey = this.storageKeys.PATIENT_PREFIX + patientId + '_hrBackup';
             
-            localStorage.removeItem(patientMedicalKey);
-            localStorage.removeItem(patientTargetRangesKey);
-            localStorage.removeItem(patientCirculatoirKey);
-            localStorage.removeItem(patientHRBackupKey);
+            this.storage.removeItem(patientTargetRangesKey);
+            this.storage.removeItem(patientCirculatoirKey);
+            this.storage.removeItem(patientHRBackupKey);
+            ['_conditions', '_current_target_ranges', '_respiratorySettings', '_otherSettings'].forEach(suffix => {
+                this.storage.removeItem(this.storageKeys.PATIENT_PREFIX + patientId + suffix);
+            });
+            this.storage.removeItem(`${this.storageKeys.MANUAL_OVERRIDE_PREFIX}${patientId}`);
+            this.storage.removeItem(`${this.storageKeys.ALARM_SUPPRESSION_PREFIX}${patientId}`);
+            this.invalidateEffectiveValuesCache(patientId);
             
             console.log('✅ Removed legacy patient keys:', {
-                medical: patientMedicalKey,
                 targetRanges: patientTargetRangesKey,
                 circulatoir: patientCirculatoirKey,
                 hrBackup: patientHRBackupKey
@@ -1289,13 +3245,13 @@ class SharedDataManager {
             
             // Clear any heart monitoring level data for this patient
             const heartLevelKey = `heartMonitoringLevel_${patientId}`;
-            localStorage.removeItem(heartLevelKey);
+            this.storage.removeItem(heartLevelKey);
             
             // Clear all parameter alarm states for this patient
             const parameters = ['HR', 'BP_Mean', 'Saturatie', 'AF', 'Temperature'];
             parameters.forEach(parameter => {
                 const alarmKey = `patient-${patientId}-alarm-${parameter}`;
-                localStorage.removeItem(alarmKey);
+                this.storage.removeItem(alarmKey);
                 console.log(`🔔 Removed alarm state for ${parameter}:`, alarmKey);
             });
             console.log('✅ Cleared all parameter alarm states for patient:', patientId);
@@ -1356,64 +3312,662 @@ class SharedDataManager {
     }
 
     /**
-     * Initialize data for index.html
+     * Initialize data for index.html
+     */
+    initializeBedOverviewPage() {
+        console.log('🏥 Initializing bed overview page...');
+        
+        // Get the beds of the current unit and all patient data
+        const currentUnit = this.getCurrentUnit();
+        const bedStates = this.getBedStates(currentUnit ? currentUnit.id : null);
+        const allPatients = this.getAllPatients();
+        const sessionData = this.getSessionData();
+        const availablePatients = this.getAvailablePatients();
+        
+        return {
+            sessionData: sessionData,
+            units: this.getWardUnits(),
+            currentUnit: currentUnit,
+            bedStates: bedStates || {},
+            allPatients: allPatients,
+            availablePatients: availablePatients
+        };
+    }
+
+    // ===================================================================
+    // DISCHARGE ARCHIVE
+    // ===================================================================
+
+    /**
+     * Archive the patient's final configuration of the current stay
+     * @param {string} patientId - Patient ID
+     * @param {Object} details - { bed?: bed state at discharge, bedNumber?, reason? }
+     * @returns {Object|null} - Archived stay (see getPatientArchive), or null on error
+     */
+    archivePatientStay(patientId, details = {}) {
+        try {
+            const configuration = this.collectCurrentMedicalConfiguration(patientId) || {};
+            const medicalInfo = this.getPatientMedicalInfo(patientId) || {};
+            const bed = details.bed || {};
+            const admittedAt = bed.admittedAt || bed.timestamp || null;
+            const dischargedAt = new Date().toISOString();
+            const archive = this.getPatientArchive(patientId);
+            
+            const stay = {
+                stayId: `stay_${patientId}_${Date.now()}_${archive.length}`,
+                patientId: String(patientId),
+                patient: bed.patientData || this.getPatientInfo(patientId),
+                bedNumber: details.bedNumber ?? configuration.bedNumber ?? null,
+                admittedAt: admittedAt,
+                dischargedAt: dischargedAt,
+                reason: details.reason || 'manual_discharge',
+                medicalProblem: medicalInfo.selectedProblem || null,
+                selectedRiskLevel: medicalInfo.selectedRiskLevel || null,
+                protocolVersion: medicalInfo.protocolVersion || null,
+                riskLevels: configuration.riskLevels || null,
+                activeTags: this.getAllActiveTagsForPatient(patientId),
+                thresholds: configuration.thresholds || null,
+                manualOverrides: this.getManualOverrides(patientId),
+                alarmStates: this.getAllParameterAlarmStates(patientId),
+                timeline: this.getAuditLog(patientId, admittedAt ? { since: admittedAt } : {}).map(entry => ({
+                    timestamp: entry.timestamp,
+                    action: entry.action,
+                    target: entry.target,
+                    previousValue: entry.previousValue,
+                    newValue: entry.newValue,
+                    user: entry.user
+                }))
+            };
+            
+            archive.push(stay);
+            this.storage.setItem(`${this.storageKeys.DISCHARGE_ARCHIVE_PREFIX}${patientId}`, JSON.stringify(archive));
+            this.recordAuditEntry(patientId, 'stay_archived', {
+                target: 'archive',
+                newValue: stay.stayId,
+                trigger: stay.reason
+            });
+            console.log(`🗄️ ARCHIVE: Stay of patient ${patientId} archived (${stay.medicalProblem || 'geen probleem'}, ${stay.timeline.length} timeline entries)`);
+            return stay;
+        } catch (error) {
+            console.error('❌ ARCHIVE: Error archiving patient stay:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Archived stays of a patient, oldest first
+     * @returns {Array} - [{ stayId, patientId, patient, bedNumber, admittedAt, dischargedAt, reason, medicalProblem,
+     *                      selectedRiskLevel, protocolVersion, riskLevels, activeTags, thresholds, manualOverrides,
+     *                      alarmStates, timeline }]
+     */
+    getPatientArchive(patientId) {
+        try {
+            return JSON.parse(this.storage.getItem(`${this.storageKeys.DISCHARGE_ARCHIVE_PREFIX}${patientId}`)) || [];
+        } catch (error) {
+            console.error('❌ ARCHIVE: Error reading patient archive:', error);
+            return [];
+        }
+    }
+
+    /**
+     * @param {string} stayId - Archived stay (default: the most recent one)
+     * @returns {Object|null}
+     */
+    getArchivedStay(patientId, stayId = null) {
+        const archive = this.getPatientArchive(patientId);
+        if (!stayId) {
+            return archive[archive.length - 1] || null;
+        }
+        return archive.find(stay => stay.stayId === stayId) || null;
+    }
+
+    /**
+     * Seed the current stay with the alarm settings of an archived stay:
+     * problem, risk level, organ monitoring levels, condition tags, manual overrides and alarm toggles.
+     * The restored configuration is sent to the server like any other change.
+     * @param {string} stayId - Archived stay (default: the most recent one)
+     * @returns {Object} - { success: boolean, stay?, alarmsNotRestored?: Array<string>, overridesNotRestored?: Array<string>, error? }
+     */
+    restoreArchivedStay(patientId, stayId = null) {
+        try {
+            const stay = this.getArchivedStay(patientId, stayId);
+            if (!stay) {
+                return { success: false, error: `Geen eerdere opname gevonden voor patiënt ${patientId}` };
+            }
+            
+            // Problem and overall risk level (the protocol version is stamped again by savePatientMedicalInfo)
+            const medicalInfo = { ...(this.getPatientMedicalInfo(patientId) || {}) };
+            medicalInfo.selectedProblem = stay.medicalProblem;
+            if (stay.selectedRiskLevel) medicalInfo.selectedRiskLevel = stay.selectedRiskLevel;
+            this.savePatientMedicalInfo(patientId, medicalInfo);
+            
+            // Organ monitoring levels
+            const riskLevels = stay.riskLevels || {};
+            if (riskLevels.circulatoir) this.setHeartMonitoringLevel(patientId, riskLevels.circulatoir);
+            if (riskLevels.respiratoire) this.setLungMonitoringLevel(patientId, riskLevels.respiratoire);
+            if (riskLevels.temperature) this.setTempMonitoringLevel(patientId, riskLevels.temperature);
+            
+            // Condition tags
+            this.getSupportedConditionTags().forEach(tag => {
+                this.setPatientConditionState(tag, {
+                    isActive: (stay.activeTags || []).includes(tag),
+                    patientId: patientId,
+                    timestamp: Date.now(),
+                    source: 'archive-restore'
+                });
+            });
+            
+            // Manual overrides go through the same permission check and audit trail as setting them by hand
+            const overridesNotRestored = [];
+            Object.entries(stay.manualOverrides || {}).forEach(([parameter, override]) => {
+                if (override && override.range && !this.setManualOverride(patientId, parameter, override.range, 'archive-restore').success) {
+                    overridesNotRestored.push(parameter);
+                }
+            });
+            this.invalidateEffectiveValuesCache(patientId);
+            
+            // The ranges the sliders showed; refused overrides fall back to the protocol range
+            if (stay.thresholds) {
+                const thresholds = { ...stay.thresholds };
+                if (overridesNotRestored.length > 0) {
+                    const effectiveRanges = this.getCurrentEffectiveValues(patientId, { useCache: false }).parameterRanges;
+                    overridesNotRestored.forEach(parameter => {
+                        if (effectiveRanges[parameter]) thresholds[parameter] = effectiveRanges[parameter];
+                    });
+                }
+                this.setCurrentTargetRanges(patientId, thresholds, 'archive-restore');
+            }
+            
+            // Alarm toggles: only switched-off alarms differ from a new stay, and switching one off
+            // again needs the same permission as doing it by hand
+            const alarmsNotRestored = [];
+            Object.entries(stay.alarmStates || {}).forEach(([parameter, isEnabled]) => {
+                if (isEnabled === false && !this.setParameterAlarmEnabled(patientId, parameter, false).success) {
+                    alarmsNotRestored.push(parameter);
+                }
+            });
+            
+            this.recordAuditEntry(patientId, 'stay_restored', {
+                target: 'archive',
+                previousValue: null,
+                newValue: stay.stayId,
+                trigger: 'readmission'
+            });
+            this.fireTargetRangesChangedEvent(patientId, this.getCurrentTargetRanges(patientId), 'archive-restore');
+            this.sendFullThresholdsRiskLevels(patientId);
+            
+            console.log(`🗄️ ARCHIVE: Settings of stay ${stay.stayId} restored for patient ${patientId}`);
+            return { success: true, stay: stay, alarmsNotRestored: alarmsNotRestored, overridesNotRestored: overridesNotRestored };
+        } catch (error) {
+            console.error('❌ ARCHIVE: Error restoring archived stay:', error);
+            return { success: false, error: error.message };
+        }
+    }
+
+    // ===================================================================
+    // PATIENT REGISTRY
+    // ===================================================================
+
+    /**
+     * Get the stored patient registry; it starts empty (demo patients can be imported from demo/demo-patients.csv)
+     * @returns {Object} - { [patientId]: { id, name, birthDate, gender, weight, registeredAt, source } }
+     */
+    getPatientRegistry() {
+        try {
+            return JSON.parse(this.storage.getItem(this.storageKeys.PATIENT_REGISTRY)) || {};
+        } catch (error) {
+            console.error('❌ REGISTRY: Error reading patient registry:', error);
+            return {};
+        }
+    }
+
+    savePatientRegistry(registry) {
+        this.storage.setItem(this.storageKeys.PATIENT_REGISTRY, JSON.stringify(registry));
+        this.eventBus.dispatchEvent(new CustomEvent('patientRegistryChanged', {
+            detail: { count: Object.keys(registry).length }
+        }));
+    }
+
+    /**
+     * Validate and normalise patient details for the registry
+     * Gender accepts Man/Vrouw as well as M/F/V/male/female; weight accepts a decimal comma
+     * @param {Object} patientData - { id, name, birthDate (YYYY-MM-DD), gender, weight (kg) }
+     * @returns {Object} - Normalised patient
+     * @throws {Error} - With a Dutch message describing the first invalid field
+     */
+    normalizeRegistryPatient(patientData = {}) {
+        const id = String(patientData.id ?? '').trim();
+        if (!id) {
+            throw new Error('Patiëntnummer is verplicht');
+        }
+        
+        const name = String(patientData.name ?? '').trim();
+        if (!name) {
+            throw new Error(`Naam is verplicht (patiënt ${id})`);
+        }
+        
+        const birthDate = String(patientData.birthDate ?? '').trim();
+        const parsedBirthDate = new Date(`${birthDate}T00:00:00Z`);
+        if (!/^\d{4}-\d{2}-\d{2}$/.test(birthDate) || isNaN(parsedBirthDate.getTime())) {
+            throw new Error(`Ongeldige geboortedatum "${birthDate}" (patiënt ${id}), gebruik JJJJ-MM-DD`);
+        }
+        if (parsedBirthDate > new Date()) {
+            throw new Error(`Geboortedatum ligt in de toekomst (patiënt ${id})`);
+        }
+        
+        const genders = { man: 'Man', m: 'Man', male: 'Man', vrouw: 'Vrouw', v: 'Vrouw', f: 'Vrouw', female: 'Vrouw' };
+        const gender = genders[String(patientData.gender ?? '').trim().toLowerCase()];
+        if (!gender) {
+            throw new Error(`Onbekend geslacht "${patientData.gender ?? ''}" (patiënt ${id})`);
+        }
+        
+        const weight = typeof patientData.weight === 'string'
+            ? parseFloat(patientData.weight.replace(',', '.'))
+            : patientData.weight;
+        if (typeof weight !== 'number' || isNaN(weight) || weight <= 0 || weight > 500) {
+            throw new Error(`Ongeldig gewicht "${patientData.weight ?? ''}" (patiënt ${id})`);
+        }
+        
+        return { id, name, birthDate, gender, weight };
+    }
+
+    /**
+     * Age in whole years on a given date
+     * @param {string} birthDate - YYYY-MM-DD
+     * @param {Date} at - Reference date (default: now)
+     * @returns {number|null}
+     */
+    calculateAge(birthDate, at = new Date()) {
+        const birth = new Date(`${birthDate}T00:00:00Z`);
+        if (isNaN(birth.getTime())) return null;
+        
+        let age = at.getUTCFullYear() - birth.getUTCFullYear();
+        const beforeBirthday = at.getUTCMonth() < birth.getUTCMonth() ||
+            (at.getUTCMonth() === birth.getUTCMonth() && at.getUTCDate() < birth.getUTCDate());
+        return beforeBirthday ? age - 1 : age;
+    }
+
+    /**
+     * Registry entry as the pages use it: the stored fields plus the current age
+     */
+    toPatientInfo(registryPatient) {
+        return { ...registryPatient, age: this.calculateAge(registryPatient.birthDate) };
+    }
+
+    /**
+     * Admit a new patient to the registry
+     * @param {Object} patientData - { id, name, birthDate, gender, weight }
+     * @param {string} source - Where the patient came from ('manual' or 'adt_import')
+     * @returns {Object} - { success: true, patient } or { success: false, error }
+     */
+    createPatient(patientData, source = 'manual') {
+        try {
+            const patient = this.normalizeRegistryPatient(patientData);
+            const registry = this.getPatientRegistry();
+            if (registry[patient.id]) {
+                return { success: false, error: `Patiëntnummer ${patient.id} bestaat al` };
+            }
+            
+            registry[patient.id] = { ...patient, registeredAt: new Date().toISOString(), source: source };
+            this.savePatientRegistry(registry);
+            this.recordAuditEntry(patient.id, 'patient_registered', {
+                target: 'registry',
+                newValue: { name: patient.name, birthDate: patient.birthDate, gender: patient.gender, weight: patient.weight },
+                trigger: source
+            });
+            console.log(`🏥 REGISTRY: Patient ${patient.id} (${patient.name}) registered via ${source}`);
+            return { success: true, patient: this.toPatientInfo(registry[patient.id]) };
+        } catch (error) {
+            console.error('❌ REGISTRY: Error creating patient:', error.message);
+            return { success: false, error: error.message };
+        }
+    }
+
+    /**
+     * Update the details of a registered patient (e.g. a corrected weight from the ADT feed)
+     * @param {string} patientId - Patient ID
+     * @param {Object} changes - Any of { name, birthDate, gender, weight }
+     * @returns {Object} - { success: true, patient } or { success: false, error }
+     */
+    updatePatient(patientId, changes, source = 'manual') {
+        try {
+            const registry = this.getPatientRegistry();
+            const existing = registry[String(patientId)];
+            if (!existing) {
+                return { success: false, error: `Patiënt ${patientId} staat niet in het register` };
+            }
+            
+            const patient = this.normalizeRegistryPatient({ ...existing, ...changes, id: existing.id });
+            const changed = ['name', 'birthDate', 'gender', 'weight'].filter(field => patient[field] !== existing[field]);
+            if (changed.length === 0) {
+                return { success: true, patient: this.toPatientInfo(existing), unchanged: true };
+            }
+            
+            registry[existing.id] = { ...existing, ...patient, updatedAt: new Date().toISOString() };
+            this.savePatientRegistry(registry);
+            this.recordAuditEntry(existing.id, 'patient_updated', {
+                target: changed.join(','),
+                previousValue: Object.fromEntries(changed.map(field => [field, existing[field]])),
+                newValue: Object.fromEntries(changed.map(field => [field, patient[field]])),
+                trigger: source
+            });
+            return { success: true, patient: this.toPatientInfo(registry[existing.id]) };
+        } catch (error) {
+            console.error('❌ REGISTRY: Error updating patient:', error.message);
+            return { success: false, error: error.message };
+        }
+    }
+
+    /**
+     * Search the registry by patient number, name or birth date (case-insensitive, partial match)
+     * @param {string} query - Search text; an empty query returns every patient
+     * @returns {Array} - Matching patients (with age), sorted by patient number
+     */
+    searchPatients(query = '') {
+        const terms = String(query).toLowerCase().split(/\s+/).filter(Boolean);
+        return Object.values(this.getPatientRegistry())
+            .filter(patient => {
+                const haystack = `${patient.id} ${patient.name} ${patient.birthDate}`.toLowerCase();
+                return terms.every(term => haystack.includes(term));
+            })
+            .sort((a, b) => String(a.id).localeCompare(String(b.id), undefined, { numeric: true }))
+            .map(patient => this.toPatientInfo(patient));
+    }
+
+    /**
+     * Import patients from a local ADT feed export (CSV or JSON)
+     * CSV: header row with id/patientId/patientnummer, name/naam, birthDate/geboortedatum/dob,
+     *      gender/geslacht/sex and weight/gewicht columns (comma or semicolon separated, quoted as in RFC 4180)
+     * JSON: [{ id, name, birthDate, gender, weight }] or { patients: [...] }
+     * Known patient numbers are updated, new ones are registered
+     * @param {string} content - File content
+     * @param {string} format - 'csv' or 'json' (default: detected from content)
+     * @returns {Object} - { success, created, updated, skipped: [{ row, error }] } or { success: false, error }
+     */
+    importPatientsFromFeed(content, format = null) {
+        try {
+            const text = (content || '').trim();
+            if (!text) {
+                return { success: false, error: 'Leeg bestand' };
+            }
+            
+            const detectedFormat = format || (text.startsWith('[') || text.startsWith('{') ? 'json' : 'csv');
+            const rows = detectedFormat === 'json' ? this.parsePatientFeedJSON(text) : this.parsePatientFeedCSV(text);
+            
+            const result = { success: true, created: 0, updated: 0, skipped: [] };
+            // All rows are written to storage at once
+            this.storage.batch(() => rows.forEach((row, index) => {
+                const patientId = String(row.id ?? '').trim();
+                const known = Boolean(patientId && this.getPatientRegistry()[patientId]);
+                const outcome = known
+                    ? this.updatePatient(patientId, row, 'adt_import')
+                    : this.createPatient(row, 'adt_import');
+                
+                if (!outcome.success) {
+                    result.skipped.push({ row: index + 1, error: outcome.error });
+                } else if (!known) {
+                    result.created++;
+                } else if (!outcome.unchanged) {
+                    result.updated++;
+                }
+            }));
+            
+            console.log(`📥 REGISTRY: ADT import (${detectedFormat.toUpperCase()}): ${result.created} new, ${result.updated} updated, ${result.skipped.length} skipped`);
+            return result;
+        } catch (error) {
+            console.error('❌ REGISTRY: Error importing ADT feed:', error);
+            return { success: false, error: error.message };
+        }
+    }
+
+    parsePatientFeedJSON(text) {
+        const data = JSON.parse(text);
+        const entries = Array.isArray(data) ? data : (data.patients || []);
+        return entries.map(entry => this.mapPatientFeedFields(entry || {}));
+    }
+
+    parsePatientFeedCSV(text) {
+        const records = this.parseCSV(text);
+        if (records.length === 0) return [];
+        const header = records[0].map(column => column.trim());
+        
+        return records.slice(1).map(cells => this.mapPatientFeedFields(
+            Object.fromEntries(header.map((column, index) => [column, (cells[index] ?? '').trim()]))
+        ));
+    }
+
+    /**
+     * Split CSV text into records (RFC 4180): a field in double quotes may contain the delimiter,
+     * line breaks and doubled quotes (""); blank lines are skipped
+     * @param {string} text - CSV content
+     * @param {string} delimiter - Field separator (default: ';' when the header row has one outside quotes, otherwise ',')
+     * @returns {Array<Array<string>>} - Fields per record, header row first
+     * @throws {Error} - When a quoted field is not closed
+     */
+    parseCSV(text, delimiter = null) {
+        if (!delimiter) {
+            const headerRow = text.split(/\r?\n/, 1)[0].replace(/"[^"]*"/g, '');
+            delimiter = headerRow.includes(';') ? ';' : ',';
+        }
+        
+        const records = [];
+        let record = [];
+        let field = '';
+        let quoted = false;
+        for (let i = 0; i < text.length; i++) {
+            const char = text[i];
+            if (quoted) {
+                if (char === '"' && text[i + 1] === '"') {
+                    field += '"';
+                    i++;
+                } else if (char === '"') {
+                    quoted = false;
+                } else {
+                    field += char;
+                }
+            } else if (char === '"' && field.trim() === '') {
+                // Whitespace before the opening quote is not part of the field
+                quoted = true;
+                field = '';
+            } else if (char === delimiter) {
+                record.push(field);
+                field = '';
+            } else if (char === '\n' || char === '\r') {
+                if (char === '\r' && text[i + 1] === '\n') i++;
+                record.push(field);
+                records.push(record);
+                record = [];
+                field = '';
+            } else {
+                field += char;
+            }
+        }
+        if (quoted) {
+            throw new Error('Ongeldige CSV: aanhalingsteken niet afgesloten');
+        }
+        record.push(field);
+        records.push(record);
+        
+        return records.filter(cells => cells.some(cell => cell.trim() !== ''));
+    }
+
+    /**
+     * Map the column names used by ADT exports onto registry fields
+     */
+    mapPatientFeedFields(entry) {
+        const aliases = {
+            id: ['id', 'patientid', 'patient_id', 'patientnummer', 'mrn'],
+            name: ['name', 'naam', 'patientname'],
+            birthDate: ['birthdate', 'birth_date', 'geboortedatum', 'dob'],
+            gender: ['gender', 'geslacht', 'sex'],
+            weight: ['weight', 'gewicht', 'weightkg']
+        };
+        const lowerEntry = Object.fromEntries(Object.entries(entry).map(([key, value]) => [key.toLowerCase(), value]));
+        
+        const mapped = {};
+        Object.entries(aliases).forEach(([field, names]) => {
+            const name = names.find(alias => lowerEntry[alias] !== undefined && lowerEntry[alias] !== '');
+            if (name) mapped[field] = lowerEntry[name];
+        });
+        return mapped;
+    }
+
+    /**
+     * Get patient info by ID from the patient registry
+     * @returns {Object|null} - { id, name, birthDate, gender, weight, age, ... } or null for unknown patients
+     */
+    getPatientInfo(patientId) {
+        const patient = this.getPatientRegistry()[String(patientId)];
+        return patient ? this.toPatientInfo(patient) : null;
+    }
+
+    /**
+     * Get all registered patients (the bed overview filters out the ones already in a bed)
+     */
+    getAvailablePatients() {
+        return this.searchPatients('');
+    }
+
+    // ===================================================================
+    // WARD LAYOUT
+    // ===================================================================
+
+    /**
+     * Load the ward layout (units, rooms and beds the bed overview renders)
+     * A parsed definition is applied at once; a URL is loaded asynchronously. Falls back to the
+     * single four-bed unit when the layout file cannot be loaded
+     * @param {string|Object} source - URL of the layout JSON or an already parsed definition
+     *                                 (default: window.WARD_LAYOUT_URL or config/ward-layout.json)
+     * @returns {Promise<boolean>} - Resolves to whether the requested layout was loaded
+     */
+    loadWardLayout(source = null) {
+        if (source && typeof source === 'object') {
+            try {
+                return Promise.resolve(this.useWardLayout(WardLayout.fromDefinition(source)));
+            } catch (error) {
+                return Promise.resolve(this.rejectWardLayout(error));
+            }
+        }
+        
+        const url = source || (typeof window !== 'undefined' && window.WARD_LAYOUT_URL) || WardLayout.DEFAULT_URL;
+        return WardLayout.loadFromUrl(url)
+            .then(layout => this.useWardLayout(layout), error => this.rejectWardLayout(error));
+    }
+    
+    /**
+     * Make a validated layout the active one
+     * @param {WardLayout} layout
+     * @returns {boolean} - Always true
+     */
+    useWardLayout(layout) {
+        this.wardLayout = layout;
+        const versionInfo = layout.getVersionInfo();
+        console.log(`✅ Ward layout loaded: ${versionInfo.layoutId} v${versionInfo.version} (${layout.getBeds().length} beds)`);
+        
+        this.eventBus.dispatchEvent(new CustomEvent('wardLayoutLoaded', {
+            detail: versionInfo
+        }));
+        return true;
+    }
+    
+    /**
+     * Report a layout that could not be loaded or validated, falling back to the single-unit layout
+     * @param {Error} error
+     * @returns {boolean} - Always false
+     */
+    rejectWardLayout(error) {
+        console.error('❌ Error loading ward layout:', error.message);
+        if (!this.wardLayout) {
+            console.warn('⚠️ Using the single-unit fallback ward layout');
+            this.wardLayout = WardLayout.fromDefinition(WardLayout.FALLBACK_DEFINITION);
+        }
+        return false;
+    }
+
+    /**
+     * Get the active ward layout
+     * @returns {WardLayout|null}
+     */
+    getWardLayout() {
+        return this.wardLayout;
+    }
+
+    /**
+     * Units in display order
+     * @returns {Array} - [{ id, name, description, order, bedCount }]
+     */
+    getWardUnits() {
+        return this.wardLayout ? this.wardLayout.getUnits() : [];
+    }
+
+    /**
+     * The unit this workstation shows (the first unit until another one is chosen)
+     * @returns {Object|null} - { id, name, description, order, bedCount }
+     */
+    getCurrentUnit() {
+        const units = this.getWardUnits();
+        const storedUnitId = this.storage.getItem(this.storageKeys.CURRENT_UNIT);
+        return units.find(unit => unit.id === storedUnitId) || units[0] || null;
+    }
+
+    /**
+     * Switch the unit shown on this workstation
+     * @param {string} unitId - Unit id from the ward layout
+     * @returns {Object} - { success: true, unit } or { success: false, error }
      */
-    initializeBedOverviewPage() {
-        console.log('🏥 Initializing bed overview page...');
-        
-        // Get bed states and all patient data
-        const bedStates = this.getBedStates();
-        const allPatients = this.getAllPatients();
-        const sessionData = this.getSessionData();
-        const availablePatients = this.getAvailablePatients();
+    setCurrentUnit(unitId) {
+        const unit = this.wardLayout ? this.wardLayout.getUnit(unitId) : null;
+        if (!unit) {
+            return { success: false, error: `Onbekende unit: ${unitId}` };
+        }
         
-        return {
-            sessionData: sessionData,
-            bedStates: bedStates || {},
-            allPatients: allPatients,
-            availablePatients: availablePatients
-        };
+        this.storage.setItem(this.storageKeys.CURRENT_UNIT, unit.id);
+        console.log(`🏥 Switched to ${unit.name} (${unit.bedCount} beds)`);
+        this.eventBus.dispatchEvent(new CustomEvent('wardUnitChanged', {
+            detail: { unit: unit }
+        }));
+        return { success: true, unit: unit };
     }
 
     /**
-     * Get patient info by ID (from common patient data)
+     * Layout information for a bed
+     * @param {string|number} bedNumber - Bed id
+     * @returns {Object|null} - { id, label, unitId, unitName, roomId, roomLabel, isolation } or null for unknown beds
      */
-    getPatientInfo(patientId) {
-        const patients = {
-            "1": { id: "1", name: "S. Groen", gender: "Vrouw", age: 16, weight: 55 },
-            "2": { id: "2", name: "M. Demir", gender: "Man", age: 16, weight: 68 },
-            "3": { id: "3", name: "A. De Bruijn", gender: "Man", age: 18, weight: 70 },
-            "4": { id: "4", name: "B. Al Salah", gender: "Vrouw", age: 62, weight: 88 }
-        };
-        return patients[patientId] || null;
+    getBedLayout(bedNumber) {
+        return this.wardLayout ? this.wardLayout.getBed(bedNumber) : null;
     }
 
     /**
-     * Get all available patients
+     * Label to show for a bed (falls back to the bed id)
      */
-    getAvailablePatients() {
-        return [
-            { id: "1", name: "S. Groen", gender: "Vrouw", age: 16, weight: 55 },
-            { id: "2", name: "M. Demir", gender: "Man", age: 16, weight: 68 },
-            { id: "3", name: "A. De Bruijn", gender: "Man", age: 18, weight: 70 },
-            { id: "4", name: "B. Al Salah", gender: "Vrouw", age: 62, weight: 88 }
-        ];
+    getBedLabel(bedNumber) {
+        const bed = this.getBedLayout(bedNumber);
+        return bed ? bed.label : String(bedNumber);
     }
 
     /**
-     * Get hospital/bed configuration data
+     * Get hospital/bed configuration data for the current unit
      */
     getHospitalData() {
+        const hospital = this.wardLayout ? this.wardLayout.getHospital() : {};
+        const unit = this.getCurrentUnit();
+        const bedStates = unit ? this.getBedStates(unit.id) : {};
+        // Bed ids such as "6" sort before "5A" as object keys, so follow the layout order
+        const bedIds = unit ? this.wardLayout.getBedIds(unit.id) : [];
+        
         return {
             hospital: {
-                name: "Academisch Ziekenhuis Utrecht",
-                unit: "Intensive Care Unit",
-                shift: "Nachtdienst"
+                name: hospital.name || '',
+                unit: unit ? unit.name : '',
+                shift: hospital.shift || ''
             },
+            units: this.getWardUnits(),
             beds: {
-                total: 12,
-                available: ["Bed 1", "Bed 2", "Bed 3", "Bed 4", "Bed 5", "Bed 6", 
-                           "Bed 7", "Bed 8", "Bed 9", "Bed 10", "Bed 11", "Bed 12"]
+                total: bedIds.length,
+                available: bedIds
+                    .filter(bedNumber => !bedStates[bedNumber].occupied)
+                    .map(bedNumber => `Bed ${this.getBedLabel(bedNumber)}`)
             },
             patients: this.getAvailablePatients()
         };
@@ -1424,7 +3978,7 @@ class SharedDataManager {
      */
     getConfigData() {
         // Get current risk level for dynamic thresholds
-        const currentRiskLevel = localStorage.getItem(this.storageKeys.SELECTED_RISK_LEVEL) || 'low';
+        const currentRiskLevel = this.storage.getItem(this.storageKeys.SELECTED_RISK_LEVEL) || 'low';
         
         // Return the config data structure that matches config.json
         return {
@@ -1471,47 +4025,62 @@ class SharedDataManager {
     getThresholdsConfiguration(overallRiskLevel = 'low') {
         console.log(`📊 Generating dynamic thresholds configuration from Matrix (risk: ${overallRiskLevel})`);
         
-        // Get base ranges from Matrix for each condition type
-        const respiratoryRanges = this.getMatrixBasedBaseRanges('respiratoire-insufficientie', overallRiskLevel);
-        const cardiacRanges = this.getMatrixBasedBaseRanges('hart-falen', overallRiskLevel);
-        const sepsisRanges = this.getMatrixBasedBaseRanges('sepsis', overallRiskLevel);
-        
         // Use respiratory ranges as "normal" baseline (most general condition)
-        const normalRanges = respiratoryRanges;
+        const normalRanges = this.getMatrixBasedBaseRanges('respiratoire-insufficientie', overallRiskLevel);
         
-        // Build dynamic configuration directly from Matrix
-        const dynamicConfig = {
-            normal: {
-                circulatoir: {
-                    HR: { min: normalRanges.HR?.min, max: normalRanges.HR?.max },
-                    BP_Mean: { min: normalRanges.BP_Mean?.min, max: normalRanges.BP_Mean?.max }
-                },
-                respiratoire: {
-                    AF: { min: normalRanges.AF?.min, max: normalRanges.AF?.max },
-                    Saturatie: { min: normalRanges.Saturatie?.min, max: normalRanges.Saturatie?.max }
-                },
-                overige: {
-                    Temperature: { min: normalRanges.Temperature?.min, max: normalRanges.Temperature?.max }
-                }
+        // Helper to build a threshold entry including the protocol unit
+        const threshold = (ranges, parameter) => ({
+            min: ranges[parameter]?.min,
+            max: ranges[parameter]?.max,
+            unit: this.clinicalProtocol ? this.clinicalProtocol.getParameterUnit(parameter) : ''
+        });
+        
+        // Helper to group a full set of ranges by organ system
+        const groupByOrganSystem = (ranges) => ({
+            circulatoir: {
+                HR: threshold(ranges, 'HR'),
+                BP_Mean: threshold(ranges, 'BP_Mean')
             },
-            conditions: {
-                sepsis: {
-                    circulatoir: {
-                        HR: { min: sepsisRanges.HR?.min, max: sepsisRanges.HR?.max },
-                        BP_Mean: { min: sepsisRanges.BP_Mean?.min, max: sepsisRanges.BP_Mean?.max }
-                    }
-                },
-                pneumonie: {
-                    respiratoire: {
-                        // Pneumonia uses respiratory baseline from Matrix
-                        AF: { min: respiratoryRanges.AF?.min, max: respiratoryRanges.AF?.max }
-                    }
-                }
+            respiratoire: {
+                AF: threshold(ranges, 'AF'),
+                Saturatie: threshold(ranges, 'Saturatie')
+            },
+            overige: {
+                Temperature: threshold(ranges, 'Temperature')
             }
+        });
+        
+        // Per-problem thresholds for this risk level
+        const problems = {};
+        (this.clinicalProtocol ? this.clinicalProtocol.getProblems() : []).forEach(problem => {
+            problems[problem] = groupByOrganSystem(this.getMatrixBasedBaseRanges(problem, overallRiskLevel));
+        });
+        
+        // Per-tag thresholds: the tag's deltas applied to the normal baseline, limited to the parameters it affects
+        const conditions = {};
+        Object.values(this.getConditionTagRegistry()).forEach(definition => {
+            const tagRanges = this.calculateTagBasedParameterAdjustments([definition.tag], normalRanges, {}, overallRiskLevel).adjustedRanges;
+            const grouped = groupByOrganSystem(tagRanges);
+            conditions[definition.tag] = {};
+            Object.entries(grouped).forEach(([organSystem, parameters]) => {
+                Object.entries(parameters).forEach(([parameter, range]) => {
+                    if (!definition.affectedParameters.includes(parameter)) return;
+                    conditions[definition.tag][organSystem] = conditions[definition.tag][organSystem] || {};
+                    conditions[definition.tag][organSystem][parameter] = range;
+                });
+            });
+        });
+        
+        // Build dynamic configuration directly from Matrix
+        const dynamicConfig = {
+            riskLevel: overallRiskLevel,
+            normal: groupByOrganSystem(normalRanges),
+            problems: problems,
+            conditions: conditions
         };
         
         console.log(`✅ Dynamic thresholds generated from Matrix:`, dynamicConfig);
-        console.log(`📋 Source Matrix ranges - Respiratory: HR(${normalRanges.HR?.min}-${normalRanges.HR?.max}), Sepsis: HR(${sepsisRanges.HR?.min}-${sepsisRanges.HR?.max})`);
+        console.log(`📋 Source Matrix ranges - Normal: HR(${normalRanges.HR?.min}-${normalRanges.HR?.max}), Conditions: ${Object.keys(conditions).join(', ')}`);
         
         return dynamicConfig;
     }
@@ -1545,9 +4114,75 @@ class SharedDataManager {
         };
     }
 
+    /**
+     * Load the clinical protocol that drives the problem × risk matrix
+     * A parsed definition is applied at once; a URL is loaded asynchronously. Keeps the previously
+     * loaded protocol if the new one fails to load or validate
+     * @param {Object|string} source - Parsed protocol definition or URL (default: protocols/clinical-protocol.json)
+     * @returns {Promise<boolean>} - Resolves true if the protocol was loaded and validated
+     */
+    loadClinicalProtocol(source = null) {
+        if (source && typeof source === 'object') {
+            try {
+                return Promise.resolve(this.useClinicalProtocol(ClinicalProtocol.fromDefinition(source)));
+            } catch (error) {
+                return Promise.resolve(this.rejectClinicalProtocol(error));
+            }
+        }
+        
+        const url = source || (typeof window !== 'undefined' && window.CLINICAL_PROTOCOL_URL) || ClinicalProtocol.DEFAULT_URL;
+        return ClinicalProtocol.loadFromUrl(url)
+            .then(protocol => this.useClinicalProtocol(protocol), error => this.rejectClinicalProtocol(error));
+    }
+    
+    /**
+     * Make a validated protocol the active one
+     * @param {ClinicalProtocol} protocol
+     * @returns {boolean} - Always true
+     */
+    useClinicalProtocol(protocol) {
+        this.clinicalProtocol = protocol;
+        const versionInfo = protocol.getVersionInfo();
+        console.log(`✅ Clinical protocol loaded: ${versionInfo.protocolId} v${versionInfo.version}`);
+        
+        this.eventBus.dispatchEvent(new CustomEvent('clinicalProtocolLoaded', {
+            detail: versionInfo
+        }));
+        return true;
+    }
+    
+    /**
+     * Report a protocol that could not be loaded or validated
+     * @param {Error} error
+     * @returns {boolean} - Always false
+     */
+    rejectClinicalProtocol(error) {
+        console.error('❌ Error loading clinical protocol:', error.message);
+        if (this.clinicalProtocol) {
+            console.warn(`⚠️ Keeping previously loaded protocol v${this.clinicalProtocol.getVersionInfo().version}`);
+        }
+        return false;
+    }
+
+    /**
+     * Get the active clinical protocol
+     * @returns {ClinicalProtocol|null}
+     */
+    getClinicalProtocol() {
+        return this.clinicalProtocol;
+    }
+
+    /**
+     * Get identification of the active clinical protocol
+     * @returns {Object|null} - { protocolId, version } or null if no protocol is loaded
+     */
+    getProtocolVersionInfo() {
+        return this.clinicalProtocol ? this.clinicalProtocol.getVersionInfo() : null;
+    }
+
     /**
      * Advanced Risk Management System
-     * Explicit lookup table for all problem + risk level combinations
+     * Looks up organ states for a problem + risk level combination in the clinical protocol
      * @param {string} problemValue - The medical problem ('respiratoire-insufficientie', 'hart-falen', 'sepsis', etc.)
      * @param {string} overallRiskLevel - The patient's overall risk level ('low', 'mid', 'high')
      * @returns {Object} - Calculated organ states and reasoning
@@ -1555,80 +4190,10 @@ class SharedDataManager {
     calculateAdvancedOrganStates(problemValue, overallRiskLevel = 'low') {
         console.log(`🎯 Advanced Risk Calculation: Problem=${problemValue}, Overall Risk=${overallRiskLevel}`);
         
-        // EXPLICIT LOOKUP TABLE - Define exact states for each combination
-        const riskMatrix = {
-            'respiratoire-insufficientie': {
-                'low': {
-                    heart: 'low',
-                    lung: 'low',
-                    temp: 'low',
-                    reasoning: 'Respiratory problem with low risk - focus on lung monitoring only'
-                },
-                'mid': {
-                    heart: 'low',
-                    lung: 'mid', 
-                    temp: 'low',
-                    reasoning: 'Respiratory problem with medium risk - enhance cardiac monitoring as precaution'
-                },
-                'high': {
-                    heart: 'mid',
-                    lung: 'high',
-                    temp: 'mid',
-                    reasoning: 'Respiratory problem with high risk - intensive monitoring across systems'
-                }
-            },
-            'hart-falen': {
-                'low': {
-                    heart: 'low',
-                    lung: 'low',
-                    temp: 'low',
-                    reasoning: 'Heart failure with low risk - focus on cardiac monitoring only'
-                },
-                'mid': {
-                    heart: 'mid',
-                    lung: 'low',
-                    temp: 'low',
-                    reasoning: 'Heart failure with medium risk - monitor respiratory as secondary concern'
-                },
-                'high': {
-                    heart: 'high',
-                    lung: 'mid',
-                    temp: 'mid',
-                    reasoning: 'Heart failure with high risk - comprehensive monitoring due to systemic impact'
-                }
-            },
-            'sepsis': {
-                'low': {
-                    heart: 'low',
-                    lung: 'low',
-                    temp: 'low',
-                    reasoning: 'Sepsis with low risk - temperature priority with moderate systemic monitoring'
-                },
-                'mid': {
-                    heart: 'mid',
-                    lung: 'low',
-                    temp: 'mid',
-                    reasoning: 'Sepsis with medium risk - intensive cardiac and temperature monitoring'
-                },
-                'high': {
-                    heart: 'high',
-                    lung: 'mid', 
-                    temp: 'high',
-                    reasoning: 'Sepsis with high risk - maximum monitoring across all systems'
-                }
-            }
-        };
-        
-        // Default states for unknown problems or no problem selected
-        const defaultStates = {
-            'low': { heart: 'low', lung: 'low', temp: 'low', reasoning: 'No specific problem - standard monitoring' },
-            'mid': { heart: 'mid', lung: 'mid', temp: 'mid', reasoning: 'No specific problem - standard monitoring' },
-            'high': { heart: 'high', lung: 'high', temp: 'high', reasoning: 'No specific problem but high risk - enhanced monitoring' }
-        };
-        
-        // Get the exact combination or fall back to defaults
-        const problemConfig = riskMatrix[problemValue];
-        const config = problemConfig ? problemConfig[overallRiskLevel] : defaultStates[overallRiskLevel];
+        // Get the exact combination or fall back to the protocol defaults for unknown problems
+        const protocol = this.clinicalProtocol;
+        const problemConfig = protocol ? protocol.getProblemRiskConfig(problemValue, overallRiskLevel) : null;
+        const config = problemConfig || (protocol ? protocol.getDefaultOrganStates(overallRiskLevel) : null);
         
         if (!config) {
             console.warn(`⚠️ No configuration found for ${problemValue} + ${overallRiskLevel}, using safe defaults`);
@@ -1640,17 +4205,18 @@ class SharedDataManager {
         }
         
         const organStates = {
-            heart: config.heart,
-            lung: config.lung,
-            temp: config.temp
+            heart: config.organStates.heart,
+            lung: config.organStates.lung,
+            temp: config.organStates.temp
         };
         
         const reasoning = {
             approach: `${problemValue} + ${overallRiskLevel} risk protocol`,
-            details: config.reasoning
+            details: config.reasoning,
+            protocolVersion: protocol.getVersionInfo().version
         };
         
-        console.log(`✅ Explicit states for ${problemValue} + ${overallRiskLevel}:`, organStates);
+        console.log(`✅ Protocol states for ${problemValue} + ${overallRiskLevel}:`, organStates);
         console.log(`📋 Reasoning:`, reasoning);
         
         return {
@@ -1708,7 +4274,8 @@ class SharedDataManager {
 
     /**
      * Get Matrix-Based Base Ranges
-     * Returns base parameter ranges from the matrix based on medical problem and risk level
+     * Returns base parameter ranges from the clinical protocol based on medical problem and risk level
+     * Every problem defines distinct ranges per risk level (higher risk = tighter ranges)
      * This replaces hardcoded defaultRanges with proper matrix-derived values
      * @param {string} problemValue - The medical problem ('respiratoire-insufficientie', 'hart-falen', 'sepsis', etc.)
      * @param {string} overallRiskLevel - Risk level ('low', 'mid', 'high')
@@ -1724,53 +4291,26 @@ class SharedDataManager {
             return {};
         }
         
-        // Define target ranges for each problem based on the matrix
-        // These ranges should ideally be further refined based on risk level in future iterations
-        let baseRanges = {};
+        if (!this.clinicalProtocol) {
+            console.error('🚫 No clinical protocol loaded - returning empty ranges');
+            return {};
+        }
         
-        // Normalize the problem value (trim whitespace, convert to lowercase for comparison)
+        // Normalize the problem value (trim whitespace, convert to lowercase for lookup)
         const normalizedProblem = problemValue.trim().toLowerCase();
-        console.log(`📋 Normalized problem value for switch: "${normalizedProblem}"`);
-        
-        switch(normalizedProblem) {
-            case 'respiratoire-insufficientie':
-                baseRanges = {
-                    HR: { min: 70, max: 100 },
-                    BP_Mean: { min: 60, max: 90 },
-                    AF: { min: 12, max: 20 },
-                    Saturatie: { min: 92, max: 100 },
-                    Temperature: { min: 36.0, max: 38.5 }
-                };
-                break;
-                
-            case 'hart-falen':
-                baseRanges = {
-                    HR: { min: 80, max: 120 },
-                    BP_Mean: { min: 55, max: 75 },
-                    AF: { min: 12, max: 18 },
-                    Saturatie: { min: 92, max: 100 },
-                    Temperature: { min: 36.0, max: 38.5 }
-                };
-                break;
-                
-            case 'sepsis':
-                baseRanges = {
-                    HR: { min: 70, max: 120 },
-                    BP_Mean: { min: 50, max: 80 },
-                    AF: { min: 12, max: 18 },
-                    Saturatie: { min: 92, max: 100 },
-                    Temperature: { min: 36.0, max: 38.5 }
-                };
-                break;
-                
-            default:
-                // Unknown problem - return empty ranges to force proper selection
-                console.error(`🚫 UNMATCHED PROBLEM VALUE: "${normalizedProblem}" (original: "${problemValue}")`);
-                console.error(`🚫 Expected one of: 'respiratoire-insufficientie', 'hart-falen', 'sepsis'`);
-                console.error(`🚫 Returning empty ranges to prevent errors`);
-                return {};
+        console.log(`📋 Normalized problem value for protocol lookup: "${normalizedProblem}"`);
+        
+        const problemConfig = this.clinicalProtocol.getProblemRiskConfig(normalizedProblem, overallRiskLevel);
+        if (!problemConfig) {
+            // Unknown problem - return empty ranges to force proper selection
+            console.error(`🚫 UNMATCHED PROBLEM VALUE: "${normalizedProblem}" (original: "${problemValue}")`);
+            console.error(`🚫 Expected one of: ${this.clinicalProtocol.getProblems().map(problem => `'${problem}'`).join(', ')}`);
+            console.error(`🚫 Returning empty ranges to prevent errors`);
+            return {};
         }
         
+        const baseRanges = problemConfig.baseRanges;
+        
         console.log(`✅ Matrix-based base ranges for ${problemValue} + ${overallRiskLevel}:`, baseRanges);
         return baseRanges;
     }
@@ -1778,6 +4318,7 @@ class SharedDataManager {
     /**
      * Tag-Based Parameter Adjustment System - DELTA APPROACH
      * Delta-based adjustments that modify base parameters (determined by risk + problem combination)
+     * Tag deltas are defined per tag in the clinical protocol
      * @param {Array} activeTags - Array of active condition tags (['sepsis', 'pneumonie', etc.])
      * @param {Object} baseTargetRanges - Base target ranges to modify with deltas
      * @param {Object} baseOrganStates - Base organ monitoring levels to modify
@@ -1787,51 +4328,6 @@ class SharedDataManager {
     calculateTagBasedParameterAdjustments(activeTags = [], baseTargetRanges = {}, baseOrganStates = {}, overallRiskLevel = 'low') {
         console.log(`🏷️ Tag-Based DELTA Calculation: Tags=${JSON.stringify(activeTags)}, Risk=${overallRiskLevel}`);
         
-        // TAG DELTA MATRIX - Define delta adjustments that modify base parameters
-        const tagMatrix = {
-            'sepsis': {
-                description: 'Sepsis delta adjustments - affects circulatory system primarily',
-                parameterDeltas: {
-                    // BP_Mean affected significantly by sepsis (hypotension risk)
-                    BP_Mean: {
-                        low: { minDelta: -10, maxDelta: -10, reasoning: 'Sepsis - hypotension risk, lower BP monitoring range' },
-                        mid: { minDelta: -10, maxDelta: -10, reasoning: 'Sepsis - moderate hypotension risk' },
-                        high: { minDelta: -10, maxDelta: -10, reasoning: 'Sepsis - severe hypotension risk, significantly lower range' }
-                    },
-                    // HR affected (tachycardia compensation)  
-                    HR: {
-                        low: { minDelta: 0, maxDelta: 20, reasoning: 'Sepsis - mild tachycardia compensation' },
-                        mid: { minDelta: 0, maxDelta: 20, reasoning: 'Sepsis - moderate tachycardia expected' },
-                        high: { minDelta: 0, maxDelta: 20, reasoning: 'Sepsis - significant tachycardia monitoring' }
-                    },
-                    
-                },
-                // Monitoring level adjustments - increase circulatory monitoring by 1 level
-                monitoringDeltas: {
-                    heart: +1, // Increase circulatory monitoring level by 1 (low->mid, mid->high)
-                    temp: +1,  // Increase temperature monitoring level by 1
-                    reasoning: 'Sepsis requires enhanced circulatory monitoring due to hemodynamic instability'
-                }
-            },
-            'pneumonie': {
-                description: 'Pneumonia delta adjustments - affects respiratory system primarily',
-                parameterDeltas: {
-                    // AF significantly affected by pneumonia
-                    AF: {
-                        low: { minDelta: +0, maxDelta: +2, reasoning: 'Pneumonia - mild respiratory distress' },
-                        mid: { minDelta: +0, maxDelta: +2, reasoning: 'Pneumonia - moderate respiratory compromise' },
-                        high: { minDelta: +0, maxDelta: +2, reasoning: 'Pneumonia - severe respiratory distress' }
-                    },
-                    
-                },
-                // Monitoring level adjustments - increase respiratory monitoring by 1 level
-                monitoringDeltas: {
-                    lung: +1, // Increase respiratory monitoring level by 1 (low->mid, mid->high)
-                    reasoning: 'Pneumonia requires enhanced respiratory monitoring due to pulmonary compromise'
-                }
-            }
-        };
-        
         // Start with base ranges and organ states
         let adjustedRanges = JSON.parse(JSON.stringify(baseTargetRanges));
         let adjustedOrganStates = JSON.parse(JSON.stringify(baseOrganStates));
@@ -1850,7 +4346,8 @@ class SharedDataManager {
         
         // Apply delta adjustments for each active tag
         activeTags.forEach(tag => {
-            const tagConfig = tagMatrix[tag];
+            // Tag deltas come from the condition tag registry (clinical protocol)
+            const tagConfig = this.getConditionTagDefinition(tag);
             if (!tagConfig) {
                 console.warn(`⚠️ No delta adjustments defined for tag: ${tag}`);
                 return;
@@ -1916,11 +4413,10 @@ class SharedDataManager {
                 });
             }
             
-            // Apply monitoring level delta adjustments
-            if (tagConfig.monitoringDeltas) {
-                Object.entries(tagConfig.monitoringDeltas).forEach(([organ, delta]) => {
-                    if (organ === 'reasoning') return; // Skip reasoning field
-                    
+            // Apply monitoring level delta adjustments for this risk level
+            const monitoringDeltas = this.getTagMonitoringDeltas(tag, overallRiskLevel);
+            if (monitoringDeltas) {
+                Object.entries(monitoringDeltas).forEach(([organ, delta]) => {
                     if (adjustedOrganStates[organ] !== undefined) {
                         const originalLevel = adjustedOrganStates[organ];
                         const newLevel = adjustMonitoringLevel(originalLevel, delta);
@@ -1981,7 +4477,7 @@ class SharedDataManager {
         
         // Get current risk level from localStorage if not provided
         if (!overallRiskLevel) {
-            overallRiskLevel = localStorage.getItem(this.storageKeys.SELECTED_RISK_LEVEL) || 'low';
+            overallRiskLevel = this.storage.getItem(this.storageKeys.SELECTED_RISK_LEVEL) || 'low';
         }
         
         // Use advanced risk calculation system
@@ -2035,17 +4531,7 @@ class SharedDataManager {
         
         // Check for active condition tags
         if (patientData) {
-            // Check for sepsis tag
-            const sepsisCondition = this.getPatientConditionState('sepsis', patientId);
-            if (sepsisCondition && sepsisCondition.isActive) {
-                activeTags.push('sepsis');
-            }
-            
-            // Check for pneumonie tag  
-            const pneumonieCondition = this.getPatientConditionState('pneumonie', patientId);
-            if (pneumonieCondition && pneumonieCondition.isActive) {
-                activeTags.push('pneumonie');
-            }
+            activeTags.push(...this.getAllActiveTagsForPatient(patientId));
             
             console.log(`🏷️ Active condition tags found:`, activeTags);
         }
@@ -2148,36 +4634,36 @@ class SharedDataManager {
                     this.clearPatientManualAdjustments(patientId);
                     
                     // ADDITIONAL CLEARING: Clear any other possible localStorage keys
-                    const allKeys = Object.keys(localStorage);
+                    const allKeys = this.storage.keys();
                     const patientKeys = allKeys.filter(key => key.includes(`patient-${patientId}-`));
                     patientKeys.forEach(key => {
                         if (key.includes('threshold') || key.includes('manual') || key.includes('MIN') || key.includes('MAX')) {
                             console.log('🗑️ Removing additional key:', key);
-                            localStorage.removeItem(key);
+                            this.storage.removeItem(key);
                         }
                     });
                 }
                 
                 // Update global variables with problem defaults
                 if (targetRanges.HR && targetRanges.HR.min !== '-') {
-                    window.HR_MIN = targetRanges.HR.min;
-                    window.HR_MAX = targetRanges.HR.max;
+                    this.pageGlobals.HR_MIN = targetRanges.HR.min;
+                    this.pageGlobals.HR_MAX = targetRanges.HR.max;
                 }
                 if (targetRanges.BP_Mean && targetRanges.BP_Mean.min !== '-') {
-                    window.BP_MIN = targetRanges.BP_Mean.min;
-                    window.BP_MAX = targetRanges.BP_Mean.max;
+                    this.pageGlobals.BP_MIN = targetRanges.BP_Mean.min;
+                    this.pageGlobals.BP_MAX = targetRanges.BP_Mean.max;
                 }
                 if (targetRanges.AF && targetRanges.AF.min !== '-') {
-                    window.AF_MIN = targetRanges.AF.min;
-                    window.AF_MAX = targetRanges.AF.max;
+                    this.pageGlobals.AF_MIN = targetRanges.AF.min;
+                    this.pageGlobals.AF_MAX = targetRanges.AF.max;
                 }
                 if (targetRanges.Saturatie && targetRanges.Saturatie.min !== '-') {
-                    window.SAT_MIN = targetRanges.Saturatie.min;
-                    window.SAT_MAX = targetRanges.Saturatie.max;
+                    this.pageGlobals.SAT_MIN = targetRanges.Saturatie.min;
+                    this.pageGlobals.SAT_MAX = targetRanges.Saturatie.max;
                 }
                 if (targetRanges.Temperature && targetRanges.Temperature.min !== '-') {
-                    window.TEMP_MIN = targetRanges.Temperature.min;
-                    window.TEMP_MAX = targetRanges.Temperature.max;
+                    this.pageGlobals.TEMP_MIN = targetRanges.Temperature.min;
+                    this.pageGlobals.TEMP_MAX = targetRanges.Temperature.max;
                 }
                 
                 // Save to localStorage
@@ -2213,13 +4699,13 @@ class SharedDataManager {
             setTimeout(() => {
                 console.log('🔄 About to dispatch globalParametersChanged event');
                 console.log('📊 Current global variables after problem change:');
-                console.log('   HR:', window.HR_MIN, '-', window.HR_MAX);
-                console.log('   BP:', window.BP_MIN, '-', window.BP_MAX);
-                console.log('   AF:', window.AF_MIN, '-', window.AF_MAX);
-                console.log('   SAT:', window.SAT_MIN, '-', window.SAT_MAX);
-                console.log('   TEMP:', window.TEMP_MIN, '-', window.TEMP_MAX);
+                console.log('   HR:', this.pageGlobals.HR_MIN, '-', this.pageGlobals.HR_MAX);
+                console.log('   BP:', this.pageGlobals.BP_MIN, '-', this.pageGlobals.BP_MAX);
+                console.log('   AF:', this.pageGlobals.AF_MIN, '-', this.pageGlobals.AF_MAX);
+                console.log('   SAT:', this.pageGlobals.SAT_MIN, '-', this.pageGlobals.SAT_MAX);
+                console.log('   TEMP:', this.pageGlobals.TEMP_MIN, '-', this.pageGlobals.TEMP_MAX);
                 
-                window.dispatchEvent(new CustomEvent('globalParametersChanged', {
+                this.eventBus.dispatchEvent(new CustomEvent('globalParametersChanged', {
                     detail: { 
                         source: 'problemChange',
                         problem: problemValue,
@@ -2231,13 +4717,13 @@ class SharedDataManager {
                 // FORCE SLIDER REFRESH: Also try to update any currently loaded sliders
                 // This handles cases where sliders are already loaded but not receiving events
                 setTimeout(() => {
-                    if (window.forceAllSlidersRefresh) {
+                    if (this.pageGlobals.forceAllSlidersRefresh) {
                         console.log('🔄 Calling forceAllSlidersRefresh (respiratory)...');
-                        window.forceAllSlidersRefresh();
+                        this.pageGlobals.forceAllSlidersRefresh();
                     }
-                    if (window.forceTemperatureSliderRefresh) {
+                    if (this.pageGlobals.forceTemperatureSliderRefresh) {
                         console.log('🔄 Calling forceTemperatureSliderRefresh (other)...');
-                        window.forceTemperatureSliderRefresh();
+                        this.pageGlobals.forceTemperatureSliderRefresh();
                     }
                 }, 50);
             }, 10);
@@ -2318,7 +4804,7 @@ class SharedDataManager {
         }
         
         if (!overallRiskLevel) {
-            overallRiskLevel = localStorage.getItem(this.storageKeys.SELECTED_RISK_LEVEL) || 'low';
+            overallRiskLevel = this.storage.getItem(this.storageKeys.SELECTED_RISK_LEVEL) || 'low';
         }
         
         // Get the advanced calculation
@@ -2422,10 +4908,20 @@ class SharedDataManager {
      * @returns {Object} - Updated monitoring configuration and impact summary
      */
     updateOverallRiskLevel(newRiskLevel, organComponents = null, patientId = null) {
-        console.log(`🔄 Updating overall risk level from ${localStorage.getItem(this.storageKeys.SELECTED_RISK_LEVEL) || 'low'} to ${newRiskLevel}`);
+        const previousRiskLevel = this.storage.getItem(this.storageKeys.SELECTED_RISK_LEVEL) || 'low';
+        console.log(`🔄 Updating overall risk level from ${previousRiskLevel} to ${newRiskLevel}`);
         
         // Store the new risk level
-        localStorage.setItem(this.storageKeys.SELECTED_RISK_LEVEL, newRiskLevel);
+        this.storage.setItem(this.storageKeys.SELECTED_RISK_LEVEL, newRiskLevel);
+        
+        const auditPatientId = patientId || this.storage.getItem(this.storageKeys.CURRENT_PATIENT);
+        if (auditPatientId && previousRiskLevel !== newRiskLevel) {
+            this.recordAuditEntry(auditPatientId, 'overall_risk_level_change', {
+                target: 'selectedRiskLevel',
+                previousValue: previousRiskLevel,
+                newValue: newRiskLevel
+            });
+        }
         
         // Get current problem
         const appData = this.getAppData();
@@ -2448,7 +4944,7 @@ class SharedDataManager {
             success: true,
             newConfiguration: updatedConfig,
             impactSummary: overview,
-            changedFrom: localStorage.getItem(this.storageKeys.SELECTED_RISK_LEVEL),
+            changedFrom: previousRiskLevel,
             changedTo: newRiskLevel
         };
     }
@@ -2490,7 +4986,7 @@ class SharedDataManager {
         console.log(`Heart monitoring level set for patient ${patientId}:`, level);
         
         // Dispatch event for cross-page synchronization
-        window.dispatchEvent(new CustomEvent('heartMonitoringLevelChanged', {
+        this.eventBus.dispatchEvent(new CustomEvent('heartMonitoringLevelChanged', {
             detail: { patientId, level }
         }));
     }
@@ -2542,7 +5038,7 @@ class SharedDataManager {
         console.log(`Lung monitoring level set for patient ${patientId}:`, level);
         
         // Dispatch event for cross-page synchronization
-        window.dispatchEvent(new CustomEvent('lungMonitoringLevelChanged', {
+        this.eventBus.dispatchEvent(new CustomEvent('lungMonitoringLevelChanged', {
             detail: { patientId, level }
         }));
     }
@@ -2586,7 +5082,7 @@ class SharedDataManager {
         console.log(`Temp monitoring level set for patient ${patientId}:`, level);
         
         // Dispatch event for cross-page synchronization
-        window.dispatchEvent(new CustomEvent('tempMonitoringLevelChanged', {
+        this.eventBus.dispatchEvent(new CustomEvent('tempMonitoringLevelChanged', {
             detail: { patientId, level }
         }));
     }
@@ -2659,15 +5155,7 @@ class SharedDataManager {
         console.log(`🎯 Base monitoring levels:`, baseOrganStates);
         
         // Get active condition tags
-        const activeTags = [];
-        const sepsisCondition = this.getPatientConditionState('sepsis', patientId);
-        if (sepsisCondition && sepsisCondition.isActive) {
-            activeTags.push('sepsis');
-        }
-        const pneumonieCondition = this.getPatientConditionState('pneumonie', patientId);
-        if (pneumonieCondition && pneumonieCondition.isActive) {
-            activeTags.push('pneumonie');
-        }
+        const activeTags = this.getAllActiveTagsForPatient(patientId);
         
         console.log(`🏷️ Active tags for monitoring adjustment:`, activeTags);
         
@@ -2734,18 +5222,18 @@ class SharedDataManager {
         this.setHeartMonitoringLevel(patientId, level);
         
         // Update all heart circle components if they exist
-        if (window.organComponents?.heart) {
-            window.organComponents.heart.setRiskLevel(level);
+        if (this.pageGlobals.organComponents?.heart) {
+            this.pageGlobals.organComponents.heart.setRiskLevel(level);
         }
-        if (window.circulatoirHeartCircle) {
-            window.circulatoirHeartCircle.setRiskLevel(level);
+        if (this.pageGlobals.circulatoirHeartCircle) {
+            this.pageGlobals.circulatoirHeartCircle.setRiskLevel(level);
         }
         
         // Trigger custom event for any other listeners
         const event = new CustomEvent('heartMonitoringLevelChanged', {
             detail: { patientId, level }
         });
-        document.dispatchEvent(event);
+        this.documentEventBus.dispatchEvent(event);
         
         console.log(`Global heart monitoring level updated for patient ${patientId}:`, level);
     }
@@ -2755,18 +5243,18 @@ class SharedDataManager {
         this.setLungMonitoringLevel(patientId, level);
         
         // Update all lung circle components if they exist
-        if (window.organComponents?.lung) {
-            window.organComponents.lung.setRiskLevel(level);
+        if (this.pageGlobals.organComponents?.lung) {
+            this.pageGlobals.organComponents.lung.setRiskLevel(level);
         }
-        if (window.respiratoryLungCircle) {
-            window.respiratoryLungCircle.setRiskLevel(level);
+        if (this.pageGlobals.respiratoryLungCircle) {
+            this.pageGlobals.respiratoryLungCircle.setRiskLevel(level);
         }
         
         // Trigger custom event for any other listeners
         const event = new CustomEvent('lungMonitoringLevelChanged', {
             detail: { patientId, level }
         });
-        document.dispatchEvent(event);
+        this.documentEventBus.dispatchEvent(event);
         
         console.log(`Global lung monitoring level updated for patient ${patientId}:`, level);
     }
@@ -2776,18 +5264,18 @@ class SharedDataManager {
         this.setTempMonitoringLevel(patientId, level);
         
         // Update all temp circle components if they exist
-        if (window.organComponents?.temp) {
-            window.organComponents.temp.setRiskLevel(level);
+        if (this.pageGlobals.organComponents?.temp) {
+            this.pageGlobals.organComponents.temp.setRiskLevel(level);
         }
-        if (window.tempCircle) {
-            window.tempCircle.setRiskLevel(level);
+        if (this.pageGlobals.tempCircle) {
+            this.pageGlobals.tempCircle.setRiskLevel(level);
         }
         
         // Trigger custom event for any other listeners
         const event = new CustomEvent('tempMonitoringLevelChanged', {
             detail: { patientId, level }
         });
-        document.dispatchEvent(event);
+        this.documentEventBus.dispatchEvent(event);
         
         console.log(`Global temp monitoring level updated for patient ${patientId}:`, level);
     }
@@ -2800,13 +5288,13 @@ class SharedDataManager {
      */
     setOrganMonitoringLevel(patientId, organSystem, monitoringLevel) {
         const key = `patient-${patientId}-monitoring-${organSystem}`;
-        localStorage.setItem(key, monitoringLevel);
+        this.storage.setItem(key, monitoringLevel);
         
         // Trigger event for cross-page synchronization
         const event = new CustomEvent('organMonitoringLevelChanged', {
             detail: { patientId, organSystem, monitoringLevel }
         });
-        window.dispatchEvent(event);
+        this.eventBus.dispatchEvent(event);
         
         console.log(`📊 Monitoring level for ${organSystem} (patient ${patientId}): ${monitoringLevel}`);
     }
@@ -2819,7 +5307,7 @@ class SharedDataManager {
      */
     getOrganMonitoringLevel(patientId, organSystem) {
         const key = `patient-${patientId}-monitoring-${organSystem}`;
-        const level = localStorage.getItem(key);
+        const level = this.storage.getItem(key);
         
         if (level) {
             console.log(`📊 Retrieved monitoring level for ${organSystem}: ${level}`);
@@ -2838,10 +5326,12 @@ class SharedDataManager {
             console.log(`📊 Default monitoring level for ${organSystem} with sepsis: tight`);
             return 'tight';
         } else if (selectedProblem === 'respiratoire-insufficientie' && organSystem === 'respiratoir') {
-            // Check for pneumonie tag to adjust respiratory monitoring
-            const pneumonieCondition = this.getPatientConditionState('pneumonie', patientId);
-            if (pneumonieCondition && pneumonieCondition.isActive) {
-                console.log(`📊 Default monitoring level for respiratoir with respiratory insufficiency + pneumonie tag: tight`);
+            // Check for active tags that raise lung monitoring at this risk level (e.g. pneumonie) to adjust respiratory monitoring
+            const riskLevel = medicalInfo?.selectedRiskLevel || 'low';
+            const lungTags = this.getAllActiveTagsForPatient(patientId)
+                .filter(tag => (this.getTagMonitoringDeltas(tag, riskLevel)?.lung || 0) > 0);
+            if (lungTags.length > 0) {
+                console.log(`📊 Default monitoring level for respiratoir with respiratory insufficiency + ${lungTags.join(', ')} tag: tight`);
                 return 'tight';
             } else {
                 console.log(`📊 Default monitoring level for respiratoir with respiratory insufficiency: mid`);
@@ -2878,13 +5368,13 @@ class SharedDataManager {
         console.log(`🏷️ Applying tag parameter adjustments: ${tag} = ${isActive ? 'ACTIVE' : 'INACTIVE'} for patient ${patientId}`);
         
         // SET FLAG: Mark that tag parameter changes are in progress to prevent immediate websocket triggers
-        sessionStorage.setItem('tagParameterChangeInProgress', 'true');
+        this.sessionFlags.setItem('tagParameterChangeInProgress', 'true');
         console.log('🚩 SET tagParameterChangeInProgress flag - preventing immediate websocket triggers');
         
         if (!patientId) {
             console.warn('❌ No patient ID provided for tag parameter adjustments');
             // Clear flag on early return
-            sessionStorage.removeItem('tagParameterChangeInProgress');
+            this.sessionFlags.removeItem('tagParameterChangeInProgress');
             return;
         }
         
@@ -2923,24 +5413,24 @@ class SharedDataManager {
         // so that sliders reflect the tag-adjusted parameter values
         if (result.targetRanges) {
             if (result.targetRanges.HR && result.targetRanges.HR.min !== '-') {
-                window.HR_MIN = result.targetRanges.HR.min;
-                window.HR_MAX = result.targetRanges.HR.max;
+                this.pageGlobals.HR_MIN = result.targetRanges.HR.min;
+                this.pageGlobals.HR_MAX = result.targetRanges.HR.max;
             }
             if (result.targetRanges.BP_Mean && result.targetRanges.BP_Mean.min !== '-') {
-                window.BP_MIN = result.targetRanges.BP_Mean.min;
-                window.BP_MAX = result.targetRanges.BP_Mean.max;
+                this.pageGlobals.BP_MIN = result.targetRanges.BP_Mean.min;
+                this.pageGlobals.BP_MAX = result.targetRanges.BP_Mean.max;
             }
             if (result.targetRanges.AF && result.targetRanges.AF.min !== '-') {
-                window.AF_MIN = result.targetRanges.AF.min;
-                window.AF_MAX = result.targetRanges.AF.max;
+                this.pageGlobals.AF_MIN = result.targetRanges.AF.min;
+                this.pageGlobals.AF_MAX = result.targetRanges.AF.max;
             }
             if (result.targetRanges.Saturatie && result.targetRanges.Saturatie.min !== '-') {
-                window.SAT_MIN = result.targetRanges.Saturatie.min;
-                window.SAT_MAX = result.targetRanges.Saturatie.max;
+                this.pageGlobals.SAT_MIN = result.targetRanges.Saturatie.min;
+                this.pageGlobals.SAT_MAX = result.targetRanges.Saturatie.max;
             }
             if (result.targetRanges.Temperature && result.targetRanges.Temperature.min !== '-') {
-                window.TEMP_MIN = result.targetRanges.Temperature.min;
-                window.TEMP_MAX = result.targetRanges.Temperature.max;
+                this.pageGlobals.TEMP_MIN = result.targetRanges.Temperature.min;
+                this.pageGlobals.TEMP_MAX = result.targetRanges.Temperature.max;
             }
             
             // Save updated global variables
@@ -2952,7 +5442,7 @@ class SharedDataManager {
         // TIMING FIX: Delay WebSocket message to ensure organ state changes are applied first
         setTimeout(() => {
             // CLEAR FLAG: Tag parameter changes are now complete
-            sessionStorage.removeItem('tagParameterChangeInProgress');
+            this.sessionFlags.removeItem('tagParameterChangeInProgress');
             console.log('🚩 CLEARED tagParameterChangeInProgress flag - enabling immediate websocket triggers');
             
             // CRITICAL FIX: Send WebSocket message AFTER organ state changes complete
@@ -2960,7 +5450,7 @@ class SharedDataManager {
             console.log(`📤 Sending WebSocket message for tag-based parameter change: ${tag} = ${isActive ? 'ACTIVE' : 'INACTIVE'} (delayed for consistency)`);
             this.sendFullThresholdsRiskLevels(patientId);
             
-            window.dispatchEvent(new CustomEvent('tagParametersChanged', {
+            this.eventBus.dispatchEvent(new CustomEvent('tagParametersChanged', {
                 detail: { 
                     source: 'tagChange',
                     tag: tag,
@@ -2974,7 +5464,7 @@ class SharedDataManager {
             console.log(`🔄 Dispatched tagParametersChanged event for ${tag} with parameters AND organ states`);
             
             // Also dispatch global parameters changed event to update sliders
-            window.dispatchEvent(new CustomEvent('globalParametersChanged', {
+            this.eventBus.dispatchEvent(new CustomEvent('globalParametersChanged', {
                 detail: { 
                     source: 'tagChange',
                     tag: tag,
@@ -3009,16 +5499,12 @@ class SharedDataManager {
         // Determine which parameters this tag affects
         const parametersToKeep = [];
         
-        if (tag === 'sepsis') {
-            // Sepsis only affects HR and BP_Mean, so keep manual overrides for other parameters
-            parametersToKeep.push('AF', 'Saturatie', 'Temperature');
-            console.log(`🔒 MANUAL OVERRIDE: Sepsis tag - keeping manual overrides for: ${parametersToKeep.join(', ')}`);
-        } else if (tag === 'pneumonie') {
-            // Pneumonie only affects AF and Saturatie, so keep manual overrides for other parameters
-            parametersToKeep.push('HR', 'BP_Mean', 'Temperature');
-            console.log(`🔒 MANUAL OVERRIDE: Pneumonie tag - keeping manual overrides for: ${parametersToKeep.join(', ')}`);
+        const definition = this.getConditionTagDefinition(tag);
+        if (definition) {
+            // Keep manual overrides for every parameter the tag does not affect
+            parametersToKeep.push(...['HR', 'BP_Mean', 'AF', 'Saturatie', 'Temperature'].filter(param => !definition.affectedParameters.includes(param)));
+            console.log(`🔒 MANUAL OVERRIDE: ${definition.label} tag - keeping manual overrides for: ${parametersToKeep.join(', ')}`);
         }
-        // Add more conditions here for other tags if needed
         
         this.clearManualOverrides(patientId, `tag-${tag}-${isActive ? 'activated' : 'deactivated'}`, parametersToKeep);
         
@@ -3030,6 +5516,12 @@ class SharedDataManager {
             patientId: patientId
         });
         
+        this.recordAuditEntry(patientId, 'condition_tag_toggle', {
+            target: tag,
+            previousValue: currentState ? currentState.isActive : false,
+            newValue: isActive
+        });
+        
         // CRITICAL: Invalidate cache since base data changed
         this.invalidateEffectiveValuesCache(patientId);
         
@@ -3062,7 +5554,7 @@ class SharedDataManager {
         }
         
         // SET FLAG: Mark that tag parameter changes are in progress
-        sessionStorage.setItem('tagParameterChangeInProgress', 'true');
+        this.sessionFlags.setItem('tagParameterChangeInProgress', 'true');
         console.log('🚩 UNIFIED TAG: SET tagParameterChangeInProgress flag');
         
         // Get current medical context
@@ -3130,7 +5622,7 @@ class SharedDataManager {
             console.log('📡 UNIFIED TAG: Broadcasting UI update event after storage completion');
             
             // IMMEDIATE: Broadcast UI update event to all pages AFTER storage is complete
-            window.dispatchEvent(new CustomEvent('unifiedTagUIUpdateRequired', {
+            this.eventBus.dispatchEvent(new CustomEvent('unifiedTagUIUpdateRequired', {
                 detail: {
                     patientId: patientId,
                     activeTags: activeTags,
@@ -3144,7 +5636,7 @@ class SharedDataManager {
             // HIGHLIGHTING FIX: Also dispatch tagParametersChanged event for highlighting support
             // Dispatch for the specific tag that was toggled to enable blue highlighting
             if (toggledTag !== null && toggledTagActive !== null) {
-                window.dispatchEvent(new CustomEvent('tagParametersChanged', {
+                this.eventBus.dispatchEvent(new CustomEvent('tagParametersChanged', {
                     detail: {
                         source: 'unified_tag',
                         tag: toggledTag,
@@ -3168,7 +5660,7 @@ class SharedDataManager {
             }
             
             // Clear flag
-            sessionStorage.removeItem('tagParameterChangeInProgress');
+            this.sessionFlags.removeItem('tagParameterChangeInProgress');
             console.log('🚩 UNIFIED TAG: CLEARED tagParameterChangeInProgress flag');
         }, 520); // Slightly longer delay to ensure UI updates complete first
         
@@ -3188,47 +5680,104 @@ class SharedDataManager {
     getAllActiveTagsForPatient(patientId) {
         const activeTags = [];
         
-        // Check sepsis
-        const sepsisState = this.getPatientConditionState('sepsis', patientId);
-        if (sepsisState && sepsisState.isActive) {
-            activeTags.push('sepsis');
-        }
-        
-        // Check pneumonie
-        const pneumonieState = this.getPatientConditionState('pneumonie', patientId);
-        if (pneumonieState && pneumonieState.isActive) {
-            activeTags.push('pneumonie');
-        }
-        
-        // Add more tags here as needed
+        // Check every condition tag defined in the clinical protocol
+        this.getSupportedConditionTags().forEach(tag => {
+            const tagState = this.getPatientConditionState(tag, patientId);
+            if (tagState && tagState.isActive) {
+                activeTags.push(tag);
+            }
+        });
         
         return activeTags;
     }
 
+    /**
+     * Get Condition Tag Registry
+     * Every condition tag declared in the clinical protocol, keyed by tag name.
+     * Each definition carries the tag's label, icon, affected parameters, parameter deltas and
+     * monitoring-level deltas, so apply/revert/broadcast code never needs per-tag branches.
+     * @returns {Object} - { [tag]: definition } (see getConditionTagDefinition)
+     */
+    getConditionTagRegistry() {
+        const registry = {};
+        this.getSupportedConditionTags().forEach(tag => {
+            registry[tag] = this.getConditionTagDefinition(tag);
+        });
+        return registry;
+    }
+
+    /**
+     * Get the registry definition of a single condition tag
+     * @param {string} tag - Condition tag
+     * @returns {Object|null} - { tag, label, icon, description, affectedParameters, parameterDeltas, monitoringDeltas }, or null if unknown
+     */
+    getConditionTagDefinition(tag) {
+        const tagConfig = this.clinicalProtocol ? this.clinicalProtocol.getTagConfig(tag) : null;
+        if (!tagConfig) return null;
+        
+        return {
+            tag: tag,
+            label: tagConfig.label,
+            icon: tagConfig.icon || null,
+            description: tagConfig.description || '',
+            affectedParameters: tagConfig.affectedParameters,
+            parameterDeltas: tagConfig.parameterDeltas || {},
+            monitoringDeltas: tagConfig.monitoringDeltas || {}
+        };
+    }
+
+    /**
+     * Get Supported Condition Tags
+     * Condition tags declared in the clinical protocol (sepsis, pneumonie, diabetes, chronisch-nierfalen)
+     * @returns {Array} - Array of tag names
+     */
+    getSupportedConditionTags() {
+        return this.clinicalProtocol ? this.clinicalProtocol.getTags() : [];
+    }
+
+    /**
+     * Check whether a condition tag is handled by the unified tag system
+     * @param {string} tag - Condition tag
+     * @returns {boolean}
+     */
+    isSupportedConditionTag(tag) {
+        return this.getSupportedConditionTags().includes(tag);
+    }
+
+    /**
+     * Get the parameters a condition tag affects according to the tag registry
+     * @param {string} tag - Condition tag
+     * @returns {Array} - Parameter names (e.g. ['HR', 'BP_Mean'])
+     */
+    getParametersAffectedByTag(tag) {
+        const definition = this.getConditionTagDefinition(tag);
+        return definition ? definition.affectedParameters : [];
+    }
+
     /**
      * Update Global Variables from Ranges
      * @param {Object} ranges - Parameter ranges object
      */
     updateGlobalVariablesFromRanges(ranges) {
         if (ranges.HR && ranges.HR.min !== '-') {
-            window.HR_MIN = ranges.HR.min;
-            window.HR_MAX = ranges.HR.max;
+            this.pageGlobals.HR_MIN = ranges.HR.min;
+            this.pageGlobals.HR_MAX = ranges.HR.max;
         }
         if (ranges.BP_Mean && ranges.BP_Mean.min !== '-') {
-            window.BP_MIN = ranges.BP_Mean.min;
-            window.BP_MAX = ranges.BP_Mean.max;
+            this.pageGlobals.BP_MIN = ranges.BP_Mean.min;
+            this.pageGlobals.BP_MAX = ranges.BP_Mean.max;
         }
         if (ranges.AF && ranges.AF.min !== '-') {
-            window.AF_MIN = ranges.AF.min;
-            window.AF_MAX = ranges.AF.max;
+            this.pageGlobals.AF_MIN = ranges.AF.min;
+            this.pageGlobals.AF_MAX = ranges.AF.max;
         }
         if (ranges.Saturatie && ranges.Saturatie.min !== '-') {
-            window.SAT_MIN = ranges.Saturatie.min;
-            window.SAT_MAX = ranges.Saturatie.max;
+            this.pageGlobals.SAT_MIN = ranges.Saturatie.min;
+            this.pageGlobals.SAT_MAX = ranges.Saturatie.max;
         }
         if (ranges.Temperature && ranges.Temperature.min !== '-') {
-            window.TEMP_MIN = ranges.Temperature.min;
-            window.TEMP_MAX = ranges.Temperature.max;
+            this.pageGlobals.TEMP_MIN = ranges.Temperature.min;
+            this.pageGlobals.TEMP_MAX = ranges.Temperature.max;
         }
         
         console.log('🔄 UNIFIED TAG: Updated global variables for sliders');
@@ -3247,7 +5796,7 @@ class SharedDataManager {
         
         for (const [bed, data] of Object.entries(bedStates)) {
             if (data.patientId === patientId) {
-                bedNumber = parseInt(bed);
+                bedNumber = bed;
                 break;
             }
         }
@@ -3295,7 +5844,7 @@ class SharedDataManager {
      */
     broadcastUnifiedTagStateChange(patientId, tag, isActive) {
         // Dispatch event for UI synchronization across pages
-        window.dispatchEvent(new CustomEvent('unifiedTagStateChanged', {
+        this.eventBus.dispatchEvent(new CustomEvent('unifiedTagStateChanged', {
             detail: {
                 patientId: patientId,
                 tag: tag,
@@ -3319,15 +5868,10 @@ class SharedDataManager {
         
         const tagStates = {};
         
-        // Get sepsis state
-        const sepsisState = this.getPatientConditionState('sepsis', patientId);
-        tagStates.sepsis = sepsisState ? sepsisState.isActive : false;
-        
-        // Get pneumonie state
-        const pneumonieState = this.getPatientConditionState('pneumonie', patientId);
-        tagStates.pneumonie = pneumonieState ? pneumonieState.isActive : false;
-        
-        // Add more tags here as the system expands
+        this.getSupportedConditionTags().forEach(tag => {
+            const tagState = this.getPatientConditionState(tag, patientId);
+            tagStates[tag] = tagState ? tagState.isActive : false;
+        });
         
         console.log(`🏷️ UNIFIED TAG: Current tag states for ${patientId}:`, tagStates);
         return tagStates;
@@ -3342,7 +5886,7 @@ class SharedDataManager {
         const tagStates = this.getCurrentTagStatesForPatient(patientId);
         
         // Dispatch unified event for all pages to sync their UI
-        window.dispatchEvent(new CustomEvent('unifiedTagStateSyncRequired', {
+        this.eventBus.dispatchEvent(new CustomEvent('unifiedTagStateSyncRequired', {
             detail: {
                 patientId: patientId,
                 tagStates: tagStates,
@@ -3388,7 +5932,7 @@ class SharedDataManager {
         
         // Get remaining active tags (excluding the deselected one)
         const remainingActiveTags = [];
-        const allTags = ['sepsis', 'pneumonie']; // Add more as needed
+        const allTags = this.getSupportedConditionTags();
         
         allTags.forEach(tag => {
             if (tag !== deselectedTag) {
@@ -3430,24 +5974,24 @@ class SharedDataManager {
         
         // Update global variables to reflect the reverted ranges
         if (finalRanges.HR && finalRanges.HR.min !== '-') {
-            window.HR_MIN = finalRanges.HR.min;
-            window.HR_MAX = finalRanges.HR.max;
+            this.pageGlobals.HR_MIN = finalRanges.HR.min;
+            this.pageGlobals.HR_MAX = finalRanges.HR.max;
         }
         if (finalRanges.BP_Mean && finalRanges.BP_Mean.min !== '-') {
-            window.BP_MIN = finalRanges.BP_Mean.min;
-            window.BP_MAX = finalRanges.BP_Mean.max;
+            this.pageGlobals.BP_MIN = finalRanges.BP_Mean.min;
+            this.pageGlobals.BP_MAX = finalRanges.BP_Mean.max;
         }
         if (finalRanges.AF && finalRanges.AF.min !== '-') {
-            window.AF_MIN = finalRanges.AF.min;
-            window.AF_MAX = finalRanges.AF.max;
+            this.pageGlobals.AF_MIN = finalRanges.AF.min;
+            this.pageGlobals.AF_MAX = finalRanges.AF.max;
         }
         if (finalRanges.Saturatie && finalRanges.Saturatie.min !== '-') {
-            window.SAT_MIN = finalRanges.Saturatie.min;
-            window.SAT_MAX = finalRanges.Saturatie.max;
+            this.pageGlobals.SAT_MIN = finalRanges.Saturatie.min;
+            this.pageGlobals.SAT_MAX = finalRanges.Saturatie.max;
         }
         if (finalRanges.Temperature && finalRanges.Temperature.min !== '-') {
-            window.TEMP_MIN = finalRanges.Temperature.min;
-            window.TEMP_MAX = finalRanges.Temperature.max;
+            this.pageGlobals.TEMP_MIN = finalRanges.Temperature.min;
+            this.pageGlobals.TEMP_MAX = finalRanges.Temperature.max;
         }
         
         // Save updated global variables
@@ -3469,7 +6013,7 @@ class SharedDataManager {
         
         // Dispatch events to update UI
         setTimeout(() => {
-            window.dispatchEvent(new CustomEvent('tagParametersChanged', {
+            this.eventBus.dispatchEvent(new CustomEvent('tagParametersChanged', {
                 detail: { 
                     source: 'matrixReversion',
                     deselectedTag: deselectedTag,
@@ -3480,7 +6024,7 @@ class SharedDataManager {
                 }
             }));
             
-            window.dispatchEvent(new CustomEvent('globalParametersChanged', {
+            this.eventBus.dispatchEvent(new CustomEvent('globalParametersChanged', {
                 detail: { 
                     source: 'matrixReversion',
                     deselectedTag: deselectedTag,
@@ -3513,18 +6057,18 @@ class SharedDataManager {
         const heartLevel = heartLevelMapping[level] || level;
         
         // Update heart circle components
-        if (window.organComponents?.heart) {
-            window.organComponents.heart.setRiskLevel(heartLevel);
+        if (this.pageGlobals.organComponents?.heart) {
+            this.pageGlobals.organComponents.heart.setRiskLevel(heartLevel);
         }
-        if (window.circulatoirHeartCircle) {
-            window.circulatoirHeartCircle.setRiskLevel(heartLevel);
+        if (this.pageGlobals.circulatoirHeartCircle) {
+            this.pageGlobals.circulatoirHeartCircle.setRiskLevel(heartLevel);
         }
         
         // Also update the heart monitoring level for consistency
         this.setHeartMonitoringLevel(patientId, heartLevel);
         
         // Trigger events for both monitoring levels
-        document.dispatchEvent(new CustomEvent('heartMonitoringLevelChanged', {
+        this.documentEventBus.dispatchEvent(new CustomEvent('heartMonitoringLevelChanged', {
             detail: { patientId, level: heartLevel }
         }));
         
@@ -3559,8 +6103,8 @@ class SharedDataManager {
             console.warn('⚠️ Missing thresholds configuration in getConfigData() - using Matrix system');
             
             // Use Matrix system instead of hardcoded values
-            const currentRiskLevel = localStorage.getItem(this.storageKeys.SELECTED_RISK_LEVEL) || 'low';
-            const currentProblem = localStorage.getItem(this.storageKeys.SELECTED_PROBLEM) || '';
+            const currentRiskLevel = this.storage.getItem(this.storageKeys.SELECTED_RISK_LEVEL) || 'low';
+            const currentProblem = this.storage.getItem(this.storageKeys.SELECTED_PROBLEM) || '';
             
             if (currentProblem && currentProblem !== '' && currentProblem !== 'none') {
                 const matrixRanges = this.getMatrixBasedBaseRanges(currentProblem, currentRiskLevel);
@@ -3587,36 +6131,20 @@ class SharedDataManager {
         
         const normalThresholds = config.thresholds.normal;
         
-        // Check for sepsis tag
-        const hasSepsis = tags.some(tag => tag.toLowerCase().includes('sepsis'));
-        
-        // Check for pneumonie tag
-        const hasPneumonie = tags.some(tag => tag.toLowerCase().includes('pneumonie'));
-        
-        // Apply tag-specific thresholds using Matrix delta system
-        if (hasSepsis && config.thresholds.conditions?.sepsis) {
-            const sepsisThresholds = config.thresholds.conditions.sepsis;
-            const result = {
-                ...normalThresholds,
-                circulatoir: {
-                    ...normalThresholds.circulatoir,
-                    ...sepsisThresholds.circulatoir
-                }
-            };
-            console.log('🦠 Applied sepsis-specific thresholds from Matrix');
-            return result;
-        }
+        // Apply tag-specific thresholds from the tag registry (first matching registered tag wins)
+        const matchingTag = this.getSupportedConditionTags().find(registeredTag =>
+            config.thresholds.conditions?.[registeredTag] && tags.some(tag => tag.toLowerCase().includes(registeredTag))
+        );
         
-        if (hasPneumonie && config.thresholds.conditions?.pneumonie) {
-            const pneumonieThresholds = config.thresholds.conditions.pneumonie;
-            const result = {
-                ...normalThresholds,
-                respiratoire: {
-                    ...normalThresholds.respiratoire,
-                    ...pneumonieThresholds.respiratoire
-                }
-            };
-            console.log('🫁 Applied pneumonie-specific thresholds from Matrix');
+        if (matchingTag) {
+            const result = { ...normalThresholds };
+            Object.entries(config.thresholds.conditions[matchingTag]).forEach(([organSystem, parameters]) => {
+                result[organSystem] = {
+                    ...normalThresholds[organSystem],
+                    ...parameters
+                };
+            });
+            console.log(`🏷️ Applied ${matchingTag}-specific thresholds from Matrix`);
             return result;
         }
         
@@ -3636,7 +6164,7 @@ class SharedDataManager {
         console.log(`🔍 CACHE DEBUG: getCurrentTargetRanges called for patient ${patientId}`);
         
         const key = `${this.storageKeys.PATIENT_PREFIX}${patientId}_current_target_ranges`;
-        const stored = localStorage.getItem(key);
+        const stored = this.storage.getItem(key);
         
         let baseRanges;
         if (stored) {
@@ -3668,7 +6196,7 @@ class SharedDataManager {
      */
     setCurrentTargetRanges(patientId, targetRanges, source = 'unknown') {
         const key = `${this.storageKeys.PATIENT_PREFIX}${patientId}_current_target_ranges`;
-        localStorage.setItem(key, JSON.stringify(targetRanges));
+        this.storage.setItem(key, JSON.stringify(targetRanges));
         
         console.log('📊 Updated current target ranges for patient:', patientId, 'Source:', source, targetRanges);
         
@@ -3710,7 +6238,7 @@ class SharedDataManager {
             }
         });
         console.log('🚀 Event created, dispatching now...');
-        window.dispatchEvent(event);
+        this.eventBus.dispatchEvent(event);
         console.log('� Event DISPATCHED successfully:', { patientId, source, targetRanges });
     }
 
@@ -3720,7 +6248,7 @@ class SharedDataManager {
     savePatientCirculatoirSettings(patientId, circulatoirSettings) {
         try {
             const settingsKey = `${this.storageKeys.PATIENT_PREFIX}${patientId}_circulatoirSettings`;
-            localStorage.setItem(settingsKey, JSON.stringify(circulatoirSettings));
+            this.storage.setItem(settingsKey, JSON.stringify(circulatoirSettings));
             
             // Also save to centralized app data
             const appData = this.getAppData();
@@ -3754,7 +6282,7 @@ class SharedDataManager {
             
             // Fallback to individual storage
             const settingsKey = `${this.storageKeys.PATIENT_PREFIX}${patientId}_circulatoirSettings`;
-            const data = localStorage.getItem(settingsKey);
+            const data = this.storage.getItem(settingsKey);
             return data ? JSON.parse(data) : null;
         } catch (error) {
             console.error('❌ Error getting circulatoir settings:', error);
@@ -3768,7 +6296,7 @@ class SharedDataManager {
     savePatientRespiratorySettings(patientId, respiratorySettings) {
         try {
             const settingsKey = `${this.storageKeys.PATIENT_PREFIX}${patientId}_respiratorySettings`;
-            localStorage.setItem(settingsKey, JSON.stringify(respiratorySettings));
+            this.storage.setItem(settingsKey, JSON.stringify(respiratorySettings));
             
             // Also save to centralized app data
             const appData = this.getAppData();
@@ -3802,7 +6330,7 @@ class SharedDataManager {
             
             // Fallback to individual storage
             const settingsKey = `${this.storageKeys.PATIENT_PREFIX}${patientId}_respiratorySettings`;
-            const data = localStorage.getItem(settingsKey);
+            const data = this.storage.getItem(settingsKey);
             return data ? JSON.parse(data) : null;
         } catch (error) {
             console.error('❌ Error getting respiratory settings:', error);
@@ -3816,7 +6344,7 @@ class SharedDataManager {
     savePatientOtherSettings(patientId, otherSettings) {
         try {
             const settingsKey = `${this.storageKeys.PATIENT_PREFIX}${patientId}_otherSettings`;
-            localStorage.setItem(settingsKey, JSON.stringify(otherSettings));
+            this.storage.setItem(settingsKey, JSON.stringify(otherSettings));
             
             // Also save to centralized app data
             const appData = this.getAppData();
@@ -3850,7 +6378,7 @@ class SharedDataManager {
             
             // Fallback to individual storage
             const settingsKey = `${this.storageKeys.PATIENT_PREFIX}${patientId}_otherSettings`;
-            const data = localStorage.getItem(settingsKey);
+            const data = this.storage.getItem(settingsKey);
             return data ? JSON.parse(data) : null;
         } catch (error) {
             console.error('❌ Error getting other settings:', error);
@@ -3867,7 +6395,7 @@ class SharedDataManager {
             
             // Save to individual storage for backwards compatibility
             const rangesKey = `${this.storageKeys.PATIENT_PREFIX}${patientId}_targetRanges`;
-            localStorage.setItem(rangesKey, JSON.stringify(targetRanges));
+            this.storage.setItem(rangesKey, JSON.stringify(targetRanges));
             
             // Also save to centralized app data
             const appData = this.getAppData();
@@ -3913,7 +6441,7 @@ class SharedDataManager {
             
             // Fallback to individual storage
             const rangesKey = `${this.storageKeys.PATIENT_PREFIX}${patientId}_targetRanges`;
-            const data = localStorage.getItem(rangesKey);
+            const data = this.storage.getItem(rangesKey);
             return data ? JSON.parse(data) : this.getDefaultTargetRanges();
         } catch (error) {
             console.error('❌ Error getting target ranges:', error);
@@ -3930,8 +6458,8 @@ class SharedDataManager {
         console.log('⚠️ getDefaultTargetRanges called - this should only be used as fallback when no problem is selected');
         
         // Check if we have an active problem and risk level selected
-        const problemValue = localStorage.getItem(this.storageKeys.SELECTED_PROBLEM) || '';
-        const overallRiskLevel = localStorage.getItem(this.storageKeys.SELECTED_RISK_LEVEL) || 'low';
+        const problemValue = this.storage.getItem(this.storageKeys.SELECTED_PROBLEM) || '';
+        const overallRiskLevel = this.storage.getItem(this.storageKeys.SELECTED_RISK_LEVEL) || 'low';
         
         if (problemValue && problemValue !== '' && problemValue !== 'none') {
             console.log('📋 Using matrix-based ranges for selected problem:', problemValue, '+ risk:', overallRiskLevel);
@@ -3974,7 +6502,7 @@ class SharedDataManager {
         this.savePatientTargetRanges(patientId, targetRanges);
         
         // Set a timestamp for manual changes (to prioritize over automatic updates)
-        sessionStorage.setItem('manualTargetRangesChange', Date.now().toString());
+        this.sessionFlags.setItem('manualTargetRangesChange', Date.now().toString());
         
         // Use centralized event firing system with proper source tracking
         console.log('⚠️ DEPRECATED: updateGlobalTargetRanges called - use centralized system instead');
@@ -3992,8 +6520,8 @@ class SharedDataManager {
      */
     initializeGlobalHRVariables() {
         // Get Matrix-based defaults instead of hardcoded values
-        const currentProblem = localStorage.getItem(this.storageKeys.SELECTED_PROBLEM) || '';
-        const currentRiskLevel = localStorage.getItem(this.storageKeys.SELECTED_RISK_LEVEL) || 'low';
+        const currentProblem = this.storage.getItem(this.storageKeys.SELECTED_PROBLEM) || '';
+        const currentRiskLevel = this.storage.getItem(this.storageKeys.SELECTED_RISK_LEVEL) || 'low';
         
         let matrixDefaults = {};
         if (currentProblem && currentProblem !== '' && currentProblem !== 'none') {
@@ -4003,13 +6531,13 @@ class SharedDataManager {
             matrixDefaults = this.getMatrixBasedBaseRanges('respiratoire-insufficientie', 'low');
         }
         
-        if (!window.HR_low) {
-            window.HR_low = matrixDefaults.HR?.min || 70; // Matrix-based default
+        if (!this.pageGlobals.HR_low) {
+            this.pageGlobals.HR_low = matrixDefaults.HR?.min || 70; // Matrix-based default
         }
-        if (!window.HR_high) {
-            window.HR_high = matrixDefaults.HR?.max || 100; // Matrix-based default
+        if (!this.pageGlobals.HR_high) {
+            this.pageGlobals.HR_high = matrixDefaults.HR?.max || 100; // Matrix-based default
         }
-        console.log('🔧 Initialized global HR variables from Matrix:', window.HR_low, '-', window.HR_high);
+        console.log('🔧 Initialized global HR variables from Matrix:', this.pageGlobals.HR_low, '-', this.pageGlobals.HR_high);
     }
 
     /**
@@ -4021,8 +6549,8 @@ class SharedDataManager {
         const targetRanges = this.getPatientTargetRanges(patientId) || this.getDefaultTargetRanges();
         
         // Get Matrix-based fallbacks if targetRanges are empty
-        const currentProblem = localStorage.getItem(this.storageKeys.SELECTED_PROBLEM) || '';
-        const currentRiskLevel = localStorage.getItem(this.storageKeys.SELECTED_RISK_LEVEL) || 'low';
+        const currentProblem = this.storage.getItem(this.storageKeys.SELECTED_PROBLEM) || '';
+        const currentRiskLevel = this.storage.getItem(this.storageKeys.SELECTED_RISK_LEVEL) || 'low';
         
         let matrixFallbacks = {};
         if (currentProblem && currentProblem !== '' && currentProblem !== 'none') {
@@ -4032,8 +6560,8 @@ class SharedDataManager {
         }
         
         const backupData = {
-            HR_low: targetRanges.HR?.min || window.HR_low || matrixFallbacks.HR?.min,
-            HR_high: targetRanges.HR?.max || window.HR_high || matrixFallbacks.HR?.max,
+            HR_low: targetRanges.HR?.min || this.pageGlobals.HR_low || matrixFallbacks.HR?.min,
+            HR_high: targetRanges.HR?.max || this.pageGlobals.HR_high || matrixFallbacks.HR?.max,
             BP_low: targetRanges.BP_Mean?.min || matrixFallbacks.BP_Mean?.min,
             BP_high: targetRanges.BP_Mean?.max || matrixFallbacks.BP_Mean?.max,
             timestamp: new Date().toISOString()
@@ -4042,9 +6570,9 @@ class SharedDataManager {
         const backupKey = `${this.storageKeys.PATIENT_PREFIX}${patientId}_hrBackup`;
         
         // Only save backup if it doesn't already exist (don't overwrite with sepsis values)
-        const existingBackup = localStorage.getItem(backupKey);
+        const existingBackup = this.storage.getItem(backupKey);
         if (!existingBackup) {
-            localStorage.setItem(backupKey, JSON.stringify(backupData));
+            this.storage.setItem(backupKey, JSON.stringify(backupData));
             console.log('💾 HR backup saved for patient:', patientId, backupData);
         } else {
             console.log('ℹ️ HR backup already exists for patient:', patientId, '- not overwriting');
@@ -4059,7 +6587,7 @@ class SharedDataManager {
     getHRBackup(patientId) {
         try {
             const backupKey = `${this.storageKeys.PATIENT_PREFIX}${patientId}_hrBackup`;
-            const data = localStorage.getItem(backupKey);
+            const data = this.storage.getItem(backupKey);
             return data ? JSON.parse(data) : null;
         } catch (error) {
             console.error('❌ Error getting HR backup:', error);
@@ -4072,89 +6600,27 @@ class SharedDataManager {
      */
     clearHRBackup(patientId) {
         const backupKey = `${this.storageKeys.PATIENT_PREFIX}${patientId}_hrBackup`;
-        localStorage.removeItem(backupKey);
+        this.storage.removeItem(backupKey);
         console.log('🗑️ Cleared HR backup for patient:', patientId);
     }
 
     /**
-     * Apply sepsis HR ranges (90-130) and notify all pages
-     * DISABLED: Now only maintains visual state, no range changes
-     */
-    applySepsisHRRanges(patientId) {
-        // Keep the sepsis condition state for button appearance
-        this.setPatientConditionState('sepsis', {
-            patientId: patientId,
-            isActive: true,
-            timestamp: Date.now(),
-            source: 'sepsis-selection'
-        });
-        
-        console.log('🦠 Sepsis selected - visual state updated, but ranges unchanged');
-        // No longer modifies target ranges or dispatches events
-    }
-
-    /**
-     * Restore previous HR ranges when sepsis is deselected
-     * DISABLED: Now only maintains visual state, no range changes
-     */
-    restorePreviousHRRanges(patientId) {
-        // Keep the sepsis condition state for button appearance
-        this.setPatientConditionState('sepsis', {
-            patientId: patientId,
-            isActive: false,
-            timestamp: Date.now(),
-            source: 'sepsis-deselection'
-        });
-        
-        console.log('🔙 Sepsis deselected - visual state updated, but ranges unchanged');
-        // No longer modifies target ranges or dispatches events
-    }
-
-    /**
-     * Handle sepsis tag selection/deselection
-     * DISABLED: Now only maintains visual state, no range changes
+     * Handle selection/deselection of any condition tag from the registry
+     * Delegates to the unified tag system, which applies or reverts the tag's deltas and broadcasts the change
+     * @param {string} patientId - Patient ID
+     * @param {string} tag - Condition tag
+     * @param {boolean} isSelected - Whether the tag is selected
+     * @returns {Object|null} - Result of toggleConditionTag, or null for unknown tags
      */
-    handleSepsisTagChange(patientId, isSelected) {
-        if (isSelected) {
-            this.applySepsisHRRanges(patientId);
-        } else {
-            this.restorePreviousHRRanges(patientId);
+    handleConditionTagChange(patientId, tag, isSelected) {
+        const definition = this.getConditionTagDefinition(tag);
+        if (!definition) {
+            console.warn(`⚠️ Unknown condition tag: ${tag} - not in clinical protocol tag registry`);
+            return null;
         }
-        // Both methods now only handle visual state, not actual range changes
-    }
-
-    /**
-     * Apply pneumonie-specific AF ranges (10-30 instead of 10-25)
-     * DISABLED: Now only maintains visual state, no range changes
-     */
-    applyPneumonieAFRanges(patientId) {
-        // Keep the pneumonie condition state for button appearance
-        this.setPatientConditionState('pneumonie', {
-            patientId: patientId,
-            isActive: true,
-            timestamp: Date.now(),
-            source: 'pneumonie-selection'
-        });
-        
-        console.log('🫁 Pneumonie selected - visual state updated, but AF ranges unchanged');
-        // No longer modifies target ranges or dispatches events
-    }
-
-    /**
-     * Restore previous AF ranges when pneumonie is deselected
-     * DISABLED: Now only maintains visual state, no range changes
-     */
-    restorePreviousAFRanges(patientId) {
-        // Keep the pneumonie condition state for button appearance
-        this.setPatientConditionState('pneumonie', {
-            patientId: patientId,
-            isActive: false,
-            timestamp: Date.now(),
-            source: 'pneumonie-deselection'
-        });
         
-        console.log('🫁 Pneumonie deselected - visual state updated, but AF ranges unchanged');
-        // No longer modifies target ranges or dispatches events
+        console.log(`🏷️ ${definition.label} ${isSelected ? 'selected' : 'deselected'} for patient ${patientId}`);
+        return this.toggleConditionTag(patientId, tag, isSelected);
     }
 
     /**
@@ -4166,7 +6632,7 @@ class SharedDataManager {
         console.log(`🔍 Checking patient state for: ${patientId}`);
         
         const conditionsKey = `${this.storageKeys.PATIENT_PREFIX}${patientId}_conditions`;
-        const existingConditions = localStorage.getItem(conditionsKey);
+        const existingConditions = this.storage.getItem(conditionsKey);
         
         // If no existing conditions or force clean requested, initialize clean states
         if (!existingConditions || forceClean) {
@@ -4175,10 +6641,10 @@ class SharedDataManager {
             
             // Also ensure target ranges start with normal defaults
             const targetRangesKey = `${this.storageKeys.PATIENT_PREFIX}${patientId}_targetRanges`;
-            const existingRanges = localStorage.getItem(targetRangesKey);
+            const existingRanges = this.storage.getItem(targetRangesKey);
             if (!existingRanges || forceClean) {
                 const cleanRanges = this.getDefaultTargetRanges();
-                localStorage.setItem(targetRangesKey, JSON.stringify(cleanRanges));
+                this.storage.setItem(targetRangesKey, JSON.stringify(cleanRanges));
                 console.log(`✅ Clean target ranges initialized for ${patientId}:`, cleanRanges);
             }
         } else {
@@ -4194,20 +6660,16 @@ class SharedDataManager {
         console.log(`🧹 Initializing clean condition states for new patient: ${patientId}`);
         
         const conditionsKey = `${this.storageKeys.PATIENT_PREFIX}${patientId}_conditions`;
-        const cleanConditions = {
-            sepsis: {
-                isActive: false,
-                timestamp: Date.now(),
-                source: 'initialization'
-            },
-            pneumonie: {
+        const cleanConditions = {};
+        this.getSupportedConditionTags().forEach(tag => {
+            cleanConditions[tag] = {
                 isActive: false,
                 timestamp: Date.now(),
                 source: 'initialization'
-            }
-        };
+            };
+        });
         
-        localStorage.setItem(conditionsKey, JSON.stringify(cleanConditions));
+        this.storage.setItem(conditionsKey, JSON.stringify(cleanConditions));
         console.log(`✅ Clean condition states initialized for patient ${patientId}`);
         return cleanConditions;
     }
@@ -4223,7 +6685,7 @@ class SharedDataManager {
             console.log(`🏥 Setting ${condition} state for patient ${patientId}: ${isActive}`);
             
             const conditionsKey = `${this.storageKeys.PATIENT_PREFIX}${patientId}_conditions`;
-            let conditions = JSON.parse(localStorage.getItem(conditionsKey)) || {};
+            let conditions = JSON.parse(this.storage.getItem(conditionsKey)) || {};
             
             // Check if this is already the current state to prevent recursion
             const currentState = conditions[condition];
@@ -4237,28 +6699,10 @@ class SharedDataManager {
                 timestamp: timestamp,
                 source: source
             };
-            localStorage.setItem(conditionsKey, JSON.stringify(conditions));
-            
-            // Handle sepsis-specific slider updates (but only if called from external source)
-            if (condition === 'sepsis' && source !== 'internal') {
-                if (isActive) {
-                    this.applySepsisHRRanges(patientId);
-                } else {
-                    this.restorePreviousHRRanges(patientId);
-                }
-            }
-            
-            // Handle pneumonie-specific breathing frequency (AF) updates (but only if called from external source)
-            if (condition === 'pneumonie' && source !== 'internal') {
-                if (isActive) {
-                    this.applyPneumonieAFRanges(patientId);
-                } else {
-                    this.restorePreviousAFRanges(patientId);
-                }
-            }
+            this.storage.setItem(conditionsKey, JSON.stringify(conditions));
             
             // Dispatch event for cross-page synchronization
-            window.dispatchEvent(new CustomEvent('patientConditionStateChanged', {
+            this.eventBus.dispatchEvent(new CustomEvent('patientConditionStateChanged', {
                 detail: {
                     condition: condition,
                     state: {
@@ -4291,7 +6735,7 @@ class SharedDataManager {
             if (!targetPatientId) return null;
             
             const conditionsKey = `${this.storageKeys.PATIENT_PREFIX}${targetPatientId}_conditions`;
-            const conditions = JSON.parse(localStorage.getItem(conditionsKey)) || {};
+            const conditions = JSON.parse(this.storage.getItem(conditionsKey)) || {};
             
             // Return the condition state if it exists, otherwise return default inactive state
             return conditions[condition] || {
@@ -4315,12 +6759,13 @@ class SharedDataManager {
      */
     getCurrentPatientId() {
         // Try to get from URL parameters first
-        const urlParams = new URLSearchParams(window.location.search);
-        const patientId = urlParams.get('patient');
-        if (patientId) return patientId;
+        if (typeof window !== 'undefined' && window.location) {
+            const patientId = new URLSearchParams(window.location.search).get('patient');
+            if (patientId) return patientId;
+        }
         
         // Fallback to localStorage if available
-        return localStorage.getItem('currentPatientId') || null;
+        return this.storage.getItem('currentPatientId') || null;
     }
 
     /**
@@ -4334,7 +6779,7 @@ class SharedDataManager {
             if (!targetPatientId) return {};
             
             const conditionsKey = `${this.storageKeys.PATIENT_PREFIX}${targetPatientId}_conditions`;
-            return JSON.parse(localStorage.getItem(conditionsKey)) || {};
+            return JSON.parse(this.storage.getItem(conditionsKey)) || {};
         } catch (error) {
             console.error(`❌ Error getting patient conditions:`, error);
             return {};
@@ -4404,11 +6849,11 @@ class SharedDataManager {
      */
     debugLocalStorage() {
         console.log('🔍 === DEBUG localStorage CONTENT ===');
-        console.log('📊 Total localStorage keys:', localStorage.length);
+        console.log('📊 Store:', this.storage.getInfo());
         
-        for (let i = 0; i < localStorage.length; i++) {
-            const key = localStorage.key(i);
-            const value = localStorage.getItem(key);
+        for (let i = 0; i < this.storage.length; i++) {
+            const key = this.storage.key(i);
+            const value = this.storage.getItem(key);
             
             try {
                 const parsed = JSON.parse(value);
@@ -4644,21 +7089,12 @@ class SharedDataManager {
      * @returns {Object} - Monitoring deltas by organ
      */
     getTagMonitoringDeltas(tag, riskLevel) {
-        // Same logic as existing tag delta calculation but for monitoring levels
-        const monitoringDeltas = {
-            sepsis: {
-                low: { heart: 1, temp: 1 },
-                mid: { heart: 1, temp: 1 },
-                high: { heart: 2, temp: 1 }
-            },
-            pneumonie: {
-                low: { lung: 1, temp: 1 },
-                mid: { lung: 1, temp: 1 },  
-                high: { lung: 2, temp: 1 }
-            }
-        };
+        // Monitoring deltas come from the condition tag registry, per risk level
+        const definition = this.getConditionTagDefinition(tag);
+        if (!definition) return null;
         
-        return monitoringDeltas[tag]?.[riskLevel] || null;
+        const organDeltas = definition.monitoringDeltas[riskLevel] || {};
+        return Object.keys(organDeltas).length > 0 ? organDeltas : null;
     }
 
     /**
@@ -4672,15 +7108,21 @@ class SharedDataManager {
      * @param {string} parameter - Parameter name (HR, BP_Mean, AF, Saturatie, Temperature)
      * @param {Object} range - Manual range {min, max, unit}
      * @param {string} source - Source of manual change ('slider', 'input')
+     * @returns {Object} - { success: boolean, error? } (fails when the current user may not set this range)
      */
     setManualOverride(patientId, parameter, range, source = 'manual') {
         console.log(`🔧 MANUAL OVERRIDE: Setting ${parameter} override for patient ${patientId}:`, range);
         
+        const permission = this.checkPermission('setManualOverride', { patientId, parameter, range });
+        if (!permission.allowed) {
+            return this.denyPermission('setManualOverride', { patientId, parameter, range }, permission.reason);
+        }
+        
         const overrideKey = `${this.storageKeys.MANUAL_OVERRIDE_PREFIX}${patientId}`;
         let overrides = {};
         
         try {
-            const existing = localStorage.getItem(overrideKey);
+            const existing = this.storage.getItem(overrideKey);
             if (existing) {
                 overrides = JSON.parse(existing);
             }
@@ -4689,6 +7131,8 @@ class SharedDataManager {
             overrides = {};
         }
         
+        const previousRange = overrides[parameter] ? overrides[parameter].range : null;
+        
         // Store the manual override with metadata
         overrides[parameter] = {
             range: range,
@@ -4698,16 +7142,25 @@ class SharedDataManager {
         };
         
         // Save to localStorage
-        localStorage.setItem(overrideKey, JSON.stringify(overrides));
+        this.storage.setItem(overrideKey, JSON.stringify(overrides));
         
         console.log(`✅ MANUAL OVERRIDE: Stored ${parameter} manual override for patient ${patientId}`);
         
+        this.recordAuditEntry(patientId, 'manual_override_set', {
+            target: parameter,
+            previousValue: previousRange,
+            newValue: range,
+            trigger: source
+        });
+        
         // Invalidate cache to ensure fresh calculations include manual overrides
         this.invalidateEffectiveValuesCache(patientId);
         console.log(`🗑️ MANUAL OVERRIDE: Cache invalidated for patient ${patientId}`);
         
         // Fire event for cross-page synchronization
         this.fireManualOverrideChangedEvent(patientId, parameter, range, 'set');
+        
+        return { success: true };
     }
     
     /**
@@ -4720,8 +7173,8 @@ class SharedDataManager {
         console.log(`🔍 CACHE DEBUG: getManualOverrides called for key: ${overrideKey}`);
         
         try {
-            const stored = localStorage.getItem(overrideKey);
-            console.log(`🔍 CACHE DEBUG: localStorage.getItem returned:`, stored);
+            const stored = this.storage.getItem(overrideKey);
+            console.log(`🔍 CACHE DEBUG: this.storage.getItem returned:`, stored);
             if (stored) {
                 const parsed = JSON.parse(stored);
                 console.log(`🔍 CACHE DEBUG: Parsed manual overrides:`, parsed);
@@ -4747,13 +7200,24 @@ class SharedDataManager {
     
     /**
      * Clear all manual overrides for a patient (fragile system)
-     * Called when user makes systematic changes (tags, risk levels, problem selection)
+     * Called when user makes systematic changes (tags, risk levels, problem selection). These clears follow
+     * the protocol and always run, whoever is logged in; only a clear the user asks for directly is checked
      * @param {string} patientId - Patient identifier
      * @param {string} trigger - What triggered the clearing ('tag', 'risk-level', 'problem')
+     * @param {Array} parametersToKeep - Parameters whose overrides are kept
+     * @param {Object} options - { userInitiated: true } for a clear requested by the user (checked against the role)
+     * @returns {Object} - { success: boolean, error? } (fails when the current user may not clear overrides)
      */
-    clearManualOverrides(patientId, trigger = 'systematic-change', parametersToKeep = []) {
+    clearManualOverrides(patientId, trigger = 'systematic-change', parametersToKeep = [], options = {}) {
         console.log(`🧹 MANUAL OVERRIDE: Clearing manual overrides for patient ${patientId} (trigger: ${trigger})`);
         
+        if (options.userInitiated) {
+            const permission = this.checkPermission('clearManualOverrides', { patientId, trigger });
+            if (!permission.allowed) {
+                return this.denyPermission('clearManualOverrides', { patientId, trigger }, permission.reason);
+            }
+        }
+        
         if (parametersToKeep.length > 0) {
             console.log(`🔒 MANUAL OVERRIDE: Keeping manual overrides for: ${parametersToKeep.join(', ')}`);
         }
@@ -4797,7 +7261,7 @@ class SharedDataManager {
         
         if (Object.keys(existingOverrides).length === 0 && (!medicalInfo?.customThresholds || Object.keys(medicalInfo.customThresholds).length === 0)) {
             console.log('ℹ️ MANUAL OVERRIDE: No manual overrides to clear');
-            return;
+            return { success: true };
         }
         
         // Handle new system overrides
@@ -4814,20 +7278,20 @@ class SharedDataManager {
             });
             
             if (Object.keys(keptOverrides).length > 0) {
-                localStorage.setItem(overrideKey, JSON.stringify(keptOverrides));
+                this.storage.setItem(overrideKey, JSON.stringify(keptOverrides));
                 console.log(`✅ MANUAL OVERRIDE: Kept overrides:`, keptOverrides);
             } else {
-                localStorage.removeItem(overrideKey);
+                this.storage.removeItem(overrideKey);
                 console.log(`✅ MANUAL OVERRIDE: All overrides cleared (none kept)`);
             }
         } else {
             // Remove all from localStorage (new system)
-            localStorage.removeItem(overrideKey);
+            this.storage.removeItem(overrideKey);
             console.log(`✅ MANUAL OVERRIDE: All overrides cleared`);
         }
         
         // Verify state after operation
-        const afterClear = localStorage.getItem(overrideKey);
+        const afterClear = this.storage.getItem(overrideKey);
         console.log(`🔍 MANUAL OVERRIDE: After clearing, storage contains:`, afterClear);
         
         // Invalidate cache to ensure fresh calculations don't use old overrides
@@ -4836,8 +7300,24 @@ class SharedDataManager {
         
         console.log(`✅ MANUAL OVERRIDE: Cleared manual overrides for patient ${patientId} due to: ${trigger}`);
         
+        const clearedParameters = Object.keys(existingOverrides).filter(param => !parametersToKeep.includes(param));
+        if (clearedParameters.length > 0) {
+            const previousValue = {};
+            clearedParameters.forEach(param => {
+                previousValue[param] = existingOverrides[param].range;
+            });
+            this.recordAuditEntry(patientId, 'manual_overrides_cleared', {
+                target: clearedParameters.join(', '),
+                previousValue: previousValue,
+                newValue: null,
+                trigger: trigger
+            });
+        }
+        
         // Fire event for cross-page synchronization
         this.fireManualOverrideChangedEvent(patientId, null, null, 'cleared', trigger);
+        
+        return { success: true };
     }
     
     /**
@@ -4890,7 +7370,7 @@ class SharedDataManager {
                 timestamp: Date.now()
             }
         });
-        window.dispatchEvent(event);
+        this.eventBus.dispatchEvent(event);
         console.log(`🚀 MANUAL OVERRIDE: Fired ${action} event for ${parameter || 'all parameters'}`);
     }
 
@@ -4922,13 +7402,36 @@ function initializeSharedDataManager() {
     console.log('✅ Global SharedDataManager initialized');
 }
 
-// Check if DOM is ready and initialize accordingly
-if (document.readyState === 'loading') {
-    // DOM is still loading, wait for it
-    document.addEventListener('DOMContentLoaded', initializeSharedDataManager);
-} else {
-    // DOM is already ready, initialize immediately
-    initializeSharedDataManager();
+// Check if DOM is ready and initialize accordingly (in Node, create instances with new SharedDataManager(options))
+if (typeof document !== 'undefined') {
+    if (document.readyState === 'loading') {
+        // DOM is still loading, wait for it
+        document.addEventListener('DOMContentLoaded', initializeSharedDataManager);
+    } else {
+        // DOM is already ready, initialize immediately
+        initializeSharedDataManager();
+    }
+}
+
+/**
+ * Run a page initializer once the DOM is ready and the stored data can be read
+ * Use this instead of DOMContentLoaded for code that reads from window.sharedDataManager;
+ * the clinical protocol (and, with the IndexedDB backend, the data) is only available after it has been loaded
+ * @param {Function} callback - Page initializer
+ */
+function onSharedDataReady(callback) {
+    const run = () => window.sharedDataManager.ready
+        .then(() => callback())
+        .catch(error => console.error('❌ Error initializing page:', error));
+    
+    if (document.readyState === 'loading') {
+        document.addEventListener('DOMContentLoaded', run);
+    } else {
+        run();
+    }
+}
+if (typeof window !== 'undefined') {
+    window.onSharedDataReady = onSharedDataReady;
 }
 
 // Export for use in other modules
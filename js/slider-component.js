@@ -22,6 +22,16 @@ class VitalParameterSlider {
             },
             // Monitoring level (loose, mid, tight)
             monitoringLevel: config.monitoringLevel || 'mid',
+            // Optional trend overlay of recent patient values (loaded from SharedDataManager vitals history)
+            trend: {
+                enabled: config.trend?.enabled || false,
+                windowHours: config.trend?.windowHours || 4,
+                windowOptions: config.trend?.windowOptions || [1, 4, 12]
+            },
+            // Optional what-if panel: replay a recorded series against the range before it is saved
+            simulation: {
+                enabled: config.simulation?.enabled || false
+            },
             // Patient info
             patientId: config.patientId,
             patientName: config.patientName,
@@ -38,10 +48,16 @@ class VitalParameterSlider {
         this.currentHandle = null;
         this.scale = this.calculateScale();
         this.callbacks = [];
+        this.trendPoints = [];
+        this.simulationSeries = null;
+        this.simulationSource = null;
         
         this.render();
         this.attachEventListeners();
         this.updateButtonState();
+        this.initializeTrend();
+        this.initializeSimulation();
+        this.initializeRemoteSync();
         
         // Load existing settings from SharedDataManager after initial render
         setTimeout(() => {
@@ -110,12 +126,14 @@ class VitalParameterSlider {
             <div class="vital-slider" data-vital="${this.config.parameter}">
                 <div class="slider-title-container">
                     <div class="slider-title">${this.config.name}</div>
+                    <span class="suppression-countdown" hidden></span>
                     <label class="alarm-toggle detailed-page-toggle">
                         <input type="checkbox" id="alarm-toggle-${this.config.parameter.toLowerCase()}" data-parameter="${this.config.parameter}">
                         <span class="slider"></span>
                     </label>
                 </div>
                 <div class="value-display"></div>
+                ${this.config.trend.enabled ? this.renderTrendControls() : ''}
 
                 <div class="chart-container">
                     <div class="chart-background"></div>
@@ -135,6 +153,7 @@ class VitalParameterSlider {
                                 <g class="lower-areas"></g>
                             </g>
                         </svg>
+                        <svg class="trend-layer" width="100%" height="100%"></svg>
                     </div>
                     <div class="target-range-overlay"></div>
                     <div class="range-handle upper" data-handle="max"></div>
@@ -144,6 +163,7 @@ class VitalParameterSlider {
                 </div>
 
                 <div class="unit-label">Seconds</div>
+                ${this.config.simulation.enabled ? this.renderSimulationPanel() : ''}
                 <button class="save-button">Opslaan</button>
             </div>
         `;
@@ -683,6 +703,329 @@ class VitalParameterSlider {
         
         // Update graph lines position
         this.updateGraphPosition();
+        
+        // Re-highlight the trend against the (proposed) target range
+        this.renderTrend();
+        this.renderSimulation();
+    }
+
+    /**
+     * Window selector and out-of-range summary shown above the chart when the trend is enabled
+     */
+    renderTrendControls() {
+        const buttons = this.config.trend.windowOptions.map(hours => `
+            <button class="trend-window-btn${hours === this.config.trend.windowHours ? ' active' : ''}" data-hours="${hours}">${hours}u</button>
+        `).join('');
+        
+        return `
+            <div class="trend-controls">
+                <span class="trend-label">Trend</span>
+                ${buttons}
+                <span class="trend-summary"></span>
+            </div>
+        `;
+    }
+
+    /**
+     * Load trend data and keep it up to date with incoming vitals
+     */
+    initializeTrend() {
+        if (!this.config.trend.enabled) return;
+        
+        this.container.querySelectorAll('.trend-window-btn').forEach(button => {
+            button.addEventListener('click', () => this.setTrendWindow(Number(button.dataset.hours)));
+        });
+        
+        this.vitalsListener = (event) => {
+            if (event.detail.patientId === this.config.patientId && event.detail.measurements[this.config.parameter]) {
+                this.loadTrendData();
+            }
+        };
+        window.addEventListener('vitalsReceived', this.vitalsListener);
+        
+        this.container.querySelector('.vital-slider').classList.add('has-trend');
+        this.loadTrendData();
+    }
+
+    /**
+     * Load the patient's recent values for the current window from SharedDataManager
+     */
+    loadTrendData() {
+        if (!window.sharedDataManager || !this.config.patientId) return;
+        
+        const points = window.sharedDataManager.getVitalsHistory(this.config.patientId, this.config.parameter, this.config.trend.windowHours);
+        this.setTrendData(points);
+    }
+
+    /**
+     * Set the time series drawn behind the target band
+     * @param {Array} points - [{ timestamp, value }], any order
+     */
+    setTrendData(points) {
+        this.trendPoints = (points || [])
+            .filter(point => typeof point.value === 'number' && !isNaN(new Date(point.timestamp).getTime()))
+            .sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+        this.renderTrend();
+    }
+
+    /**
+     * Change the trend window (hours ending now)
+     * @param {number} hours - Window length, e.g. 1, 4 or 12
+     */
+    setTrendWindow(hours) {
+        if (!hours || hours <= 0) {
+            console.error('Invalid trend window:', hours);
+            return;
+        }
+        
+        this.config.trend.windowHours = hours;
+        this.container.querySelectorAll('.trend-window-btn').forEach(button => {
+            button.classList.toggle('active', Number(button.dataset.hours) === hours);
+        });
+        this.loadTrendData();
+        console.log(`📈 ${this.config.parameter} trend window set to ${hours}h`);
+    }
+
+    /**
+     * How many trend values fall outside the current (proposed) target range
+     * @returns {Object} - { total, outOfRange, percentage }
+     */
+    getTrendStatistics() {
+        const total = this.trendPoints.length;
+        const outOfRange = this.trendPoints.filter(point => this.isOutOfRange(point.value)).length;
+        return {
+            total: total,
+            outOfRange: outOfRange,
+            percentage: total > 0 ? Math.round((outOfRange / total) * 100) : 0
+        };
+    }
+
+    isOutOfRange(value) {
+        return value < this.currentMin || value > this.currentMax;
+    }
+
+    /**
+     * Draw the trend line on the y-axis scale, with out-of-range segments highlighted
+     */
+    renderTrend() {
+        const layer = this.container.querySelector('.trend-layer');
+        if (!layer || !this.config.trend.enabled) return;
+        
+        layer.innerHTML = '';
+        const summary = this.container.querySelector('.trend-summary');
+        
+        if (this.trendPoints.length === 0) {
+            if (summary) summary.textContent = 'Geen metingen';
+            return;
+        }
+        
+        const chartContainer = this.container.querySelector('.chart-container');
+        const chartWidth = chartContainer.offsetWidth - 40;
+        const windowMs = this.config.trend.windowHours * 60 * 60 * 1000;
+        const windowStart = Date.now() - windowMs;
+        const svgNS = 'http://www.w3.org/2000/svg';
+        
+        const toPoint = (point) => ({
+            x: Math.max(0, ((new Date(point.timestamp).getTime() - windowStart) / windowMs) * chartWidth),
+            y: this.valueToPixel(point.value),
+            outOfRange: this.isOutOfRange(point.value)
+        });
+        const coordinates = this.trendPoints.map(toPoint);
+        
+        // Full trend line
+        const line = document.createElementNS(svgNS, 'polyline');
+        line.setAttribute('class', 'trend-line');
+        line.setAttribute('points', coordinates.map(c => `${c.x},${c.y}`).join(' '));
+        layer.appendChild(line);
+        
+        // Segments touching an out-of-range value are drawn on top in the alarm colour
+        for (let i = 1; i < coordinates.length; i++) {
+            if (coordinates[i - 1].outOfRange || coordinates[i].outOfRange) {
+                const segment = document.createElementNS(svgNS, 'line');
+                segment.setAttribute('class', 'trend-segment-out-of-range');
+                segment.setAttribute('x1', coordinates[i - 1].x);
+                segment.setAttribute('y1', coordinates[i - 1].y);
+                segment.setAttribute('x2', coordinates[i].x);
+                segment.setAttribute('y2', coordinates[i].y);
+                layer.appendChild(segment);
+            }
+        }
+        
+        coordinates.filter(c => c.outOfRange).forEach(c => {
+            const dot = document.createElementNS(svgNS, 'circle');
+            dot.setAttribute('class', 'trend-point-out-of-range');
+            dot.setAttribute('cx', c.x);
+            dot.setAttribute('cy', c.y);
+            dot.setAttribute('r', 3);
+            layer.appendChild(dot);
+        });
+        
+        if (summary) {
+            const stats = this.getTrendStatistics();
+            summary.textContent = `${stats.outOfRange} van ${stats.total} metingen buiten bereik (${stats.percentage}%)`;
+        }
+    }
+
+    /**
+     * What-if panel shown above the save button when the simulation is enabled
+     */
+    renderSimulationPanel() {
+        const id = this.config.parameter.toLowerCase();
+        return `
+            <div class="simulation-panel">
+                <div class="simulation-header">
+                    <span class="simulation-title">Wat-als simulatie</span>
+                    <select class="simulation-level" title="Monitoringniveau">
+                        <option value="loose">Los</option>
+                        <option value="mid">Mid</option>
+                        <option value="tight">Strak</option>
+                    </select>
+                    <label class="simulation-import-btn" for="simulation-file-${id}">Importeer meetreeks</label>
+                    <input type="file" id="simulation-file-${id}" class="simulation-file" accept=".csv,.json" hidden>
+                </div>
+                <div class="simulation-source"></div>
+                <div class="simulation-results"></div>
+            </div>
+        `;
+    }
+
+    /**
+     * Wire up the what-if panel; without an import the patient's recorded history is replayed
+     */
+    initializeSimulation() {
+        if (!this.config.simulation.enabled) return;
+        
+        const levelSelect = this.container.querySelector('.simulation-level');
+        const fileInput = this.container.querySelector('.simulation-file');
+        
+        if (window.sharedDataManager && this.config.patientId) {
+            const effectiveValues = window.sharedDataManager.getCurrentEffectiveValues(this.config.patientId);
+            levelSelect.value = window.sharedDataManager.getParameterMonitoringLevel(this.config.parameter, effectiveValues.monitoringLevels);
+        } else {
+            levelSelect.value = this.config.monitoringLevel;
+        }
+        
+        levelSelect.addEventListener('change', () => this.renderSimulation());
+        fileInput.addEventListener('change', () => {
+            if (fileInput.files.length > 0) {
+                this.importSimulationSeries(fileInput.files[0]);
+            }
+            fileInput.value = '';
+        });
+        
+        if (window.sharedDataManager && this.config.patientId) {
+            const history = window.sharedDataManager.getVitalsHistory(this.config.patientId, this.config.parameter, 12);
+            this.setSimulationSeries(history, 'Geregistreerde metingen (12u)');
+        }
+    }
+
+    /**
+     * Read an imported CSV/JSON file and use it as the simulation series
+     * @param {File} file - Selected file
+     */
+    importSimulationSeries(file) {
+        const reader = new FileReader();
+        reader.onload = () => {
+            const format = file.name.toLowerCase().endsWith('.json') ? 'json' : (file.name.toLowerCase().endsWith('.csv') ? 'csv' : null);
+            const result = window.sharedDataManager.parseVitalSeries(reader.result, this.config.parameter, format);
+            
+            if (!result.success) {
+                console.error(`❌ Could not import ${file.name}:`, result.error);
+                this.container.querySelector('.simulation-source').textContent = `Import mislukt: ${result.error}`;
+                return;
+            }
+            
+            this.setSimulationSeries(result.series, `${file.name}${result.skipped ? ` (${result.skipped} regels overgeslagen)` : ''}`);
+        };
+        reader.readAsText(file);
+    }
+
+    /**
+     * Set the series replayed by the what-if panel
+     * @param {Array} series - [{ timestamp, value }]
+     * @param {string} source - Description shown in the panel
+     */
+    setSimulationSeries(series, source) {
+        this.simulationSeries = series || [];
+        this.simulationSource = source;
+        this.renderSimulation();
+    }
+
+    /**
+     * Replay the series against the saved settings and against the range currently on the slider
+     * @returns {Object|null} - { current, proposed } simulation results, or null when nothing can be simulated
+     */
+    runSimulation() {
+        if (!window.sharedDataManager || !this.config.patientId || !this.simulationSeries) return null;
+        
+        const levelSelect = this.container.querySelector('.simulation-level');
+        return {
+            current: window.sharedDataManager.simulateThresholds(this.config.patientId, this.config.parameter, this.simulationSeries),
+            proposed: window.sharedDataManager.simulateThresholds(this.config.patientId, this.config.parameter, this.simulationSeries, {
+                min: this.currentMin,
+                max: this.currentMax,
+                monitoringLevel: levelSelect ? levelSelect.value : this.config.monitoringLevel
+            })
+        };
+    }
+
+    formatDuration(seconds) {
+        const minutes = Math.round(seconds / 60);
+        if (minutes < 60) return `${minutes} min`;
+        return `${Math.floor(minutes / 60)}u ${String(minutes % 60).padStart(2, '0')}m`;
+    }
+
+    formatTime(timestamp) {
+        return new Date(timestamp).toLocaleTimeString('nl-NL', { hour: '2-digit', minute: '2-digit' });
+    }
+
+    renderSimulation() {
+        if (!this.config.simulation.enabled) return;
+        
+        const sourceElement = this.container.querySelector('.simulation-source');
+        const resultsElement = this.container.querySelector('.simulation-results');
+        if (!sourceElement || !resultsElement) return;
+        
+        if (!this.simulationSeries || this.simulationSeries.length === 0) {
+            sourceElement.textContent = 'Geen meetreeks - importeer een CSV- of JSON-bestand';
+            resultsElement.innerHTML = '';
+            return;
+        }
+        
+        const results = this.runSimulation();
+        if (!results || !results.proposed.success) {
+            resultsElement.textContent = `Simulatie niet mogelijk${results ? `: ${results.proposed.error}` : ''}`;
+            return;
+        }
+        
+        const { current, proposed } = results;
+        sourceElement.textContent = `Bron: ${this.simulationSource} - ${proposed.sampleCount} metingen, ${this.formatTime(proposed.start)}-${this.formatTime(proposed.end)}`;
+        
+        const row = (label, result) => result.success ? `
+            <tr>
+                <td>${label}</td>
+                <td>${this.formatValue(result.range.min)}-${this.formatValue(result.range.max)} ${this.config.unit}</td>
+                <td>${result.alarmCount}</td>
+                <td>${this.formatDuration(result.timeOutOfRangeSeconds)}</td>
+            </tr>
+        ` : '';
+        
+        const episodes = proposed.episodes.slice(0, 5).map(episode => `
+            <li class="simulation-episode ${episode.direction}">
+                ${this.formatTime(episode.raisedAt)}-${episode.ongoing ? 'nu' : this.formatTime(episode.clearedAt)}
+                ${episode.direction === 'high' ? 'te hoog' : 'te laag'} (${this.formatDuration(episode.durationSeconds)}, piek ${this.formatValue(episode.peakValue)})
+            </li>
+        `).join('');
+        const moreEpisodes = proposed.episodes.length > 5 ? `<li>... en ${proposed.episodes.length - 5} meer</li>` : '';
+        
+        resultsElement.innerHTML = `
+            <table class="simulation-table">
+                <tr><th></th><th>Bereik</th><th>Alarmen</th><th>Buiten bereik</th></tr>
+                ${row('Huidig', current)}
+                ${row('Nieuw', proposed)}
+            </table>
+            ${episodes ? `<ul class="simulation-episodes">${episodes}${moreEpisodes}</ul>` : ''}
+        `;
     }
 
     attachEventListeners() {
@@ -836,6 +1179,21 @@ class VitalParameterSlider {
         }
     }
 
+    /**
+     * Follow range changes made on another workstation, unless the user is editing this slider
+     */
+    initializeRemoteSync() {
+        this.remoteChangeListener = (event) => {
+            if (String(event.detail.patientId) !== String(this.config.patientId)) return;
+            if (this.isDragging || this.hasManualAdjustments) {
+                console.log(`⏸️ Remote change for ${this.config.parameter} not loaded: slider has unsaved changes`);
+                return;
+            }
+            this.loadExistingSettings();
+        };
+        window.addEventListener('remoteStateChanged', this.remoteChangeListener);
+    }
+
     /**
      * Initialize alarm toggle functionality
      */
@@ -871,14 +1229,19 @@ class VitalParameterSlider {
             console.log(`🔔 Alarm toggle CHANGED for ${this.config.parameter}: ${isEnabled ? 'ON' : 'OFF'}`);
             console.log(`🔔 Patient ID: ${this.config.patientId}`);
             
-            // Update visual state immediately
-            this.updateParameterVisualState(isEnabled);
-            
             // Update SharedDataManager
             if (window.sharedDataManager && this.config.patientId) {
+                if (!isEnabled) {
+                    // Switching off is always time-limited and needs a reason
+                    this.requestSuppression(e.target);
+                    return;
+                }
+                
                 console.log(`📞 Calling setParameterAlarmEnabled(${this.config.patientId}, ${this.config.parameter}, ${isEnabled})`);
                 // Dispatch to the datamanager
                 window.sharedDataManager.setParameterAlarmEnabled(this.config.patientId, this.config.parameter, isEnabled);
+                this.updateParameterVisualState(isEnabled);
+                this.updateSuppressionCountdown();
                 } else {
                 console.error(`❌ Cannot save alarm state - missing SharedDataManager or patientId`);
             }
@@ -901,6 +1264,7 @@ class VitalParameterSlider {
 
         // Set initial visual state
         this.updateParameterVisualState(newToggleInput.checked);
+        this.updateSuppressionCountdown();
 
         // Listen for alarm state changes from other pages
         const syncHandler = (e) => {
@@ -909,6 +1273,7 @@ class VitalParameterSlider {
                     this.toggleInput.checked = e.detail.isEnabled;
                     // Update visual state when synchronized
                     this.updateParameterVisualState(e.detail.isEnabled);
+                    this.updateSuppressionCountdown();
                     console.log(`🔄 Synchronized alarm state for ${this.config.parameter}: ${e.detail.isEnabled ? 'ON' : 'OFF'}`);
                 }
             }
@@ -919,6 +1284,67 @@ class VitalParameterSlider {
         window.addEventListener('parameterAlarmToggled', syncHandler);
     }
 
+    /**
+     * Ask for a reason and duration, then switch the alarm off until the suppression expires
+     * @param {HTMLInputElement} toggleInput - The alarm toggle, put back on when cancelled or refused
+     */
+    requestSuppression(toggleInput) {
+        AlarmSuppressionDialog.open({
+            parameter: this.config.parameter,
+            parameterLabel: this.config.name,
+            onConfirm: ({ durationMinutes, reason }) => {
+                const result = window.sharedDataManager.suppressParameterAlarm(this.config.patientId, this.config.parameter, durationMinutes, reason);
+                if (!result.success) {
+                    toggleInput.checked = true;
+                    alert(`Alarm niet uitgeschakeld: ${result.error}`);
+                    return;
+                }
+                this.updateParameterVisualState(false);
+                this.updateSuppressionCountdown();
+            },
+            onCancel: () => {
+                toggleInput.checked = true;
+            }
+        });
+    }
+
+    /**
+     * Show the time left until a suppressed alarm switches itself back on
+     */
+    updateSuppressionCountdown() {
+        const countdown = this.container.querySelector('.suppression-countdown');
+        if (!countdown || !window.sharedDataManager || !this.config.patientId) return;
+        
+        const suppression = window.sharedDataManager.getAlarmSuppression(this.config.patientId, this.config.parameter);
+        if (!suppression) {
+            countdown.hidden = true;
+            clearInterval(this.countdownTimer);
+            this.countdownTimer = null;
+            
+            // The scheduler (possibly in another tab) may have switched the alarm back on
+            const isEnabled = window.sharedDataManager.getParameterAlarmEnabled(this.config.patientId, this.config.parameter);
+            if (this.toggleInput && this.toggleInput.checked !== isEnabled) {
+                this.toggleInput.checked = isEnabled;
+                this.updateParameterVisualState(isEnabled);
+            }
+            return;
+        }
+        
+        const remaining = window.sharedDataManager.getSuppressionRemainingSeconds(this.config.patientId, this.config.parameter);
+        if (remaining === 0) {
+            // Expired - re-enable now instead of waiting for the next scheduler run
+            window.sharedDataManager.processExpiredSuppressions();
+            return;
+        }
+        countdown.textContent = `⏱ ${AlarmSuppressionDialog.formatCountdown(remaining)}`;
+        countdown.title = `${suppression.reason} - alarm gaat om ${new Date(suppression.expiresAt).toLocaleTimeString('nl-NL', { hour: '2-digit', minute: '2-digit' })} weer aan`;
+        countdown.hidden = false;
+        
+        if (!this.countdownTimer) {
+            this.countdownTimer = setInterval(() => this.updateSuppressionCountdown(), 1000);
+        }
+    }
+
     /**
      * Update visual state of parameter based on alarm enabled/disabled
      * @param {boolean} isEnabled - Whether the alarm is enabled
@@ -958,6 +1384,20 @@ class VitalParameterSlider {
             console.log(`⚠️ Cannot save ${this.config.parameter} - parameter is disabled (alarm OFF)`);
             return;
         }
+        
+        // Check the logged-in role before anything is stored
+        if (window.sharedDataManager && this.config.patientId) {
+            const permission = window.sharedDataManager.checkPermission('setManualOverride', {
+                patientId: this.config.patientId,
+                parameter: this.config.parameter,
+                range: { min: this.currentMin, max: this.currentMax }
+            });
+            if (!permission.allowed) {
+                console.warn(`⛔ Cannot save ${this.config.parameter}: ${permission.reason}`);
+                alert(`Grenswaarden niet opgeslagen: ${permission.reason}`);
+                return;
+            }
+        }
 
         const button = this.container.querySelector('.save-button');
         const originalText = button.textContent;
@@ -1137,6 +1577,7 @@ class VitalParameterSlider {
         if (newConfig.monitoringLevel) {
             this.generateGraphLines();
         }
+        this.renderTrend();
     }
 
     // Method to update monitoring level specifically
@@ -1152,6 +1593,15 @@ class VitalParameterSlider {
 
     // Method to destroy/cleanup the slider
     destroy() {
+        if (this.vitalsListener) {
+            window.removeEventListener('vitalsReceived', this.vitalsListener);
+        }
+        if (this.remoteChangeListener) {
+            window.removeEventListener('remoteStateChanged', this.remoteChangeListener);
+        }
+        if (this.countdownTimer) {
+            clearInterval(this.countdownTimer);
+        }
         if (this.container) {
             this.container.innerHTML = '';
             // Remove any global event listeners if needed
@@ -1161,6 +1611,20 @@ class VitalParameterSlider {
 
 // Patient Configuration Helper
 class PatientConfigurationHelper {
+    /**
+     * Resolve a patient id or registry entry to the registry's patient info (with current age)
+     */
+    static getRegistryPatient(patient) {
+        if (patient === null || patient === undefined) return null;
+        if (typeof patient !== 'object') {
+            return window.sharedDataManager ? window.sharedDataManager.getPatientInfo(patient) : null;
+        }
+        if (patient.age === undefined && patient.birthDate && window.sharedDataManager) {
+            return { ...patient, age: window.sharedDataManager.calculateAge(patient.birthDate) };
+        }
+        return patient;
+    }
+
     static getHeartRateConfig(patient, targetRange) {
         // Unified y-axis configuration for Heart Rate (all age groups)
         const yAxisConfig = { min: 40, max: 160, step: 15 };
@@ -1208,12 +1672,15 @@ class PatientConfigurationHelper {
     }
 
     static getRespiratoryRateConfig(patient, targetRange) {
-        const age = patient.age;
+        const registryPatient = this.getRegistryPatient(patient);
+        const age = registryPatient ? registryPatient.age : null;
         
         let yAxisConfig;
         
-        // Age-based y-axis for Respiratory Rate
-        if (age <= 2) {
+        // Age-based y-axis for Respiratory Rate (adult axis when the age is unknown)
+        if (age === null || age === undefined) {
+            yAxisConfig = { min: 8, max: 30, step: 4 };
+        } else if (age <= 2) {
             yAxisConfig = { min: 20, max: 40, step: 5 };
         } else if (age <= 12) {
             yAxisConfig = { min: 15, max: 35, step: 5 };
@@ -1242,10 +1709,10 @@ class PatientConfigurationHelper {
         }
 
         try {
-            // Get patient info
-            const patientInfo = window.sharedDataManager.getPatientInfo(patientId);
+            // Get patient info from the patient registry
+            const patientInfo = this.getRegistryPatient(patientId);
             if (!patientInfo) {
-                console.error(`❌ Patient info not found for ID: ${patientId}`);
+                console.error(`❌ Patient ${patientId} not found in the patient registry`);
                 return null;
             }
 
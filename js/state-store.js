@@ -0,0 +1,709 @@
+/**
+ * State Store for Smart Alarm System
+ * Single versioned storage layer behind SharedDataManager. Patient, bed and session state are
+ * entries in one storage key, so they cannot drift apart between keys. Collections that grow
+ * with every message (vitals history, audit logs, alarm events) are kept in a backend key of
+ * their own each, so appending to one does not rewrite the rest of the store.
+ *
+ * - Schema migrations run in order when the store is opened (MIGRATIONS); version 1 imports
+ *   the separate localStorage keys the application used before the store existed
+ * - A checksum over the entries in the store key detects a store that was changed outside
+ *   this class; unreadable JSON is quarantined instead of breaking every page
+ * - Several changes can be written at once with batch()
+ * - When the storage quota is exceeded, expendable entries (vitals history) are dropped and
+ *   the write is retried; a change that still does not fit is not saved
+ *
+ * The API mirrors localStorage (getItem/setItem/removeItem/key/length), so the data layer
+ * keeps working with string values. Where the store is kept is decided by its backend
+ * (see js/storage-adapters.js).
+ */
+
+class StateStore {
+    /**
+     * @param {Object} options - {
+     *   backend: storage adapter (js/storage-adapters.js) or Storage-like object (default: localStorage),
+     *   legacySource: Storage-like object the old keys and an existing store are imported from
+     *                 when the backend is empty (default: the backend itself),
+     *   storeKey
+     * }
+     */
+    constructor(options = {}) {
+        this.backend = options.backend || (typeof localStorage !== 'undefined' ? localStorage : null);
+        this.legacySource = options.legacySource || this.backend;
+        this.storeKey = options.storeKey || StateStore.STORE_KEY;
+        this.state = StateStore.createEmptyState();
+        this.raw = null;
+        this.isOpen = false;
+        // State before the current batch() while one is running
+        this.batchBase = null;
+
+        if (!this.backend) {
+            throw new Error('StateStore needs a storage backend');
+        }
+
+        // Asynchronous backends (IndexedDB) can only be read once they have loaded
+        if (this.backend.isReady === false) {
+            this.ready = this.backend.ready.then(() => this.open());
+        } else {
+            this.open();
+            this.ready = Promise.resolve();
+        }
+
+        // Another tab wrote the store: reload and report the changed entries as storage events,
+        // so page listeners that watch individual keys keep working
+        const usesLocalStorage = typeof window !== 'undefined' && window.localStorage &&
+            (this.backend === window.localStorage || this.backend.storage === window.localStorage);
+        if (usesLocalStorage && window.addEventListener) {
+            window.addEventListener('storage', event => {
+                if (event.key === this.storeKey) {
+                    this.handleExternalChange(event.newValue);
+                } else if (this.isOpen && event.key && this.toEntryKey(event.key)) {
+                    this.handleExternalEntryChange(this.toEntryKey(event.key), event.newValue);
+                }
+            });
+        } else if (typeof this.backend.onExternalChange === 'function') {
+            // Other backends report the changes themselves (IndexedDB: BroadcastChannel)
+            this.backend.onExternalChange(key => {
+                if (!this.isOpen) return;
+                if (key === this.storeKey) {
+                    const raw = this.backend.getItem(this.storeKey);
+                    if (raw !== this.raw) {
+                        this.handleExternalChange(raw);
+                    }
+                } else if (this.toEntryKey(key)) {
+                    this.handleExternalEntryChange(this.toEntryKey(key), this.backend.getItem(key));
+                }
+            });
+        }
+    }
+
+    /**
+     * The one backend key that holds the store
+     */
+    static get STORE_KEY() {
+        return 'smartAlarmStore';
+    }
+
+    /**
+     * Version this code reads and writes; the store is migrated up to it when opened
+     */
+    static get SCHEMA_VERSION() {
+        return StateStore.MIGRATIONS[StateStore.MIGRATIONS.length - 1].version;
+    }
+
+    /**
+     * Keys the application wrote directly to localStorage before the store existed
+     */
+    static get LEGACY_KEYS() {
+        return [
+            'smartAlarmAppData', 'bedStates', 'currentPatient', 'currentBed', 'currentPatientId', 'selectedRiskLevel',
+            'bedOverviewState', 'alarmBehaviourConfig', 'smartAlarmStateVersion', 'patientRegistry', 'currentUnit',
+            'globalParameterVariables', 'autoInitComplete'
+        ];
+    }
+
+    static get LEGACY_PREFIXES() {
+        return [
+            'patient_', 'patient-', 'manual_override_', 'alarm_events_', 'smartAlarmAuditLog_',
+            'alarm_suppressions_', 'heartMonitoringLevel_', 'smartAlarmDischargeArchive_'
+        ];
+    }
+
+    /**
+     * Entries that hold JSON; any other entry is a plain string (ids, risk levels, 'true'/'false')
+     */
+    static isJSONEntry(key) {
+        return ['smartAlarmAppData', 'patientRegistry', 'alarmBehaviourConfig', 'globalParameterVariables', 'bedStates'].includes(key) ||
+            ['patient_', 'manual_override_', 'alarm_events_', 'smartAlarmAuditLog_', 'alarm_suppressions_', 'smartAlarmDischargeArchive_']
+                .some(prefix => key.startsWith(prefix));
+    }
+
+    /**
+     * Entries kept in a backend key of their own (`<storeKey>.<key>`) instead of in the store key:
+     * collections that grow with every message, so appending to one does not rewrite the whole store
+     */
+    static isCollectionEntry(key) {
+        return (key.startsWith('patient_') && key.endsWith('_vitalsHistory')) ||
+            key.startsWith('smartAlarmAuditLog_') || key.startsWith('alarm_events_');
+    }
+
+    /**
+     * Entries that may be dropped to make room when the storage quota is exceeded
+     * (the monitor keeps sending vitals, so the history fills up again)
+     */
+    static isExpendableEntry(key) {
+        return key.startsWith('patient_') && key.endsWith('_vitalsHistory');
+    }
+
+    /**
+     * Schema migrations, oldest first. Each migration changes the entries in place;
+     * context.removeFromSource collects legacy keys to delete once the migrated store is written.
+     */
+    static get MIGRATIONS() {
+        return [
+            {
+                version: 1,
+                description: 'Import the separate localStorage keys',
+                migrate: (entries, context) => {
+                    const source = context.source;
+                    const keys = [];
+                    for (let i = 0; i < source.length; i++) {
+                        keys.push(source.key(i));
+                    }
+                    keys.filter(key => key !== context.storeKey && !key.startsWith(`${context.storeKey}.`))
+                        .filter(key => StateStore.LEGACY_KEYS.includes(key) || StateStore.LEGACY_PREFIXES.some(prefix => key.startsWith(prefix)))
+                        .forEach(key => {
+                            entries[key] = source.getItem(key);
+                            context.removeFromSource.push(key);
+                        });
+                }
+            },
+            {
+                version: 2,
+                description: 'Keep one copy of medical info and bed states (in smartAlarmAppData)',
+                migrate: (entries) => {
+                    let appData;
+                    try {
+                        appData = JSON.parse(entries.smartAlarmAppData || 'null');
+                    } catch (error) {
+                        appData = null;
+                    }
+                    appData = appData || { patients: {}, beds: {}, sessions: {}, version: '1.0' };
+                    appData.patients = appData.patients || {};
+
+                    Object.keys(entries).filter(key => /^patient_.+_medicalInfo$/.test(key)).forEach(key => {
+                        const patientId = key.slice('patient_'.length, -'_medicalInfo'.length);
+                        try {
+                            let medicalInfo = JSON.parse(entries[key]);
+                            // setup.html stored { patientId, medicalInfo, timestamp } under the same key
+                            if (medicalInfo && medicalInfo.medicalInfo && medicalInfo.patientId !== undefined) {
+                                medicalInfo = medicalInfo.medicalInfo;
+                            }
+                            if (medicalInfo && !appData.patients[patientId]?.medicalInfo) {
+                                appData.patients[patientId] = { ...appData.patients[patientId], medicalInfo: medicalInfo };
+                            }
+                        } catch (error) {
+                            console.warn(`⚠️ STORE: Unreadable ${key} dropped during migration`);
+                        }
+                        delete entries[key];
+                    });
+
+                    if (entries.bedStates) {
+                        try {
+                            if (!appData.beds || Object.keys(appData.beds).length === 0) {
+                                appData.beds = JSON.parse(entries.bedStates);
+                            }
+                        } catch (error) {
+                            console.warn('⚠️ STORE: Unreadable bedStates dropped during migration');
+                        }
+                        delete entries.bedStates;
+                    }
+
+                    // Flag of the migration this store replaces
+                    delete entries.autoInitComplete;
+                    entries.smartAlarmAppData = JSON.stringify(appData);
+                }
+            },
+            {
+                version: 3,
+                description: 'Keep vitals history, audit logs and alarm events in their own keys',
+                // The entries stay the same; writing the migrated store moves them out of the store key
+                migrate: () => {}
+            }
+        ];
+    }
+
+    /**
+     * Short hash of the entries, stored next to them to detect changes made outside the store
+     */
+    static checksum(entries) {
+        const text = JSON.stringify(entries);
+        let hash = 5381;
+        for (let i = 0; i < text.length; i++) {
+            hash = ((hash * 33) ^ text.charCodeAt(i)) >>> 0;
+        }
+        return hash.toString(16);
+    }
+
+    /**
+     * Keys of the entries that differ between two entry (or quarantine) objects
+     */
+    static changedKeys(previous, next) {
+        return [...new Set([...Object.keys(previous), ...Object.keys(next)])].filter(key => previous[key] !== next[key]);
+    }
+
+    /**
+     * Every key in a backend (adapters list them, a plain Storage object is walked by index)
+     */
+    static listKeys(source) {
+        return typeof source.keys === 'function'
+            ? source.keys()
+            : Array.from({ length: source.length }, (_, index) => source.key(index));
+    }
+
+    static copyState(state) {
+        return {
+            ...state,
+            entries: { ...state.entries },
+            quarantine: { ...state.quarantine }
+        };
+    }
+
+    static isQuotaError(error) {
+        return !!error && (error.name === 'QuotaExceededError' || error.name === 'NS_ERROR_DOM_QUOTA_REACHED' ||
+            error.code === 22 || error.code === 1014);
+    }
+
+    // ===================================================================
+    // OPEN, MIGRATE, VERIFY
+    // ===================================================================
+
+    /**
+     * Load the store from the backend, migrate it to SCHEMA_VERSION and quarantine corrupt entries
+     */
+    open() {
+        let raw = this.backend.getItem(this.storeKey);
+        let imported = false;
+        if (raw === null && this.legacySource !== this.backend) {
+            // Switched to another backend: start from the store kept in the previous one
+            raw = this.legacySource.getItem(this.storeKey);
+            imported = raw !== null;
+            if (imported) {
+                console.log(`🔄 STORE: Importing ${this.storeKey} into the ${this.backend.type || 'new'} backend`);
+            }
+        }
+        this.load(raw);
+        this.loadCollections(imported ? this.legacySource : this.backend);
+
+        const pending = StateStore.MIGRATIONS.filter(migration => migration.version > this.state.schemaVersion);
+        const context = { source: this.legacySource, storeKey: this.storeKey, removeFromSource: [] };
+        pending.forEach(migration => {
+            migration.migrate(this.state.entries, context);
+            this.state.schemaVersion = migration.version;
+            this.state.migrations.push({ version: migration.version, description: migration.description, appliedAt: new Date().toISOString() });
+            console.log(`🔄 STORE: Migrated to schema version ${migration.version} (${migration.description})`);
+        });
+
+        const quarantined = this.quarantineCorruptEntries();
+        if (pending.length > 0 || quarantined.length > 0 || imported || this.raw === null) {
+            this.persist(this.state);
+        }
+        // Legacy keys are only removed once their data is safely in the store
+        context.removeFromSource.forEach(key => this.legacySource.removeItem(key));
+        this.isOpen = true;
+    }
+
+    /**
+     * Parse a serialized store; an unreadable store is kept aside and replaced by an empty one
+     */
+    load(raw) {
+        this.raw = raw;
+        if (raw === null || raw === undefined) {
+            this.state = StateStore.createEmptyState();
+            return;
+        }
+
+        let parsed;
+        try {
+            parsed = JSON.parse(raw);
+        } catch (error) {
+            parsed = null;
+        }
+        if (!parsed || typeof parsed !== 'object' || !parsed.entries || typeof parsed.entries !== 'object') {
+            this.reportCorruption(this.storeKey, 'De opgeslagen gegevens zijn onleesbaar en zijn apart gezet');
+            this.keepCorruptCopy(raw);
+            this.state = StateStore.createEmptyState();
+            return;
+        }
+
+        this.state = {
+            ...StateStore.createEmptyState(),
+            ...parsed
+        };
+        if (parsed.checksum && parsed.checksum !== StateStore.checksum(parsed.entries)) {
+            this.reportCorruption(this.storeKey, 'De opgeslagen gegevens zijn buiten de applicatie gewijzigd');
+        }
+    }
+
+    /**
+     * Add the collection entries kept in their own backend keys to the loaded state
+     * @param {Object} source - Backend to read them from
+     */
+    loadCollections(source) {
+        StateStore.listKeys(source).map(key => this.toEntryKey(key)).filter(Boolean).forEach(key => {
+            this.state.entries[key] = source.getItem(this.toBackendKey(key));
+        });
+    }
+
+    /**
+     * Backend key of a collection entry
+     */
+    toBackendKey(key) {
+        return `${this.storeKey}.${key}`;
+    }
+
+    /**
+     * Collection entry kept in a backend key, or null for any other backend key
+     */
+    toEntryKey(backendKey) {
+        const prefix = `${this.storeKey}.`;
+        if (!backendKey.startsWith(prefix)) return null;
+        const key = backendKey.slice(prefix.length);
+        return StateStore.isCollectionEntry(key) ? key : null;
+    }
+
+    static createEmptyState() {
+        return {
+            schemaVersion: 0,
+            updatedAt: null,
+            checksum: null,
+            migrations: [],
+            entries: {},
+            quarantine: {}
+        };
+    }
+
+    /**
+     * Move JSON entries that cannot be parsed to the quarantine, so readers get their defaults
+     * @returns {Array<string>} - Quarantined keys
+     */
+    quarantineCorruptEntries() {
+        const corrupt = Object.keys(this.state.entries).filter(key => {
+            if (!StateStore.isJSONEntry(key)) return false;
+            try {
+                JSON.parse(this.state.entries[key]);
+                return false;
+            } catch (error) {
+                return true;
+            }
+        });
+
+        corrupt.forEach(key => {
+            this.state.quarantine[key] = { value: this.state.entries[key], detectedAt: new Date().toISOString() };
+            delete this.state.entries[key];
+            this.reportCorruption(key, 'Onleesbare gegevens zijn apart gezet');
+        });
+        return corrupt;
+    }
+
+    keepCorruptCopy(raw) {
+        try {
+            this.backend.setItem(`${this.storeKey}.corrupt`, raw);
+        } catch (error) {
+            console.warn('⚠️ STORE: Could not keep a copy of the corrupt store:', error.message);
+        }
+    }
+
+    reportCorruption(key, message) {
+        console.error(`❌ STORE: Corrupt data in ${key}: ${message}`);
+        StateStore.dispatch('storageCorrupted', { key: key, message: message });
+    }
+
+    static dispatch(type, detail) {
+        if (typeof window !== 'undefined' && window.dispatchEvent && typeof CustomEvent !== 'undefined') {
+            window.dispatchEvent(new CustomEvent(type, { detail: detail }));
+        }
+    }
+
+    // ===================================================================
+    // STORAGE API
+    // ===================================================================
+
+    getItem(key) {
+        const value = this.state.entries[key];
+        return value === undefined ? null : value;
+    }
+
+    setItem(key, value) {
+        this.write(entries => {
+            entries[key] = String(value);
+        });
+    }
+
+    removeItem(key) {
+        if (!(key in this.state.entries)) return;
+        this.write(entries => {
+            delete entries[key];
+        });
+    }
+
+    key(index) {
+        return Object.keys(this.state.entries)[index] ?? null;
+    }
+
+    get length() {
+        return Object.keys(this.state.entries).length;
+    }
+
+    keys() {
+        return Object.keys(this.state.entries);
+    }
+
+    /**
+     * Change an entry only if it still holds the expected value in the latest stored state,
+     * so of two tabs making the same change only the first one does
+     * @param {string|null} expected - Value the entry must hold (null: the entry must not exist)
+     * @param {string|null} value - New value (null removes the entry)
+     * @returns {boolean} - Whether the entry was changed
+     */
+    compareAndSet(key, expected, value) {
+        if (!this.isOpen) return false;
+        this.refresh();
+        if (StateStore.isCollectionEntry(key) && !this.batchBase) {
+            const stored = this.backend.getItem(this.toBackendKey(key));
+            if (stored !== this.getItem(key)) {
+                this.handleExternalEntryChange(key, stored);
+            }
+        }
+        if (this.getItem(key) !== expected) return false;
+
+        if (value === null) {
+            this.removeItem(key);
+        } else {
+            this.setItem(key, value);
+        }
+        return true;
+    }
+
+    /**
+     * Parse a JSON entry; unreadable JSON is quarantined and the fallback returned
+     */
+    getJSON(key, fallback = null) {
+        const value = this.getItem(key);
+        if (value === null) return fallback;
+        try {
+            return JSON.parse(value);
+        } catch (error) {
+            this.write((entries, state) => {
+                state.quarantine[key] = { value: entries[key], detectedAt: new Date().toISOString() };
+                delete entries[key];
+            });
+            this.reportCorruption(key, 'Onleesbare gegevens zijn apart gezet');
+            return fallback;
+        }
+    }
+
+    setJSON(key, value) {
+        this.setItem(key, JSON.stringify(value));
+    }
+
+    /**
+     * Raw value of a quarantined entry, so it can be recovered by hand
+     * @returns {string|null} - null when the key is not quarantined
+     */
+    getQuarantined(key) {
+        const entry = this.state.quarantine[key];
+        return entry ? entry.value : null;
+    }
+
+    /**
+     * Schema version, migrations, size and quarantined entries (for diagnostics)
+     */
+    getInfo() {
+        return {
+            storeKey: this.storeKey,
+            schemaVersion: this.state.schemaVersion,
+            migrations: [...this.state.migrations],
+            updatedAt: this.state.updatedAt,
+            entryCount: this.length,
+            size: this.getSize(),
+            quarantine: Object.keys(this.state.quarantine)
+        };
+    }
+
+    /**
+     * Characters stored: the store key plus the collection entries in their own keys
+     */
+    getSize(state = this.state) {
+        return Object.entries(state.entries).reduce((size, [key, value]) => size + key.length + value.length, 0);
+    }
+
+    // ===================================================================
+    // WRITING
+    // ===================================================================
+
+    /**
+     * Apply a change to the entries and write what changed
+     * The change is made on the latest stored state, so a write from another tab is not lost
+     * @param {Function} change - (entries, state) => void; changes the copy that is written (state.quarantine included)
+     * @throws {Error} - The quota error when the store does not fit even without expendable entries,
+     *                   or an error when the backend has not loaded yet
+     */
+    write(change) {
+        if (!this.isOpen) {
+            throw new Error('StateStore is not loaded yet (wait for storage.ready)');
+        }
+        if (this.batchBase) {
+            // Inside batch(): the state is already a copy, written when the batch ends
+            change(this.state.entries, this.state);
+            return;
+        }
+        this.refresh();
+
+        const next = StateStore.copyState(this.state);
+        change(next.entries, next);
+        this.commit(next);
+    }
+
+    /**
+     * Make several changes and write them once, e.g. every row of an ADT import
+     * Reads inside the batch see the changes made so far
+     * @param {Function} changes - Makes the changes with setItem/removeItem/setJSON
+     * @returns {*} - What changes returns
+     * @throws {Error} - As write(); nothing is written when changes throws
+     */
+    batch(changes) {
+        if (this.batchBase) return changes();
+        if (!this.isOpen) {
+            throw new Error('StateStore is not loaded yet (wait for storage.ready)');
+        }
+        this.refresh();
+
+        const base = this.state;
+        let next;
+        let result;
+        this.state = StateStore.copyState(base);
+        this.batchBase = base;
+        try {
+            result = changes();
+            next = this.state;
+        } finally {
+            this.state = base;
+            this.batchBase = null;
+        }
+        this.commit(next);
+        return result;
+    }
+
+    /**
+     * Take over the stored state if another tab wrote the store key since it was read
+     */
+    refresh() {
+        if (this.batchBase) return;
+        const current = this.backend.getItem(this.storeKey);
+        if (current !== this.raw) {
+            this.handleExternalChange(current);
+        }
+    }
+
+    /**
+     * Write a changed copy of the state; when the quota is exceeded, expendable entries are
+     * dropped and the write is retried
+     */
+    commit(next) {
+        try {
+            this.persist(next, StateStore.changedKeys(this.state.entries, next.entries));
+        } catch (error) {
+            if (!StateStore.isQuotaError(error)) throw error;
+
+            const dropped = this.dropExpendableEntries(next.entries);
+            console.warn(`⚠️ STORE: Storage quota exceeded, ${dropped.length} expendable entries dropped`);
+            try {
+                this.persist(next, StateStore.changedKeys(this.state.entries, next.entries));
+            } catch (retryError) {
+                console.error('❌ STORE: Storage quota exceeded, change not saved:', retryError.message);
+                StateStore.dispatch('storageQuotaExceeded', { size: this.getSize(next), dropped: dropped });
+                throw retryError;
+            }
+            StateStore.dispatch('storageQuotaExceeded', { size: this.getSize(), dropped: dropped, recovered: true });
+        }
+    }
+
+    /**
+     * Write the changed collection entries to their own keys, and the store key when anything
+     * else (or the quarantine) changed
+     * @param {Object} state - State to write
+     * @param {Array<string>} keys - Changed entries (default: all, after opening or migrating the store)
+     */
+    persist(state, keys = null) {
+        const collectionKeys = keys
+            ? keys.filter(StateStore.isCollectionEntry)
+            : [...new Set([...Object.keys(state.entries), ...StateStore.listKeys(this.backend).map(key => this.toEntryKey(key))])]
+                .filter(key => key && StateStore.isCollectionEntry(key));
+        const storeChanged = !keys || keys.length > collectionKeys.length ||
+            StateStore.changedKeys(this.state.quarantine, state.quarantine).length > 0;
+
+        // Removals first, so dropped expendable entries free their space before anything is added
+        collectionKeys.filter(key => state.entries[key] === undefined)
+            .forEach(key => this.backend.removeItem(this.toBackendKey(key)));
+        collectionKeys.filter(key => state.entries[key] !== undefined)
+            .filter(key => keys || this.backend.getItem(this.toBackendKey(key)) !== state.entries[key])
+            .forEach(key => this.backend.setItem(this.toBackendKey(key), state.entries[key]));
+
+        if (storeChanged) {
+            const entries = Object.fromEntries(Object.entries(state.entries).filter(([key]) => !StateStore.isCollectionEntry(key)));
+            state.updatedAt = new Date().toISOString();
+            state.checksum = StateStore.checksum(entries);
+            const raw = JSON.stringify({ ...state, entries: entries });
+            this.backend.setItem(this.storeKey, raw);
+            this.raw = raw;
+        }
+        this.state = state;
+    }
+
+    dropExpendableEntries(entries) {
+        const dropped = Object.keys(entries).filter(StateStore.isExpendableEntry);
+        dropped.forEach(key => delete entries[key]);
+        return dropped;
+    }
+
+    /**
+     * Take over a store written by another tab and report the entries that changed
+     */
+    handleExternalChange(raw) {
+        const previous = this.state.entries;
+        this.load(raw);
+        if (raw !== null && this.state.schemaVersion < StateStore.SCHEMA_VERSION) {
+            // Written by an older version of the application in another tab
+            this.open();
+        } else {
+            // The collection entries are not in the store key; their own changes are reported separately
+            Object.keys(previous).filter(StateStore.isCollectionEntry).forEach(key => {
+                this.state.entries[key] = previous[key];
+            });
+        }
+        this.dispatchStorageEvents(previous, this.state.entries);
+    }
+
+    /**
+     * Take over a collection entry written by another tab
+     * @param {string|null} value - New value (null: the entry was removed)
+     */
+    handleExternalEntryChange(key, value) {
+        const previous = this.state.entries;
+        if ((previous[key] ?? null) === value) return;
+
+        const entries = { ...previous };
+        if (value === null) {
+            delete entries[key];
+        } else {
+            entries[key] = value;
+        }
+        this.state = { ...this.state, entries: entries };
+        this.dispatchStorageEvents(previous, entries);
+    }
+
+    /**
+     * Report changed entries as storage events, so page listeners that watch individual keys keep working
+     */
+    dispatchStorageEvents(previous, current) {
+        if (typeof window === 'undefined' || typeof StorageEvent === 'undefined') return;
+        StateStore.changedKeys(previous, current).forEach(key => {
+            window.dispatchEvent(new StorageEvent('storage', {
+                key: key,
+                oldValue: previous[key] ?? null,
+                newValue: current[key] ?? null
+            }));
+        });
+    }
+}
+
+// Make available globally
+if (typeof window !== 'undefined') {
+    window.StateStore = StateStore;
+}
+
+// Export for module use
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = StateStore;
+}
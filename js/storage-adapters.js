@@ -0,0 +1,436 @@
+/**
+ * Storage Adapters for Smart Alarm System
+ * Backends for the state store (js/state-store.js). Every adapter offers the same synchronous
+ * key/value API as localStorage, so the data layer does not depend on where the data is kept:
+ *
+ * - LocalStorageAdapter: the browser's localStorage (default, ~5MB)
+ * - IndexedDBStorageAdapter: IndexedDB, for large data such as vitals and audit history
+ * - MemoryStorageAdapter: a Map, for tests and Node (nothing is persisted)
+ *
+ * IndexedDB is asynchronous: its adapter loads all entries into memory first (`ready`) and
+ * writes changes back in batches. The browser reports localStorage changes made by other tabs
+ * with `storage` events; the IndexedDB adapter reports them itself over a BroadcastChannel
+ * (onExternalChange).
+ */
+
+class StorageAdapter {
+    /**
+     * Adapter types that can be selected by configuration
+     */
+    static get TYPES() {
+        return ['localStorage', 'indexedDB', 'memory'];
+    }
+
+    /**
+     * localStorage key that holds the backend chosen for this workstation
+     * (kept outside the selected backend, so it can be read before any backend is opened)
+     */
+    static get SETTING_KEY() {
+        return 'smartAlarmStorageBackend';
+    }
+
+    /**
+     * Create an adapter by type
+     * @param {string} type - One of StorageAdapter.TYPES
+     * @param {Object} options - Passed to the adapter constructor
+     * @returns {StorageAdapter}
+     * @throws {Error} - For an unknown type
+     */
+    static create(type, options = {}) {
+        switch (type) {
+            case 'localStorage':
+                return new LocalStorageAdapter(options.storage);
+            case 'indexedDB':
+                return new IndexedDBStorageAdapter(options);
+            case 'memory':
+                return new MemoryStorageAdapter(options.entries);
+            default:
+                throw new Error(`Unknown storage backend: ${type} (expected one of ${StorageAdapter.TYPES.join(', ')})`);
+        }
+    }
+
+    /**
+     * Backend configured for this page: window.STORAGE_BACKEND, then the workstation setting,
+     * then localStorage (or memory when there is no localStorage, e.g. in Node)
+     * @returns {string} - One of StorageAdapter.TYPES
+     */
+    static getConfiguredType() {
+        const configured = (typeof window !== 'undefined' && window.STORAGE_BACKEND) || StorageAdapter.getSetting();
+        if (configured && StorageAdapter.TYPES.includes(configured)) {
+            return configured;
+        }
+        if (configured) {
+            console.warn(`⚠️ STORAGE: Unknown storage backend "${configured}" configured, using the default`);
+        }
+        return typeof localStorage !== 'undefined' ? 'localStorage' : 'memory';
+    }
+
+    static getSetting() {
+        try {
+            return typeof localStorage !== 'undefined' ? localStorage.getItem(StorageAdapter.SETTING_KEY) : null;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * Choose the backend for this workstation; takes effect when the pages are reloaded
+     * @param {string} type - One of StorageAdapter.TYPES
+     */
+    static saveSetting(type) {
+        if (!StorageAdapter.TYPES.includes(type)) {
+            throw new Error(`Unknown storage backend: ${type}`);
+        }
+        localStorage.setItem(StorageAdapter.SETTING_KEY, type);
+    }
+
+    constructor(type) {
+        this.type = type;
+        // Synchronous adapters are usable immediately
+        this.isReady = true;
+        this.ready = Promise.resolve();
+    }
+
+    /**
+     * @param {string} key
+     * @returns {string|null}
+     */
+    getItem(key) {
+        throw new Error(`${this.constructor.name} does not implement getItem`);
+    }
+
+    /**
+     * @param {string} key
+     * @param {string} value
+     * @throws {Error} - A quota error when the value does not fit (synchronous adapters only)
+     */
+    setItem(key, value) {
+        throw new Error(`${this.constructor.name} does not implement setItem`);
+    }
+
+    removeItem(key) {
+        throw new Error(`${this.constructor.name} does not implement removeItem`);
+    }
+
+    key(index) {
+        throw new Error(`${this.constructor.name} does not implement key`);
+    }
+
+    get length() {
+        return 0;
+    }
+
+    /**
+     * @returns {Array<string>} - Every key in the backend
+     */
+    keys() {
+        return Array.from({ length: this.length }, (_, index) => this.key(index));
+    }
+
+    /**
+     * Wait until every change has been written
+     * @returns {Promise}
+     */
+    flush() {
+        return Promise.resolve();
+    }
+
+    /**
+     * Register a listener for entries written by another tab: listener(key)
+     * Not supported by adapters whose changes the browser reports itself (localStorage) or that
+     * are not shared between tabs (memory)
+     * @returns {boolean} - Whether the adapter reports changes from other tabs
+     */
+    onExternalChange(listener) {
+        return false;
+    }
+}
+
+// ===================================================================
+// LOCALSTORAGE
+// ===================================================================
+
+class LocalStorageAdapter extends StorageAdapter {
+    /**
+     * @param {Storage} storage - Web Storage object (default: window.localStorage)
+     */
+    constructor(storage) {
+        super('localStorage');
+        this.storage = storage || localStorage;
+    }
+
+    getItem(key) {
+        return this.storage.getItem(key);
+    }
+
+    setItem(key, value) {
+        this.storage.setItem(key, value);
+    }
+
+    removeItem(key) {
+        this.storage.removeItem(key);
+    }
+
+    key(index) {
+        return this.storage.key(index);
+    }
+
+    get length() {
+        return this.storage.length;
+    }
+}
+
+// ===================================================================
+// IN-MEMORY
+// ===================================================================
+
+class MemoryStorageAdapter extends StorageAdapter {
+    /**
+     * @param {Object} entries - Initial entries ({ key: string value })
+     */
+    constructor(entries = {}) {
+        super('memory');
+        this.entries = new Map(Object.entries(entries).map(([key, value]) => [key, String(value)]));
+    }
+
+    getItem(key) {
+        return this.entries.has(key) ? this.entries.get(key) : null;
+    }
+
+    setItem(key, value) {
+        this.entries.set(key, String(value));
+    }
+
+    removeItem(key) {
+        this.entries.delete(key);
+    }
+
+    key(index) {
+        return [...this.entries.keys()][index] ?? null;
+    }
+
+    get length() {
+        return this.entries.size;
+    }
+
+    keys() {
+        return [...this.entries.keys()];
+    }
+}
+
+// ===================================================================
+// INDEXEDDB
+// ===================================================================
+
+class IndexedDBStorageAdapter extends StorageAdapter {
+    /**
+     * @param {Object} options - { databaseName, indexedDB: IDBFactory (default: window.indexedDB) }
+     */
+    constructor(options = {}) {
+        super('indexedDB');
+        this.databaseName = options.databaseName || 'smartAlarm';
+        this.objectStoreName = 'entries';
+        this.factory = options.indexedDB || (typeof indexedDB !== 'undefined' ? indexedDB : null);
+        this.database = null;
+
+        // All entries are kept in memory so reads stay synchronous
+        this.cache = new Map();
+        // Changes not yet written: key -> value, or null for a removed key
+        this.pending = new Map();
+        this.flushScheduled = false;
+        this.writing = Promise.resolve();
+
+        // Tabs using the same database tell each other which entries they wrote, so no tab keeps
+        // (and later writes back) entries that another tab has already replaced
+        this.changeListeners = [];
+        this.channel = typeof BroadcastChannel !== 'undefined'
+            ? new BroadcastChannel(`smartAlarmStorage.${this.databaseName}`)
+            : null;
+        if (this.channel) {
+            this.channel.onmessage = event => this.applyExternalChanges(event.data?.changes || []);
+        } else {
+            console.warn('⚠️ STORAGE: BroadcastChannel is not available, changes made in other tabs are not seen until reload');
+        }
+
+        this.isReady = false;
+        this.ready = this.open().then(() => {
+            this.isReady = true;
+            console.log(`✅ STORAGE: IndexedDB "${this.databaseName}" loaded (${this.cache.size} entries)`);
+        });
+
+        // Write outstanding changes before the page is left
+        if (typeof window !== 'undefined' && window.addEventListener) {
+            window.addEventListener('pagehide', () => this.flush());
+        }
+    }
+
+    /**
+     * Open the database and load every entry into the cache
+     */
+    open() {
+        return new Promise((resolve, reject) => {
+            if (!this.factory) {
+                reject(new Error('IndexedDB is not available in this browser'));
+                return;
+            }
+
+            const request = this.factory.open(this.databaseName, 1);
+            request.onupgradeneeded = () => {
+                request.result.createObjectStore(this.objectStoreName);
+            };
+            request.onerror = () => reject(request.error);
+            request.onsuccess = () => {
+                this.database = request.result;
+                const transaction = this.database.transaction(this.objectStoreName, 'readonly');
+                const cursorRequest = transaction.objectStore(this.objectStoreName).openCursor();
+                cursorRequest.onsuccess = () => {
+                    const cursor = cursorRequest.result;
+                    if (!cursor) return;
+                    // A change made before loading finished wins over the stored value
+                    if (!this.pending.has(cursor.key)) {
+                        this.cache.set(cursor.key, cursor.value);
+                    }
+                    cursor.continue();
+                };
+                transaction.oncomplete = () => resolve();
+                transaction.onerror = () => reject(transaction.error);
+            };
+        });
+    }
+
+    getItem(key) {
+        return this.cache.has(key) ? this.cache.get(key) : null;
+    }
+
+    setItem(key, value) {
+        this.cache.set(key, String(value));
+        this.pending.set(key, String(value));
+        this.scheduleFlush();
+    }
+
+    removeItem(key) {
+        this.cache.delete(key);
+        this.pending.set(key, null);
+        this.scheduleFlush();
+    }
+
+    key(index) {
+        return [...this.cache.keys()][index] ?? null;
+    }
+
+    get length() {
+        return this.cache.size;
+    }
+
+    keys() {
+        return [...this.cache.keys()];
+    }
+
+    /**
+     * Changes made in the same task are written in one transaction
+     */
+    scheduleFlush() {
+        if (this.flushScheduled) return;
+        this.flushScheduled = true;
+        Promise.resolve().then(() => {
+            this.flushScheduled = false;
+            this.flush();
+        });
+    }
+
+    /**
+     * Write the pending changes
+     * A failed write is reported with storageQuotaExceeded or storageWriteFailed; the values
+     * stay available in memory until the page is reloaded
+     * @returns {Promise} - Resolves when every change made so far has been written (or has failed)
+     */
+    flush() {
+        this.writing = this.writing.then(() => this.ready).then(() => {
+            if (this.pending.size === 0) return;
+
+            const changes = [...this.pending.entries()];
+            this.pending.clear();
+
+            return new Promise(resolve => {
+                const transaction = this.database.transaction(this.objectStoreName, 'readwrite');
+                const store = transaction.objectStore(this.objectStoreName);
+                changes.forEach(([key, value]) => {
+                    if (value === null) {
+                        store.delete(key);
+                    } else {
+                        store.put(value, key);
+                    }
+                });
+                transaction.oncomplete = () => {
+                    this.broadcast(changes);
+                    resolve();
+                };
+                transaction.onabort = () => {
+                    this.reportWriteError(transaction.error, changes.map(([key]) => key));
+                    resolve();
+                };
+            });
+        }).catch(error => {
+            console.error('❌ STORAGE: IndexedDB write failed:', error);
+        });
+        return this.writing;
+    }
+
+    onExternalChange(listener) {
+        if (!this.channel) return false;
+        this.changeListeners.push(listener);
+        return true;
+    }
+
+    /**
+     * Tell the other tabs which entries were written
+     * @param {Array} changes - [key, value or null for a removed key]
+     */
+    broadcast(changes) {
+        if (!this.channel) return;
+        try {
+            this.channel.postMessage({ changes: changes });
+        } catch (error) {
+            console.warn('⚠️ STORAGE: Could not notify other tabs of the change:', error.message);
+        }
+    }
+
+    /**
+     * Take over entries written by another tab; a change of this tab that has not been written
+     * yet is kept, it is written after the other tab's change
+     */
+    applyExternalChanges(changes) {
+        const changed = changes.filter(([key]) => !this.pending.has(key));
+        changed.forEach(([key, value]) => {
+            if (value === null) {
+                this.cache.delete(key);
+            } else {
+                this.cache.set(key, value);
+            }
+        });
+        changed.forEach(([key]) => this.changeListeners.forEach(listener => listener(key)));
+    }
+
+    reportWriteError(error, keys) {
+        const isQuota = error && error.name === 'QuotaExceededError';
+        console.error(`❌ STORAGE: IndexedDB write of ${keys.join(', ')} failed:`, error?.message || error);
+        if (typeof window !== 'undefined' && window.dispatchEvent && typeof CustomEvent !== 'undefined') {
+            window.dispatchEvent(new CustomEvent(isQuota ? 'storageQuotaExceeded' : 'storageWriteFailed', {
+                detail: { backend: this.type, keys: keys, message: error?.message || String(error) }
+            }));
+        }
+    }
+}
+
+// Make available globally
+if (typeof window !== 'undefined') {
+    window.StorageAdapter = StorageAdapter;
+    window.LocalStorageAdapter = LocalStorageAdapter;
+    window.MemoryStorageAdapter = MemoryStorageAdapter;
+    window.IndexedDBStorageAdapter = IndexedDBStorageAdapter;
+}
+
+// Export for module use
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { StorageAdapter, LocalStorageAdapter, MemoryStorageAdapter, IndexedDBStorageAdapter };
+}
@@ -0,0 +1,56 @@
+/**
+ * Sync Conflict Notice for Smart Alarm System
+ * Shows a banner when an edit on this workstation and one on another workstation
+ * changed the same setting at the same time (SharedDataManager dispatches syncConflict)
+ */
+
+class SyncConflictNotice {
+    /**
+     * Seconds before the banner hides itself
+     */
+    static get DISPLAY_SECONDS() {
+        return 15;
+    }
+
+    /**
+     * Show the banner for a conflict
+     * @param {Object} conflict - syncConflict event detail { patientId, target, updatedBy, updatedAt, origin }
+     */
+    static show(conflict) {
+        SyncConflictNotice.close();
+
+        const who = conflict.updatedBy || 'een andere werkplek';
+        const time = conflict.updatedAt ? new Date(conflict.updatedAt).toLocaleTimeString('nl-NL') : '';
+        const message = conflict.origin === 'local'
+            ? `Uw wijziging van ${conflict.target} heeft een gelijktijdige wijziging van ${who}${time ? ` (${time})` : ''} overschreven.`
+            : `Uw wijziging van ${conflict.target} is overschreven door een gelijktijdige wijziging op een andere werkplek.`;
+
+        const notice = document.createElement('div');
+        notice.className = 'sync-conflict-notice';
+        notice.innerHTML = `
+            <span class="sync-conflict-text">⚠️ Patiënt ${conflict.patientId}: ${message} Controleer de instellingen.</span>
+            <button class="sync-conflict-close" title="Sluiten">×</button>
+        `;
+        notice.querySelector('.sync-conflict-close').addEventListener('click', SyncConflictNotice.close);
+        document.body.appendChild(notice);
+
+        SyncConflictNotice.timer = setTimeout(SyncConflictNotice.close, SyncConflictNotice.DISPLAY_SECONDS * 1000);
+    }
+
+    static close() {
+        clearTimeout(SyncConflictNotice.timer);
+        const notice = document.querySelector('.sync-conflict-notice');
+        if (notice) notice.remove();
+    }
+}
+
+// Make available globally and show every conflict on the current page
+if (typeof window !== 'undefined') {
+    window.SyncConflictNotice = SyncConflictNotice;
+    window.addEventListener('syncConflict', (event) => SyncConflictNotice.show(event.detail));
+}
+
+// Export for module use
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SyncConflictNotice;
+}
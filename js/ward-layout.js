@@ -0,0 +1,268 @@
+/**
+ * Ward Layout for Smart Alarm System
+ * Wraps the ward configuration (units, rooms, beds, labels and display order)
+ * that is maintained in config/ward-layout.json instead of in the bed overview markup
+ */
+
+class WardLayout {
+    /**
+     * @param {Object} definition - Parsed layout JSON (must pass WardLayout.validate)
+     */
+    constructor(definition) {
+        this.definition = definition;
+    }
+
+    /**
+     * Default location of the layout file, relative to the HTML pages
+     */
+    static get DEFAULT_URL() {
+        return 'config/ward-layout.json';
+    }
+
+    /**
+     * Layout used when the layout file cannot be loaded: the original single unit with beds 1-4
+     */
+    static get FALLBACK_DEFINITION() {
+        return {
+            layoutId: 'fallback',
+            version: '1.0.0',
+            hospital: { name: 'Intensive Care' },
+            units: [{
+                id: 'unit-1',
+                name: 'Unit 1',
+                rooms: ['1', '2', '3', '4'].map((bed, index) => ({
+                    id: `kamer-${bed}`, label: `Kamer ${bed}`, order: index + 1, beds: [{ id: bed, label: bed }]
+                }))
+            }]
+        };
+    }
+
+    /**
+     * JSON Schema describing the layout file format
+     * Bed ids are the keys of the bed states and the bedNumber in WebSocket messages,
+     * so they are restricted to characters that are safe in URLs and element ids
+     */
+    static get SCHEMA() {
+        return {
+            type: 'object',
+            required: ['layoutId', 'version', 'hospital', 'units'],
+            properties: {
+                layoutId: { type: 'string', minLength: 1 },
+                version: { type: 'string', pattern: '^\\d+\\.\\d+\\.\\d+$' },
+                hospital: {
+                    type: 'object',
+                    required: ['name'],
+                    properties: {
+                        name: { type: 'string', minLength: 1 },
+                        shift: { type: 'string' }
+                    }
+                },
+                units: { type: 'array', items: { $ref: '#/definitions/unit' } }
+            },
+            definitions: {
+                id: { type: 'string', pattern: '^[A-Za-z0-9_-]+$' },
+                order: { type: 'integer' },
+                unit: {
+                    type: 'object',
+                    required: ['id', 'name', 'rooms'],
+                    properties: {
+                        id: { $ref: '#/definitions/id' },
+                        name: { type: 'string', minLength: 1 },
+                        description: { type: 'string' },
+                        order: { $ref: '#/definitions/order' },
+                        rooms: { type: 'array', items: { $ref: '#/definitions/room' } }
+                    }
+                },
+                room: {
+                    type: 'object',
+                    required: ['id', 'label', 'beds'],
+                    properties: {
+                        id: { $ref: '#/definitions/id' },
+                        label: { type: 'string', minLength: 1 },
+                        isolation: { type: 'boolean' },
+                        order: { $ref: '#/definitions/order' },
+                        beds: { type: 'array', items: { $ref: '#/definitions/bed' } }
+                    }
+                },
+                bed: {
+                    type: 'object',
+                    required: ['id'],
+                    properties: {
+                        id: { $ref: '#/definitions/id' },
+                        label: { type: 'string', minLength: 1 },
+                        order: { $ref: '#/definitions/order' }
+                    }
+                }
+            }
+        };
+    }
+
+    /**
+     * Validate a layout definition against the schema plus cross-field rules
+     * @param {Object} definition - Parsed layout JSON
+     * @returns {Object} - { valid: boolean, errors: Array<string> }
+     */
+    static validate(definition) {
+        const validator = typeof SchemaValidator !== 'undefined' ? SchemaValidator : require('./schema-validator');
+        const result = validator.validate(WardLayout.SCHEMA, definition);
+        if (!result.valid) {
+            return result;
+        }
+
+        // Cross-field checks that JSON Schema cannot express
+        const errors = [];
+        const unitIds = new Set();
+        const bedIds = new Set();
+
+        if (definition.units.length === 0) {
+            errors.push('$.units: at least one unit is required');
+        }
+        definition.units.forEach(unit => {
+            if (unitIds.has(unit.id)) {
+                errors.push(`$.units: duplicate unit id "${unit.id}"`);
+            }
+            unitIds.add(unit.id);
+
+            unit.rooms.forEach(room => {
+                room.beds.forEach(bed => {
+                    if (bedIds.has(bed.id)) {
+                        errors.push(`$.units.${unit.id}.rooms.${room.id}: bed id "${bed.id}" is used more than once`);
+                    }
+                    bedIds.add(bed.id);
+                });
+            });
+        });
+
+        return {
+            valid: errors.length === 0,
+            errors: errors
+        };
+    }
+
+    /**
+     * Load and validate a layout file without blocking the page; SharedDataManager.ready waits for it
+     * @param {string} url - Location of the layout JSON
+     * @returns {Promise<WardLayout>} - Validated layout; rejects when the file cannot be loaded,
+     *                                  parsed or validated
+     */
+    static loadFromUrl(url = WardLayout.DEFAULT_URL) {
+        return new Promise((resolve, reject) => {
+            const request = new XMLHttpRequest();
+            request.open('GET', url, true);
+            request.onload = () => {
+                // status 0 is returned for file:// pages that did load the resource
+                if (request.status !== 200 && !(request.status === 0 && request.responseText)) {
+                    reject(new Error(`Could not load ward layout from ${url} (HTTP ${request.status})`));
+                    return;
+                }
+                try {
+                    resolve(WardLayout.fromDefinition(JSON.parse(request.responseText)));
+                } catch (error) {
+                    reject(error);
+                }
+            };
+            request.onerror = () => reject(new Error(`Could not load ward layout from ${url}`));
+            request.send(null);
+        });
+    }
+
+    /**
+     * Create a layout from an already parsed definition
+     * @param {Object} definition - Parsed layout JSON
+     * @returns {WardLayout} - Validated layout
+     * @throws {Error} - When the definition fails validation
+     */
+    static fromDefinition(definition) {
+        const validation = WardLayout.validate(definition);
+        if (!validation.valid) {
+            throw new Error(`Invalid ward layout: ${validation.errors.join('; ')}`);
+        }
+        return new WardLayout(definition);
+    }
+
+    static byOrder(a, b) {
+        return (a.order ?? Number.MAX_SAFE_INTEGER) - (b.order ?? Number.MAX_SAFE_INTEGER);
+    }
+
+    /**
+     * Layout identification
+     * @returns {Object} - { layoutId, version }
+     */
+    getVersionInfo() {
+        return {
+            layoutId: this.definition.layoutId,
+            version: this.definition.version
+        };
+    }
+
+    getHospital() {
+        return { ...this.definition.hospital };
+    }
+
+    /**
+     * Units in display order
+     * @returns {Array} - [{ id, name, description, order, bedCount }]
+     */
+    getUnits() {
+        return [...this.definition.units].sort(WardLayout.byOrder).map(unit => ({
+            id: unit.id,
+            name: unit.name,
+            description: unit.description || '',
+            order: unit.order ?? null,
+            bedCount: unit.rooms.reduce((count, room) => count + room.beds.length, 0)
+        }));
+    }
+
+    getUnit(unitId) {
+        return this.getUnits().find(unit => unit.id === unitId) || null;
+    }
+
+    /**
+     * Beds in display order (by unit, room, then bed)
+     * @param {string} unitId - Only the beds of this unit (default: all units)
+     * @returns {Array} - [{ id, label, unitId, unitName, roomId, roomLabel, isolation }]
+     */
+    getBeds(unitId = null) {
+        const beds = [];
+        [...this.definition.units].sort(WardLayout.byOrder)
+            .filter(unit => !unitId || unit.id === unitId)
+            .forEach(unit => {
+                [...unit.rooms].sort(WardLayout.byOrder).forEach(room => {
+                    [...room.beds].sort(WardLayout.byOrder).forEach(bed => {
+                        beds.push({
+                            id: bed.id,
+                            label: bed.label || bed.id,
+                            unitId: unit.id,
+                            unitName: unit.name,
+                            roomId: room.id,
+                            roomLabel: room.label,
+                            isolation: room.isolation === true
+                        });
+                    });
+                });
+            });
+        return beds;
+    }
+
+    /**
+     * @param {string|number} bedId - Bed id (bedNumber)
+     * @returns {Object|null} - Bed as returned by getBeds, or null for beds outside the layout
+     */
+    getBed(bedId) {
+        return this.getBeds().find(bed => bed.id === String(bedId)) || null;
+    }
+
+    getBedIds(unitId = null) {
+        return this.getBeds(unitId).map(bed => bed.id);
+    }
+}
+
+// Make available globally
+if (typeof window !== 'undefined') {
+    window.WardLayout = WardLayout;
+}
+
+// Export for module use
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = WardLayout;
+}
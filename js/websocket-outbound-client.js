@@ -14,6 +14,11 @@ class WebSocketOutboundClient {
             reconnectDelay: config.reconnectDelay || 5000,
             maxReconnectAttempts: config.maxReconnectAttempts || 10,
             heartbeatInterval: config.heartbeatInterval || 30000,
+            // Unacknowledged messages are resent after ackTimeout, doubling up to maxRetryDelay
+            ackTimeout: config.ackTimeout || 5000,
+            maxRetryDelay: config.maxRetryDelay || 60000,
+            // Most messages the outbox holds; further messages are refused until acks make room
+            maxOutboxSize: config.maxOutboxSize || 500,
             testMode: config.testMode || false,
             ...config
         };
@@ -23,8 +28,34 @@ class WebSocketOutboundClient {
         this.reconnectTimer = null;
         this.heartbeatTimer = null;
         this.isConnecting = false;
-        this.messageQueue = [];
+        this.retryTimer = null;
         this.sessionId = this.generateSessionId();
+        this.messageCounter = 0;
+        // Durable outbox: every state message stays here (and in localStorage) until the server acknowledges it.
+        // Entries carry the sessionId of the page that sends them (owner); other pages only take them over
+        // once the owner's lease has run out (see renewLease)
+        this.outbox = [];
+        this.settledMessageIds = new Set();
+        this.deliveryStats = { delivered: 0, expired: 0, lastAckAt: null };
+        // Last message the outbox could not keep: { code, error, at }
+        this.outboxError = null;
+        this.renewLease();
+        this.loadOutbox();
+        if (typeof window !== 'undefined' && window.addEventListener) {
+            // The next page can take the outbox over at once instead of waiting for the lease to run out
+            window.addEventListener('pagehide', () => this.releaseLease());
+        }
+        // Last server state version this workstation has seen (sent as baseVersion for conflict detection);
+        // loaded from SharedDataManager on the first handshake so it survives page reloads
+        this.stateVersion = null;
+        this.lastSyncAt = null;
+        // Set on connect until the outbox has drained and the sync_request has gone out; the sync starts
+        // from the version seen before the flush, since acks of our own edits move stateVersion past other changes
+        this.syncPending = false;
+        this.syncFromVersion = null;
+        // Protocol version agreed with the server in its welcome message (null until then)
+        this.protocolVersion = null;
+        this.protocolError = null;
         
         // Event handlers
         this.onConnected = config.onConnected || (() => {});
@@ -99,7 +130,8 @@ class WebSocketOutboundClient {
                 this.reconnectAttempts = 0;
                 this.clearReconnectTimer();
                 this.startHeartbeat();
-                this.flushMessageQueue();
+                this.startRetryTimer();
+                // Nothing is sent until the server's welcome has fixed the protocol version
                 this.onConnected(event);
             };
             
@@ -119,7 +151,10 @@ class WebSocketOutboundClient {
                 console.log(`🔌 WebSocket connection closed. Code: ${event.code}, Reason: ${event.reason}`);
                 this.isConnecting = false;
                 this.websocket = null;
+                this.protocolVersion = null;
+                this.syncPending = false;
                 this.stopHeartbeat();
+                this.stopRetryTimer();
                 this.onDisconnected(event);
                 this.scheduleReconnect();
             };
@@ -144,6 +179,7 @@ class WebSocketOutboundClient {
     disconnect() {
         this.clearReconnectTimer();
         this.stopHeartbeat();
+        this.stopRetryTimer();
         
         if (this.websocket) {
             console.log('🔌 Disconnecting WebSocket...');
@@ -162,50 +198,160 @@ class WebSocketOutboundClient {
         return this.websocket && this.websocket.readyState === WebSocket.OPEN;
     }
     
+    /**
+     * Id of the logged-in user on whose behalf messages are sent (null when nobody is logged in)
+     */
+    getActingUserId() {
+        const user = window.sharedDataManager?.getCurrentUser?.();
+        return user ? user.id : null;
+    }
+    
+    /**
+     * Role of the logged-in user; the server checks configuration changes against it
+     */
+    getActingUserRole() {
+        const user = window.sharedDataManager?.getCurrentUser?.();
+        return user ? user.role : null;
+    }
+    
+    /**
+     * Connected and agreed on a protocol version with the server
+     */
+    canTransmit() {
+        return this.isConnected() && this.protocolVersion !== null;
+    }
+    
     /**
      * Send a message to the WebSocket server
+     * @returns {boolean} - False if the message was rejected by schema validation or could not be sent yet
      */
     sendMessage(type, data, priority = 'normal') {
+        const schemas = typeof MessageSchemas !== 'undefined' ? MessageSchemas : null;
         const message = {
             type: type,
+            messageId: `${this.sessionId}_${++this.messageCounter}`,
             sessionId: this.sessionId,
+            userId: this.getActingUserId(),
+            userRole: this.getActingUserRole(),
+            baseVersion: this.stateVersion,
             timestamp: new Date().toISOString(),
-            version: '1.0',
+            version: schemas ? schemas.PROTOCOL_VERSION : '1.0',
             priority: priority,
             data: data
         };
         
+        // Messages that break the contract are never sent (the server would reject them anyway)
+        if (schemas) {
+            const validation = schemas.validate(message);
+            if (!validation.valid) {
+                console.error(`❌ Message [${type}] not sent, ${validation.code}:`, validation.errors);
+                return false;
+            }
+        }
+        
         // Test mode: Just return success without actually sending
         if (this.config.testMode) {
             console.log(`📡 Test mode: Would send [${type}]:`, data);
             return true; // Always return success in test mode
         }
         
+        // Handshake and heartbeat messages are only useful right now; everything else is delivered durably
+        if (WebSocketOutboundClient.TRANSIENT_TYPES.includes(type)) {
+            return this.canTransmit() ? this.transmit(message) : false;
+        }
+        
+        const entry = this.queueMessage(message);
+        if (!entry) {
+            return false;
+        }
+        
         // Real mode: Try to send via WebSocket
-        if (this.isConnected()) {
-            try {
-                const messageStr = JSON.stringify(message);
-                this.websocket.send(messageStr);
-                console.log(`📤 Message sent [${type}]:`, data);
-                return true;
-            } catch (error) {
-                console.error('❌ Error sending message:', error);
-                this.queueMessage(message);
-                return false;
-            }
-        } else {
-            // Try to reconnect if not connected and not already connecting
-            if (!this.isConnecting) {
-                console.log(`🔄 WebSocket not connected for ${type} message. Attempting to reconnect...`);
-                this.connect();
-            }
-            
-            console.warn(`⚠️ WebSocket not connected. Queueing message [${type}]`);
-            this.queueMessage(message);
+        if (this.canTransmit()) {
+            return this.transmitEntry(entry);
+        }
+        
+        // Try to reconnect if not connected and not already connecting
+        if (!this.isConnecting) {
+            console.log(`🔄 WebSocket not connected for ${type} message. Attempting to reconnect...`);
+            this.connect();
+        }
+        console.warn(`⚠️ WebSocket not connected. Message [${type}] kept in outbox`);
+        return false;
+    }
+    
+    /**
+     * Message types that are not stored in the outbox
+     */
+    static get TRANSIENT_TYPES() {
+        return ['heartbeat', 'sync_request'];
+    }
+    
+    /**
+     * localStorage key of the outbox (shared by all pages, so messages survive page navigation)
+     */
+    static get OUTBOX_KEY() {
+        return 'smartAlarmOutbox';
+    }
+    
+    /**
+     * localStorage key of the outbox leases: { [sessionId]: time the page last renewed its lease }
+     */
+    static get OUTBOX_LEASES_KEY() {
+        return 'smartAlarmOutboxLeases';
+    }
+    
+    /**
+     * A page whose lease is older than this has closed or stopped; its outbox entries may be taken over
+     */
+    static get OUTBOX_LEASE_TIMEOUT() {
+        return 5000;
+    }
+    
+    /**
+     * How long an unacknowledged message is resent; the server only recognises duplicates for this long
+     */
+    static get MESSAGE_RETRY_SPAN() {
+        return typeof MessageSchemas !== 'undefined' ? MessageSchemas.MESSAGE_RETRY_SPAN : 24 * 60 * 60 * 1000;
+    }
+    
+    /**
+     * Write a message to the socket in the negotiated protocol version
+     * @returns {boolean} - True if the socket accepted it (delivery is only confirmed by the ack)
+     */
+    transmit(message) {
+        try {
+            const wireMessage = typeof MessageSchemas !== 'undefined' && message.version !== this.protocolVersion
+                ? MessageSchemas.convert(message, this.protocolVersion)
+                : message;
+            this.websocket.send(JSON.stringify(wireMessage));
+            console.log(`📤 Message sent [${message.type}] ${message.messageId}:`, message.data);
+            return true;
+        } catch (error) {
+            console.error('❌ Error sending message:', error);
             return false;
         }
     }
     
+    /**
+     * Send an outbox entry and schedule its retry in case no ack arrives
+     */
+    transmitEntry(entry) {
+        const sent = this.transmit(entry.message);
+        entry.attempts++;
+        entry.lastAttemptAt = new Date().toISOString();
+        entry.status = sent ? 'sent' : 'pending';
+        entry.nextAttemptAt = Date.now() + this.getRetryDelay(entry.attempts);
+        this.saveOutbox();
+        return sent;
+    }
+    
+    /**
+     * Exponential backoff: ackTimeout, 2x, 4x, ... up to maxRetryDelay
+     */
+    getRetryDelay(attempts) {
+        return Math.min(this.config.ackTimeout * Math.pow(2, Math.max(0, attempts - 1)), this.config.maxRetryDelay);
+    }
+    
     /**
      * Send patient selection data
      */
@@ -235,6 +381,22 @@ class WebSocketOutboundClient {
         });
     }
     
+    /**
+     * Send patient bed transfer data
+     */
+    sendPatientTransferred(patientId, fromBed, toBed, patientData = null) {
+        return this.sendMessage('patient_transferred', {
+            patientId: patientId,
+            fromBed: fromBed,
+            toBed: toBed,
+            ...(patientData ? { patient: patientData } : {}),
+            metadata: {
+                source: 'bed_overview',
+                action: 'patient_transfer'
+            }
+        });
+    }
+    
     /**
      * Send thresholds and risk levels data (delta-based message type)
      */
@@ -252,46 +414,429 @@ class WebSocketOutboundClient {
     }
     
     /**
-     * Queue message for later sending
+     * Add a message to the outbox. When the outbox is full, the oldest rejected message makes room; without
+     * one the message is refused (outbox_full), since unacknowledged messages are only dropped when expired
+     * @returns {Object|null} - Outbox entry { message, status, attempts, queuedAt, lastAttemptAt, nextAttemptAt, error, errorCode },
+     *                          or null when the outbox is full
      */
     queueMessage(message) {
-        this.messageQueue.push(message);
-        console.log(`📥 Message queued [${message.type}]. Queue size: ${this.messageQueue.length}`);
-        
-        // Limit queue size to prevent memory issues
-        if (this.messageQueue.length > 100) {
-            const removed = this.messageQueue.shift();
-            console.warn('⚠️ Message queue full, removed oldest message:', removed.type);
+        this.pruneOutbox();
+        if (this.outbox.length >= this.config.maxOutboxSize) {
+            const failed = this.outbox.find(entry => entry.status === 'failed');
+            if (!failed) {
+                this.reportOutboxError('outbox_full',
+                    `Outbox full (${this.outbox.length} unacknowledged messages), message [${message.type}] not sent`);
+                return null;
+            }
+            console.warn(`🗑️ Rejected message ${failed.message.messageId} dropped to make room in the outbox`);
+            this.removeFromOutbox([failed.message.messageId]);
         }
+        
+        const entry = {
+            message: message,
+            owner: this.sessionId,
+            status: 'pending',
+            attempts: 0,
+            queuedAt: new Date().toISOString(),
+            lastAttemptAt: null,
+            nextAttemptAt: Date.now(),
+            error: null,
+            errorCode: null
+        };
+        this.outbox.push(entry);
+        this.saveOutbox();
+        console.log(`📥 Message queued [${message.type}] ${message.messageId}. Outbox size: ${this.outbox.length}`);
+        return entry;
     }
     
     /**
-     * Send all queued messages
+     * Send every outbox message that is waiting to be (re)sent, oldest first
+     * @param {boolean} force - Also resend messages whose retry delay has not passed (after a reconnect)
      */
-    flushMessageQueue() {
-        if (this.messageQueue.length === 0) return;
+    flushMessageQueue(force = true) {
+        if (!this.canTransmit()) return;
+        
+        // Pick up messages left behind by pages that closed or stopped before their ack arrived
+        this.loadOutbox();
+        this.pruneOutbox();
         
-        console.log(`📤 Flushing ${this.messageQueue.length} queued messages...`);
-        const messages = [...this.messageQueue];
-        this.messageQueue = [];
+        const now = Date.now();
+        const due = this.outbox.filter(entry =>
+            entry.status !== 'failed' && (force || entry.status === 'pending' || entry.nextAttemptAt <= now)
+        );
+        if (due.length === 0) return;
+        
+        console.log(`📤 ${force ? 'Flushing' : 'Retrying'} ${due.length} outbox message(s)...`);
+        due.forEach(entry => this.transmitEntry(entry));
+    }
+    
+    /**
+     * Handle the server's acknowledgement of a message id
+     * @param {Object} ack - { messageId, status: 'ok'|'error', duplicate?, code?, error?, retryable?, errors? }
+     */
+    handleAck(ack) {
+        const entry = this.outbox.find(item => item.message.messageId === ack.messageId);
         
-        messages.forEach(message => {
-            try {
-                const messageStr = JSON.stringify(message);
-                this.websocket.send(messageStr);
-                console.log(`📤 Queued message sent [${message.type}]`);
-            } catch (error) {
-                console.error('❌ Error sending queued message:', error);
-                this.queueMessage(message); // Re-queue if failed
+        if (ack.status === 'error' && ack.retryable) {
+            // The server failed, not the message: it stays unacknowledged and is resent after its retry delay
+            console.warn(`⚠️ Server could not handle message ${ack.messageId} (${ack.code}), will retry:`, ack.error);
+            if (entry) {
+                entry.error = ack.error || 'Server error';
+                entry.errorCode = ack.code || null;
+                this.saveOutbox();
             }
+            return;
+        }
+        
+        if (ack.status === 'error') {
+            console.error(`❌ Server rejected message ${ack.messageId} (${ack.code}):`, ack.error, ack.errors || '');
+            if (entry) {
+                entry.status = 'failed';
+                entry.error = ack.error || 'Rejected by server';
+                entry.errorCode = ack.code || null;
+                this.saveOutbox();
+            }
+            this.sendSyncRequestWhenDrained();
+            return;
+        }
+        
+        // Heartbeats are acknowledged too, but were never in the outbox
+        this.settledMessageIds.add(ack.messageId);
+        if (!entry) {
+            this.saveOutbox();
+            return;
+        }
+        
+        this.outbox = this.outbox.filter(item => item.message.messageId !== ack.messageId);
+        this.deliveryStats.delivered++;
+        this.deliveryStats.lastAckAt = new Date().toISOString();
+        this.saveOutbox();
+        console.log(`✅ Message ${ack.messageId} delivered${ack.duplicate ? ' (duplicate)' : ''}`);
+        this.sendSyncRequestWhenDrained();
+    }
+    
+    /**
+     * Load the persisted outbox and take over the entries of pages that have closed or stopped;
+     * entries of pages that still renew their lease are left to them
+     */
+    loadOutbox() {
+        try {
+            const stored = JSON.parse(localStorage.getItem(WebSocketOutboundClient.OUTBOX_KEY)) || [];
+            const leases = this.readLeases();
+            const known = new Set(this.outbox.map(entry => entry.message.messageId));
+            let adopted = 0;
+            stored.forEach(entry => {
+                const id = entry.message?.messageId;
+                if (!id || known.has(id) || this.settledMessageIds.has(id) || this.isLeaseActive(entry.owner, leases)) {
+                    return;
+                }
+                // Whatever happened on the previous page, the message still needs an ack
+                this.outbox.push({ ...entry, owner: this.sessionId, status: entry.status === 'failed' ? 'failed' : 'pending' });
+                adopted++;
+            });
+            if (adopted > 0) {
+                console.log(`📥 ${adopted} outbox message(s) taken over from closed pages`);
+                this.saveOutbox();
+            }
+        } catch (error) {
+            console.error('❌ Error loading outbox:', error);
+        }
+    }
+    
+    /**
+     * Tell other pages this page is alive and sends its own outbox entries (renewed every retry tick)
+     */
+    renewLease() {
+        this.updateLeases(leases => {
+            leases[this.sessionId] = Date.now();
+        });
+    }
+    
+    releaseLease() {
+        this.updateLeases(leases => {
+            delete leases[this.sessionId];
         });
     }
     
+    updateLeases(change) {
+        try {
+            const leases = this.readLeases();
+            change(leases);
+            // Forget pages that stopped long ago
+            const now = Date.now();
+            Object.keys(leases).forEach(sessionId => {
+                if (now - leases[sessionId] > WebSocketOutboundClient.OUTBOX_LEASE_TIMEOUT * 12) {
+                    delete leases[sessionId];
+                }
+            });
+            localStorage.setItem(WebSocketOutboundClient.OUTBOX_LEASES_KEY, JSON.stringify(leases));
+        } catch (error) {
+            console.error('❌ Error updating outbox lease:', error);
+        }
+    }
+    
+    readLeases() {
+        try {
+            return JSON.parse(localStorage.getItem(WebSocketOutboundClient.OUTBOX_LEASES_KEY)) || {};
+        } catch (error) {
+            return {};
+        }
+    }
+    
+    /**
+     * Whether another page owns an entry and has renewed its lease recently (entries without owner are free)
+     */
+    isLeaseActive(owner, leases) {
+        return !!owner && owner !== this.sessionId && leases[owner] !== undefined &&
+            Date.now() - leases[owner] < WebSocketOutboundClient.OUTBOX_LEASE_TIMEOUT;
+    }
+    
+    /**
+     * Persist the outbox, keeping entries written by other open pages
+     * @returns {boolean} - False when localStorage refused the write (storage_quota is reported)
+     */
+    saveOutbox() {
+        try {
+            const stored = JSON.parse(localStorage.getItem(WebSocketOutboundClient.OUTBOX_KEY)) || [];
+            const own = new Set(this.outbox.map(entry => entry.message.messageId));
+            const others = stored.filter(entry =>
+                !own.has(entry.message?.messageId) && !this.settledMessageIds.has(entry.message?.messageId)
+            );
+            localStorage.setItem(WebSocketOutboundClient.OUTBOX_KEY, JSON.stringify([...others, ...this.outbox]));
+            return true;
+        } catch (error) {
+            console.error('❌ Error saving outbox:', error);
+            if (error.name === 'QuotaExceededError') {
+                // The messages are still sent from this page, but are lost if it closes before their ack arrives
+                this.reportOutboxError('storage_quota', `Outbox could not be stored, localStorage is full (${this.outbox.length} messages)`);
+            }
+            return false;
+        }
+    }
+    
+    /**
+     * Drop messages queued longer than MESSAGE_RETRY_SPAN ago, rejected ones included: the server no longer
+     * recognises their ids, so resending them could apply a change twice
+     * @returns {Array} - Dropped outbox entries
+     */
+    pruneOutbox(now = Date.now()) {
+        const expired = this.outbox.filter(entry =>
+            now - new Date(entry.queuedAt).getTime() >= WebSocketOutboundClient.MESSAGE_RETRY_SPAN
+        );
+        if (expired.length === 0) return expired;
+        
+        this.removeFromOutbox(expired.map(entry => entry.message.messageId));
+        const unacknowledged = expired.filter(entry => entry.status !== 'failed');
+        console.warn(`🗑️ ${expired.length} expired outbox message(s) dropped (${unacknowledged.length} never acknowledged)`);
+        if (unacknowledged.length > 0) {
+            this.deliveryStats.expired += unacknowledged.length;
+            this.reportOutboxError('outbox_expired',
+                `${unacknowledged.length} message(s) not acknowledged within ${WebSocketOutboundClient.MESSAGE_RETRY_SPAN / 3600000} hours were dropped: ` +
+                unacknowledged.map(entry => `[${entry.message.type}] ${entry.message.messageId}`).join(', '));
+        }
+        return expired;
+    }
+    
+    /**
+     * Remove entries from the outbox of every page (settled ids are not loaded again)
+     */
+    removeFromOutbox(messageIds) {
+        const ids = new Set(messageIds);
+        ids.forEach(id => this.settledMessageIds.add(id));
+        this.outbox = this.outbox.filter(entry => !ids.has(entry.message.messageId));
+        this.saveOutbox();
+    }
+    
+    /**
+     * Record a message the outbox could not keep and pass it to onError
+     * @param {string} code - outbox_full, outbox_expired or storage_quota
+     */
+    reportOutboxError(code, message) {
+        console.error(`❌ Outbox ${code}: ${message}`);
+        this.outboxError = { code: code, error: message, at: new Date().toISOString() };
+        const error = new Error(message);
+        error.code = code;
+        this.onError(error);
+    }
+    
+    /**
+     * Resend messages the server rejected (e.g. after the cause was fixed)
+     */
+    retryFailedMessages() {
+        this.outbox.forEach(entry => {
+            if (entry.status === 'failed') {
+                entry.status = 'pending';
+                entry.error = null;
+                entry.errorCode = null;
+            }
+        });
+        this.saveOutbox();
+        this.flushMessageQueue();
+    }
+    
+    /**
+     * Renew the outbox lease and check for unacknowledged messages whose retry delay has passed
+     */
+    startRetryTimer() {
+        this.stopRetryTimer();
+        this.retryTimer = setInterval(() => {
+            this.renewLease();
+            this.flushMessageQueue(false);
+        }, 1000);
+    }
+    
+    stopRetryTimer() {
+        if (this.retryTimer) {
+            clearInterval(this.retryTimer);
+            this.retryTimer = null;
+        }
+    }
+    
+    /**
+     * Delivery state of the outbox for getConnectionStatus
+     */
+    getDeliveryStatus() {
+        const count = (status) => this.outbox.filter(entry => entry.status === status).length;
+        const unacknowledged = this.outbox.filter(entry => entry.status !== 'failed');
+        return {
+            pending: count('pending'),
+            awaitingAck: count('sent'),
+            failed: count('failed'),
+            delivered: this.deliveryStats.delivered,
+            expired: this.deliveryStats.expired,
+            lastAckAt: this.deliveryStats.lastAckAt,
+            lastError: this.outboxError,
+            oldestUnacknowledgedAt: unacknowledged.length > 0 ? unacknowledged[0].queuedAt : null
+        };
+    }
+    
+    /**
+     * Message types that carry state changes made on another workstation
+     */
+    static get STATE_CHANGE_TYPES() {
+        return ['patient_selected', 'patient_discharged', 'patient_transferred', 'thresholds_risk_levels', 'parameterAlarmToggled'];
+    }
+    
+    /**
+     * Remember the newest server state version seen
+     */
+    updateStateVersion(version) {
+        if (typeof version === 'number' && (this.stateVersion === null || version > this.stateVersion)) {
+            this.setStateVersion(version);
+        }
+    }
+    
+    setStateVersion(version) {
+        this.stateVersion = version;
+        if (window.sharedDataManager) {
+            window.sharedDataManager.setKnownStateVersion(version);
+        }
+    }
+    
+    /**
+     * Connect handshake: announce this session and the last state version it saw,
+     * the server answers with a sync_response (delta since that version, or a full snapshot)
+     */
+    sendSyncRequest(lastStateVersion = this.getKnownStateVersion()) {
+        console.log(`🔄 Requesting state sync from version ${lastStateVersion}`);
+        return this.sendMessage('sync_request', {
+            lastStateVersion: lastStateVersion
+        }, 'high');
+    }
+    
+    /**
+     * Last state version seen, loaded from SharedDataManager after a page reload
+     */
+    getKnownStateVersion() {
+        if (this.stateVersion === null && window.sharedDataManager) {
+            this.stateVersion = window.sharedDataManager.getKnownStateVersion();
+        }
+        return this.stateVersion;
+    }
+    
+    /**
+     * Send the connect sync_request once every outbox message has been acknowledged (or rejected)
+     */
+    sendSyncRequestWhenDrained() {
+        if (!this.syncPending || !this.canTransmit()) return;
+        
+        const unacknowledged = this.outbox.filter(entry => entry.status !== 'failed').length;
+        if (unacknowledged > 0) {
+            console.log(`⏳ State sync waits for ${unacknowledged} outbox message(s) to be acknowledged`);
+            return;
+        }
+        
+        this.syncPending = false;
+        this.sendSyncRequest(this.syncFromVersion);
+    }
+    
+    /**
+     * Agree on the protocol version offered in the server's welcome message.
+     * Servers from before protocol negotiation do not announce versions and only speak 1.0.
+     * @returns {boolean} - True if a common version was found
+     */
+    negotiateProtocol(welcome) {
+        const offered = welcome.protocolVersions || ['1.0'];
+        if (typeof MessageSchemas === 'undefined') {
+            this.protocolVersion = offered.includes('1.0') ? '1.0' : offered[0];
+        } else {
+            this.protocolVersion = MessageSchemas.negotiate(offered);
+        }
+        
+        if (this.protocolVersion === null) {
+            this.protocolError = `Server supports protocol ${offered.join(', ')}, client ${MessageSchemas.SUPPORTED_VERSIONS.join(', ')}`;
+            console.error('❌ No common protocol version:', this.protocolError);
+            return false;
+        }
+        
+        this.protocolError = null;
+        console.log(`🤝 Protocol version ${this.protocolVersion} agreed with server`);
+        return true;
+    }
+    
     /**
      * Handle incoming messages from server
      */
     handleIncomingMessage(data) {
+        if (WebSocketOutboundClient.STATE_CHANGE_TYPES.includes(data.type)) {
+            console.log(`🔄 Remote ${data.type} received from ${data.userId || data.sessionId} (version ${data.stateVersion})`);
+            this.updateStateVersion(data.stateVersion);
+            if (window.sharedDataManager) {
+                window.sharedDataManager.applyRemoteChange(data);
+            }
+            return;
+        }
+        
         switch (data.type) {
+            case 'connection':
+                console.log('✅ Server welcome received, state version:', data.stateVersion);
+                if (this.negotiateProtocol(data)) {
+                    // Edits made while disconnected go first: a snapshot taken before the server applied
+                    // them would overwrite them locally, so the sync_request waits until the outbox has drained
+                    this.syncPending = true;
+                    this.syncFromVersion = this.getKnownStateVersion();
+                    this.flushMessageQueue();
+                    this.sendSyncRequestWhenDrained();
+                }
+                break;
+            case 'sync_response':
+                console.log(`🔄 State sync ${data.mode} received: version ${data.fromVersion} → ${data.stateVersion}`);
+                if (window.sharedDataManager) {
+                    window.sharedDataManager.reconcileServerState(data);
+                }
+                // A snapshot can be older than the stored version when the server state was reset
+                this.setStateVersion(data.stateVersion);
+                this.lastSyncAt = new Date().toISOString();
+                break;
+            case 'state_applied':
+                this.updateStateVersion(data.stateVersion);
+                if (data.conflict && window.sharedDataManager) {
+                    window.sharedDataManager.handleSyncConflict(data.conflict, 'local');
+                }
+                break;
+            case 'ack':
+                this.handleAck(data);
+                break;
             case 'acknowledgment':
                 console.log('✅ Server acknowledgment:', data.message);
                 break;
@@ -299,12 +844,24 @@ class WebSocketOutboundClient {
                 console.log('💓 Heartbeat response received');
                 break;
             case 'error':
-                console.error('❌ Server error:', data.message);
+                console.error(`❌ Server error (${data.code}):`, data.message, data.errors || '');
                 break;
             case 'disconnect':
                 console.log('👋 Server requested disconnect:', data.message);
                 this.disconnect();
                 break;
+            case 'vitals':
+                console.log('💓 Vitals received from monitoring server');
+                if (window.sharedDataManager) {
+                    window.sharedDataManager.handleVitalsMessage(data.data);
+                }
+                break;
+            case 'alarm_event':
+                // Alarms are evaluated once, on the server
+                if (window.sharedDataManager) {
+                    window.sharedDataManager.applyRemoteAlarmEvent(data.data);
+                }
+                break;
             default:
                 console.log('ℹ️ Unknown message type:', data.type);
         }
@@ -374,7 +931,12 @@ class WebSocketOutboundClient {
             url: this.getWebSocketUrl(),
             sessionId: this.sessionId,
             reconnectAttempts: this.reconnectAttempts,
-            queuedMessages: this.messageQueue.length
+            stateVersion: this.stateVersion,
+            lastSyncAt: this.lastSyncAt,
+            protocolVersion: this.protocolVersion,
+            protocolError: this.protocolError,
+            queuedMessages: this.outbox.filter(entry => entry.status !== 'failed').length,
+            delivery: this.getDeliveryStatus()
         };
     }
     
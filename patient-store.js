@@ -0,0 +1,512 @@
+/**
+ * Patient Store for the Smart Alarm WebSocket server
+ * Keeps the authoritative ICU state (beds, patients, medical info, tags, overrides, alarm toggles)
+ * in a JSON file, so every workstation that connects sees the same ICU
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+class PatientStore {
+    /**
+     * @param {string} filePath - Location of the JSON state file (created on first write)
+     */
+    constructor(filePath = PatientStore.DEFAULT_FILE) {
+        this.filePath = filePath;
+        this.state = this.load();
+    }
+
+    /**
+     * Default state file, next to the server
+     */
+    static get DEFAULT_FILE() {
+        return path.join(__dirname, 'data', 'icu-state.json');
+    }
+
+    /**
+     * Message types that change the stored state
+     */
+    static get HANDLED_TYPES() {
+        return ['patient_selected', 'patient_discharged', 'patient_transferred', 'thresholds_risk_levels', 'parameterAlarmToggled'];
+    }
+
+    static createEmptyState() {
+        return {
+            version: 0,
+            updatedAt: null,
+            beds: {},
+            patients: {}
+        };
+    }
+
+    /**
+     * Read the state file; a missing file starts an empty ICU, a corrupt file is kept aside as .corrupt-<time>
+     * @returns {Object} - State
+     */
+    load() {
+        if (!fs.existsSync(this.filePath)) {
+            console.log(`📝 No patient store at ${this.filePath}, starting with an empty ICU`);
+            return PatientStore.createEmptyState();
+        }
+
+        try {
+            const state = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+            console.log(`✅ Patient store loaded from ${this.filePath} (version ${state.version})`);
+            return { ...PatientStore.createEmptyState(), ...state };
+        } catch (error) {
+            const backupPath = `${this.filePath}.corrupt-${Date.now()}`;
+            console.error(`❌ Patient store ${this.filePath} could not be read, moved to ${backupPath}:`, error.message);
+            fs.renameSync(this.filePath, backupPath);
+            return PatientStore.createEmptyState();
+        }
+    }
+
+    /**
+     * Write the state through a temporary file, so a crash never leaves a half-written store
+     */
+    save() {
+        fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+        const tempPath = `${this.filePath}.tmp`;
+        fs.writeFileSync(tempPath, JSON.stringify(this.state, null, 2));
+        fs.renameSync(tempPath, this.filePath);
+    }
+
+    /**
+     * Get a copy of the complete state
+     */
+    getState() {
+        return JSON.parse(JSON.stringify(this.state));
+    }
+
+    getVersion() {
+        return this.state.version;
+    }
+
+    /**
+     * Get a copy of one patient's stored state
+     * @returns {Object|null}
+     */
+    getPatient(patientId) {
+        const patient = this.state.patients[patientId];
+        return patient ? JSON.parse(JSON.stringify(patient)) : null;
+    }
+
+    /**
+     * Id of the patient occupying a bed
+     * @returns {string|null} - null for an empty or unknown bed
+     */
+    getPatientInBed(bedNumber) {
+        const bed = this.state.beds[bedNumber];
+        return bed && bed.occupied ? bed.patientId : null;
+    }
+
+    /**
+     * Alarms switched off with a suppression that has run out
+     * @param {number} now - Time to compare with (ms)
+     * @returns {Array} - [{ patientId, parameter, suppression }]
+     */
+    getExpiredSuppressions(now = Date.now()) {
+        const expired = [];
+        Object.values(this.state.patients).forEach(record => {
+            Object.entries(record.alarmStates || {}).forEach(([parameter, alarmState]) => {
+                const suppression = alarmState.suppression;
+                if (!alarmState.enabled && suppression && new Date(suppression.expiresAt).getTime() <= now) {
+                    expired.push({ patientId: record.patientId, parameter: parameter, suppression: { ...suppression } });
+                }
+            });
+        });
+        return expired;
+    }
+
+    /**
+     * State a reconnecting workstation needs to catch up: only the beds and patients changed after
+     * its last known version, or everything when that version is unknown or newer than the store's
+     * (e.g. after the state file was reset)
+     * @param {number|null} lastStateVersion - Last version the workstation saw
+     * @returns {Object} - { mode: 'snapshot'|'delta', fromVersion, stateVersion, beds, patients }
+     */
+    getChangesSince(lastStateVersion) {
+        const currentVersion = this.state.version;
+        const isKnownVersion = typeof lastStateVersion === 'number' && lastStateVersion >= 0 && lastStateVersion <= currentVersion;
+        const isChanged = (entry) => !isKnownVersion || (entry.version || 0) > lastStateVersion;
+
+        const filterChanged = (entries) => Object.fromEntries(
+            Object.entries(entries).filter(([, entry]) => isChanged(entry))
+        );
+
+        return JSON.parse(JSON.stringify({
+            mode: isKnownVersion ? 'delta' : 'snapshot',
+            fromVersion: isKnownVersion ? lastStateVersion : null,
+            stateVersion: currentVersion,
+            beds: filterChanged(this.state.beds),
+            patients: filterChanged(this.state.patients)
+        }));
+    }
+
+    /**
+     * Apply an inbound WebSocket message to the state and persist it
+     * @param {Object} message - Envelope { type, sessionId, userId, timestamp, baseVersion?, data }
+     * @returns {Object} - { success, applied, version, conflict, error? }
+     */
+    applyMessage(message) {
+        if (!message || !PatientStore.HANDLED_TYPES.includes(message.type)) {
+            return { success: true, applied: false, version: this.state.version };
+        }
+        if (!message.data) {
+            return { success: false, applied: false, version: this.state.version, error: `${message.type} message has no data` };
+        }
+
+        try {
+            const context = {
+                timestamp: message.timestamp || new Date().toISOString(),
+                userId: message.userId || null,
+                sessionId: message.sessionId || null,
+                version: this.state.version + 1
+            };
+            const conflict = this.detectConflict(message);
+            if (conflict) {
+                console.warn(`⚠️ Conflicting ${message.type} from ${context.userId || context.sessionId}: ${conflict.target} was changed by ${conflict.updatedBy || 'another workstation'} in version ${conflict.currentVersion}`);
+            }
+
+            switch (message.type) {
+                case 'patient_selected':
+                    this.applyPatientSelected(message.data, context);
+                    break;
+                case 'patient_discharged':
+                    this.applyPatientDischarged(message.data, context);
+                    break;
+                case 'patient_transferred':
+                    this.applyPatientTransferred(message.data, context);
+                    break;
+                case 'thresholds_risk_levels':
+                    this.applyThresholdsRiskLevels(message.data, context);
+                    break;
+                case 'parameterAlarmToggled':
+                    this.applyParameterAlarmToggled(message.data, context);
+                    break;
+            }
+
+            this.state.version = context.version;
+            this.state.updatedAt = context.timestamp;
+            this.save();
+            console.log(`💾 Patient store updated by ${message.type} (version ${this.state.version})`);
+            return { success: true, applied: true, version: this.state.version, conflict: conflict };
+        } catch (error) {
+            console.error(`❌ Error applying ${message.type} to patient store:`, error);
+            return { success: false, applied: false, version: this.state.version, conflict: null, error: error.message };
+        }
+    }
+
+    /**
+     * The stored part of the state a message changes
+     * @returns {Object|null} - { target, patientId, entry, value, incoming }
+     */
+    getMessageTarget(message) {
+        const data = message.data;
+        switch (message.type) {
+            case 'patient_selected': {
+                const bedNumber = data.bedNumber ?? data.patient?.bedNumber;
+                const bed = this.state.beds[bedNumber];
+                return {
+                    target: `bed ${bedNumber}`,
+                    patientId: data.patient?.id || null,
+                    entry: bed,
+                    value: bed ? bed.patientId : null,
+                    incoming: data.patient?.id || null
+                };
+            }
+            case 'patient_discharged': {
+                const bedNumber = data.bedNumber ?? this.state.patients[data.patientId]?.bedNumber;
+                const bed = this.state.beds[bedNumber];
+                return {
+                    target: `bed ${bedNumber}`,
+                    patientId: data.patientId,
+                    entry: bed,
+                    value: bed ? bed.patientId : null,
+                    incoming: bed && bed.patientId === data.patientId ? null : (bed ? bed.patientId : null)
+                };
+            }
+            case 'patient_transferred': {
+                const bed = this.state.beds[data.toBed];
+                return {
+                    target: `bed ${data.toBed}`,
+                    patientId: data.patientId,
+                    entry: bed,
+                    value: bed ? bed.patientId : null,
+                    incoming: data.patientId
+                };
+            }
+            case 'thresholds_risk_levels': {
+                const record = this.state.patients[data.patientId];
+                return {
+                    target: 'thresholds',
+                    patientId: data.patientId,
+                    entry: record ? record.configuration : null,
+                    value: record ? { medicalProblem: record.medicalInfo.selectedProblem || null, riskLevels: record.riskLevels, thresholds: record.thresholds } : null,
+                    incoming: data.changeType === 'delta' ? null : { medicalProblem: data.medicalProblem ?? null, riskLevels: data.riskLevels, thresholds: data.thresholds }
+                };
+            }
+            case 'parameterAlarmToggled': {
+                const alarmState = this.state.patients[data.patientId]?.alarmStates[data.parameter];
+                return {
+                    target: data.parameter,
+                    patientId: data.patientId,
+                    entry: alarmState,
+                    value: alarmState ? alarmState.enabled : true,
+                    incoming: data.status !== 'disabled'
+                };
+            }
+            default:
+                return null;
+        }
+    }
+
+    /**
+     * A message conflicts when another workstation changed the same target after the state version
+     * the sender last saw (baseVersion), and the message changes it to a different value again
+     * @returns {Object|null} - Conflict description, or null
+     */
+    detectConflict(message) {
+        if (typeof message.baseVersion !== 'number') {
+            return null;
+        }
+
+        const target = this.getMessageTarget(message);
+        if (!target || !target.entry || !target.entry.version) {
+            return null;
+        }
+
+        const entry = target.entry;
+        const changedByOther = entry.version > message.baseVersion && entry.sessionId !== message.sessionId;
+        if (!changedByOther || JSON.stringify(target.value) === JSON.stringify(target.incoming)) {
+            return null;
+        }
+
+        return {
+            messageType: message.type,
+            patientId: target.patientId,
+            target: target.target,
+            baseVersion: message.baseVersion,
+            currentVersion: entry.version,
+            updatedBy: entry.updatedBy || null,
+            updatedAt: entry.updatedAt || null,
+            overwrittenValue: target.value
+        };
+    }
+
+    /**
+     * Get or create the stored record of a patient
+     */
+    ensurePatient(patientId) {
+        if (!this.state.patients[patientId]) {
+            this.state.patients[patientId] = {
+                patientId: patientId,
+                status: 'admitted',
+                bedNumber: null,
+                patient: {},
+                medicalInfo: {},
+                riskLevels: {},
+                thresholds: {},
+                activeTags: [],
+                manualOverrides: null,
+                configuration: null,
+                alarmStates: {},
+                updatedAt: null,
+                updatedBy: null
+            };
+        }
+        return this.state.patients[patientId];
+    }
+
+    touch(record, context) {
+        record.version = context.version;
+        record.updatedAt = context.timestamp;
+        record.updatedBy = context.userId;
+    }
+
+    /**
+     * Version stamp used for conflict detection on beds, configurations and alarm states
+     */
+    createStamp(context) {
+        return {
+            version: context.version,
+            sessionId: context.sessionId,
+            updatedAt: context.timestamp,
+            updatedBy: context.userId
+        };
+    }
+
+    createBedEntry(patientId, context, vpkCode = null) {
+        return {
+            occupied: patientId !== null,
+            patientId: patientId,
+            vpkCode: patientId !== null ? vpkCode || null : null,
+            ...this.createStamp(context)
+        };
+    }
+
+    applyPatientSelected(data, context) {
+        const patientData = data.patient || {};
+        const patientId = patientData.id;
+        if (!patientId) {
+            throw new Error('patient_selected message has no patient id');
+        }
+
+        const bedNumber = data.bedNumber ?? patientData.bedNumber;
+        const { medicalInfo, ...patient } = patientData;
+
+        const record = this.ensurePatient(patientId);
+        if (!record.admittedAt || record.status === 'discharged') {
+            record.admittedAt = context.timestamp;
+        }
+        record.status = 'admitted';
+        record.patient = { ...record.patient, ...patient };
+        if (medicalInfo) {
+            record.medicalInfo = { ...record.medicalInfo, ...medicalInfo };
+        }
+
+        if (bedNumber !== undefined && bedNumber !== null) {
+            // A patient occupies one bed; free the previous one
+            if (record.bedNumber !== null && String(record.bedNumber) !== String(bedNumber)) {
+                const previousBed = this.state.beds[record.bedNumber];
+                if (previousBed && previousBed.patientId === patientId) {
+                    this.state.beds[record.bedNumber] = this.createBedEntry(null, context);
+                }
+            }
+            record.bedNumber = bedNumber;
+            this.state.beds[bedNumber] = this.createBedEntry(patientId, context, patient.vpkCode);
+        }
+        this.touch(record, context);
+    }
+
+    applyPatientDischarged(data, context) {
+        const patientId = data.patientId;
+        if (!patientId) {
+            throw new Error('patient_discharged message has no patientId');
+        }
+
+        const record = this.ensurePatient(patientId);
+        const bedNumber = data.bedNumber ?? record.bedNumber;
+        const bed = bedNumber !== null && bedNumber !== undefined ? this.state.beds[bedNumber] : null;
+        if (bed && bed.patientId === patientId) {
+            this.state.beds[bedNumber] = this.createBedEntry(null, context);
+        }
+
+        // A transfer discharge only frees the bed; the patient is assigned again by the following patient_selected
+        if (data.reason !== 'patient_transfer') {
+            record.status = 'discharged';
+            record.dischargedAt = context.timestamp;
+            record.dischargeReason = data.reason || null;
+        }
+        record.bedNumber = null;
+        this.touch(record, context);
+    }
+
+    /**
+     * Move the patient to another bed; the stay, configuration and alarm states are kept
+     */
+    applyPatientTransferred(data, context) {
+        const patientId = data.patientId;
+        if (!patientId || data.toBed === undefined || data.toBed === null) {
+            throw new Error('patient_transferred message has no patientId or toBed');
+        }
+
+        const record = this.ensurePatient(patientId);
+        const fromBed = data.fromBed ?? record.bedNumber;
+        const previousBed = fromBed !== null && fromBed !== undefined ? this.state.beds[fromBed] : null;
+        if (previousBed && previousBed.patientId === patientId) {
+            this.state.beds[fromBed] = this.createBedEntry(null, context);
+        }
+
+        const { medicalInfo, ...patient } = data.patient || {};
+        record.patient = { ...record.patient, ...patient, id: patientId };
+        if (medicalInfo) {
+            record.medicalInfo = { ...record.medicalInfo, ...medicalInfo };
+        }
+        if (!record.admittedAt || record.status === 'discharged') {
+            record.admittedAt = context.timestamp;
+        }
+        record.status = 'admitted';
+        record.bedNumber = data.toBed;
+        this.state.beds[data.toBed] = this.createBedEntry(patientId, context, patient.vpkCode ?? previousBed?.vpkCode);
+        this.touch(record, context);
+    }
+
+    /**
+     * Full configurations (display_truth / manual_override) replace the stored values,
+     * delta messages only update what they contain
+     */
+    applyThresholdsRiskLevels(data, context) {
+        const patientId = data.patientId;
+        if (!patientId) {
+            throw new Error('thresholds_risk_levels message has no patientId');
+        }
+
+        const record = this.ensurePatient(patientId);
+
+        if (data.changeType === 'delta') {
+            const changes = data.changes || {};
+            if (changes.medicalProblem && Object.keys(changes.medicalProblem).length > 0) {
+                const problem = changes.medicalProblem.to ?? changes.medicalProblem.new ?? changes.medicalProblem.value;
+                if (problem !== undefined) {
+                    record.medicalInfo.selectedProblem = problem;
+                }
+            }
+            Object.entries(changes.riskLevels || {}).forEach(([organ, change]) => {
+                record.riskLevels[organ] = change && typeof change === 'object' ? (change.to ?? change.new) : change;
+            });
+            Object.entries(changes.thresholds || {}).forEach(([parameter, change]) => {
+                const range = change?.to || change?.new || change;
+                if (range && range.min !== undefined && range.max !== undefined) {
+                    record.thresholds[parameter] = { ...record.thresholds[parameter], ...range };
+                }
+            });
+        } else {
+            if (data.medicalProblem !== undefined) {
+                record.medicalInfo.selectedProblem = data.medicalProblem;
+            }
+            if (data.selectedRiskLevel) {
+                record.medicalInfo.selectedRiskLevel = data.selectedRiskLevel;
+            }
+            if (data.protocolVersion) {
+                record.medicalInfo.protocolVersion = data.protocolVersion;
+            }
+            if (data.riskLevels) {
+                record.riskLevels = { ...data.riskLevels };
+            }
+            if (data.thresholds) {
+                record.thresholds = JSON.parse(JSON.stringify(data.thresholds));
+            }
+            if (data.activeTags) {
+                record.activeTags = Array.isArray(data.activeTags) ? [...data.activeTags] : Object.keys(data.activeTags).filter(tag => data.activeTags[tag]);
+            }
+            record.manualOverrides = data.manualOverrides || null;
+        }
+
+        if (data.bedNumber !== undefined && data.bedNumber !== null && record.bedNumber === null) {
+            record.bedNumber = data.bedNumber;
+        }
+        record.configuration = this.createStamp(context);
+        this.touch(record, context);
+    }
+
+    applyParameterAlarmToggled(data, context) {
+        const { patientId, parameter, status } = data;
+        if (!patientId || !parameter) {
+            throw new Error('parameterAlarmToggled message has no patientId or parameter');
+        }
+
+        const record = this.ensurePatient(patientId);
+        record.alarmStates[parameter] = {
+            enabled: status !== 'disabled',
+            suppression: data.suppression || null,
+            ...this.createStamp(context)
+        };
+        this.touch(record, context);
+    }
+}
+
+// Export for module use
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PatientStore;
+}
@@ -0,0 +1,192 @@
+/**
+ * Permission Guard for the Smart Alarm WebSocket server
+ * Checks configuration changes against the user's role before they reach the patient store, with the
+ * same SharedDataManager rules the workstations apply (checkPermission), so a workstation that skips its
+ * own check cannot switch off alarms or widen limits it is not allowed to.
+ *
+ * The role is taken from the user roster in USER_ROSTER_FILE ({ users: [{ id, role }] }); users not on the
+ * roster are refused. The role a workstation sends (userRole) is never trusted, so without a roster every
+ * change that needs a role is refused. Clearing manual overrides is never checked: workstations clear them
+ * when the protocol changes.
+ */
+
+const ThresholdCalculator = require('./threshold-calculator');
+
+const fs = require('fs');
+
+class PermissionGuard {
+    /**
+     * @param {PatientStore} patientStore - Store holding the current configurations
+     * @param {ThresholdCalculator} thresholdCalculator - Source of headless SharedDataManager instances
+     * @param {Object} options - { rosterFile }
+     */
+    constructor(patientStore, thresholdCalculator, options = {}) {
+        this.patientStore = patientStore;
+        this.thresholdCalculator = thresholdCalculator;
+        this.roster = options.rosterFile ? PermissionGuard.loadRoster(options.rosterFile) : null;
+        if (!this.roster) {
+            console.warn('⚠️ No user roster (USER_ROSTER_FILE): alarm switch-offs and manual ranges will be refused');
+        }
+    }
+
+    /**
+     * @param {Object} env - process.env
+     */
+    static fromEnv(patientStore, thresholdCalculator, env) {
+        return new PermissionGuard(patientStore, thresholdCalculator, { rosterFile: env.USER_ROSTER_FILE || null });
+    }
+
+    /**
+     * Read the roster file
+     * @returns {Map} - user id -> role
+     * @throws {Error} - When the file cannot be read or has no users list
+     */
+    static loadRoster(rosterFile) {
+        const roster = JSON.parse(fs.readFileSync(rosterFile, 'utf8'));
+        if (!Array.isArray(roster.users)) {
+            throw new Error(`User roster ${rosterFile} has no users list`);
+        }
+        console.log(`👤 User roster loaded from ${rosterFile} (${roster.users.length} users)`);
+        return new Map(roster.users.map(user => [String(user.id), user.role]));
+    }
+
+    /**
+     * Role the message is checked against
+     * @returns {string|null} - null when the sender is not logged in, not on the roster or there is no roster
+     */
+    getRole(message) {
+        if (!this.roster || message.userId === null || message.userId === undefined) {
+            return null;
+        }
+        return this.roster.get(String(message.userId)) || null;
+    }
+
+    /**
+     * Check whether the sender of a message may make the changes it contains
+     * @param {Object} message - Validated inbound message (current protocol version)
+     * @returns {Object} - { allowed: boolean, reason? }
+     */
+    check(message) {
+        if (!this.mayNeedChecks(message)) {
+            return { allowed: true };
+        }
+
+        let manager;
+        let checks;
+        try {
+            manager = this.thresholdCalculator.createManagerFor(this.getCandidateRecord(message));
+            checks = this.getRequiredChecks(message, manager);
+        } catch (error) {
+            console.error('❌ Error preparing permission check:', error);
+            return { allowed: false, reason: `Permission check failed: ${error.message}` };
+        }
+        if (checks.length === 0) {
+            return { allowed: true };
+        }
+
+        if (!this.roster) {
+            return { allowed: false, reason: 'Geen gebruikersrooster op de server ingesteld (USER_ROSTER_FILE)' };
+        }
+        const role = this.getRole(message);
+        if (role) {
+            const login = manager.loginUser(String(message.userId), role);
+            if (!login.success) {
+                return { allowed: false, reason: login.error };
+            }
+        } else if (message.userId !== null && message.userId !== undefined) {
+            return { allowed: false, reason: `Gebruiker ${message.userId} staat niet in het rooster` };
+        }
+
+        for (const { action, context } of checks) {
+            const permission = manager.checkPermission(action, context);
+            if (!permission.allowed) {
+                return permission;
+            }
+        }
+        return { allowed: true };
+    }
+
+    /**
+     * Whether the message can switch an alarm off or set a range (only those are checked)
+     */
+    mayNeedChecks(message) {
+        const data = message.data || {};
+        return (message.type === 'parameterAlarmToggled' && data.status === 'disabled') ||
+            (message.type === 'thresholds_risk_levels' && !!data.patientId);
+    }
+
+    /**
+     * The permission checks a message needs: switching an alarm off, and every range it sets that differs
+     * from the protocol, whether or not it is marked as a manual override
+     * @param {SharedDataManager} manager - Holds the candidate configuration (see getCandidateRecord)
+     * @returns {Array} - [{ action, context }]
+     */
+    getRequiredChecks(message, manager) {
+        const data = message.data || {};
+        const patientId = data.patientId;
+
+        if (message.type === 'parameterAlarmToggled' && data.status === 'disabled') {
+            return [{ action: 'setParameterAlarmEnabled', context: { patientId, parameter: data.parameter, isEnabled: false } }];
+        }
+        if (message.type !== 'thresholds_risk_levels' || !patientId) {
+            return [];
+        }
+
+        // Deltas carry no override metadata: every changed range is treated as a manual one
+        if (data.changeType === 'delta') {
+            return Object.entries(data.changes?.thresholds || {})
+                .map(([parameter, change]) => ({ parameter, range: change?.to || change?.new || change }))
+                .filter(({ range }) => range && range.min !== undefined && range.max !== undefined)
+                .map(({ parameter, range }) => ({ action: 'setManualOverride', context: { patientId, parameter, range } }));
+        }
+
+        // Every reported range that is not the protocol range of the new configuration, and every override range
+        const stored = this.patientStore.getPatient(patientId)?.manualOverrides?.overrideDetails || {};
+        const incoming = data.manualOverrides?.hasManualOverrides ? data.manualOverrides.overrideDetails || {} : {};
+        const protocolRanges = manager.getCurrentEffectiveValues(patientId, { useCache: false }).parameterRanges;
+        const ranges = {};
+        ThresholdCalculator.compare(protocolRanges, data.thresholds || {}).forEach(({ parameter, reported }) => {
+            ranges[parameter] = reported;
+        });
+        Object.entries(incoming).forEach(([parameter, details]) => {
+            ranges[parameter] = details.range || data.thresholds?.[parameter] || ranges[parameter];
+        });
+
+        // Overrides already stored with the same range were checked when they were set
+        return Object.entries(ranges)
+            .filter(([parameter, range]) => range && JSON.stringify(range) !== JSON.stringify(stored[parameter]?.range))
+            .map(([parameter, range]) => ({ action: 'setManualOverride', context: { patientId, parameter, range } }));
+    }
+
+    /**
+     * The patient's configuration as the message would leave it, without manual overrides,
+     * so protocol ranges are calculated for the new problem, risk level and tags
+     */
+    getCandidateRecord(message) {
+        const data = message.data;
+        const stored = this.patientStore.getPatient(data.patientId) || {
+            patientId: data.patientId, medicalInfo: {}, riskLevels: {}, thresholds: {}, activeTags: []
+        };
+        const record = JSON.parse(JSON.stringify({ ...stored, manualOverrides: null }));
+        if (message.type !== 'thresholds_risk_levels') {
+            return record;
+        }
+
+        if (data.changeType === 'delta') {
+            const problemChange = data.changes?.medicalProblem || {};
+            const problem = problemChange.to ?? problemChange.new;
+            if (problem !== undefined) record.medicalInfo.selectedProblem = problem;
+            return record;
+        }
+        if (data.medicalProblem !== undefined) record.medicalInfo.selectedProblem = data.medicalProblem;
+        if (data.selectedRiskLevel) record.medicalInfo.selectedRiskLevel = data.selectedRiskLevel;
+        if (data.riskLevels) record.riskLevels = { ...data.riskLevels };
+        if (Array.isArray(data.activeTags)) record.activeTags = [...data.activeTags];
+        return record;
+    }
+}
+
+// Export for module use
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PermissionGuard;
+}
@@ -0,0 +1,154 @@
+/**
+ * Threshold Calculator for the Smart Alarm WebSocket server
+ * Computes a patient's effective thresholds from the stored configuration (problem, risk level,
+ * monitoring levels, condition tags and manual overrides) with the same SharedDataManager logic
+ * as the workstations: getMatrixBasedBaseRanges, calculateTagBasedParameterAdjustments and
+ * getCurrentEffectiveValues, running headless on in-memory storage.
+ * The result can be compared with the thresholds the workstation reported in thresholds_risk_levels.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const SharedDataManager = require('./js/shared-data-manager');
+const { MemoryStorageAdapter } = require('./js/storage-adapters');
+
+class ThresholdCalculator {
+    /**
+     * @param {PatientStore} patientStore - Store the configurations are read from
+     * @param {Object} options - { protocolFile, layoutFile }
+     */
+    constructor(patientStore, options = {}) {
+        this.patientStore = patientStore;
+        this.options = {
+            protocolFile: path.join(__dirname, 'protocols', 'clinical-protocol.json'),
+            layoutFile: path.join(__dirname, 'config', 'ward-layout.json'),
+            ...options
+        };
+        this.protocolDefinition = JSON.parse(fs.readFileSync(this.options.protocolFile, 'utf8'));
+        this.layoutDefinition = JSON.parse(fs.readFileSync(this.options.layoutFile, 'utf8'));
+    }
+
+    /**
+     * A new headless SharedDataManager on empty in-memory storage, so no state carries over between patients
+     */
+    createManager() {
+        return new SharedDataManager({
+            storage: new MemoryStorageAdapter(),
+            eventBus: new EventTarget(),
+            clinicalProtocol: this.protocolDefinition,
+            wardLayout: this.layoutDefinition,
+            headless: true
+        });
+    }
+
+    /**
+     * A headless SharedDataManager holding one patient's configuration, applied the way a workstation applies a state sync
+     * @param {Object} record - Patient record from the patient store
+     * @returns {SharedDataManager}
+     * @throws {Error} - When the configuration cannot be applied
+     */
+    createManagerFor(record) {
+        const manager = this.createManager();
+        this.applyRecord(manager, record);
+        return manager;
+    }
+
+    /**
+     * Apply a stored configuration (thresholds, risk levels, tags, overrides and alarm switches) to a manager
+     * @param {SharedDataManager} manager - Headless manager, new or holding an older configuration of the patient
+     * @param {Object} record - Patient record from the patient store
+     * @throws {Error} - When the configuration cannot be applied
+     */
+    applyRecord(manager, record) {
+        const applied = manager.applyRemoteChange({
+            type: 'thresholds_risk_levels',
+            data: {
+                patientId: record.patientId,
+                changeType: 'state_sync',
+                medicalProblem: record.medicalInfo?.selectedProblem,
+                selectedRiskLevel: record.medicalInfo?.selectedRiskLevel,
+                riskLevels: record.riskLevels,
+                thresholds: record.thresholds,
+                activeTags: record.activeTags,
+                manualOverrides: record.manualOverrides
+            }
+        });
+        if (!applied.success) {
+            throw new Error(`Configuration of patient ${record.patientId} could not be applied: ${applied.error}`);
+        }
+
+        Object.entries(record.alarmStates || {}).forEach(([parameter, alarmState]) => {
+            if (manager.getParameterAlarmEnabled(record.patientId, parameter) === alarmState.enabled) return;
+            manager.applyRemoteChange({
+                type: 'parameterAlarmToggled',
+                data: {
+                    patientId: record.patientId,
+                    parameter: parameter,
+                    status: alarmState.enabled ? 'enabled' : 'disabled',
+                    suppression: alarmState.suppression
+                }
+            });
+        });
+    }
+
+    /**
+     * Effective thresholds of a stored patient
+     * @param {string} patientId - Patient identifier
+     * @returns {Object|null} - See calculate, or null for an unknown patient
+     */
+    calculateForPatient(patientId) {
+        const record = this.patientStore.getPatient(patientId);
+        return record ? this.calculate(record) : null;
+    }
+
+    /**
+     * Apply the stored configuration, then compute the effective values
+     * @param {Object} record - Patient record from the patient store
+     * @returns {Object} - { patientId, calculatedAt, protocolVersion, medicalProblem, selectedRiskLevel, activeTags,
+     *                       monitoringLevels, thresholds, manualOverrides, reported, differences }
+     */
+    calculate(record) {
+        const manager = this.createManagerFor(record);
+        const patientId = record.patientId;
+
+        const effective = manager.getCurrentEffectiveValues(patientId, { useCache: false });
+        return {
+            patientId: patientId,
+            calculatedAt: effective.timestamp,
+            protocolVersion: manager.getProtocolVersionInfo()?.version || null,
+            medicalProblem: effective.baseContext.problem,
+            selectedRiskLevel: effective.baseContext.riskLevel,
+            activeTags: effective.activeTags,
+            monitoringLevels: effective.monitoringLevels,
+            thresholds: effective.parameterRanges,
+            manualOverrides: Object.keys(effective.manualOverrides),
+            reported: {
+                thresholds: record.thresholds || {},
+                updatedAt: record.configuration?.updatedAt || null,
+                updatedBy: record.configuration?.updatedBy || null
+            },
+            differences: ThresholdCalculator.compare(effective.parameterRanges, record.thresholds || {})
+        };
+    }
+
+    /**
+     * Parameters whose calculated range differs from the reported one
+     * @returns {Array} - [{ parameter, calculated: { min, max }, reported: { min, max } }]
+     */
+    static compare(calculated, reported) {
+        return Object.keys(calculated)
+            .filter(parameter => reported[parameter])
+            .filter(parameter => Number(calculated[parameter].min) !== Number(reported[parameter].min) ||
+                Number(calculated[parameter].max) !== Number(reported[parameter].max))
+            .map(parameter => ({
+                parameter: parameter,
+                calculated: { min: calculated[parameter].min, max: calculated[parameter].max },
+                reported: { min: reported[parameter].min, max: reported[parameter].max }
+            }));
+    }
+}
+
+// Export for module use
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ThresholdCalculator;
+}
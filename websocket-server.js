@@ -9,13 +9,138 @@
  * 3. Run the server: node websocket-server.js
  * 
  * The server will listen on ws://localhost:8080
+ * The current ICU state is kept in data/icu-state.json (override with PATIENT_STORE_FILE)
+ * and can be read at http://localhost:8080/api/state
+ * Incoming messages are validated against js/message-schemas.js (catalogue at /api/schemas)
+ * Set HL7_EXPORT=mllp or HL7_EXPORT=file to forward admissions, transfers, discharges and alarm
+ * configurations as HL7 v2 (see hl7-exporter.js, status at /api/hl7)
+ * Alarm configurations are also available as FHIR R4 resources at http://localhost:8080/fhir
+ * Effective thresholds are recalculated with the workstation logic at /api/patients/:id/thresholds
+ * Alarm switch-offs and manual limits are checked against the sender's role (USER_ROSTER_FILE, see permission-guard.js)
+ * Vitals are evaluated here, once, and the resulting alarm_event messages broadcast (see alarm-evaluator.js)
+ * Alarms whose suppression has run out are switched back on here, once, for every workstation
  */
 
+const http = require('http');
 const WebSocket = require('ws');
+const PatientStore = require('./patient-store');
+const MessageSchemas = require('./js/message-schemas');
+const Hl7Exporter = require('./hl7-exporter');
+const FhirExporter = require('./fhir-exporter');
+const ThresholdCalculator = require('./threshold-calculator');
+const PermissionGuard = require('./permission-guard');
+const AlarmEvaluator = require('./alarm-evaluator');
 
-// Create WebSocket server on port 8080
+// Authoritative ICU state, shared by all workstations
+const patientStore = new PatientStore(process.env.PATIENT_STORE_FILE || PatientStore.DEFAULT_FILE);
+
+// HL7 v2 export to the monitoring and EHR systems (off unless HL7_EXPORT is set)
+const hl7Exporter = Hl7Exporter.fromEnv(process.env);
+
+// Read-only FHIR R4 view of the stored state
+const fhirExporter = new FhirExporter(patientStore, { ward: process.env.HL7_WARD || 'ICU' });
+
+// Headless SharedDataManager logic, to compute effective thresholds the same way as the workstations
+const thresholdCalculator = new ThresholdCalculator(patientStore);
+
+// Role checks on configuration changes (roster from USER_ROSTER_FILE; without it such changes are refused)
+const permissionGuard = PermissionGuard.fromEnv(patientStore, thresholdCalculator, process.env);
+
+// Alarm evaluation of the monitor vitals, with the same headless logic
+const alarmEvaluator = new AlarmEvaluator(patientStore, thresholdCalculator);
+
+/**
+ * Read-only HTTP access to the stored state and the message contract
+ * GET /api/state - complete state, GET /api/patients/:id - one patient,
+ * GET /api/patients/:id/thresholds - effective thresholds calculated from the stored configuration,
+ * GET /api/schemas - message schema catalogue, GET /api/schemas/:type?version= - one message schema,
+ * GET /api/hl7 - HL7 export status, GET /fhir/... - FHIR R4 resources (see fhir-exporter.js)
+ */
+function handleHttpRequest(req, res) {
+    const sendJson = (status, body, contentType = 'application/json') => {
+        res.writeHead(status, {
+            'Content-Type': contentType,
+            'Access-Control-Allow-Origin': '*'
+        });
+        res.end(JSON.stringify(body));
+    };
+
+    const url = new URL(req.url, 'http://localhost');
+    if (req.method !== 'GET') {
+        sendJson(405, { error: 'Method not allowed' });
+        return;
+    }
+
+    if (url.pathname === '/api/state') {
+        sendJson(200, patientStore.getState());
+        return;
+    }
+
+    if (url.pathname === '/fhir' || url.pathname.startsWith('/fhir/')) {
+        const result = fhirExporter.handleRequest(url, `http://${req.headers.host || 'localhost:8080'}/fhir`);
+        sendJson(result.status, result.body, 'application/fhir+json');
+        return;
+    }
+
+    if (url.pathname === '/api/hl7') {
+        sendJson(200, hl7Exporter.getStatus());
+        return;
+    }
+
+    if (url.pathname === '/api/schemas') {
+        sendJson(200, MessageSchemas.getCatalogue());
+        return;
+    }
+
+    const schemaMatch = url.pathname.match(/^\/api\/schemas\/([^/]+)$/);
+    if (schemaMatch) {
+        const version = url.searchParams.get('version') || MessageSchemas.PROTOCOL_VERSION;
+        const type = decodeURIComponent(schemaMatch[1]);
+        const schema = type === 'thresholds_risk_levels_delta'
+            ? MessageSchemas.getSchema('thresholds_risk_levels', version, { changeType: 'delta' })
+            : MessageSchemas.getSchema(type, version);
+        if (schema && MessageSchemas.SUPPORTED_VERSIONS.includes(version)) {
+            sendJson(200, schema);
+        } else {
+            sendJson(404, { error: 'Schema not found' });
+        }
+        return;
+    }
+
+    const thresholdsMatch = url.pathname.match(/^\/api\/patients\/([^/]+)\/thresholds$/);
+    if (thresholdsMatch) {
+        try {
+            const result = thresholdCalculator.calculateForPatient(decodeURIComponent(thresholdsMatch[1]));
+            if (result) {
+                sendJson(200, result);
+            } else {
+                sendJson(404, { error: 'Patient not found' });
+            }
+        } catch (error) {
+            console.error('❌ Error calculating thresholds:', error);
+            sendJson(500, { error: error.message });
+        }
+        return;
+    }
+
+    const patientMatch = url.pathname.match(/^\/api\/patients\/([^/]+)$/);
+    if (patientMatch) {
+        const patient = patientStore.getPatient(decodeURIComponent(patientMatch[1]));
+        if (patient) {
+            sendJson(200, patient);
+        } else {
+            sendJson(404, { error: 'Patient not found' });
+        }
+        return;
+    }
+
+    sendJson(404, { error: 'Not found' });
+}
+
+// HTTP server on port 8080, shared with the WebSocket server
+const server = http.createServer(handleHttpRequest);
 const wss = new WebSocket.Server({ 
-    port: 8080,
+    server: server,
     perMessageDeflate: false
 });
 
@@ -26,6 +151,168 @@ wss.on('listening', () => {
     console.log('📝 Ready to receive patient data from the web application');
 });
 
+// Ids of processed messages, so a message resent after a lost ack is not applied twice. Clients resend for
+// at most MessageSchemas.MESSAGE_RETRY_SPAN, so ids are kept that long plus a minute for messages in transit
+const processedMessageIds = new Map();
+const PROCESSED_MESSAGE_ID_TTL = MessageSchemas.MESSAGE_RETRY_SPAN + 60000;
+
+/**
+ * Remember the result of a processed message and forget ids older than PROCESSED_MESSAGE_ID_TTL
+ */
+function rememberProcessedMessage(messageId, result) {
+    const now = Date.now();
+    processedMessageIds.set(messageId, { result: result, processedAt: now });
+
+    // The map keeps insertion order, so the oldest ids come first
+    for (const [id, entry] of processedMessageIds) {
+        if (now - entry.processedAt < PROCESSED_MESSAGE_ID_TTL) break;
+        processedMessageIds.delete(id);
+    }
+}
+
+/**
+ * Acknowledge a message by its id; the client keeps it in its outbox until this arrives
+ * @param {Object} result - { status: 'ok'|'error', error?, duplicate? }
+ */
+function sendAck(ws, message, result) {
+    if (!message.messageId) return;
+
+    // A retryable error is not remembered, so the resent message is handled again
+    if (!result.duplicate && !MessageSchemas.RETRYABLE_ERROR_CODES.includes(result.code)) {
+        rememberProcessedMessage(message.messageId, result);
+    }
+
+    try {
+        ws.send(JSON.stringify({
+            type: 'ack',
+            messageId: message.messageId,
+            messageType: message.type,
+            ...result,
+            timestamp: new Date().toISOString()
+        }));
+    } catch (error) {
+        console.error('❌ Error sending ack:', error);
+    }
+}
+
+/**
+ * Typed error reply: messages with an id get an error ack (so the client can mark its outbox entry),
+ * anything else an 'error' message; retryable tells the client whether sending it again can succeed
+ * @param {string} code - One of MessageSchemas.ERROR_CODES
+ * @param {Object} details - Extra fields, e.g. { errors } or { supportedVersions }
+ */
+function rejectMessage(ws, message, code, error, details = {}) {
+    const retryable = MessageSchemas.RETRYABLE_ERROR_CODES.includes(code);
+    if (message && message.messageId) {
+        sendAck(ws, message, { status: 'error', code: code, error: error, retryable: retryable, ...details });
+        return;
+    }
+
+    try {
+        ws.send(JSON.stringify({
+            type: 'error',
+            code: code,
+            message: error,
+            messageType: message?.type,
+            retryable: retryable,
+            ...details,
+            timestamp: new Date().toISOString()
+        }));
+    } catch (sendError) {
+        console.error('❌ Error sending error message:', sendError);
+    }
+}
+
+/**
+ * Tell the sender which state version its change produced (and whether it overwrote another
+ * workstation's edit), and rebroadcast the change to all other connected workstations
+ */
+function broadcastStateChange(sender, message, storeResult) {
+    const appliedMessage = {
+        type: 'state_applied',
+        messageType: message.type,
+        stateVersion: storeResult.version,
+        conflict: storeResult.conflict,
+        timestamp: new Date().toISOString()
+    };
+    // Changes made by the server itself have no sender
+    if (sender) {
+        try {
+            sender.send(JSON.stringify(appliedMessage));
+        } catch (error) {
+            console.error('❌ Error sending state_applied:', error);
+        }
+    }
+
+    const remoteMessage = {
+        ...message,
+        stateVersion: storeResult.version,
+        conflict: storeResult.conflict
+    };
+    let forwarded = 0;
+    wss.clients.forEach(client => {
+        if (client !== sender && client.readyState === WebSocket.OPEN) {
+            // Each workstation gets the change in the protocol version it speaks
+            client.send(JSON.stringify(MessageSchemas.convert(remoteMessage, client.protocolVersion || MessageSchemas.PROTOCOL_VERSION)));
+            forwarded++;
+        }
+    });
+    console.log(`📤 ${message.type} rebroadcast to ${forwarded} other client(s) (version ${storeResult.version})`);
+}
+
+/**
+ * Send alarms raised or cleared by the alarm evaluator to every connected workstation
+ * @param {Array} changes - [{ patientId, parameter, state, event }]
+ */
+function broadcastAlarmEvents(changes) {
+    changes.forEach(change => {
+        const alarmMessage = {
+            type: 'alarm_event',
+            priority: change.state === 'raised' ? 'high' : 'normal',
+            data: change,
+            timestamp: new Date().toISOString()
+        };
+        let sent = 0;
+        wss.clients.forEach(client => {
+            if (client.readyState === WebSocket.OPEN) {
+                client.send(JSON.stringify(alarmMessage));
+                sent++;
+            }
+        });
+        console.log(`🚨 Alarm ${change.state} for patient ${change.patientId}: ${change.parameter} = ${change.event?.lastValue} (sent to ${sent} client(s))`);
+    });
+}
+
+/**
+ * Switch alarms back on whose suppression has run out, as a parameterAlarmToggled from the server
+ * (the workstations only do this themselves while they are not connected)
+ */
+function expireSuppressions() {
+    patientStore.getExpiredSuppressions().forEach(({ patientId, parameter, suppression }) => {
+        const timestamp = new Date().toISOString();
+        const message = {
+            type: 'parameterAlarmToggled',
+            sessionId: 'server',
+            userId: null,
+            timestamp: timestamp,
+            version: MessageSchemas.PROTOCOL_VERSION,
+            data: { patientId, parameter, status: 'enabled', suppression: null, timestamp: timestamp }
+        };
+        const previousRecord = hl7Exporter.isEnabled() ? patientStore.getPatient(patientId) : null;
+        const storeResult = patientStore.applyMessage(message);
+        if (!storeResult.success) {
+            console.error(`❌ Expired ${parameter} suppression of patient ${patientId} not ended:`, storeResult.error);
+            return;
+        }
+        console.log(`🔔 ${parameter} suppression expired for patient ${patientId} (${suppression.reason}) - alarm switched back on`);
+        broadcastStateChange(null, message, storeResult);
+        hl7Exporter.exportMessage(message, previousRecord, patientStore.getPatient(patientId));
+        broadcastAlarmEvents(alarmEvaluator.refresh(patientId));
+    });
+}
+
+const suppressionTimer = setInterval(expireSuppressions, 5000);
+
 wss.on('connection', function connection(ws, req) {
     const clientIP = req.socket.remoteAddress;
     console.log(`🔌 New client connected from ${clientIP}`);
@@ -34,6 +321,10 @@ wss.on('connection', function connection(ws, req) {
     const welcomeMessage = {
         type: 'connection',
         message: 'Connected to patient data server',
+        stateVersion: patientStore.getVersion(),
+        // Protocol negotiation: the client picks the highest version it also supports
+        protocolVersion: MessageSchemas.PROTOCOL_VERSION,
+        protocolVersions: MessageSchemas.SUPPORTED_VERSIONS,
         timestamp: new Date().toISOString()
     };
     
@@ -45,11 +336,75 @@ wss.on('connection', function connection(ws, req) {
 
     // Handle incoming messages
     ws.on('message', function incoming(data) {
+        let message;
+        try {
+            message = JSON.parse(data.toString());
+        } catch (error) {
+            console.error('❌ Error parsing incoming message:', error);
+            console.error('📄 Raw data:', data.toString());
+            
+            // Send error response
+            rejectMessage(ws, null, MessageSchemas.ERROR_CODES.INVALID_JSON, 'Invalid JSON format');
+            return;
+        }
+        if (!message || typeof message !== 'object' || Array.isArray(message)) {
+            rejectMessage(ws, null, MessageSchemas.ERROR_CODES.INVALID_MESSAGE, 'Message must be a JSON object');
+            return;
+        }
+        
+        // Set once the message is acknowledged; later failures (broadcast, export, evaluation) are only logged
+        let acknowledged = false;
         try {
-            const message = JSON.parse(data.toString());
             console.log('\n📨 Received message from client:');
             console.log('📅 Timestamp:', message.timestamp);
             console.log('📋 Type:', message.type);
+            console.log('👤 User:', message.userId || 'not logged in');
+            
+            // A resent message whose ack got lost is only acknowledged again
+            if (message.messageId && processedMessageIds.has(message.messageId)) {
+                console.log(`🔁 Duplicate message ${message.messageId} acknowledged again`);
+                sendAck(ws, message, { ...processedMessageIds.get(message.messageId).result, duplicate: true });
+                return;
+            }
+            
+            // Only messages that match the schema of their protocol version are handled
+            const validation = MessageSchemas.validate(message);
+            if (!validation.valid) {
+                console.warn(`⚠️ Message rejected (${validation.code}):`, validation.errors);
+                rejectMessage(ws, message, validation.code, 'Message does not match the protocol schema', {
+                    errors: validation.errors,
+                    supportedVersions: MessageSchemas.SUPPORTED_VERSIONS
+                });
+                return;
+            }
+            ws.protocolVersion = message.version || '1.0';
+            message = MessageSchemas.convert(message, MessageSchemas.PROTOCOL_VERSION);
+            
+            // Changes the sender's role does not allow are not stored or rebroadcast
+            const permission = permissionGuard.check(message);
+            if (!permission.allowed) {
+                console.warn(`⛔ ${message.type} from ${message.userId || message.sessionId} refused: ${permission.reason}`);
+                rejectMessage(ws, message, MessageSchemas.ERROR_CODES.PERMISSION_DENIED, permission.reason);
+                return;
+            }
+            
+            // Keep the stored ICU state up to date before handling the message
+            const patientId = Hl7Exporter.getPatientId(message);
+            const previousRecord = hl7Exporter.isEnabled() && patientId !== null ? patientStore.getPatient(patientId) : null;
+            const storeResult = patientStore.applyMessage(message);
+            if (!storeResult.success) {
+                console.warn('⚠️ Message not stored:', storeResult.error);
+                rejectMessage(ws, message, MessageSchemas.ERROR_CODES.STORE_ERROR, storeResult.error);
+                return;
+            }
+            sendAck(ws, message, { status: 'ok', stateVersion: storeResult.version });
+            acknowledged = true;
+            if (storeResult.applied) {
+                broadcastStateChange(ws, message, storeResult);
+                hl7Exporter.exportMessage(message, previousRecord, patientId !== null ? patientStore.getPatient(patientId) : null);
+                // A switched-off alarm or a discharge clears the patient's alarms right away
+                broadcastAlarmEvents(alarmEvaluator.refresh(patientId));
+            }
             
             if (message.type === 'patient_selected' && message.data) {
                 const patient = message.data;
@@ -77,31 +432,87 @@ wss.on('connection', function connection(ws, req) {
                     console.error('❌ Error sending acknowledgment:', error);
                 }
                 
-                // Here you could:
-                // - Save to database
-                // - Forward to other systems
-                // - Trigger notifications
-                // - etc.
+            } else if (message.type === 'patient_discharged' && message.data) {
+                console.log(`🛏️ Patient ${message.data.patientId} left bed ${message.data.bedNumber} (${message.data.reason})`);
+                
+            } else if (message.type === 'patient_transferred' && message.data) {
+                console.log(`🛏️ Patient ${message.data.patientId} transferred from bed ${message.data.fromBed} to bed ${message.data.toBed}`);
+                
+            } else if (message.type === 'thresholds_risk_levels' && message.data) {
+                console.log(`📊 Thresholds and risk levels stored for patient ${message.data.patientId} (${message.data.changeType})`);
+                
+            } else if (message.type === 'parameterAlarmToggled' && message.data) {
+                console.log(`🔕 ${message.data.parameter} alarm ${message.data.status} for patient ${message.data.patientId}`);
+                
+            } else if (message.type === 'sync_request') {
+                // Connect handshake: bring the workstation up to date from the version it last saw
+                const lastStateVersion = message.data?.lastStateVersion ?? null;
+                const changes = patientStore.getChangesSince(lastStateVersion);
+                const syncMessage = {
+                    type: 'sync_response',
+                    sessionId: message.sessionId,
+                    ...changes,
+                    alarms: alarmEvaluator.getActiveAlarms(),
+                    timestamp: new Date().toISOString()
+                };
+                
+                try {
+                    ws.send(JSON.stringify(syncMessage));
+                    console.log(`🔄 Sync ${changes.mode} sent to ${message.sessionId}: version ${lastStateVersion} → ${changes.stateVersion}, ${Object.keys(changes.beds).length} bed(s), ${Object.keys(changes.patients).length} patient(s)`);
+                } catch (error) {
+                    console.error('❌ Error sending sync response:', error);
+                }
+                
+            } else if (message.type === 'state_request') {
+                // A workstation asks for the current ICU state, e.g. after a page refresh
+                const patientId = message.data?.patientId;
+                const snapshotMessage = {
+                    type: 'state_snapshot',
+                    version: patientStore.getVersion(),
+                    data: patientId ? patientStore.getPatient(patientId) : patientStore.getState(),
+                    timestamp: new Date().toISOString()
+                };
+                
+                try {
+                    ws.send(JSON.stringify(snapshotMessage));
+                    console.log(`📤 State snapshot (version ${snapshotMessage.version}) sent to client`);
+                } catch (error) {
+                    console.error('❌ Error sending state snapshot:', error);
+                }
+                
+            } else if (message.type === 'vitals' && message.data) {
+                // Vitals from a monitor feed are evaluated here against the patient's effective thresholds;
+                // the workstations get the alarm changes, and the vitals themselves for display
+                const target = message.data.patientId ? `patient ${message.data.patientId}` : `bed ${message.data.bedNumber}`;
+                console.log(`💓 Vitals received for ${target}:`, message.data.measurements);
+                const evaluation = alarmEvaluator.evaluateVitals(message.data);
+                
+                let forwarded = 0;
+                wss.clients.forEach(client => {
+                    if (client !== ws && client.readyState === WebSocket.OPEN) {
+                        client.send(JSON.stringify(message));
+                        forwarded++;
+                    }
+                });
+                console.log(`📤 Vitals forwarded to ${forwarded} client(s)`);
+                if (evaluation) {
+                    broadcastAlarmEvents(evaluation.changes);
+                }
+                
+            } else if (message.type === 'alarm_event' && message.data) {
+                // Alarms are raised by the server; events from older workstations are only logged
+                const alarm = message.data;
+                console.log(`ℹ️ Alarm ${alarm.state} reported by a workstation for patient ${alarm.patientId}: ${alarm.parameter} (ignored)`);
                 
             } else {
                 console.log('📋 Other message type received:', message);
             }
             
         } catch (error) {
-            console.error('❌ Error parsing incoming message:', error);
-            console.error('📄 Raw data:', data.toString());
-            
-            // Send error response
-            const errorMessage = {
-                type: 'error',
-                message: 'Invalid JSON format',
-                timestamp: new Date().toISOString()
-            };
-            
-            try {
-                ws.send(JSON.stringify(errorMessage));
-            } catch (sendError) {
-                console.error('❌ Error sending error message:', sendError);
+            console.error(`❌ Error handling message [${message.type}] ${message.messageId || ''}:`, error);
+            if (!acknowledged) {
+                // The message itself may be fine: the client resends it (internal_error is retryable)
+                rejectMessage(ws, message, MessageSchemas.ERROR_CODES.INTERNAL_ERROR, `Server error: ${error.message}`);
             }
         }
     });
@@ -118,6 +529,10 @@ wss.on('connection', function connection(ws, req) {
 });
 
 // Handle server errors
+server.on('error', function error(err) {
+    console.error('❌ HTTP server error:', err);
+});
+
 wss.on('error', function error(err) {
     console.error('❌ WebSocket server error:', err);
 });
@@ -125,19 +540,29 @@ wss.on('error', function error(err) {
 // Graceful shutdown
 process.on('SIGINT', () => {
     console.log('\n🛑 Shutting down WebSocket server...');
+    clearInterval(suppressionTimer);
+    hl7Exporter.close();
     wss.close(() => {
-        console.log('✅ WebSocket server closed');
-        process.exit(0);
+        server.close(() => {
+            console.log('✅ WebSocket server closed');
+            process.exit(0);
+        });
     });
 });
 
 process.on('SIGTERM', () => {
     console.log('\n🛑 Shutting down WebSocket server...');
+    clearInterval(suppressionTimer);
+    hl7Exporter.close();
     wss.close(() => {
-        console.log('✅ WebSocket server closed');
-        process.exit(0);
+        server.close(() => {
+            console.log('✅ WebSocket server closed');
+            process.exit(0);
+        });
     });
 });
 
+server.listen(8080);
+
 console.log('💡 Server is ready to receive patient data');
 console.log('💡 Use Ctrl+C to stop the server');
\ No newline at end of file